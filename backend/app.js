@@ -1,100 +1,70 @@
 const express = require('express');
-const axios = require('axios');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
-const FormData = require('form-data');
-const { exec, execSync } = require('child_process');
-const { promisify } = require('util');
 
-const execAsync = promisify(exec);
+// Content-type detection is an ES module shared with index.js
+const contentTypes = import('./utils/contentType.js');
+
+// BOCK proxy or Kubo RPC client, chosen by IPFS_NODE_API (see services/nodeApi.js)
+const nodeApiModule = import('./services/nodeApi.js');
+const getNodeApi = () => nodeApiModule.then((module) => module.default);
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 
-// BOCK IPFS direct connection (no proxy)
-const BOCK_API = 'http://localhost:9000/bockipfs/api/v0'; // Proxy endpoint
+// Answer with the status a NodeApiError carries (404 for a missing path, 504 for a timeout, ...)
+const sendNodeError = (res, err, details) => {
+  res.status(err.status || 500).json({ error: err.message, ...details });
+};
 
-// Utility function to make IPFS requests using curl
-const makeCurlRequest = async (url, options = {}) => {
-  const { method = 'POST', data = null, responseType = 'json' } = options;
-  
-  let curlCommand = `curl -s -X ${method}`;
-  
-  if (data) {
-    if (data instanceof FormData) {
-      // Handle FormData for file uploads
-      const tempFile = path.join(__dirname, 'temp_upload');
-      fs.writeFileSync(tempFile, data.getBuffer());
-      curlCommand += ` -F "file=@${tempFile}"`;
-    } else {
-      curlCommand += ` -d "${JSON.stringify(data)}"`;
-    }
-  }
-  
-  curlCommand += ` "${url}"`;
-  
-  console.log('Executing curl command:', curlCommand);
-  
-  try {
-    const { stdout, stderr } = await execAsync(curlCommand);
-    
-    if (stderr) {
-      console.warn('Curl stderr:', stderr);
-    }
-    
-    // Clean up temp file if it exists
-    const tempFile = path.join(__dirname, 'temp_upload');
-    if (fs.existsSync(tempFile)) {
-      fs.unlinkSync(tempFile);
-    }
-    
-    if (responseType === 'json' && stdout.trim()) {
-      try {
-        return JSON.parse(stdout);
-      } catch (e) {
-        return stdout;
-      }
-    }
-    
-    return stdout;
-  } catch (error) {
-    throw new Error(`Curl request failed: ${error.message}`);
+const USER_ROOT = '/users/demo'; // later dynamic per user
+
+// Yield an uploaded file's chunks, failing at the end if busboy cut it off at the size limit,
+// so that a truncated file is never written
+async function* untruncated(fileStream) {
+  for await (const chunk of fileStream) yield chunk;
+  if (fileStream.truncated) {
+    throw Object.assign(new Error('File exceeds the maximum upload size'), { status: 413 });
   }
-};
+}
 
-// Hybrid function - tries curl first, then falls back to axios for non-BOCK endpoints
-const makeRequest = async (url, options = {}) => {
-  const isBockEndpoint = url.includes('localhost:9000');
-  
-  if (isBockEndpoint) {
-    // Use curl for BOCK endpoints to avoid header conflicts
-    return await makeCurlRequest(url, options);
-  } else {
-    // Use axios for other endpoints (like IPFS gateway)
-    const { method = 'GET', data = null, responseType = 'json' } = options;
-    const axiosOptions = {
-      method,
-      url,
-      data,
-      responseType: responseType === 'stream' ? 'stream' : 'json'
-    };
-    
-    const response = await axios(axiosOptions);
-    return response.data;
+// Multer storage that streams each file straight into MFS with files/write, so no upload is
+// held in memory or on disk. The target is ?filePath=, or a filePath field sent before the file.
+const nodeStorage = {
+  _handleFile(req, file, cb) {
+    const filePath = req.query.filePath || req.body?.filePath;
+    if (!filePath) {
+      file.stream.resume();
+      return cb(Object.assign(new Error('filePath must be sent before the file'), { status: 400 }));
+    }
+    const fullPath = path.posix.join(USER_ROOT, String(filePath));
+    console.log(`Uploading file to: ${fullPath}`);
+    getNodeApi()
+      .then((nodeApi) => nodeApi.write(fullPath, untruncated(file.stream), { fileName: path.basename(fullPath) }))
+      .then(() => cb(null, { path: fullPath }), cb);
+  },
+  _removeFile(req, file, cb) {
+    cb(null);
   }
 };
 
-// Multer config for file upload (using memory storage)
-const upload = multer({ 
-  storage: multer.memoryStorage(),
+const upload = multer({
+  storage: nodeStorage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: Number(process.env.MAX_UPLOAD_SIZE || 10 * 1024 * 1024), // 10MB unless configured
   }
 });
-const USER_ROOT = '/users/demo'; // later dynamic per user
+// /read-file only serves files below this local folder
+const READ_FILE_ROOT = path.resolve(process.env.READ_FILE_ROOT || path.join(__dirname, 'files'));
+
+// Whether `target` lies strictly below `root` (the root itself is not a file to read)
+const isInside = (root, target) => {
+  const relative = path.relative(root, target);
+  return relative !== '' && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+};
 
 // Add logging middleware
 app.use((req, res, next) => {
@@ -105,15 +75,16 @@ app.use((req, res, next) => {
 // Health check endpoint
 app.get('/health', async (req, res) => {
   try {
-    console.log('Testing BOCK API connection...');
-    const response = await makeCurlRequest(`${BOCK_API}/version`);
+    console.log('Testing node API connection...');
+    const nodeApi = await getNodeApi();
+    const response = await nodeApi.version();
     
     res.json({ 
       status: 'ok', 
       ipfs: 'connected',
       version: response,
-      api_endpoint: BOCK_API,
-      method: 'curl'
+      api_endpoint: nodeApi.baseUrl,
+      api: nodeApi.kind
     });
   } catch (error) {
     console.error('Health check failed:', error.message);
@@ -133,68 +104,38 @@ app.post('/create-folder', async (req, res) => {
     return res.status(400).json({ error: 'folderPath is required' });
   }
 
+  const fullPath = path.posix.join(USER_ROOT, folderPath);
   try {
-    const fullPath = path.posix.join(USER_ROOT, folderPath);
     console.log(`Creating folder: ${fullPath}`);
     
-    const url = `${BOCK_API}/files/mkdir?arg=${encodeURIComponent(fullPath)}&parents=true`;
-    console.log('Request URL:', url);
-    
-    const response = await makeCurlRequest(url);
+    const nodeApi = await getNodeApi();
+    await nodeApi.mkdir(fullPath, { parents: true });
     
     console.log('Folder created successfully');
-    res.json({ success: true, path: fullPath, method: 'curl' });
+    res.json({ success: true, path: fullPath });
   } catch (err) {
     console.error('Create folder error:', err.message);
-    res.status(500).json({ 
-      error: err.message,
-      path: fullPath 
-    });
+    sendNodeError(res, err, { path: fullPath });
   }
 });
 
-// Upload file - special handling for file uploads
-app.post('/upload-file', upload.single('file'), async (req, res) => {
-  const { filePath } = req.body;
-  const file = req.file;
-  
-  if (!file || !filePath) {
-    return res.status(400).json({ error: 'file and filePath are required' });
-  }
-
-  const fullPath = path.posix.join(USER_ROOT, filePath);
-  
-  try {
-    console.log(`Uploading file to: ${fullPath}`);
-    
-    const url = `${BOCK_API}/files/write?arg=${encodeURIComponent(fullPath)}&create=true&parents=true&truncate=true`;
-    console.log('Upload URL:', url);
-    
-    // Create a temporary file for curl upload
-    const tempFile = path.join(__dirname, `temp_${Date.now()}_${path.basename(filePath)}`);
-    fs.writeFileSync(tempFile, file.buffer);
-    
-    const curlCommand = `curl -s -X POST -F "file=@${tempFile}" "${url}"`;
-    console.log('Upload curl command:', curlCommand);
-    
-    const { stdout, stderr } = await execAsync(curlCommand);
-    
-    // Clean up temp file
-    fs.unlinkSync(tempFile);
-    
-    if (stderr) {
-      console.warn('Upload stderr:', stderr);
+// Upload file - streamed to the node while the request is still arriving
+app.post('/upload-file', (req, res) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      console.error('Upload file error:', err.message);
+      if (err instanceof multer.MulterError) {
+        err.status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      }
+      return sendNodeError(res, err, { path: req.file?.path });
     }
-    
+    if (!req.file) {
+      return res.status(400).json({ error: 'file and filePath are required' });
+    }
+
     console.log('File uploaded successfully');
-    res.json({ success: true, path: fullPath, method: 'curl' });
-  } catch (err) {
-    console.error('Upload file error:', err.message);
-    res.status(500).json({ 
-      error: err.message,
-      path: fullPath 
-    });
-  }
+    res.json({ success: true, path: req.file.path });
+  });
 });
 
 // Rename/Move file or folder
@@ -210,20 +151,14 @@ app.post('/rename', async (req, res) => {
     const to = path.posix.join(USER_ROOT, newPath);
     console.log(`Renaming: ${from} -> ${to}`);
     
-    const url = `${BOCK_API}/files/mv?arg=${encodeURIComponent(from)}&arg=${encodeURIComponent(to)}`;
-    console.log('Request URL:', url);
-    
-    const response = await makeCurlRequest(url);
+    const nodeApi = await getNodeApi();
+    await nodeApi.mv(from, to);
     
     console.log('Rename successful');
-    res.json({ success: true, from, to, method: 'curl' });
+    res.json({ success: true, from, to });
   } catch (err) {
     console.error('Rename error:', err.message);
-    res.status(500).json({ 
-      error: err.message,
-      from: oldPath,
-      to: newPath 
-    });
+    sendNodeError(res, err, { from: oldPath, to: newPath });
   }
 });
 
@@ -231,28 +166,22 @@ app.post('/rename', async (req, res) => {
 app.get('/list', async (req, res) => {
   const { dir = '' } = req.query;
   
+  const dirPath = path.posix.join(USER_ROOT, dir);
   try {
-    const dirPath = path.posix.join(USER_ROOT, dir);
     console.log(`Listing directory: ${dirPath}`);
     
-    const url = `${BOCK_API}/files/ls?arg=${encodeURIComponent(dirPath)}&long=true`;
-    console.log('Request URL:', url);
-    
-    const response = await makeCurlRequest(url);
+    const nodeApi = await getNodeApi();
+    const response = await nodeApi.ls(dirPath);
     
     console.log('Directory listed successfully');
     res.json({
       success: true,
       path: dirPath,
-      entries: response,
-      method: 'curl'
+      entries: response
     });
   } catch (err) {
     console.error('List directory error:', err.message);
-    res.status(500).json({ 
-      error: err.message,
-      path: dirPath 
-    });
+    sendNodeError(res, err, { path: dirPath });
   }
 });
 
@@ -264,91 +193,136 @@ app.delete('/delete', async (req, res) => {
     return res.status(400).json({ error: 'itemPath is required' });
   }
 
+  const fullPath = path.posix.join(USER_ROOT, itemPath);
   try {
-    const fullPath = path.posix.join(USER_ROOT, itemPath);
     console.log(`Deleting: ${fullPath}`);
     
-    const url = `${BOCK_API}/files/rm?arg=${encodeURIComponent(fullPath)}&recursive=true`;
-    console.log('Request URL:', url);
-    
-    const response = await makeCurlRequest(url);
+    const nodeApi = await getNodeApi();
+    await nodeApi.rm(fullPath, { recursive: true });
     
     console.log('Delete successful');
-    res.json({ success: true, path: fullPath, method: 'curl' });
+    res.json({ success: true, path: fullPath });
   } catch (err) {
     console.error('Delete error:', err.message);
-    res.status(500).json({ 
-      error: err.message,
-      path: fullPath 
-    });
+    sendNodeError(res, err, { path: fullPath });
   }
 });
 
-// Get file content via gateway (using CID) - improved for PDFs
-app.get('/get-content/:cid', async (req, res) => {
-  const { cid } = req.params;
-  
-  if (!cid) {
-    return res.status(400).json({ error: 'CID is required' });
+// Parse a single "Range: bytes=..." header. Returns { start, end }, null to send
+// the whole body, or { unsatisfiable: true } when the range is outside the content.
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    if (Number(match[2]) === 0) return { unsatisfiable: true };
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
   }
+  return start >= size || start > end ? { unsatisfiable: true } : { start, end };
+};
+
+// Stream bytes of a CID through the node's cat endpoint, which supports offset/length
+const catStream = async (cid, offset, length) => (await getNodeApi()).cat(cid, { offset, length });
+
+// Read the first bytes of a CID to sniff its type
+const readHead = async (cid, length) => {
+  const stream = await catStream(cid, 0, length);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
 
+// Stream the content behind a CID (or a path inside one), with HTTP Range support for
+// seeking and resuming. ?filename= is optional; its extension refines the sniffed type
+// and names the file.
+const sendContent = async (req, res, cid) => {
   try {
     console.log(`Getting content for CID: ${cid}`);
     
-    const BOCK_GATEWAY = 'http://localhost:8080/ipfs';
-    
-    // First, try to get content info to determine file type
-    const headResponse = await axios.head(`${BOCK_GATEWAY}/${cid}`).catch(() => null);
-    
-    const response = await axios.get(`${BOCK_GATEWAY}/${cid}`, {
-      responseType: 'arraybuffer' // Use arraybuffer for better binary handling
-    });
-    
-    // Determine content type
-    let contentType = response.headers['content-type'] || 'application/octet-stream';
-    
-    // If content type is not set properly, try to detect from data
-    if (contentType === 'application/octet-stream' || !contentType) {
-      const buffer = Buffer.from(response.data);
-      
-      // Check PDF signature
-      if (buffer.slice(0, 4).toString() === '%PDF') {
-        contentType = 'application/pdf';
-      }
-      // Check for other common file signatures
-      else if (buffer.slice(0, 2).toString('hex') === 'ffd8') {
-        contentType = 'image/jpeg';
-      }
-      else if (buffer.slice(0, 8).toString() === '\x89PNG\r\n\x1a\n') {
-        contentType = 'image/png';
-      }
-      else if (buffer.slice(0, 4).toString() === 'GIF8') {
-        contentType = 'image/gif';
-      }
+    // Size comes from the node; the type is sniffed from the first bytes, never taken on trust
+    const stat = await (await getNodeApi()).stat(`/ipfs/${cid}`);
+    if (stat.Type === 'directory') {
+      return res.status(400).json({ error: 'This is a folder, not a file', type: 'folder', cid });
     }
-    
-    // Set appropriate headers
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Length', response.data.byteLength);
+    const size = stat.Size;
+    const { detectContentType, setContentHeaders, SNIFF_BYTES } = await contentTypes;
+    const head = size > 0 ? await readHead(cid, Math.min(size, SNIFF_BYTES)) : Buffer.alloc(0);
+    const contentType = detectContentType(head, req.query.filename);
+
+    // Set appropriate headers. Content behind a CID never changes, so it is its own ETag.
+    // Passive types such as PDFs and images display inline; HTML and SVG are downloaded.
+    const etag = `"${cid}"`;
+    setContentHeaders(res, { contentType, fileName: req.query.filename, inline: true });
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Accept-Ranges', 'bytes');
-    
-    // For PDFs, ensure inline display
-    if (contentType === 'application/pdf') {
-      res.setHeader('Content-Disposition', 'inline');
+    res.setHeader('ETag', etag);
+
+    // If-Range with a different validator means the client's partial copy is stale
+    const ifRange = req.headers['if-range'];
+    const range = !ifRange || ifRange === etag ? parseRange(req.headers.range, size) : null;
+    if (range?.unsatisfiable) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
     }
+
+    const offset = range ? range.start : 0;
+    const length = range ? range.end - range.start + 1 : size;
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    }
+    res.setHeader('Content-Length', length);
+
+    if (req.method === 'HEAD' || length === 0) {
+      return res.end();
+    }
+
+    // Stream the binary data straight through
+    const stream = await catStream(cid, offset, length);
+    req.on('close', () => stream.destroy());
+    stream.on('error', (streamErr) => {
+      console.error('Get content stream error:', streamErr.message);
+      res.destroy(streamErr);
+    });
+    stream.pipe(res);
     
-    // Send the binary data
-    res.send(Buffer.from(response.data));
-    
-    console.log(`Content served successfully. CID: ${cid}, Size: ${response.data.byteLength} bytes, Type: ${contentType}`);
+    console.log(`Content streaming. CID: ${cid}, Bytes: ${offset}-${offset + length - 1}/${size}, Type: ${contentType}`);
   } catch (err) {
-    console.error('Get content error:', err.response?.data || err.message);
-    res.status(500).json({ 
-      error: err.response?.data || err.message,
-      cid 
-    });
+    console.error('Get content error:', err.message);
+    if (!res.headersSent) {
+      sendNodeError(res, err, { cid });
+    }
   }
+};
+
+app.get('/get-content/:cid', async (req, res) => {
+  const { cid } = req.params;
+  
+  if (!cid) {
+    return res.status(400).json({ error: 'CID is required' });
+  }
+  await sendContent(req, res, cid);
+});
+
+// Same for an IPNS name, optionally with a path below it: /get-content/ipns/<name>/docs/a.pdf
+app.get('/get-content/ipns/:name{/*rest}', async (req, res) => {
+  const ipnsPath = ['/ipns', req.params.name, ...(req.params.rest || [])].join('/');
+
+  let resolved;
+  try {
+    resolved = await (await getNodeApi()).resolve(ipnsPath);
+  } catch (err) {
+    console.error('Resolve IPNS name error:', err.message);
+    return sendNodeError(res, err, { name: req.params.name });
+  }
+  // The record points at /ipfs/<cid>[/path]; that content is what gets served
+  await sendContent(req, res, resolved.Path.replace(/^\/ipfs\//, ''));
 });
 
 // Add a dedicated PDF viewer endpoint
@@ -462,71 +436,65 @@ app.get('/file-info', async (req, res) => {
     return res.status(400).json({ error: 'filePath is required' });
   }
 
+  const fullPath = path.posix.join(USER_ROOT, filePath);
   try {
-    const fullPath = path.posix.join(USER_ROOT, filePath);
     console.log(`Getting file info: ${fullPath}`);
     
-    const url = `${BOCK_API}/files/stat?arg=${encodeURIComponent(fullPath)}`;
-    console.log('Request URL:', url);
-    
-    const response = await makeCurlRequest(url);
+    const nodeApi = await getNodeApi();
+    const response = await nodeApi.stat(fullPath);
     
     res.json({
       success: true,
       path: fullPath,
-      info: response,
-      method: 'curl'
+      info: response
     });
   } catch (err) {
     console.error('File info error:', err.message);
-    res.status(500).json({ 
-      error: err.message,
-      path: fullPath 
-    });
+    sendNodeError(res, err, { path: fullPath });
   }
 });
 
 // Read file content with proper binary handling
-app.get('/read-file', (req, res) => {
+app.get('/read-file', async (req, res) => {
   const { filePath } = req.query;
 
   if (!filePath) {
     return res.status(400).send('File path is required');
   }
 
-  const fullPath = path.join(__dirname, filePath);
-
-  fs.readFile(fullPath, (err, data) => {
-    if (err) {
-      return res.status(404).send('File not found');
+  // Resolved through symlinks, so neither "../" nor a link can lead outside the root
+  let fullPath;
+  let data;
+  try {
+    fullPath = await fs.promises.realpath(path.resolve(READ_FILE_ROOT, String(filePath)));
+    if (!isInside(await fs.promises.realpath(READ_FILE_ROOT), fullPath)) {
+      return res.status(403).send('Access denied');
     }
+    data = await fs.promises.readFile(fullPath);
+  } catch (err) {
+    return res.status(404).send('File not found');
+  }
 
-    // Automatically detect content type based on extension
-    const contentType = mime.lookup(fullPath) || 'application/octet-stream';
-    res.setHeader('Content-Type', contentType);
-
-    // Special handling for PDFs to open inline in browser
-    if (contentType === 'application/pdf') {
-      res.setHeader('Content-Disposition', `inline; filename="${path.basename(fullPath)}"`);
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Accept-Ranges', 'bytes');
-    }
+  // Sniff the type from the content, with the extension as a fallback; PDFs open inline
+  const { detectContentType, setContentHeaders } = await contentTypes;
+  const contentType = detectContentType(data, path.basename(fullPath));
+  setContentHeaders(res, { contentType, fileName: path.basename(fullPath), inline: true });
+  if (contentType === 'application/pdf') {
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Accept-Ranges', 'bytes');
+  }
 
-    res.send(data);
-  });
+  res.send(data);
 });
 
 
-// Initialize user directory using curl
+// Initialize user directory
 async function initializeUserDirectory() {
   try {
     console.log('Initializing user directory...');
     console.log(`Target directory: ${USER_ROOT}`);
     
-    const url = `${BOCK_API}/files/mkdir?arg=${encodeURIComponent(USER_ROOT)}&parents=true`;
-    console.log('Request URL:', url);
-    
-    const response = await makeCurlRequest(url);
+    const response = await (await getNodeApi()).mkdir(USER_ROOT, { parents: true });
     console.log(`✅ User directory initialized: ${USER_ROOT}`);
     console.log('Response:', response || 'Success (empty response)');
   } catch (error) {
@@ -538,7 +506,7 @@ async function initializeUserDirectory() {
     } else {
       console.log('\n🔧 Manual troubleshooting:');
       console.log('1. Check BOCK daemon: .\\bock-ipfs.exe daemon');
-      console.log('2. Test manually: curl -X POST "http://localhost:9000/bockipfs/api/v0/version"');
+      console.log(`2. Test manually: curl -X POST "${(await getNodeApi()).baseUrl}/version"`);
       console.log('3. Create manually: .\\bock-ipfs.exe files mkdir --parents /users/demo');
     }
   }
@@ -555,7 +523,8 @@ const PORT = 4000;
 app.listen(PORT, async () => {
   console.log(`🚀 BOCK IPFS File Management API running at http://localhost:${PORT}`);
   console.log(`📁 User root directory: ${USER_ROOT}`);
-  console.log(`🔗 BOCK API: ${BOCK_API}`);
+  const nodeApi = await getNodeApi();
+  console.log(`🔗 Node API (${nodeApi.kind}): ${nodeApi.baseUrl}`);
   console.log('');
   console.log('Available endpoints:');
   console.log('  GET  /health - Check API and IPFS status');
@@ -564,8 +533,7 @@ app.listen(PORT, async () => {
   console.log('  POST /rename - Rename/move file or folder');
   console.log('  GET  /list - List directory contents');
   console.log('  DELETE /delete - Delete file or folder');
-  console.log('  GET  /read-file - Read file content from MFS');
-  console.log('\n🔧 Using curl for all BOCK IPFS requests to avoid header conflicts');
+  console.log('  GET  /read-file - Read a local file below READ_FILE_ROOT');
   
   // Initialize user directory
   console.log('\n📋 Initializing user directory...');
@@ -4,8 +4,45 @@ import cors from 'cors';
 import multer from 'multer';
 import { sequelize, User, File, SharedFile } from './models/index.js';
 import ipfs from './ipfs.js';
+import authRoutes from './routes/auth.js';
+import shareRoutes from './routes/shares.js';
+import shareLinkRoutes, { publicRouter as publicShareLinkRoutes } from './routes/shareLinks.js';
+import uploadRoutes from './routes/uploads.js';
+import trashRoutes from './routes/trash.js';
+import versionRoutes from './routes/versions.js';
+import pinRoutes from './routes/pins.js';
+import usageRoutes from './routes/usage.js';
+import thumbnailRoutes from './routes/thumbnails.js';
+import encryptionRoutes from './routes/encryption.js';
+import activityRoutes from './routes/activity.js';
+import folderEventRoutes from './routes/folderEvents.js';
+import ipnsRoutes from './routes/ipns.js';
+import { startUploadSessionCleanup } from './jobs/uploadSessions.js';
+import { startTrashPurge } from './jobs/trashPurge.js';
+import { startRemotePinPolling } from './jobs/remotePinPoll.js';
+import { startReconciliation } from './jobs/reconcile.js';
+import { startIpnsRepublish } from './jobs/ipnsRepublish.js';
+import { runMigrations } from './migrate.js';
+import { requireAuth, requireLinkAuth } from './middleware/auth.js';
+import { resolvePathAccess, resolveFileAccess, hasPermission } from './services/access.js';
+import { sendFileRecord } from './services/download.js';
+import { moveToTrash, restoreFromTrash } from './services/trash.js';
+import { recordUpload } from './services/versions.js';
+import { logEvent } from './services/activity.js';
+import { checkQuota, quotaExceededBody } from './services/quota.js';
+import { searchContent } from './services/searchIndex.js';
+import { uploadFolderTree } from './services/folderUpload.js';
+import { resolveImportSource, statSource, importContent } from './services/cidImport.js';
+import { importCar, releaseCarRoots } from './services/carImport.js';
+import { readArchive, entriesUnderOneFolder } from './services/archives.js';
+import { isEncryptedPath, hasPlaintextFiles, isCiphertext, parseUploadKeys, storeUploadKeys } from './services/encryption.js';
+import { relocateSubtree, duplicateSubtree, subtreeSize, mfsExists, uniqueName } from './services/drive.js';
+import { userRootPath, normalizeMfsPath, isValidName, parentOf, belowPattern, TRASH_DIR } from './utils/paths.js';
+import { detectContentType } from './utils/contentType.js';
+import { startsNewDownload } from './utils/httpRange.js';
 import axios from 'axios';
-import archiver from 'archiver';
+import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import {dirname} from 'path';
@@ -17,20 +54,46 @@ const app = express();
 const router = express.Router();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
-app.use(cors());
+// Behind a reverse proxy, TRUST_PROXY (a hop count or proxy addresses) makes req.ip the
+// client's address, as recorded in the activity log
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+app.use(cors({
+  // Resumable upload headers the browser client needs to read
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length']
+}));
 app.use(express.json());
 
 const PORT = process.env.PORT || 4000;
 const upload = multer({ storage: multer.memoryStorage() });
+const MAX_UPLOAD_SIZE = process.env.MAX_UPLOAD_SIZE ? Number(process.env.MAX_UPLOAD_SIZE) : null;
+const MAX_FOLDER_UPLOAD_FILES = Number(process.env.MAX_FOLDER_UPLOAD_FILES || 1000);
+const MAX_FOLDER_UPLOAD_SIZE = Number(process.env.MAX_FOLDER_UPLOAD_SIZE || 5 * 1024 ** 3); // 5GB unless configured
+// A folder upload can be large, so its files are spooled to disk instead of held in memory
+const folderUpload = multer({
+  dest: os.tmpdir(),
+  limits: { files: MAX_FOLDER_UPLOAD_FILES, ...(MAX_UPLOAD_SIZE && { fileSize: MAX_UPLOAD_SIZE }) }
+});
 
 
-// Sync DB
-sequelize
-  .sync({ force: true })
-  .then(() => console.log('Database & tables synced'))
-  .catch((err) => console.error('Error syncing DB:', err));
 
 // Routes
+app.use('/auth', authRoutes);
+app.use('/shares', requireAuth, shareRoutes);
+app.use('/share-links', requireAuth, shareLinkRoutes);
+app.use('/s', publicShareLinkRoutes);
+app.use('/uploads', requireAuth, uploadRoutes);
+app.use('/trash', requireAuth, trashRoutes);
+app.use('/versions', requireAuth, versionRoutes);
+app.use('/pins', requireAuth, pinRoutes);
+app.use('/usage', requireAuth, usageRoutes);
+app.use('/thumbnail', thumbnailRoutes);
+app.use('/encryption', requireAuth, encryptionRoutes);
+app.use('/activity', requireAuth, activityRoutes);
+app.use('/folder-events', requireLinkAuth('folder-events', (req) => req.query.folder), folderEventRoutes);
+app.use('/ipns-names', requireAuth, ipnsRoutes);
+
 app.get('/ipfs-test', async (req, res) => {
   try {
     // Add data to IPFS
@@ -49,58 +112,96 @@ app.get('/ipfs-test', async (req, res) => {
   }
 });
 
-const userId = 1; // TODO: Replace with actual user ID from authentication
-
-app.post('/fileUpload', upload.single('file'), async (req, res) => {
+app.post('/fileUpload', requireAuth, upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
     const fileBuffer = req.file.buffer;
     const fileName = req.file.originalname;
-    const fileType = req.file.mimetype;
     const fileSize = req.file.size;
+    const user = req.user;
+    const extract = String(req.body?.extract) === 'true';
+    // Ciphertext from the browser, for an encrypted folder; its type stays unknown here
+    const encrypted = String(req.body?.encrypted) === 'true';
+    const fileType = encrypted ? null : detectContentType(fileBuffer, fileName);
 
-    
-    
-    // Get current directory from request body or default to user root
-    const { currentPath } = req.body || '/users/1'; // Default path for userId=1
-    
-    // Check if user exists or create a test user
-    let user;
-    try {
-      user = await User.findByPk(userId);
-      if (!user) {
-        // Create a test user if it doesn't exist
-        user = await User.create({
-          username: 'testuser',
-          email: 'test@example.com'
+    // Get current directory from request body or default to the user's root
+    const { currentPath } = req.body || {};
+
+    if (!isValidName(fileName)) {
+      return res.status(400).json({ error: 'Invalid file name' });
+    }
+
+    // Determine upload path based on current directory
+    const targetPath = normalizeMfsPath((currentPath || userRootPath(user.id)).trim());
+    console.log("targetPath:", targetPath);
+
+    // Security check AFTER cleanup: own folder, or a folder shared with write access
+    const access = await resolvePathAccess(user, targetPath);
+    if (!hasPermission(access, 'write')) {
+      return res.status(403).json({ error: 'Access denied to this path' });
+    }
+
+    // Quotas are checked before anything is handed to Kubo; shared folders count against their owner
+    if (MAX_UPLOAD_SIZE && fileSize > MAX_UPLOAD_SIZE) {
+      return res.status(413).json({ error: `File exceeds the maximum upload size of ${MAX_UPLOAD_SIZE} bytes` });
+    }
+
+    // Encrypted folders only take ciphertext, wrapped for everyone who can read the folder
+    const encryptedFolder = await isEncryptedPath(access.ownerId, targetPath);
+    if (encryptedFolder && !encrypted) {
+      return res.status(400).json({ error: 'This folder is encrypted, files have to be encrypted in the browser before upload' });
+    }
+    if (encrypted && (!encryptedFolder || extract)) {
+      return res.status(400).json({ error: 'Encrypted files can only be uploaded, unextracted, to encrypted folders' });
+    }
+    if (encrypted && !isCiphertext(fileBuffer)) {
+      return res.status(400).json({ error: 'Upload is not an encrypted file' });
+    }
+    const keys = encrypted ? parseUploadKeys(req.body.keys) : null;
+
+    // "Upload and extract": the archive itself is not kept, its entries are
+    if (extract) {
+      const archive = await readArchive(fileBuffer, fileName);
+      const extractedQuota = await checkQuota(access.ownerId, archive.bytes);
+      if (!extractedQuota.allowed) {
+        return res.status(413).json(quotaExceededBody(extractedQuota));
+      }
+      const layout = entriesUnderOneFolder(archive, fileName);
+      const extracted = await uploadFolderTree({
+        ownerId: access.ownerId,
+        uploadedBy: user.id,
+        targetPath,
+        files: layout.files,
+        directories: layout.directories
+      });
+      for (const root of extracted.roots) {
+        await logEvent(req, {
+          action: 'upload', ownerId: access.ownerId, path: root.path, cidAfter: root.cid, details: { archive: fileName }
         });
-        console.log('Created test user:', user.id);
       }
-    } catch (userErr) {
-      console.error('User creation/check failed:', userErr.message);
-      return res.status(500).json({ error: 'User validation failed' });
+      return res.json({
+        status: 'success',
+        message: `Extracted ${extracted.files} files from ${archive.format} archive`,
+        data: { ...extracted, format: archive.format, skipped: archive.skipped }
+      });
+    }
+
+    const quota = await checkQuota(access.ownerId, fileSize);
+    if (!quota.allowed) {
+      return res.status(413).json(quotaExceededBody(quota));
     }
+    
     const result = await ipfs.add(fileBuffer);
     const cidStr = result.cid.toString(); 
     console.log('Uploaded to IPFS with CID:', cidStr);
-    
-    // Determine upload path based on current directory
-    const userRootPath = `/users/${user.id}`;
-    let targetPath = (currentPath || userRootPath).trim();
-    targetPath = targetPath.replace(/\/+/g, '/'); // collapse double slashes
-    console.log("userRootPath:", userRootPath);
-    console.log("targetPath:", targetPath);
 
-    // Security check AFTER cleanup
-    if (!targetPath.startsWith(userRootPath)) {
-      return res.status(403).json({ error: 'Access denied to this path' });
+    // Keys first: content nobody can decrypt never makes it into the drive
+    if (encrypted) {
+      await storeUploadKeys({ ownerId: access.ownerId, targetPath, cid: cidStr, keys });
     }
-    
-    // Clean up the target path (remove double slashes, etc.)
-    targetPath = targetPath.replace(/\/+/g, '/');
-    
+
     // Create full file path
     const fileMfsPath = `${targetPath}/${fileName}`.replace(/\/+/g, '/');
     
@@ -131,16 +232,26 @@ app.post('/fileUpload', upload.single('file'), async (req, res) => {
         }
     }
     
-    const dbRecord = await File.create({
-      userId: user.id,          // Use the actual user ID
-      fileName: fileName,
-      fileType: fileType,
-      fileSize: fileSize,
-      ipfsCid: cidStr,
-      pathInDrive: fileMfsPath,
-      parentPath: targetPath,   // Use the target directory as parent
-      isFolder: false,
-      uploadedAt: new Date()
+    // Same path again: the existing row gets a new version instead of a duplicate row
+    const { file: dbRecord, version, previousCid } = await recordUpload({
+      ownerId: access.ownerId,   // Files in a shared folder belong to the folder owner
+      uploadedBy: user.id,
+      fileName,
+      fileType,
+      fileSize,
+      cid: cidStr,
+      mfsPath: fileMfsPath,
+      parentPath: targetPath,
+      encrypted
+    });
+    await logEvent(req, {
+      action: 'upload',
+      ownerId: access.ownerId,
+      path: fileMfsPath,
+      fileId: dbRecord.id,
+      cidBefore: previousCid,
+      cidAfter: cidStr,
+      details: { version: version.versionNumber }
     });
     
     res.json({
@@ -149,44 +260,258 @@ app.post('/fileUpload', upload.single('file'), async (req, res) => {
       data: {
         cid: cidStr,
         mfsPath: fileMfsPath,
-        file: dbRecord
+        file: dbRecord,
+        version: version.versionNumber
       }
     });
   } catch (err) {
     console.error('Upload error:', err.message);
-    res.status(500).json({ error: 'File upload failed', details: err.message });
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'File upload failed', details: err.message });
   }
 });
 
-app.post('/createFolder', async (req, res) => {
+// Refuse a folder upload before any of it is stored: its Content-Length (multipart framing
+// included) must be within MAX_FOLDER_UPLOAD_SIZE and the quota of the target's owner.
+// Node reads no more body than Content-Length declares, so this also caps what is spooled.
+const admitFolderUpload = async (req, res, next) => {
   try {
-    const { currentPath, newFolderName } = req.body;
+    const declaredSize = Number(req.headers['content-length']);
+    if (!Number.isSafeInteger(declaredSize)) {
+      return res.status(411).json({ error: 'Content-Length is required' });
+    }
+    if (declaredSize > MAX_FOLDER_UPLOAD_SIZE) {
+      return res.status(413).json({ error: `Folder exceeds the maximum upload size of ${MAX_FOLDER_UPLOAD_SIZE} bytes` });
+    }
 
-    if (!currentPath || !newFolderName.trim()) {
-      return res.status(400).json({ error: 'Current path and Folder name is required' });
+    const targetPath = normalizeMfsPath(String(req.query.currentPath || userRootPath(req.user.id)).trim());
+    const access = await resolvePathAccess(req.user, targetPath);
+    if (!hasPermission(access, 'write')) {
+      return res.status(403).json({ error: 'Access denied to this path' });
+    }
+    const quota = await checkQuota(access.ownerId, declaredSize);
+    if (!quota.allowed) {
+      return res.status(413).json(quotaExceededBody(quota));
+    }
+
+    req.folderTarget = { targetPath, access };
+    next();
+  } catch (err) {
+    console.error('Folder upload error:', err.message);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Folder upload failed', details: err.message });
+  }
+};
+
+const receiveFolder = (req, res, next) => {
+  folderUpload.array('files', MAX_FOLDER_UPLOAD_FILES)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return err.code === 'LIMIT_FILE_SIZE'
+        ? res.status(413).json({ error: `A file exceeds the maximum upload size of ${MAX_UPLOAD_SIZE} bytes` })
+        : res.status(400).json({ error: 'Folder upload rejected', details: err.message });
+    }
+    next(err);
+  });
+};
+
+// Upload a whole directory tree below ?currentPath=. Each file part comes with a
+// `relativePaths` field ("project/src/index.js", in the same order as the files); empty
+// folders can be listed in `directories`. The hierarchy is recreated below currentPath.
+app.post('/folderUpload', requireAuth, admitFolderUpload, receiveFolder, async (req, res) => {
+  const files = req.files || [];
+  try {
+    const relativePaths = [].concat(req.body?.relativePaths ?? []);
+    const directories = [].concat(req.body?.directories ?? []);
+    const { targetPath, access } = req.folderTarget;
+
+    if (files.length === 0 && directories.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+    if (relativePaths.length !== files.length) {
+      return res.status(400).json({ error: 'Every file needs a relative path' });
+    }
+
+    if (await isEncryptedPath(access.ownerId, targetPath)) {
+      return res.status(400).json({ error: 'Folders cannot be uploaded into an encrypted folder, upload the files one by one' });
+    }
+
+    // The exact size, now that it is known
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    const quota = await checkQuota(access.ownerId, totalSize);
+    if (!quota.allowed) {
+      return res.status(413).json(quotaExceededBody(quota));
+    }
+
+    const result = await uploadFolderTree({
+      ownerId: access.ownerId,
+      uploadedBy: req.user.id,
+      targetPath,
+      files: files.map((file, index) => ({
+        relativePath: relativePaths[index],
+        diskPath: file.path,
+        size: file.size
+      })),
+      directories
+    });
+    for (const root of result.roots) {
+      await logEvent(req, { action: 'upload', ownerId: access.ownerId, path: root.path, cidAfter: root.cid });
+    }
+
+    res.json({
+      status: 'success',
+      message: `Uploaded ${result.files} files in ${result.folders} folders`,
+      data: result
+    });
+  } catch (err) {
+    console.error('Folder upload error:', err.message);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Folder upload failed', details: err.message });
+  } finally {
+    await Promise.all(files.map((file) => fs.promises.rm(file.path, { force: true })));
+  }
+});
+
+// "Save to my drive": copy content already on IPFS into currentPath. `source` is a CID,
+// an /ipfs/<cid>/path or an /ipns/ name; `name` defaults to the last path segment.
+app.post('/import', requireAuth, async (req, res) => {
+  try {
+    const user = req.user;
+    if (!req.body?.source) {
+      return res.status(400).json({ error: 'source is required' });
+    }
+
+    const targetPath = normalizeMfsPath((req.body.currentPath || userRootPath(user.id)).trim());
+    const access = await resolvePathAccess(user, targetPath);
+    if (!hasPermission(access, 'write')) {
+      return res.status(403).json({ error: 'Access denied to this path' });
+    }
+    // Content from elsewhere is plaintext, which an encrypted folder never holds
+    if (await isEncryptedPath(access.ownerId, targetPath)) {
+      return res.status(400).json({ error: 'Content cannot be imported into an encrypted folder' });
     }
 
-    // extract userId from the path
-    const match = currentPath.match(/^\/users\/(\d+)/);
-    if (!match) {
-      return res.status(400).json({ error: 'Invalid path format' });
+    const { sourcePath, ipfsPath, name } = await resolveImportSource(req.body.source);
+    const stat = await statSource(ipfsPath);
+    const quota = await checkQuota(access.ownerId, stat.size);
+    if (!quota.allowed) {
+      return res.status(413).json(quotaExceededBody(quota));
     }
-    const userId = match[1];
 
-    // check if user exists, otherwise create a test one
-    let user;
+    const result = await importContent({
+      ownerId: access.ownerId,
+      uploadedBy: user.id,
+      targetPath,
+      name: req.body.name?.trim() || name,
+      stat
+    });
+    await logEvent(req, {
+      action: 'import',
+      ownerId: access.ownerId,
+      path: result.path,
+      cidAfter: result.cid,
+      details: { source: sourcePath, files: result.files, folders: result.folders }
+    });
+
+    res.json({
+      status: 'success',
+      message: result.type === 'folder'
+        ? `Saved ${result.files} files in ${result.folders} folders to your drive`
+        : 'File saved to your drive',
+      data: result
+    });
+  } catch (err) {
+    console.error('Import error:', err.message);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Import failed', details: err.message });
+  }
+});
+
+// Mount the root of an uploaded CAR file into a folder, with the CIDs it was exported with
+app.post('/import/car', requireAuth, upload.single('file'), async (req, res) => {
+  try {
+    const user = req.user;
+    if (!req.file) {
+      return res.status(400).json({ error: 'No CAR file uploaded' });
+    }
+    if (MAX_UPLOAD_SIZE && req.file.size > MAX_UPLOAD_SIZE) {
+      return res.status(413).json({ error: `File exceeds the maximum upload size of ${MAX_UPLOAD_SIZE} bytes` });
+    }
+
+    const targetPath = normalizeMfsPath((req.body.currentPath || userRootPath(user.id)).trim());
+    const access = await resolvePathAccess(user, targetPath);
+    if (!hasPermission(access, 'write')) {
+      return res.status(403).json({ error: 'Access denied to this path' });
+    }
+    if (await isEncryptedPath(access.ownerId, targetPath)) {
+      return res.status(400).json({ error: 'Content cannot be imported into an encrypted folder' });
+    }
+    // The CAR holds every block of the content, so its size is checked before Kubo sees it
+    const quota = await checkQuota(access.ownerId, req.file.size);
+    if (!quota.allowed) {
+      return res.status(413).json(quotaExceededBody(quota));
+    }
+
+    const { root, roots } = await importCar(req.file.buffer, { expectedRoot: req.body.root });
+    let result;
     try {
-      user = await User.findByPk(userId);
-      if (!user) {
-        user = await User.create({
-          username: 'testuser',
-          email: 'test@example.com'
-        });
-        console.log('Created test user:', user.id);
+      result = await importContent({
+        ownerId: access.ownerId,
+        uploadedBy: user.id,
+        targetPath,
+        name: req.body.name?.trim() || req.file.originalname.replace(/\.car$/i, '') || root,
+        stat: await statSource(`/ipfs/${root}`)
+      });
+    } finally {
+      // Linked into MFS, or failed to be; either way the import pins are not needed
+      await releaseCarRoots(roots);
+    }
+    await logEvent(req, {
+      action: 'import',
+      ownerId: access.ownerId,
+      path: result.path,
+      cidAfter: result.cid,
+      details: { source: 'car', fileName: req.file.originalname, roots, files: result.files, folders: result.folders }
+    });
+
+    res.json({
+      status: 'success',
+      message: result.type === 'folder'
+        ? `Imported ${result.files} files in ${result.folders} folders from the CAR file`
+        : 'File imported from the CAR file',
+      data: { ...result, roots }
+    });
+  } catch (err) {
+    console.error('CAR import error:', err.message);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'CAR import failed', details: err.message });
+  }
+});
+
+app.post('/createFolder', requireAuth, async (req, res) => {
+  try {
+    const { newFolderName } = req.body;
+    const user = req.user;
+
+    if (!req.body.currentPath || !newFolderName?.trim()) {
+      return res.status(400).json({ error: 'Current path and Folder name is required' });
+    }
+    if (!isValidName(newFolderName.trim())) {
+      return res.status(400).json({ error: 'Invalid folder name' });
+    }
+
+    const currentPath = normalizeMfsPath(req.body.currentPath.trim());
+    const access = await resolvePathAccess(user, currentPath);
+    if (!hasPermission(access, 'write')) {
+      return res.status(403).json({ error: 'Access denied to this path' });
+    }
+    const quota = await checkQuota(access.ownerId);
+    if (!quota.allowed) {
+      return res.status(413).json(quotaExceededBody(quota));
+    }
+
+    // Folders inside an encrypted folder are encrypted too. New encrypted folders need
+    // the owner's key pair, since every file in them gets wrapped for the owner.
+    const encrypted = req.body.encrypted === true || await isEncryptedPath(access.ownerId, currentPath);
+    if (encrypted) {
+      const owner = await User.findByPk(access.ownerId);
+      if (!owner?.publicKey) {
+        return res.status(400).json({ error: 'Set up encryption before creating encrypted folders' });
       }
-    } catch (userErr) {
-      console.error('User creation/check failed:', userErr.message);
-      return res.status(500).json({ error: 'User validation failed' });
     }
 
     // build normalized MFS path
@@ -208,7 +533,7 @@ app.post('/createFolder', async (req, res) => {
 
     // ✅ Use File model instead of raw SQL
     const dbRecord = await File.create({
-      userId: user.id,
+      userId: access.ownerId,
       fileName: newFolderName.trim(),
       fileType: null,
       fileSize: 0,
@@ -216,14 +541,17 @@ app.post('/createFolder', async (req, res) => {
       pathInDrive: mfsPath,
       parentPath: currentPath,
       isFolder: true,
+      encrypted,
       uploadedAt: new Date()
     });
+    await logEvent(req, { action: 'create_folder', ownerId: access.ownerId, path: mfsPath, fileId: dbRecord.id, cidAfter: cid });
 
     return res.json({
       message: 'Folder created successfully',
       folderId: dbRecord.id,
       cid,
-      path: mfsPath
+      path: mfsPath,
+      encrypted
     });
   } catch (err) {
     console.error('Create folder error:', err.message);
@@ -232,7 +560,7 @@ app.post('/createFolder', async (req, res) => {
 });
 
 
-app.get('/download/:id', async (req, res) => {
+app.get('/download/:id', requireLinkAuth('download', (req) => req.params.id), async (req, res) => {
   try {
     const fileId = req.params.id;
     const fileRecord = await File.findByPk(fileId);
@@ -240,102 +568,78 @@ app.get('/download/:id', async (req, res) => {
       return res.status(404).json({ error: 'File not found' });
     }
 
-    const mfsPath = fileRecord.pathInDrive;
-    const isFolder = fileRecord.isFolder;
-
-    if (isFolder) {
-      // ---------- Handle folder download ----------
-      res.setHeader('Content-Disposition', `attachment; filename="${fileRecord.fileName}.zip"`);
-      res.setHeader('Content-Type', 'application/zip');
-
-      const archive = archiver('zip', { zlib: { level: 9 } });
-      archive.on('error', err => { throw err; });
-      archive.pipe(res);
-
-      const addFolderToArchive = async (folderPath, zipPath) => {
-        for await (const entry of ipfs.files.ls(folderPath)) {
-          const entryMfsPath = `${folderPath}/${entry.name}`.replace(/\/+/g, '/');
-          const entryZipPath = zipPath ? `${zipPath}/${entry.name}` : entry.name;
-
-          if (entry.type === 'directory') {
-            await addFolderToArchive(entryMfsPath, entryZipPath);
-          } else {
-            const chunks = [];
-            for await (const chunk of ipfs.files.read(entryMfsPath)) {
-              chunks.push(chunk);
-            }
-            archive.append(Buffer.concat(chunks), { name: entryZipPath });
-          }
-        }
-      };
-
-      await addFolderToArchive(mfsPath, fileRecord.fileName); // nested inside zip with folder name
-      await archive.finalize();
+    const access = await resolveFileAccess(req.user, fileRecord);
+    if (!hasPermission(access, 'read')) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    // An archive of ciphertext would be of no use: the browser decrypts file by file
+    if (fileRecord.isFolder && (fileRecord.encrypted || await isEncryptedPath(fileRecord.userId, fileRecord.pathInDrive))) {
+      return res.status(400).json({ error: 'Encrypted folders can only be downloaded file by file' });
+    }
 
-    } else {
-      // ---------- Handle single file download ----------
-      const stat = await ipfs.files.stat(mfsPath);
-      res.setHeader('Content-Disposition', `attachment; filename="${fileRecord.fileName}"`);
-      res.setHeader('Content-Type', fileRecord.fileType || 'application/octet-stream');
-      res.setHeader('Content-Length', stat.size);
-
-      const chunks = [];
-      for await (const chunk of ipfs.files.read(mfsPath)) {
-        chunks.push(chunk);
-      }
-      const buffer = Buffer.concat(chunks);
-      res.send(buffer);
+    if (startsNewDownload(req)) {
+      await logEvent(req, {
+        action: 'download', ownerId: fileRecord.userId, path: fileRecord.pathInDrive, fileId: fileRecord.id, cidBefore: fileRecord.ipfsCid
+      });
     }
+    await sendFileRecord(req, res, fileRecord);
   } catch (err) {
     console.error('Download error:', err.message);
     if (!res.headersSent) {
-      res.status(500).json({ error: 'Download failed', details: err.message });
+      res.status(err.status || 500).json({ error: err.status ? err.message : 'Download failed', details: err.message });
     }
   }
 });
 
 // List files and folders in current path
-app.post('/list', async (req, res) => {
+app.post('/list', requireAuth, async (req, res) => {
   try {
-    const { userId, currentPath } = req.body; // Extract both userId and currentPath
+    const currentPath = normalizeMfsPath(req.body.currentPath || userRootPath(req.user.id));
     
-    if (!userId || !currentPath) {
-      return res.status(400).json({ error: 'userId and currentPath are required' });
-    }
-    
-    // Ensure path is always prefixed with /users/<userId>
-    if (!currentPath.startsWith(`/users/${userId}`)) {
+    // Own folders, or folders shared with at least read access
+    const access = await resolvePathAccess(req.user, currentPath);
+    if (!access.ownerId) {
       return res.status(400).json({ error: 'Invalid path for user' });
     }
+    if (!hasPermission(access, 'read')) {
+      return res.status(403).json({ error: 'Access denied to this path' });
+    }
+    const userId = access.ownerId;
     
     // Read from IPFS MFS (only current folder contents)
     const entries = [];
     for await (const entry of ipfs.files.ls(currentPath)) {
+      // The recycle bin lives in the user root but is only shown through /trash
+      if (entry.name === TRASH_DIR && currentPath === userRootPath(userId)) continue;
       entries.push({
         name: entry.name,
         type: entry.type === 'directory' ? 'folder' : 'file',
-        cid: entry.cid.toString()
+        cid: entry.cid.toString(),
+        size: Number(entry.size)
       });
     }
     
     // Pull DB entries that are exactly in this directory (not deeper)
     const [dbEntries] = await sequelize.query(
-      `SELECT id, "fileName", "ipfsCid", "isFolder", "pathInDrive", "uploadedAt" 
+      `SELECT id, "fileName", "ipfsCid", "isFolder", "pathInDrive", "fileType", "fileSize", "uploadedAt", "thumbnailCid", encrypted
        FROM files 
        WHERE "userId" = :userId 
+        AND "deletedAt" IS NULL
         AND "pathInDrive" LIKE :pathPrefix 
         AND "pathInDrive" NOT LIKE :deeperPath`,
       {
         replacements: { 
           userId,
-          pathPrefix: `${currentPath}/%`,    // children
-          deeperPath: `${currentPath}/%/%`   // filter out deeper nested paths
+          pathPrefix: belowPattern(currentPath),          // children
+          deeperPath: `${belowPattern(currentPath)}/%`   // filter out deeper nested paths
         }
       }
     );
     
     return res.json({
       path: currentPath,
+      permission: access.permission,
+      encrypted: await isEncryptedPath(userId, currentPath),
       entries,
       dbEntries
     });
@@ -348,21 +652,29 @@ app.post('/list', async (req, res) => {
 
 
 
-app.post('/rename', async (req, res) => {
+app.post('/rename', requireAuth, async (req, res) => {
   try {
-    const {oldPath, newName } = req.body;
+    const { newName } = req.body;
     
-    if (!userId || !oldPath || !newName) {
-      return res.status(400).json({ error: 'userId, oldPath, and newName are required' });
+    if (!req.body.oldPath || !newName) {
+      return res.status(400).json({ error: 'oldPath and newName are required' });
     }
+    const oldPath = normalizeMfsPath(req.body.oldPath);
     
-    // Validate that the old path belongs to the user
-    if (!oldPath.startsWith(`/users/${userId}`)) {
+    // Validate that the user may write to the old path (and it is not a user root)
+    const access = await resolvePathAccess(req.user, oldPath);
+    if (!access.ownerId || oldPath === userRootPath(access.ownerId)) {
       return res.status(400).json({ error: 'Invalid path for user' });
     }
+    if (!hasPermission(access, 'write')) {
+      return res.status(403).json({ error: 'Access denied to this path' });
+    }
+    const userId = access.ownerId;
     
     // Validate new name (no slashes, no empty string)
-    
+    if (!isValidName(newName)) {
+      return res.status(400).json({ error: 'Invalid name' });
+    }
     
     // Extract parent directory and old name from path
     const pathParts = oldPath.split('/');
@@ -393,50 +705,10 @@ app.post('/rename', async (req, res) => {
     // Perform the rename operation in IPFS MFS
     await ipfs.files.mv(oldPath, newPath);
     
-    // Update database records
+    // Update database records for the item and, for folders, everything below it
     const isFolder = oldStat.type === 'directory';
-    
-    if (isFolder) {
-      // For folders, update all files/subfolders that have paths starting with the old path
-      await sequelize.query(
-        `UPDATE files 
-         SET "fileName" = :newName,
-             "pathInDrive" = REPLACE("pathInDrive", :oldPath, :newPath),
-             "parentPath" = CASE 
-               WHEN "pathInDrive" = :oldPath THEN :parentPath
-               ELSE REPLACE("parentPath", :oldPath, :newPath)
-             END
-         WHERE "userId" = :userId 
-           AND ("pathInDrive" = :oldPath OR "pathInDrive" LIKE :oldPathPrefix)`,
-        {
-          replacements: {
-            userId,
-            newName,
-            oldPath,
-            newPath,
-            parentPath,
-            oldPathPrefix: `${oldPath}/%`
-          }
-        }
-      );
-    } else {
-      // For files, update only the specific file record
-      await sequelize.query(
-        `UPDATE files 
-         SET "fileName" = :newName,
-             "pathInDrive" = :newPath
-         WHERE "userId" = :userId 
-           AND "pathInDrive" = :oldPath`,
-        {
-          replacements: {
-            userId,
-            newName,
-            newPath,
-            oldPath
-          }
-        }
-      );
-    }
+    await relocateSubtree({ ownerId: userId, fromPath: oldPath, toPath: newPath, toParent: parentPath, newName });
+    await logEvent(req, { action: 'rename', ownerId: userId, path: oldPath, newPath, cidBefore: oldStat.cid.toString() });
     
     return res.json({
       success: true,
@@ -453,7 +725,8 @@ app.post('/rename', async (req, res) => {
     if (error.name === 'SequelizeDatabaseError') {
       try {
         // Attempt to rename back in IPFS
-        const { oldPath, newName } = req.body;
+        const { newName } = req.body;
+        const oldPath = normalizeMfsPath(req.body.oldPath);
         const pathParts = oldPath.split('/');
         const parentPath = pathParts.slice(0, -1).join('/');
         const newPath = `${parentPath}/${newName}`;
@@ -468,20 +741,229 @@ app.post('/rename', async (req, res) => {
   }
 });
 
+const CONFLICT_STRATEGIES = ['fail', 'overwrite', 'keepBoth'];
+
+// Shared implementation of /move and /copy.
+// Body: { sourcePath, destinationPath (a folder), conflict: 'fail' | 'overwrite' | 'keepBoth' }
+const transferItem = (mode) => async (req, res) => {
+  const isMove = mode === 'move';
+  let targetPath = null;
+  let mfsDone = false;
+  let sourcePath = null;
+  let overwritten = null;
+  try {
+    const { conflict = 'fail' } = req.body;
+
+    if (!req.body.sourcePath || !req.body.destinationPath) {
+      return res.status(400).json({ error: 'sourcePath and destinationPath are required' });
+    }
+    if (!CONFLICT_STRATEGIES.includes(conflict)) {
+      return res.status(400).json({ error: `conflict must be one of: ${CONFLICT_STRATEGIES.join(', ')}` });
+    }
+    sourcePath = normalizeMfsPath(req.body.sourcePath);
+    const destinationPath = normalizeMfsPath(req.body.destinationPath);
+
+    // Moving needs write access to the source, copying only read access
+    const sourceAccess = await resolvePathAccess(req.user, sourcePath);
+    if (!sourceAccess.ownerId || sourcePath === userRootPath(sourceAccess.ownerId)) {
+      return res.status(400).json({ error: 'Invalid source path' });
+    }
+    if (!hasPermission(sourceAccess, isMove ? 'write' : 'read')) {
+      return res.status(403).json({ error: 'Access denied to the source path' });
+    }
+
+    const destAccess = await resolvePathAccess(req.user, destinationPath);
+    if (!hasPermission(destAccess, 'write')) {
+      return res.status(403).json({ error: 'Access denied to the destination folder' });
+    }
+    if (isMove && destAccess.ownerId !== sourceAccess.ownerId) {
+      return res.status(400).json({ error: 'Items can only be moved within the same drive, copy them instead' });
+    }
+    if (destinationPath === sourcePath || destinationPath.startsWith(`${sourcePath}/`)) {
+      return res.status(400).json({ error: 'Cannot move or copy a folder into itself' });
+    }
+    if (await isEncryptedPath(destAccess.ownerId, destinationPath) &&
+        await hasPlaintextFiles(sourceAccess.ownerId, sourcePath)) {
+      return res.status(400).json({ error: 'Unencrypted files cannot be moved or copied into an encrypted folder' });
+    }
+
+    let sourceStat;
+    try {
+      sourceStat = await ipfs.files.stat(sourcePath);
+    } catch (error) {
+      return res.status(404).json({ error: 'File or folder not found' });
+    }
+    try {
+      const destStat = await ipfs.files.stat(destinationPath);
+      if (destStat.type !== 'directory') {
+        return res.status(400).json({ error: 'Destination must be a folder' });
+      }
+    } catch (error) {
+      return res.status(404).json({ error: 'Destination folder not found' });
+    }
+
+    const sourceName = sourcePath.split('/').pop();
+    if (isMove && parentOf(sourcePath) === destinationPath) {
+      return res.status(400).json({ error: 'Item is already in the destination folder' });
+    }
+    // A copy adds its files to the usage of the destination drive
+    if (!isMove) {
+      const quota = await checkQuota(destAccess.ownerId, await subtreeSize(sourceAccess.ownerId, sourcePath));
+      if (!quota.allowed) {
+        return res.status(413).json(quotaExceededBody(quota));
+      }
+    }
+
+    // Resolve name conflicts in the destination folder
+    let newName = sourceName;
+    if (await mfsExists(`${destinationPath}/${sourceName}`)) {
+      if (conflict === 'fail') {
+        return res.status(409).json({ error: 'A file or folder with that name already exists in the destination' });
+      }
+      if (conflict === 'keepBoth') {
+        newName = await uniqueName(destinationPath, sourceName);
+      } else {
+        // Overwritten items go to the recycle bin rather than being lost
+        overwritten = await moveToTrash({ ownerId: destAccess.ownerId, itemPath: `${destinationPath}/${sourceName}`, deletedBy: req.user.id });
+      }
+    }
+    targetPath = `${destinationPath}/${newName}`;
+
+    const transaction = await sequelize.transaction();
+    try {
+      if (isMove) {
+        await ipfs.files.mv(sourcePath, targetPath);
+      } else {
+        // MFS copies link the existing DAG, so no data is transferred again
+        await ipfs.files.cp(sourcePath, targetPath);
+      }
+      mfsDone = true;
+
+      if (isMove) {
+        await relocateSubtree({
+          ownerId: sourceAccess.ownerId,
+          fromPath: sourcePath,
+          toPath: targetPath,
+          toParent: destinationPath,
+          newName,
+          transaction
+        });
+      } else {
+        await duplicateSubtree({
+          fromOwnerId: sourceAccess.ownerId,
+          toOwnerId: destAccess.ownerId,
+          fromPath: sourcePath,
+          toPath: targetPath,
+          toParent: destinationPath,
+          newName,
+          transaction
+        });
+      }
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+    await logEvent(req, {
+      action: mode,
+      ownerId: destAccess.ownerId,
+      path: sourcePath,
+      newPath: targetPath,
+      cidBefore: sourceStat.cid.toString(),
+      details: isMove ? { conflict } : { conflict, sourceOwnerId: sourceAccess.ownerId }
+    });
+
+    return res.json({
+      success: true,
+      message: `${sourceStat.type === 'directory' ? 'Folder' : 'File'} ${isMove ? 'moved' : 'copied'} successfully`,
+      sourcePath,
+      newPath: targetPath,
+      newName,
+      cid: sourceStat.cid.toString()
+    });
+  } catch (error) {
+    console.error(`Error during ${mode}:`, error);
+
+    // The database update failed after MFS changed: undo the MFS side
+    if (mfsDone) {
+      try {
+        if (isMove) {
+          await ipfs.files.mv(targetPath, sourcePath);
+        } else {
+          await ipfs.files.rm(targetPath, { recursive: true });
+        }
+        console.log(`Rolled back IPFS ${mode} operation`);
+      } catch (rollbackError) {
+        console.error('Failed to rollback IPFS operation:', rollbackError);
+      }
+    }
+    // Put back the item that was to be overwritten, now that nothing took its place
+    if (overwritten) {
+      await restoreFromTrash(overwritten).catch((restoreError) => {
+        console.error(`Failed to restore overwritten ${overwritten.originalPath} from the trash:`, restoreError.message);
+      });
+    }
+
+    return res.status(500).json({ error: `Failed to ${mode} file/folder`, details: error.message });
+  }
+};
+
+app.post('/move', requireAuth, transferItem('move'));
+app.post('/copy', requireAuth, transferItem('copy'));
+
+// Move a file or folder into the owner's recycle bin
+app.delete('/delete', requireAuth, async (req, res) => {
+  try {
+    if (!req.body?.itemPath) {
+      return res.status(400).json({ error: 'itemPath is required' });
+    }
+    const itemPath = normalizeMfsPath(req.body.itemPath);
+
+    const access = await resolvePathAccess(req.user, itemPath);
+    if (!access.ownerId) {
+      return res.status(400).json({ error: 'Invalid path for user' });
+    }
+    if (!hasPermission(access, 'write')) {
+      return res.status(403).json({ error: 'Access denied to this path' });
+    }
+
+    const item = await moveToTrash({ ownerId: access.ownerId, itemPath, deletedBy: req.user.id });
+    await logEvent(req, {
+      action: 'delete', ownerId: access.ownerId, path: itemPath, cidBefore: item.ipfsCid, details: { trashItemId: item.id }
+    });
+
+    return res.json({
+      success: true,
+      message: `${item.isFolder ? 'Folder' : 'File'} moved to trash`,
+      trashItemId: item.id,
+      path: itemPath
+    });
+  } catch (error) {
+    console.error('Error deleting file/folder:', error);
+    return res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to delete file/folder',
+      details: error.message
+    });
+  }
+});
+
 // Add this to your index.js file with your other endpoints
 
-app.post('/search', async (req, res) => {
+app.post('/search', requireAuth, async (req, res) => {
   try {
-    const { searchPath, query, recursive = true, fileType = null } = req.body;
+    const { query, recursive = true, fileType = null } = req.body;
     
-    if ( !searchPath || !query) {
-      return res.status(400).json({ error: 'userId, searchPath, and query are required' });
+    if ( !req.body.searchPath || !query) {
+      return res.status(400).json({ error: 'searchPath and query are required' });
     }
+    const searchPath = normalizeMfsPath(req.body.searchPath);
     
-    // Validate that the search path belongs to the user
-    if (!searchPath.startsWith(`/users/${userId}`)) {
+    // Validate that the user may read the search path
+    const access = await resolvePathAccess(req.user, searchPath);
+    if (!hasPermission(access, 'read')) {
       return res.status(400).json({ error: 'Invalid search path for user' });
     }
+    const userId = access.ownerId;
     
     // Validate search query (minimum length, no dangerous characters)
     const cleanQuery = query.trim();
@@ -509,6 +991,9 @@ app.post('/search', async (req, res) => {
       try {
         for await (const entry of ipfs.files.ls(currentPath)) {
           const entryPath = `${currentPath}/${entry.name}`;
+
+          // Never search inside the recycle bin
+          if (entry.name === TRASH_DIR && currentPath === userRootPath(userId)) continue;
           
           // Check if entry name matches search query (case-insensitive)
           const nameMatches = entry.name.toLowerCase().includes(cleanQuery.toLowerCase());
@@ -545,6 +1030,7 @@ app.post('/search', async (req, res) => {
       SELECT id, "fileName", "ipfsCid", "isFolder", "pathInDrive", "fileType", "fileSize", "uploadedAt"
       FROM files 
       WHERE "userId" = :userId 
+        AND "deletedAt" IS NULL
         AND "fileName" ILIKE :searchQuery
     `;
     
@@ -556,7 +1042,7 @@ app.post('/search', async (req, res) => {
     // Add path filtering
     if (recursive) {
       dbQuery += ` AND ("pathInDrive" LIKE :pathPrefix OR "pathInDrive" = :exactPath)`;
-      queryReplacements.pathPrefix = `${searchPath}/%`;
+      queryReplacements.pathPrefix = belowPattern(searchPath);
       queryReplacements.exactPath = searchPath;
     } else {
       dbQuery += ` AND "parentPath" = :parentPath`;
@@ -578,6 +1064,11 @@ app.post('/search', async (req, res) => {
       replacements: queryReplacements
     });
     
+    // Search inside file content (folders have none)
+    const contentResults = fileType === 'folder'
+      ? []
+      : await searchContent({ userId, query: cleanQuery, searchPath, recursive });
+    
     // Combine and deduplicate results
     const combinedResults = new Map();
     
@@ -633,20 +1124,58 @@ app.post('/search', async (req, res) => {
       }
     });
     
-    // Convert map to array and sort by relevance
+    // Add/merge content matches
+    contentResults.forEach(contentResult => {
+      const key = contentResult.pathInDrive;
+      const contentMatch = { snippet: contentResult.snippet, rank: contentResult.rank };
+      if (combinedResults.has(key)) {
+        combinedResults.set(key, { ...combinedResults.get(key), contentMatch });
+      } else {
+        combinedResults.set(key, {
+          name: contentResult.fileName,
+          path: contentResult.pathInDrive,
+          type: 'file',
+          cid: contentResult.ipfsCid,
+          depth: contentResult.pathInDrive.replace(searchPath, '').split('/').length - 1,
+          relativePath: contentResult.pathInDrive.replace(searchPath, '').replace(/^\//, ''),
+          source: 'content',
+          hasDbRecord: true,
+          dbInfo: {
+            id: contentResult.id,
+            fileType: contentResult.fileType,
+            fileSize: contentResult.fileSize,
+            uploadedAt: contentResult.uploadedAt
+          },
+          contentMatch
+        });
+      }
+    });
+    
+    // Relevance: an exact name match beats a partial one, which beats a content-only
+    // match; content rank (0..1) orders within each group
+    const relevance = (result) => {
+      const name = result.name.toLowerCase();
+      const q = cleanQuery.toLowerCase();
+      const nameScore = name === q ? 2 : name.includes(q) ? 1 : 0;
+      return nameScore + (result.contentMatch?.rank || 0);
+    };
+    
+    // Convert map to array and sort by relevance, then by depth (closer to search path), then alphabetically
     const finalResults = Array.from(combinedResults.values())
+      .map(result => ({ ...result, relevance: relevance(result) }))
       .sort((a, b) => {
-        // Sort by: exact match first, then by depth (closer to search path), then alphabetically
-        const aExactMatch = a.name.toLowerCase() === cleanQuery.toLowerCase();
-        const bExactMatch = b.name.toLowerCase() === cleanQuery.toLowerCase();
-        
-        if (aExactMatch && !bExactMatch) return -1;
-        if (!aExactMatch && bExactMatch) return 1;
+        if (a.relevance !== b.relevance) return b.relevance - a.relevance;
         
         if (a.depth !== b.depth) return (a.depth || 0) - (b.depth || 0);
         
         return a.name.localeCompare(b.name);
       });
+    await logEvent(req, {
+      action: 'search',
+      ownerId: access.ownerId,
+      path: searchPath,
+      details: { query: cleanQuery, recursive, fileType: fileType || 'all', results: finalResults.length }
+    });
     
     return res.json({
       success: true,
@@ -669,6 +1198,20 @@ app.post('/search', async (req, res) => {
 
 
 
-app.listen(PORT, () => {
-  console.log(`Backend is running on http://localhost:${PORT}`);
-});
+// Bring the schema up to date before serving; see migrate.js
+runMigrations()
+  .then((applied) => {
+    console.log(`Database migrated (${applied.length} pending migration(s) applied)`);
+    app.listen(PORT, () => {
+      console.log(`Backend is running on http://localhost:${PORT}`);
+      startUploadSessionCleanup();
+      startTrashPurge();
+      startRemotePinPolling();
+      startReconciliation();
+      startIpnsRepublish();
+    });
+  })
+  .catch((err) => {
+    console.error('Error migrating DB:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,16 @@
+import { republishChangedNames } from '../services/ipns.js';
+
+const CHECK_INTERVAL_MINUTES = Number(process.env.IPNS_REPUBLISH_INTERVAL_MINUTES || 15);
+
+// Periodically republish names whose folder changed outside the drive routes, or whose last publish failed
+export const startIpnsRepublish = () => {
+  const run = () => republishChangedNames()
+    .then((count) => {
+      if (count > 0) console.log(`Republished ${count} IPNS name(s)`);
+    })
+    .catch((err) => console.error('IPNS republish failed:', err.message));
+
+  const timer = setInterval(run, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
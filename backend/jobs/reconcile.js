@@ -0,0 +1,27 @@
+import { reconcileAll } from '../services/reconcile.js';
+
+// 0 disables the schedule; `npm run reconcile` still works on demand
+const RECONCILE_INTERVAL_MINUTES = Number(process.env.RECONCILE_INTERVAL_MINUTES || 24 * 60);
+const RECONCILE_REPAIR = process.env.RECONCILE_REPAIR === 'true';
+
+// Compare MFS with the files table; report only unless RECONCILE_REPAIR=true
+export const startReconciliation = () => {
+  if (RECONCILE_INTERVAL_MINUTES <= 0) return null;
+
+  const run = () => reconcileAll({ repair: RECONCILE_REPAIR })
+    .then(({ totals, unknownDrives }) => {
+      const drift = Object.entries(totals).filter(([, count]) => count > 0);
+      if (drift.length > 0 || unknownDrives.length > 0) {
+        console.log(
+          `Reconciliation ${RECONCILE_REPAIR ? 'repaired' : 'found'}:`,
+          drift.map(([key, count]) => `${key}=${count}`).join(' '),
+          unknownDrives.length > 0 ? `unknownDrives=${unknownDrives.join(',')}` : ''
+        );
+      }
+    })
+    .catch((err) => console.error('Reconciliation failed:', err.message));
+
+  const timer = setInterval(run, RECONCILE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,27 @@
+import { findPendingRemotePins, refreshRemotePin } from '../services/pins.js';
+import { isRemotePinningConfigured } from '../services/pinningService.js';
+
+const POLL_INTERVAL_SECONDS = Number(process.env.REMOTE_PIN_POLL_SECONDS || 60);
+
+// Ask the remote pinning service about every request that is still queued or pinning
+export const pollRemotePins = async () => {
+  const pending = await findPendingRemotePins();
+  for (const file of pending) {
+    try {
+      await refreshRemotePin(file);
+    } catch (err) {
+      console.error(`Failed to refresh remote pin of file ${file.id}:`, err.message);
+    }
+  }
+  return pending.length;
+};
+
+export const startRemotePinPolling = () => {
+  if (!isRemotePinningConfigured()) return null;
+
+  const timer = setInterval(() => {
+    pollRemotePins().catch((err) => console.error('Remote pin polling failed:', err.message));
+  }, POLL_INTERVAL_SECONDS * 1000);
+  timer.unref();
+  return timer;
+};
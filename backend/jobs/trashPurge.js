@@ -0,0 +1,16 @@
+import { purgeExpiredTrash } from '../services/trash.js';
+
+const PURGE_INTERVAL_MINUTES = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES || 60);
+
+// Periodically delete trashed items older than TRASH_RETENTION_DAYS
+export const startTrashPurge = () => {
+  const run = () => purgeExpiredTrash()
+    .then((count) => {
+      if (count > 0) console.log(`Purged ${count} expired trash item(s)`);
+    })
+    .catch((err) => console.error('Trash purge failed:', err.message));
+
+  const timer = setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,27 @@
+import { Op } from 'sequelize';
+import { UploadSession } from '../models/index.js';
+import { abortSession } from '../routes/uploads.js';
+
+const CLEANUP_INTERVAL_MINUTES = Number(process.env.UPLOAD_CLEANUP_INTERVAL_MINUTES || 60);
+
+// Abort pending resumable uploads whose session has expired
+export const purgeExpiredUploadSessions = async () => {
+  const expired = await UploadSession.findAll({
+    where: { status: 'pending', expiresAt: { [Op.lte]: new Date() } }
+  });
+  for (const session of expired) {
+    await abortSession(session);
+  }
+  if (expired.length > 0) {
+    console.log(`Purged ${expired.length} expired upload session(s)`);
+  }
+  return expired.length;
+};
+
+export const startUploadSessionCleanup = () => {
+  const timer = setInterval(() => {
+    purgeExpiredUploadSessions().catch((err) => console.error('Upload session cleanup failed:', err.message));
+  }, CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,90 @@
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { User } from '../models/index.js';
+
+dotenv.config();
+
+// Anyone who knows the secret can sign a token for any user, so there is no default
+if (!process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET is not set; refusing to start without a secret to sign tokens with');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+const LINK_TOKEN_EXPIRES_IN = process.env.LINK_TOKEN_EXPIRES_IN || '5m';
+
+// What link tokens can be issued for; each route that accepts one names its purpose
+export const LINK_PURPOSES = ['download', 'thumbnail', 'folder-events'];
+
+// Issue a signed token for a user. `ver` ties the token to the user's current tokenVersion
+export const signToken = (user) => jwt.sign(
+  { sub: user.id, ver: user.tokenVersion },
+  JWT_SECRET,
+  { expiresIn: JWT_EXPIRES_IN }
+);
+
+/**
+ * Issue a short-lived token for one purpose and one resource (a file id, a CID, a folder
+ * path), for URLs that end up in logs and browser history. Returns { token, expiresAt }.
+ */
+export const signLinkToken = (user, purpose, resource) => {
+  const token = jwt.sign(
+    { sub: user.id, ver: user.tokenVersion, purpose, resource: String(resource) },
+    JWT_SECRET,
+    { expiresIn: LINK_TOKEN_EXPIRES_IN }
+  );
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+const bearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+// Verify `token` and attach its user to req.user. Session tokens carry no purpose;
+// link tokens are only good for the purpose and resource given in `link`.
+const authenticate = async (req, res, next, token, link = null) => {
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+  if ((payload.purpose ?? null) !== (link?.purpose ?? null) || (link && payload.resource !== link.resource)) {
+    return res.status(401).json({ error: 'Token is not valid for this request' });
+  }
+
+  try {
+    const user = await User.findByPk(payload.sub);
+    if (!user || user.tokenVersion !== payload.ver) {
+      return res.status(401).json({ error: 'Session is no longer valid' });
+    }
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error('Auth lookup failed:', err.message);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+};
+
+// Require a valid bearer token and attach the authenticated user to req.user
+export const requireAuth = (req, res, next) => authenticate(req, res, next, bearerToken(req));
+
+/**
+ * Like requireAuth, for GET routes opened from plain links (<a href>, <img>, EventSource),
+ * which cannot send a header: a link token for `purpose` and the resource
+ * `resourceOf(req)` names may be passed as ?access_token= instead.
+ */
+export const requireLinkAuth = (purpose, resourceOf) => (req, res, next) => {
+  const header = bearerToken(req);
+  const query = req.query.access_token;
+  if (header || typeof query !== 'string' || !['GET', 'HEAD'].includes(req.method)) {
+    return authenticate(req, res, next, header);
+  }
+  return authenticate(req, res, next, query, { purpose, resource: String(resourceOf(req) ?? '') });
+};
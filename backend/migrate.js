@@ -0,0 +1,41 @@
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Umzug, SequelizeStorage } from 'umzug';
+import sequelize from './db.js';
+
+/*
+ * Versioned schema migrations. Files in migrations/ run in name order and export
+ * up/down({ context: queryInterface }); applied names are kept in schema_migrations.
+ *
+ *   npm run migrate            apply pending migrations
+ *   npm run migrate:down       revert the last one
+ *   npm run migrate:status     list pending migrations
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const migrator = new Umzug({
+  migrations: {
+    glob: ['migrations/*.js', { cwd: __dirname }],
+    // Migrations are ES modules, which Umzug's default resolver cannot require()
+    resolve: ({ name, path: migrationPath, context }) => ({
+      name,
+      up: async () => (await import(pathToFileURL(migrationPath).href)).up({ context }),
+      down: async () => (await import(pathToFileURL(migrationPath).href)).down({ context })
+    })
+  },
+  context: sequelize.getQueryInterface(),
+  storage: new SequelizeStorage({ sequelize, tableName: 'schema_migrations' }),
+  logger: console
+});
+
+// Apply every pending migration; resolves to the ones that ran
+export const runMigrations = () => migrator.up();
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  try {
+    await migrator.runAsCLI();
+  } finally {
+    await sequelize.close();
+  }
+}
@@ -0,0 +1,190 @@
+import { DataTypes } from 'sequelize';
+
+// Schema as it stood when sequelize.sync({ force: true }) was retired.
+// Tables and indexes are created IF NOT EXISTS, so databases created by sync are adopted;
+// tables sync made from older models get the columns they are missing.
+
+// Sequelize's createTable is IF NOT EXISTS and leaves an existing table as it is, so add
+// whichever columns that table lacks
+const createTable = async (queryInterface, table, attributes) => {
+  await queryInterface.createTable(table, attributes);
+  const existing = await queryInterface.describeTable(table);
+  for (const [column, attribute] of Object.entries(attributes)) {
+    if (!existing[column]) {
+      await queryInterface.addColumn(table, column, attribute);
+    }
+  }
+};
+
+// Sequelize's addIndex has no IF NOT EXISTS; names match the ones sync generated
+const createIndex = (queryInterface, name, table, columns, { unique = false } = {}) =>
+  queryInterface.sequelize.query(
+    `CREATE ${unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS "${name}" ON "${table}" (${columns.map((c) => `"${c}"`).join(', ')})`
+  );
+
+export const up = async ({ context: queryInterface }) => {
+  await createTable(queryInterface, 'users', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    username: { type: DataTypes.STRING(50), unique: true, allowNull: false },
+    email: { type: DataTypes.STRING(100), unique: true, allowNull: false },
+    passwordHash: { type: DataTypes.STRING },
+    tokenVersion: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    quotaBytes: { type: DataTypes.BIGINT },
+    created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  });
+
+  await createTable(queryInterface, 'files', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    fileName: { type: DataTypes.STRING, allowNull: false },
+    fileType: { type: DataTypes.STRING },
+    fileSize: { type: DataTypes.BIGINT },
+    ipfsCid: { type: DataTypes.STRING, allowNull: false },
+    pathInDrive: { type: DataTypes.TEXT },
+    parentPath: { type: DataTypes.TEXT },
+    isFolder: { type: DataTypes.BOOLEAN },
+    uploadedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    deletedAt: { type: DataTypes.DATE },
+    trashItemId: { type: DataTypes.INTEGER },
+    pinStatus: { type: DataTypes.ENUM('unpinned', 'pinned'), allowNull: false, defaultValue: 'unpinned' },
+    pinnedAt: { type: DataTypes.DATE },
+    remotePinRequestId: { type: DataTypes.STRING },
+    remotePinStatus: { type: DataTypes.ENUM('queued', 'pinning', 'pinned', 'failed') },
+    remotePinCheckedAt: { type: DataTypes.DATE }
+  });
+
+  await createTable(queryInterface, 'shares', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    file_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'files', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    shared_with: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    permission: { type: DataTypes.STRING(20), allowNull: false },
+    created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  });
+  await createIndex(queryInterface, 'shares_file_id_shared_with', 'shares', ['file_id', 'shared_with'], { unique: true });
+
+  await createTable(queryInterface, 'share_links', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    token: { type: DataTypes.STRING(64), unique: true, allowNull: false },
+    fileId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'files', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    passwordHash: { type: DataTypes.STRING },
+    expiresAt: { type: DataTypes.DATE },
+    maxDownloads: { type: DataTypes.INTEGER },
+    downloadCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    revokedAt: { type: DataTypes.DATE },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  });
+
+  await createTable(queryInterface, 'upload_sessions', {
+    id: { type: DataTypes.UUID, primaryKey: true },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    ownerId: { type: DataTypes.INTEGER, allowNull: false },
+    fileName: { type: DataTypes.STRING, allowNull: false },
+    fileType: { type: DataTypes.STRING },
+    totalSize: { type: DataTypes.BIGINT, allowNull: false },
+    uploadOffset: { type: DataTypes.BIGINT, allowNull: false, defaultValue: 0 },
+    targetPath: { type: DataTypes.TEXT, allowNull: false },
+    stagingPath: { type: DataTypes.TEXT, allowNull: false },
+    status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: 'pending' },
+    fileId: { type: DataTypes.INTEGER },
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  });
+
+  await createTable(queryInterface, 'trash_items', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    deletedBy: { type: DataTypes.INTEGER },
+    fileName: { type: DataTypes.STRING, allowNull: false },
+    isFolder: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    fileSize: { type: DataTypes.BIGINT },
+    ipfsCid: { type: DataTypes.STRING },
+    originalPath: { type: DataTypes.TEXT, allowNull: false },
+    trashPath: { type: DataTypes.TEXT },
+    deletedAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+  });
+
+  await createTable(queryInterface, 'file_versions', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    fileId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'files', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    versionNumber: { type: DataTypes.INTEGER, allowNull: false },
+    ipfsCid: { type: DataTypes.STRING, allowNull: false },
+    fileSize: { type: DataTypes.BIGINT },
+    fileType: { type: DataTypes.STRING },
+    uploadedBy: {
+      type: DataTypes.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  });
+  await createIndex(queryInterface, 'file_versions_file_id_version_number', 'file_versions', ['fileId', 'versionNumber'], { unique: true });
+
+  await createTable(queryInterface, 'pin_policies', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    folderPath: { type: DataTypes.TEXT, allowNull: false },
+    pinLocal: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    pinRemote: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    updatedBy: { type: DataTypes.INTEGER },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  });
+  await createIndex(queryInterface, 'pin_policies_user_id_folder_path', 'pin_policies', ['userId', 'folderPath'], { unique: true });
+
+  // Lookups by drive path are on every request path
+  await createIndex(queryInterface, 'files_user_id_path_in_drive', 'files', ['userId', 'pathInDrive']);
+  await createIndex(queryInterface, 'files_user_id_parent_path', 'files', ['userId', 'parentPath']);
+};
+
+export const down = async ({ context: queryInterface }) => {
+  for (const table of ['pin_policies', 'file_versions', 'trash_items', 'upload_sessions', 'share_links', 'shares', 'files', 'users']) {
+    await queryInterface.dropTable(table);
+  }
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_files_pinStatus", "enum_files_remotePinStatus"');
+};
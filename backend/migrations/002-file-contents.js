@@ -0,0 +1,25 @@
+import { DataTypes } from 'sequelize';
+
+// Full-text search index over extracted file content
+export const up = async ({ context: queryInterface }) => {
+  await queryInterface.createTable('file_contents', {
+    ipfsCid: { type: DataTypes.STRING, primaryKey: true },
+    content: { type: DataTypes.TEXT, allowNull: false, defaultValue: '' },
+    extractor: { type: DataTypes.STRING(20) },
+    truncated: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    indexedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  });
+  await queryInterface.sequelize.query(
+    `ALTER TABLE file_contents
+     ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (to_tsvector('english', content)) STORED`
+  );
+  await queryInterface.sequelize.query(
+    'CREATE INDEX file_contents_search_vector ON file_contents USING GIN ("searchVector")'
+  );
+  await queryInterface.addIndex('files', ['ipfsCid'], { name: 'files_ipfs_cid' });
+};
+
+export const down = async ({ context: queryInterface }) => {
+  await queryInterface.removeIndex('files', 'files_ipfs_cid');
+  await queryInterface.dropTable('file_contents');
+};
@@ -0,0 +1,19 @@
+import { DataTypes } from 'sequelize';
+
+// Thumbnail (small) and preview (large) renderings of images and PDFs, stored as their own CIDs
+export const up = async ({ context: queryInterface }) => {
+  await queryInterface.addColumn('files', 'thumbnailStatus', {
+    type: DataTypes.ENUM('pending', 'ready', 'failed', 'unsupported')
+  });
+  await queryInterface.addColumn('files', 'thumbnailCid', { type: DataTypes.STRING });
+  await queryInterface.addColumn('files', 'previewCid', { type: DataTypes.STRING });
+  await queryInterface.addColumn('files', 'thumbnailGeneratedAt', { type: DataTypes.DATE });
+};
+
+export const down = async ({ context: queryInterface }) => {
+  await queryInterface.removeColumn('files', 'thumbnailGeneratedAt');
+  await queryInterface.removeColumn('files', 'previewCid');
+  await queryInterface.removeColumn('files', 'thumbnailCid');
+  await queryInterface.removeColumn('files', 'thumbnailStatus');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_files_thumbnailStatus"');
+};
@@ -0,0 +1,34 @@
+import { DataTypes } from 'sequelize';
+
+// End-to-end encrypted folders: user key pairs, the encrypted flag and wrapped content keys
+export const up = async ({ context: queryInterface }) => {
+  await queryInterface.addColumn('users', 'publicKey', { type: DataTypes.TEXT });
+  await queryInterface.addColumn('users', 'privateKeyBundle', { type: DataTypes.JSONB });
+  await queryInterface.addColumn('files', 'encrypted', {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  });
+
+  await queryInterface.createTable('content_keys', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    ipfsCid: { type: DataTypes.STRING, allowNull: false },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    wrappedKey: { type: DataTypes.TEXT, allowNull: false },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  });
+  await queryInterface.addIndex('content_keys', ['ipfsCid', 'userId'], { unique: true, name: 'content_keys_ipfs_cid_user_id' });
+  await queryInterface.addIndex('content_keys', ['userId'], { name: 'content_keys_user_id' });
+};
+
+export const down = async ({ context: queryInterface }) => {
+  await queryInterface.dropTable('content_keys');
+  await queryInterface.removeColumn('files', 'encrypted');
+  await queryInterface.removeColumn('users', 'privateKeyBundle');
+  await queryInterface.removeColumn('users', 'publicKey');
+};
@@ -0,0 +1,35 @@
+import { DataTypes } from 'sequelize';
+
+// Audit trail of drive operations. Rows outlive the users they mention.
+export const up = async ({ context: queryInterface }) => {
+  await queryInterface.createTable('events', {
+    id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+    actorId: {
+      type: DataTypes.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    },
+    ownerId: {
+      type: DataTypes.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    },
+    action: { type: DataTypes.STRING(40), allowNull: false },
+    path: { type: DataTypes.TEXT },
+    newPath: { type: DataTypes.TEXT },
+    fileId: { type: DataTypes.INTEGER },
+    cidBefore: { type: DataTypes.STRING },
+    cidAfter: { type: DataTypes.STRING },
+    ip: { type: DataTypes.STRING(64) },
+    details: { type: DataTypes.JSONB },
+    createdAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+  });
+  await queryInterface.addIndex('events', ['ownerId', 'createdAt'], { name: 'events_owner_id_created_at' });
+  await queryInterface.addIndex('events', ['actorId', 'createdAt'], { name: 'events_actor_id_created_at' });
+  // Folder filters are prefix matches on the path
+  await queryInterface.sequelize.query('CREATE INDEX events_path ON events (path text_pattern_ops)');
+};
+
+export const down = async ({ context: queryInterface }) => {
+  await queryInterface.dropTable('events');
+};
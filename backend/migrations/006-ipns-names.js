@@ -0,0 +1,32 @@
+import { DataTypes } from 'sequelize';
+
+// IPNS names of published folders, one Kubo key each
+export const up = async ({ context: queryInterface }) => {
+  await queryInterface.createTable('ipns_names', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    fileId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: { model: 'files', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    keyName: { type: DataTypes.STRING, allowNull: false, unique: true },
+    name: { type: DataTypes.STRING, allowNull: false },
+    publishedCid: { type: DataTypes.STRING },
+    publishedAt: { type: DataTypes.DATE },
+    lastError: { type: DataTypes.TEXT },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  });
+  await queryInterface.addIndex('ipns_names', ['userId'], { name: 'ipns_names_user_id' });
+};
+
+export const down = async ({ context: queryInterface }) => {
+  await queryInterface.dropTable('ipns_names');
+};
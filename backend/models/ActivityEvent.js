@@ -0,0 +1,34 @@
+import { DataTypes } from 'sequelize';
+
+// One drive operation, for the activity log and audit trail. Rows are only ever inserted.
+export default (sequelize) => {
+  return sequelize.define('ActivityEvent', {
+    id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+    actorId: {                                       // who did it; null for anonymous share-link visitors
+      type: DataTypes.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    },
+    ownerId: {                                       // whose drive it happened in
+      type: DataTypes.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    },
+    action: { type: DataTypes.STRING(40), allowNull: false },
+    path: { type: DataTypes.TEXT },                  // MFS path the action applied to
+    newPath: { type: DataTypes.TEXT },               // where it ended up, for renames, moves and copies
+    fileId: { type: DataTypes.INTEGER },             // files row, not a foreign key so the event survives its deletion
+    cidBefore: { type: DataTypes.STRING },
+    cidAfter: { type: DataTypes.STRING },
+    ip: { type: DataTypes.STRING(64) },
+    details: { type: DataTypes.JSONB },              // action specific: search query, share recipient, ...
+    createdAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'events',
+    timestamps: false,
+    indexes: [
+      { fields: ['ownerId', 'createdAt'] },
+      { fields: ['actorId', 'createdAt'] }
+    ]
+  });
+};
@@ -0,0 +1,25 @@
+import { DataTypes } from 'sequelize';
+
+// The AES key of one piece of encrypted content, wrapped with one user's public key.
+// Keyed by CID like file_contents, so copies, moves and versions need nothing extra.
+export default (sequelize) => {
+  return sequelize.define('ContentKey', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    ipfsCid: { type: DataTypes.STRING, allowNull: false },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    wrappedKey: { type: DataTypes.TEXT, allowNull: false },   // base64 RSA-OAEP ciphertext of the raw AES key
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'content_keys',
+    timestamps: false,
+    indexes: [
+      { unique: true, fields: ['ipfsCid', 'userId'] },
+      { fields: ['userId'] }
+    ]
+  });
+};
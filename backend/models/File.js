@@ -21,9 +21,38 @@ export default (sequelize) => {
     pathInDrive: { type: DataTypes.TEXT },
     parentPath: { type: DataTypes.TEXT },        // ✅ new column
     isFolder: { type: DataTypes.BOOLEAN },       // ✅ new column
-    uploadedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+    uploadedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    deletedAt: { type: DataTypes.DATE },         // set while the item sits in the recycle bin
+    trashItemId: { type: DataTypes.INTEGER },    // trash entry the row was deleted with
+    pinStatus: {                                 // explicit recursive pin on the local node
+      type: DataTypes.ENUM('unpinned', 'pinned'),
+      allowNull: false,
+      defaultValue: 'unpinned'
+    },
+    pinnedAt: { type: DataTypes.DATE },
+    remotePinRequestId: { type: DataTypes.STRING },  // request id at the remote pinning service
+    remotePinStatus: {
+      type: DataTypes.ENUM('queued', 'pinning', 'pinned', 'failed')
+    },
+    remotePinCheckedAt: { type: DataTypes.DATE },
+    thumbnailStatus: {                           // null for folders and rows from before thumbnails
+      type: DataTypes.ENUM('pending', 'ready', 'failed', 'unsupported')
+    },
+    thumbnailCid: { type: DataTypes.STRING },    // small WebP rendering for listings
+    previewCid: { type: DataTypes.STRING },      // large WebP rendering for previews
+    thumbnailGeneratedAt: { type: DataTypes.DATE },
+    encrypted: {                                 // encrypted folder, or ciphertext encrypted in the browser
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
   }, {
     tableName: 'files',
-    timestamps: false
+    timestamps: false,
+    indexes: [
+      { fields: ['userId', 'pathInDrive'] },
+      { fields: ['userId', 'parentPath'] },
+      { fields: ['ipfsCid'] }
+    ]
   });
 };
@@ -0,0 +1,17 @@
+import { DataTypes } from 'sequelize';
+
+// Extracted text of a piece of content, keyed by CID so copies, moves and restores
+// of the same bytes share one index entry. "searchVector" is a generated tsvector
+// column maintained by Postgres (see migrations/002-file-contents.js).
+export default (sequelize) => {
+  return sequelize.define('FileContent', {
+    ipfsCid: { type: DataTypes.STRING, primaryKey: true },
+    content: { type: DataTypes.TEXT, allowNull: false, defaultValue: '' },
+    extractor: { type: DataTypes.STRING(20) },        // null when the format has no text to index
+    truncated: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    indexedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'file_contents',
+    timestamps: false
+  });
+};
@@ -0,0 +1,29 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  return sequelize.define('FileVersion', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    fileId: {                                        // the logical file (row in files)
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'files', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    versionNumber: { type: DataTypes.INTEGER, allowNull: false },
+    ipfsCid: { type: DataTypes.STRING, allowNull: false },
+    fileSize: { type: DataTypes.BIGINT },
+    fileType: { type: DataTypes.STRING },
+    uploadedBy: {
+      type: DataTypes.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'file_versions',
+    timestamps: false,
+    indexes: [
+      { unique: true, fields: ['fileId', 'versionNumber'] }
+    ]
+  });
+};
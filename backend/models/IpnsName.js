@@ -0,0 +1,34 @@
+import { DataTypes } from 'sequelize';
+
+// A folder published under its own IPNS name. The row follows the folder through
+// renames and moves; the Kubo key it was signed with is `keyName`.
+export default (sequelize) => {
+  return sequelize.define('IpnsName', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    fileId: {                                        // the folder's files row
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: { model: 'files', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    userId: {                                        // owner of the drive, and of the key
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    keyName: { type: DataTypes.STRING, allowNull: false, unique: true },
+    name: { type: DataTypes.STRING, allowNull: false },    // the key's id, as in /ipns/<name>
+    publishedCid: { type: DataTypes.STRING },              // folder CID the current record points at
+    publishedAt: { type: DataTypes.DATE },
+    lastError: { type: DataTypes.TEXT },                   // why the last republish failed, if it did
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'ipns_names',
+    timestamps: false,
+    indexes: [
+      { fields: ['userId'] }
+    ]
+  });
+};
@@ -0,0 +1,24 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  return sequelize.define('PinPolicy', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    userId: {                                        // owner of the drive the folder belongs to
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    folderPath: { type: DataTypes.TEXT, allowNull: false },   // applies to this folder and below
+    pinLocal: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    pinRemote: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    updatedBy: { type: DataTypes.INTEGER },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'pin_policies',
+    timestamps: false,
+    indexes: [
+      { unique: true, fields: ['userId', 'folderPath'] }
+    ]
+  });
+};
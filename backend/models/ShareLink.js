@@ -0,0 +1,29 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  return sequelize.define('ShareLink', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    token: { type: DataTypes.STRING(64), unique: true, allowNull: false },
+    fileId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'files', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    passwordHash: { type: DataTypes.STRING },            // null = no password
+    expiresAt: { type: DataTypes.DATE },                 // null = never expires
+    maxDownloads: { type: DataTypes.INTEGER },           // null = unlimited
+    downloadCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    revokedAt: { type: DataTypes.DATE },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'share_links',
+    timestamps: false
+  });
+};
@@ -24,9 +24,13 @@ export default (sequelize) => {
       type: DataTypes.STRING(20), 
       allowNull: false,
       validate: { isIn: [['read', 'write']] } 
-    }
+    },
+    created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
   }, {
     tableName: 'shares',
-    timestamps: false
+    timestamps: false,
+    indexes: [
+      { unique: true, fields: ['file_id', 'shared_with'] }   // one share per file and recipient
+    ]
   });
 };
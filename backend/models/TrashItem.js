@@ -0,0 +1,24 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  return sequelize.define('TrashItem', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    userId: {                                        // owner of the drive the item was deleted from
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    deletedBy: { type: DataTypes.INTEGER },          // may differ from userId for shared folders
+    fileName: { type: DataTypes.STRING, allowNull: false },
+    isFolder: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    fileSize: { type: DataTypes.BIGINT },
+    ipfsCid: { type: DataTypes.STRING },
+    originalPath: { type: DataTypes.TEXT, allowNull: false },
+    trashPath: { type: DataTypes.TEXT },             // where the item now lives in MFS
+    deletedAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'trash_items',
+    timestamps: false
+  });
+};
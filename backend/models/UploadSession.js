@@ -0,0 +1,33 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  return sequelize.define('UploadSession', {
+    id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+    userId: {                                        // who is uploading
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    ownerId: { type: DataTypes.INTEGER, allowNull: false },   // owner of the target folder
+    fileName: { type: DataTypes.STRING, allowNull: false },
+    fileType: { type: DataTypes.STRING },
+    totalSize: { type: DataTypes.BIGINT, allowNull: false },
+    uploadOffset: { type: DataTypes.BIGINT, allowNull: false, defaultValue: 0 },
+    targetPath: { type: DataTypes.TEXT, allowNull: false },  // MFS folder the file lands in
+    stagingPath: { type: DataTypes.TEXT, allowNull: false }, // MFS path chunks are written to
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: { isIn: [['pending', 'completed', 'aborted']] }
+    },
+    fileId: { type: DataTypes.INTEGER },             // files row created on completion
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'upload_sessions',
+    timestamps: false
+  });
+};
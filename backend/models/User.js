@@ -1,13 +1,45 @@
 import { DataTypes } from 'sequelize';
+import { hashPassword, verifyPassword } from '../utils/passwords.js';
 
 export default (sequelize) => {
-  return sequelize.define('User', {
+  const User = sequelize.define('User', {
     id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
     username: { type: DataTypes.STRING(50), unique: true, allowNull: false },
     email: { type: DataTypes.STRING(100), unique: true, allowNull: false },
+    password: { type: DataTypes.VIRTUAL },       // plaintext, only set on signup / password change
+    passwordHash: { type: DataTypes.STRING },
+    tokenVersion: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // bumped on logout to revoke tokens
+    quotaBytes: { type: DataTypes.BIGINT },      // storage limit; null uses DEFAULT_QUOTA_BYTES, 0 is unlimited
+    publicKey: { type: DataTypes.TEXT },         // RSA-OAEP public key (base64 SPKI) for encrypted folders
+    privateKeyBundle: { type: DataTypes.JSONB }, // matching private key, encrypted in the browser with a passphrase
     created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
   }, {
     tableName: 'users',
-    timestamps: false
+    timestamps: false,
+    defaultScope: {
+      attributes: { exclude: ['passwordHash', 'privateKeyBundle'] }
+    },
+    scopes: {
+      withPassword: { attributes: { include: ['passwordHash'] } },
+      withPrivateKey: { attributes: { include: ['privateKeyBundle'] } }
+    },
+    hooks: {
+      beforeSave: async (user) => {
+        if (user.password) {
+          user.passwordHash = await hashPassword(user.password);
+        }
+      }
+    }
   });
+
+  User.prototype.checkPassword = function (password) {
+    return verifyPassword(password, this.passwordHash);
+  };
+
+  User.prototype.toJSON = function () {
+    const { passwordHash, password, tokenVersion, privateKeyBundle, ...safe } = this.get();
+    return safe;
+  };
+
+  return User;
 };
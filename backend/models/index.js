@@ -2,20 +2,67 @@ import sequelize from '../db.js';
 import UserModel from './User.js';
 import FileModel from './File.js';
 import SharedFileModel from './SharedFile.js';
+import ShareLinkModel from './ShareLink.js';
+import UploadSessionModel from './UploadSession.js';
+import TrashItemModel from './TrashItem.js';
+import FileVersionModel from './FileVersion.js';
+import PinPolicyModel from './PinPolicy.js';
+import FileContentModel from './FileContent.js';
+import ContentKeyModel from './ContentKey.js';
+import ActivityEventModel from './ActivityEvent.js';
+import IpnsNameModel from './IpnsName.js';
 
 const User = UserModel(sequelize);
 const File = FileModel(sequelize);
 const SharedFile = SharedFileModel(sequelize);
+const ShareLink = ShareLinkModel(sequelize);
+const UploadSession = UploadSessionModel(sequelize);
+const TrashItem = TrashItemModel(sequelize);
+const FileVersion = FileVersionModel(sequelize);
+const PinPolicy = PinPolicyModel(sequelize);
+const FileContent = FileContentModel(sequelize);
+const ContentKey = ContentKeyModel(sequelize);
+const ActivityEvent = ActivityEventModel(sequelize);
+const IpnsName = IpnsNameModel(sequelize);
 
 
 // Associations
 User.hasMany(File, { foreignKey: 'userId' });
 File.belongsTo(User, { foreignKey: 'userId' });
 
-File.hasMany(SharedFile, { foreignKey: 'fileId' });
-SharedFile.belongsTo(File, { foreignKey: 'fileId' });
+File.hasMany(SharedFile, { foreignKey: 'file_id' });
+SharedFile.belongsTo(File, { foreignKey: 'file_id' });
 
-User.hasMany(SharedFile, { foreignKey: 'sharedWithUserId' });
-SharedFile.belongsTo(User, { foreignKey: 'sharedWithUserId' });
+User.hasMany(SharedFile, { foreignKey: 'shared_with' });
+SharedFile.belongsTo(User, { foreignKey: 'shared_with', as: 'recipient' });
 
-export { sequelize, User, File, SharedFile };
+File.hasMany(ShareLink, { foreignKey: 'fileId' });
+ShareLink.belongsTo(File, { foreignKey: 'fileId' });
+
+User.hasMany(ShareLink, { foreignKey: 'createdBy' });
+ShareLink.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
+User.hasMany(UploadSession, { foreignKey: 'userId' });
+UploadSession.belongsTo(User, { foreignKey: 'userId' });
+
+User.hasMany(TrashItem, { foreignKey: 'userId' });
+TrashItem.belongsTo(User, { foreignKey: 'userId' });
+
+TrashItem.hasMany(File, { foreignKey: 'trashItemId' });
+
+File.hasMany(FileVersion, { foreignKey: 'fileId', as: 'versions' });
+FileVersion.belongsTo(File, { foreignKey: 'fileId' });
+FileVersion.belongsTo(User, { foreignKey: 'uploadedBy', as: 'uploader' });
+
+User.hasMany(PinPolicy, { foreignKey: 'userId' });
+PinPolicy.belongsTo(User, { foreignKey: 'userId' });
+
+User.hasMany(ContentKey, { foreignKey: 'userId' });
+ContentKey.belongsTo(User, { foreignKey: 'userId' });
+
+ActivityEvent.belongsTo(User, { foreignKey: 'actorId', as: 'actor' });
+
+File.hasOne(IpnsName, { foreignKey: 'fileId' });
+IpnsName.belongsTo(File, { foreignKey: 'fileId' });
+
+export { sequelize, User, File, SharedFile, ShareLink, UploadSession, TrashItem, FileVersion, PinPolicy, FileContent, ContentKey, ActivityEvent, IpnsName };
@@ -0,0 +1,54 @@
+import express from 'express';
+import { resolvePathAccess, hasPermission } from '../services/access.js';
+import { listEvents } from '../services/activity.js';
+import { normalizeMfsPath } from '../utils/paths.js';
+
+// Activity log, mounted at /activity
+const router = express.Router();
+
+// Addresses are only shown to the drive owner and to the user who acted
+const serializeEvent = (event, viewerId) => ({
+  id: event.id,
+  action: event.action,
+  actor: event.actor ? { id: event.actor.id, username: event.actor.username } : null,
+  ownerId: event.ownerId,
+  path: event.path,
+  newPath: event.newPath,
+  fileId: event.fileId,
+  cidBefore: event.cidBefore,
+  cidAfter: event.cidAfter,
+  ip: event.ownerId === viewerId || event.actorId === viewerId ? event.ip : null,
+  details: event.details,
+  createdAt: event.createdAt
+});
+
+/**
+ * Events newest first, a page at a time. With ?folder= everything that happened at or
+ * below a folder the caller can read, by anyone; without it the caller's own drive and
+ * their own actions elsewhere. Filters: ?userId= (actor), ?action= (comma separated),
+ * ?from= and ?to= (dates), ?limit=, and ?before= with the previous page's nextCursor.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { userId, action, from, to, before, limit } = req.query;
+
+    let scope = { viewerId: req.user.id };
+    if (req.query.folder) {
+      const folder = normalizeMfsPath(String(req.query.folder));
+      const access = await resolvePathAccess(req.user, folder);
+      if (!hasPermission(access, 'read')) {
+        return res.status(403).json({ error: 'Access denied to this path' });
+      }
+      scope = { ownerId: access.ownerId, folder };
+    }
+
+    const actions = action ? String(action).split(',').map((a) => a.trim()).filter(Boolean) : [];
+    const { events, nextCursor } = await listEvents(scope, { actorId: userId, actions, from, to, before, limit });
+    res.json({ events: events.map((event) => serializeEvent(event, req.user.id)), nextCursor });
+  } catch (err) {
+    console.error('List activity error:', err.message);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to list activity', details: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,105 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { User } from '../models/index.js';
+import ipfs from '../ipfs.js';
+import { requireAuth, signToken, signLinkToken, LINK_PURPOSES } from '../middleware/auth.js';
+import { userRootPath } from '../utils/paths.js';
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Body fields must be strings; a number or an object is refused rather than crashing .trim()
+const isText = (value) => typeof value === 'string';
+
+router.post('/signup', async (req, res) => {
+  try {
+    const { username, email, password } = req.body || {};
+
+    if (!isText(username) || !username.trim() || !isText(email) || !email.trim() || !isText(password) || !password) {
+      return res.status(400).json({ error: 'username, email and password are required' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
+    }
+
+    const existing = await User.findOne({
+      where: { [Op.or]: [{ username: username.trim() }, { email: email.trim().toLowerCase() }] }
+    });
+    if (existing) {
+      return res.status(409).json({ error: 'Username or email is already taken' });
+    }
+
+    const user = await User.create({
+      username: username.trim(),
+      email: email.trim().toLowerCase(),
+      password
+    });
+
+    // Every user gets their own MFS root
+    try {
+      await ipfs.files.mkdir(userRootPath(user.id), { parents: true });
+    } catch (mkdirErr) {
+      if (!mkdirErr.message.includes('file already exists')) {
+        throw mkdirErr;
+      }
+    }
+
+    res.status(201).json({ token: signToken(user), user });
+  } catch (err) {
+    console.error('Signup error:', err.message);
+    res.status(500).json({ error: 'Signup failed', details: err.message });
+  }
+});
+
+router.post('/login', async (req, res) => {
+  try {
+    const { identifier, password } = req.body || {};
+
+    if (!isText(identifier) || !identifier.trim() || !isText(password) || !password) {
+      return res.status(400).json({ error: 'identifier and password are required' });
+    }
+
+    const user = await User.scope('withPassword').findOne({
+      where: { [Op.or]: [{ username: identifier.trim() }, { email: identifier.trim().toLowerCase() }] }
+    });
+    if (!user || !(await user.checkPassword(password))) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    res.json({ token: signToken(user), user });
+  } catch (err) {
+    console.error('Login error:', err.message);
+    res.status(500).json({ error: 'Login failed', details: err.message });
+  }
+});
+
+// Revoke every token issued so far for this user
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await req.user.increment('tokenVersion');
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err.message);
+    res.status(500).json({ error: 'Logout failed', details: err.message });
+  }
+});
+
+// A short-lived token for one download, thumbnail or folder event stream, to pass as
+// ?access_token= where the session token cannot be sent as a header
+router.post('/link-token', requireAuth, (req, res) => {
+  const { purpose, resource } = req.body || {};
+  if (!LINK_PURPOSES.includes(purpose)) {
+    return res.status(400).json({ error: `purpose must be one of ${LINK_PURPOSES.join(', ')}` });
+  }
+  if (resource === undefined || resource === null || resource === '') {
+    return res.status(400).json({ error: 'resource is required' });
+  }
+  res.json(signLinkToken(req.user, purpose, resource));
+});
+
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: req.user, rootPath: userRootPath(req.user.id) });
+});
+
+export default router;
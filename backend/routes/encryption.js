@@ -0,0 +1,153 @@
+import express from 'express';
+import { sequelize, User, ContentKey } from '../models/index.js';
+import { resolvePathAccess, hasPermission } from '../services/access.js';
+import {
+  isPublicKey, isPrivateKeyBundle, isEncryptedPath, readersOf, keysUnder, grantContentKeys
+} from '../services/encryption.js';
+import { normalizeMfsPath } from '../utils/paths.js';
+
+// Key material for end-to-end encrypted folders, mounted at /encryption.
+// Nothing here can decrypt anything: keys are wrapped and unwrapped in the browser.
+const router = express.Router();
+
+// The caller's key pair; the private key is still encrypted with their passphrase
+router.get('/keypair', async (req, res) => {
+  try {
+    const user = await User.scope('withPrivateKey').findByPk(req.user.id);
+    res.json({ publicKey: user.publicKey, privateKeyBundle: user.privateKeyBundle });
+  } catch (err) {
+    console.error('Get key pair error:', err.message);
+    res.status(500).json({ error: 'Failed to load key pair', details: err.message });
+  }
+});
+
+// Set up the caller's key pair, or store the private key under a new passphrase.
+// The public key cannot be swapped: content keys wrapped for it would become useless.
+router.put('/keypair', async (req, res) => {
+  try {
+    const { publicKey, privateKeyBundle } = req.body;
+    if (!isPublicKey(publicKey) || !isPrivateKeyBundle(privateKeyBundle)) {
+      return res.status(400).json({ error: 'publicKey and privateKeyBundle are required' });
+    }
+
+    const user = await User.findByPk(req.user.id);
+    if (user.publicKey && user.publicKey !== publicKey) {
+      return res.status(409).json({ error: 'Encryption is already set up with a different key pair' });
+    }
+
+    const created = !user.publicKey;
+    await user.update({ publicKey, privateKeyBundle });
+    res.status(created ? 201 : 200).json({ message: created ? 'Key pair saved' : 'Passphrase changed', publicKey });
+  } catch (err) {
+    console.error('Save key pair error:', err.message);
+    res.status(500).json({ error: 'Failed to save key pair', details: err.message });
+  }
+});
+
+// Whether either user shares something with the other
+const sharesWith = async (userId, otherId) => {
+  const [rows] = await sequelize.query(
+    `SELECT 1 FROM shares s
+     JOIN files f ON f.id = s.file_id
+     WHERE (f."userId" = :userId AND s.shared_with = :otherId)
+        OR (f."userId" = :otherId AND s.shared_with = :userId)
+     LIMIT 1`,
+    { replacements: { userId, otherId } }
+  );
+  return rows.length > 0;
+};
+
+// Public key of a user the caller shares with, by id only, so this cannot be used to
+// find out whether someone has an account
+router.get('/public-key', async (req, res) => {
+  try {
+    const userId = Number(req.query.userId);
+    if (!Number.isInteger(userId)) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const visible = userId === req.user.id || await sharesWith(req.user.id, userId);
+    const user = visible ? await User.findByPk(userId) : null;
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ id: user.id, username: user.username, publicKey: user.publicKey });
+  } catch (err) {
+    console.error('Get public key error:', err.message);
+    res.status(500).json({ error: 'Failed to load public key', details: err.message });
+  }
+});
+
+// Everyone a file uploaded to ?path= has to be wrapped for
+router.get('/readers', async (req, res) => {
+  try {
+    if (!req.query.path) {
+      return res.status(400).json({ error: 'path is required' });
+    }
+    const mfsPath = normalizeMfsPath(String(req.query.path));
+    const access = await resolvePathAccess(req.user, mfsPath);
+    if (!hasPermission(access, 'write')) {
+      return res.status(403).json({ error: 'Access denied to this path' });
+    }
+
+    const readers = await readersOf(access.ownerId, mfsPath);
+    res.json({
+      path: mfsPath,
+      encrypted: await isEncryptedPath(access.ownerId, mfsPath),
+      readers: readers.map(({ id, username, publicKey }) => ({ id, username, publicKey }))
+    });
+  } catch (err) {
+    console.error('List readers error:', err.message);
+    res.status(500).json({ error: 'Failed to list readers', details: err.message });
+  }
+});
+
+// The caller's wrapped keys for everything encrypted at or below ?path=
+router.get('/keys', async (req, res) => {
+  try {
+    if (!req.query.path) {
+      return res.status(400).json({ error: 'path is required' });
+    }
+    const mfsPath = normalizeMfsPath(String(req.query.path));
+    const access = await resolvePathAccess(req.user, mfsPath);
+    if (!hasPermission(access, 'read')) {
+      return res.status(403).json({ error: 'Access denied to this path' });
+    }
+
+    res.json({ path: mfsPath, keys: await keysUnder(req.user.id, access.ownerId, mfsPath) });
+  } catch (err) {
+    console.error('List keys error:', err.message);
+    res.status(500).json({ error: 'Failed to list keys', details: err.message });
+  }
+});
+
+// The caller's wrapped key for one piece of content
+router.get('/keys/:cid', async (req, res) => {
+  try {
+    const key = await ContentKey.findOne({ where: { ipfsCid: req.params.cid, userId: req.user.id } });
+    if (!key) {
+      return res.status(404).json({ error: 'No key for this content' });
+    }
+    res.json({ cid: key.ipfsCid, wrappedKey: key.wrappedKey });
+  } catch (err) {
+    console.error('Get key error:', err.message);
+    res.status(500).json({ error: 'Failed to load key', details: err.message });
+  }
+});
+
+// Hand keys the caller holds to another user, re-wrapped for them: { userId, keys: [{ cid, wrappedKey }] }
+router.post('/keys', async (req, res) => {
+  try {
+    const { userId, keys } = req.body;
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    const granted = await grantContentKeys({ grantor: req.user, recipientId: userId, keys });
+    res.json({ message: `Shared ${granted} keys`, granted });
+  } catch (err) {
+    console.error('Grant keys error:', err.message);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to share keys', details: err.message });
+  }
+});
+
+export default router;
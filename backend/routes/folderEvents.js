@@ -0,0 +1,64 @@
+import express from 'express';
+import { resolvePathAccess, hasPermission } from '../services/access.js';
+import { subscribe } from '../services/folderEvents.js';
+import { normalizeMfsPath } from '../utils/paths.js';
+
+// Server-sent events for the folder a client is viewing, mounted at /folder-events
+const router = express.Router();
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * GET /folder-events?folder=<path> streams
+ *   event: change  { folder, action, path, newPath, actor, name, entry, dbEntry }
+ *                  `name` is the child of `folder` that changed; `entry` and `dbEntry`
+ *                  are its /list entry and files row, or null when it is gone
+ *   event: gone    { folder, movedTo }  the folder was renamed, moved or deleted, or
+ *                  the caller lost access; the stream ends afterwards
+ * EventSource cannot set headers, so a link token for the folder is passed as
+ * ?access_token= (see requireLinkAuth).
+ */
+router.get('/', async (req, res) => {
+  try {
+    if (!req.query.folder) {
+      return res.status(400).json({ error: 'folder is required' });
+    }
+    const folder = normalizeMfsPath(String(req.query.folder));
+    const access = await resolvePathAccess(req.user, folder);
+    if (!access.ownerId) {
+      return res.status(400).json({ error: 'Invalid path for user' });
+    }
+    if (!hasPermission(access, 'read')) {
+      return res.status(403).json({ error: 'Access denied to this path' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    // The client may have gone before its unsubscribe ran; writing after the end would throw
+    const write = (chunk) => !res.writableEnded && res.write(chunk);
+    const unsubscribe = subscribe(folder, {
+      user: req.user,
+      send: (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+      close: () => res.end()
+    });
+    const heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_MS);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (err) {
+    console.error('Folder events error:', err.message);
+    res.status(500).json({ error: 'Failed to subscribe to folder', details: err.message });
+  }
+});
+
+export default router;
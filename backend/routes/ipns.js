@@ -0,0 +1,133 @@
+import express from 'express';
+import { File, IpnsName } from '../models/index.js';
+import { resolveFileAccess, hasPermission } from '../services/access.js';
+import { isEncryptedPath } from '../services/encryption.js';
+import { publishFolder, rotateName, unpublishName } from '../services/ipns.js';
+import { logEvent } from '../services/activity.js';
+
+// IPNS names of published folders, mounted at /ipns-names
+const router = express.Router();
+
+const serializeName = (record, file) => ({
+  id: record.id,
+  fileId: record.fileId,
+  folderPath: file?.pathInDrive ?? null,
+  name: record.name,
+  ipnsPath: `/ipns/${record.name}`,
+  publishedCid: record.publishedCid,
+  publishedAt: record.publishedAt,
+  lastError: record.lastError,
+  createdAt: record.createdAt
+});
+
+// Load a name of the caller's drive. Sends a 404 and returns null otherwise.
+const loadName = async (req, res) => {
+  const record = await IpnsName.findOne({ where: { id: req.params.id, userId: req.user.id }, include: [File] });
+  if (!record) {
+    res.status(404).json({ error: 'IPNS name not found' });
+    return null;
+  }
+  return record;
+};
+
+// Names of the caller's drive, optionally for one folder
+router.get('/', async (req, res) => {
+  try {
+    const where = { userId: req.user.id };
+    if (req.query.fileId) {
+      where.fileId = req.query.fileId;
+    }
+
+    const records = await IpnsName.findAll({ where, include: [File], order: [['createdAt', 'DESC']] });
+    res.json({ names: records.map((record) => serializeName(record, record.File)) });
+  } catch (err) {
+    console.error('List IPNS names error:', err.message);
+    res.status(500).json({ error: 'Failed to list IPNS names', details: err.message });
+  }
+});
+
+// Publish one of the caller's own folders under a new name
+router.post('/', async (req, res) => {
+  try {
+    const { fileId } = req.body;
+    if (!fileId) {
+      return res.status(400).json({ error: 'fileId is required' });
+    }
+
+    const file = await File.findByPk(fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    const access = await resolveFileAccess(req.user, file);
+    if (!hasPermission(access, 'read')) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    if (!hasPermission(access, 'owner')) {
+      return res.status(403).json({ error: 'Only the owner can publish a folder' });
+    }
+    // Anyone can resolve the name, and nobody who does has a key to decrypt with
+    if (file.encrypted || await isEncryptedPath(file.userId, file.pathInDrive)) {
+      return res.status(400).json({ error: 'Encrypted folders cannot be published' });
+    }
+
+    const record = await publishFolder(file);
+    await logEvent(req, {
+      action: 'publish_name',
+      ownerId: file.userId,
+      path: file.pathInDrive,
+      fileId: file.id,
+      cidAfter: record.publishedCid,
+      details: { name: record.name }
+    });
+    res.status(201).json({ message: 'Folder published', name: serializeName(record, file) });
+  } catch (err) {
+    console.error('Publish IPNS name error:', err.message);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to publish folder', details: err.message });
+  }
+});
+
+// Publish the folder under a fresh name and drop the old one
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const record = await loadName(req, res);
+    if (!record) return;
+
+    const oldName = record.name;
+    await rotateName(record);
+    await logEvent(req, {
+      action: 'rotate_name',
+      ownerId: record.userId,
+      path: record.File.pathInDrive,
+      fileId: record.fileId,
+      cidAfter: record.publishedCid,
+      details: { oldName, name: record.name }
+    });
+    res.json({ message: 'IPNS name rotated', name: serializeName(record, record.File) });
+  } catch (err) {
+    console.error('Rotate IPNS name error:', err.message);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to rotate IPNS name', details: err.message });
+  }
+});
+
+// Stop publishing the folder; the name is no longer updated
+router.delete('/:id', async (req, res) => {
+  try {
+    const record = await loadName(req, res);
+    if (!record) return;
+
+    await unpublishName(record);
+    await logEvent(req, {
+      action: 'unpublish_name',
+      ownerId: record.userId,
+      path: record.File.pathInDrive,
+      fileId: record.fileId,
+      details: { name: record.name }
+    });
+    res.json({ message: 'Folder unpublished' });
+  } catch (err) {
+    console.error('Unpublish IPNS name error:', err.message);
+    res.status(500).json({ error: 'Failed to unpublish folder', details: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,196 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { File, PinPolicy } from '../models/index.js';
+import { resolvePathAccess, resolveFileAccess, hasPermission } from '../services/access.js';
+import {
+  isCidPinned,
+  pinFile,
+  unpinFile,
+  requestRemotePin,
+  cancelRemotePin,
+  refreshRemotePin,
+  applyPinPolicy,
+  PENDING_REMOTE_STATUSES
+} from '../services/pins.js';
+import { isRemotePinningConfigured, REMOTE_PINNING_NAME } from '../services/pinningService.js';
+import { normalizeMfsPath, belowPattern } from '../utils/paths.js';
+
+// Pin management, mounted at /pins
+const router = express.Router();
+
+const serializePinState = (file, pinnedOnNode) => ({
+  fileId: file.id,
+  ipfsCid: file.ipfsCid,
+  pinStatus: file.pinStatus,
+  pinnedAt: file.pinnedAt,
+  pinnedOnNode,
+  remote: {
+    requestId: file.remotePinRequestId,
+    status: file.remotePinStatus,
+    checkedAt: file.remotePinCheckedAt
+  }
+});
+
+const serializePolicy = (policy) => ({
+  id: policy.id,
+  folderPath: policy.folderPath,
+  pinLocal: policy.pinLocal,
+  pinRemote: policy.pinRemote,
+  updatedAt: policy.updatedAt
+});
+
+// Load a file the caller has at least `required` permission on. Sends an error and returns null otherwise.
+const loadFile = async (req, res, required) => {
+  const file = await File.findByPk(req.params.fileId);
+  if (!file || file.isFolder) {
+    res.status(404).json({ error: 'File not found' });
+    return null;
+  }
+  const access = await resolveFileAccess(req.user, file);
+  if (!hasPermission(access, 'read')) {
+    res.status(404).json({ error: 'File not found' });
+    return null;
+  }
+  if (!hasPermission(access, required)) {
+    res.status(403).json({ error: 'Write access is required' });
+    return null;
+  }
+  return file;
+};
+
+// Which remote pinning service is configured, if any
+router.get('/service', (req, res) => {
+  res.json({ configured: isRemotePinningConfigured(), name: isRemotePinningConfigured() ? REMOTE_PINNING_NAME : null });
+});
+
+// Pin state of a file, checked against the local node. Pending remote pins are refreshed on the way.
+router.get('/files/:fileId', async (req, res) => {
+  try {
+    const file = await loadFile(req, res, 'read');
+    if (!file) return;
+
+    if (isRemotePinningConfigured() && PENDING_REMOTE_STATUSES.includes(file.remotePinStatus)) {
+      await refreshRemotePin(file).catch((err) => console.warn('Remote pin refresh failed:', err.message));
+    }
+    res.json(serializePinState(file, await isCidPinned(file.ipfsCid)));
+  } catch (err) {
+    console.error('Pin status error:', err.message);
+    res.status(500).json({ error: 'Failed to read pin status', details: err.message });
+  }
+});
+
+// Pin a file on the local node, or with { remote: true } at the remote pinning service
+router.post('/files/:fileId', async (req, res) => {
+  try {
+    const file = await loadFile(req, res, 'write');
+    if (!file) return;
+
+    if (req.body?.remote) {
+      await requestRemotePin(file);
+    } else {
+      await pinFile(file);
+    }
+    res.json(serializePinState(file, await isCidPinned(file.ipfsCid)));
+  } catch (err) {
+    console.error('Pin error:', err.message);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Pin failed', details: err.message });
+  }
+});
+
+// Unpin a file locally, or with ?remote=true remove its remote pin
+router.delete('/files/:fileId', async (req, res) => {
+  try {
+    const file = await loadFile(req, res, 'write');
+    if (!file) return;
+
+    if (req.query.remote === 'true') {
+      await cancelRemotePin(file);
+    } else {
+      await unpinFile(file);
+    }
+    res.json(serializePinState(file, await isCidPinned(file.ipfsCid)));
+  } catch (err) {
+    console.error('Unpin error:', err.message);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Unpin failed', details: err.message });
+  }
+});
+
+// Pin-on-upload policies of the caller's drive
+router.get('/policies', async (req, res) => {
+  try {
+    const policies = await PinPolicy.findAll({ where: { userId: req.user.id }, order: [['folderPath', 'ASC']] });
+    res.json(policies.map(serializePolicy));
+  } catch (err) {
+    console.error('List pin policies error:', err.message);
+    res.status(500).json({ error: 'Failed to list pin policies', details: err.message });
+  }
+});
+
+/**
+ * Set the policy of a folder: { folderPath, pinLocal, pinRemote, applyToExisting }.
+ * The policy covers files uploaded into the folder or below it, unless a deeper
+ * folder has its own. With applyToExisting the files already there are pinned too.
+ */
+router.put('/policies', async (req, res) => {
+  try {
+    const { pinLocal = false, pinRemote = false, applyToExisting = false } = req.body;
+    if (!req.body.folderPath) {
+      return res.status(400).json({ error: 'folderPath is required' });
+    }
+    if (pinRemote && !isRemotePinningConfigured()) {
+      return res.status(400).json({ error: 'No remote pinning service is configured' });
+    }
+
+    const folderPath = normalizeMfsPath(req.body.folderPath);
+    const access = await resolvePathAccess(req.user, folderPath);
+    if (!hasPermission(access, 'write')) {
+      return res.status(403).json({ error: 'Access denied to this path' });
+    }
+
+    const [policy] = await PinPolicy.findOrCreate({
+      where: { userId: access.ownerId, folderPath },
+      defaults: { pinLocal, pinRemote, updatedBy: req.user.id }
+    });
+    await policy.update({ pinLocal: Boolean(pinLocal), pinRemote: Boolean(pinRemote), updatedBy: req.user.id, updatedAt: new Date() });
+
+    let applied = 0;
+    if (applyToExisting && (pinLocal || pinRemote)) {
+      const files = await File.findAll({
+        where: {
+          userId: access.ownerId,
+          isFolder: false,
+          deletedAt: null,
+          pathInDrive: { [Op.like]: belowPattern(folderPath) }
+        }
+      });
+      for (const file of files) {
+        await applyPinPolicy(file);
+      }
+      applied = files.length;
+    }
+
+    res.json({ policy: serializePolicy(policy), applied });
+  } catch (err) {
+    console.error('Set pin policy error:', err.message);
+    res.status(500).json({ error: 'Failed to set pin policy', details: err.message });
+  }
+});
+
+// Remove a folder policy. Pins already made are kept.
+router.delete('/policies/:id', async (req, res) => {
+  try {
+    const policy = await PinPolicy.findByPk(req.params.id);
+    const access = policy ? await resolvePathAccess(req.user, policy.folderPath) : null;
+    if (!policy || !hasPermission(access, 'write')) {
+      return res.status(404).json({ error: 'Pin policy not found' });
+    }
+
+    await policy.destroy();
+    res.json({ message: 'Pin policy removed', id: policy.id });
+  } catch (err) {
+    console.error('Delete pin policy error:', err.message);
+    res.status(500).json({ error: 'Failed to remove pin policy', details: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,276 @@
+import express from 'express';
+import crypto from 'crypto';
+import { sequelize, File, ShareLink } from '../models/index.js';
+import { resolveFileAccess, hasPermission } from '../services/access.js';
+import { sendFileRecord, archiveOptionsFrom } from '../services/download.js';
+import { isEncryptedPath } from '../services/encryption.js';
+import { logEvent } from '../services/activity.js';
+import { hashPassword, verifyPassword } from '../utils/passwords.js';
+
+// Authenticated management routes, mounted at /share-links
+const router = express.Router();
+
+// Public download routes, mounted at /s
+export const publicRouter = express.Router();
+
+const newToken = () => crypto.randomBytes(24).toString('base64url');
+
+const serializeLink = (link, req) => ({
+  id: link.id,
+  token: link.token,
+  url: `${req.protocol}://${req.get('host')}/s/${link.token}`,
+  fileId: link.fileId,
+  hasPassword: Boolean(link.passwordHash),
+  expiresAt: link.expiresAt,
+  maxDownloads: link.maxDownloads,
+  downloadCount: link.downloadCount,
+  revokedAt: link.revokedAt,
+  createdAt: link.createdAt
+});
+
+// Why a link can no longer be used, or null when it is still valid
+const linkUnavailableReason = (link) => {
+  if (link.revokedAt) return 'This link has been revoked';
+  if (link.expiresAt && link.expiresAt <= new Date()) return 'This link has expired';
+  if (link.maxDownloads !== null && link.downloadCount >= link.maxDownloads) return 'This link has reached its download limit';
+  return null;
+};
+
+// Create a link for a file or folder the caller can write to
+router.post('/', async (req, res) => {
+  try {
+    const { fileId, password, expiresAt, expiresInHours, maxDownloads } = req.body;
+
+    if (!fileId) {
+      return res.status(400).json({ error: 'fileId is required' });
+    }
+
+    const fileRecord = await File.findByPk(fileId);
+    if (!fileRecord) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    const access = await resolveFileAccess(req.user, fileRecord);
+    if (!hasPermission(access, 'write')) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    // Whoever opens a link has no key to decrypt with
+    if (fileRecord.encrypted || await isEncryptedPath(fileRecord.userId, fileRecord.pathInDrive)) {
+      return res.status(400).json({ error: 'Encrypted files and folders cannot be shared by link' });
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+    } else if (expiresInHours) {
+      expiry = new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000);
+    }
+    if (expiry && (Number.isNaN(expiry.getTime()) || expiry <= new Date())) {
+      return res.status(400).json({ error: 'Expiry must be a valid date in the future' });
+    }
+
+    if (maxDownloads !== undefined && maxDownloads !== null &&
+        (!Number.isInteger(Number(maxDownloads)) || Number(maxDownloads) < 1)) {
+      return res.status(400).json({ error: 'maxDownloads must be a positive integer' });
+    }
+
+    const link = await ShareLink.create({
+      token: newToken(),
+      fileId: fileRecord.id,
+      createdBy: req.user.id,
+      passwordHash: password ? await hashPassword(password) : null,
+      expiresAt: expiry,
+      maxDownloads: maxDownloads ? Number(maxDownloads) : null
+    });
+
+    await logEvent(req, {
+      action: 'share_link_create',
+      ownerId: fileRecord.userId,
+      path: fileRecord.pathInDrive,
+      fileId: fileRecord.id,
+      details: { linkId: link.id, expiresAt: expiry, maxDownloads: link.maxDownloads, passwordProtected: Boolean(password) }
+    });
+    res.status(201).json({ message: 'Share link created', link: serializeLink(link, req) });
+  } catch (err) {
+    console.error('Create share link error:', err.message);
+    res.status(500).json({ error: 'Failed to create share link', details: err.message });
+  }
+});
+
+// Links the caller created, optionally for one file
+router.get('/', async (req, res) => {
+  try {
+    const where = { createdBy: req.user.id };
+    if (req.query.fileId) {
+      where.fileId = req.query.fileId;
+    }
+
+    const links = await ShareLink.findAll({ where, order: [['createdAt', 'DESC']] });
+    res.json({ links: links.map((link) => serializeLink(link, req)) });
+  } catch (err) {
+    console.error('List share links error:', err.message);
+    res.status(500).json({ error: 'Failed to list share links', details: err.message });
+  }
+});
+
+// Revoke a link. Revoked links stay listed so their download counts are kept.
+router.delete('/:id', async (req, res) => {
+  try {
+    const link = await ShareLink.findOne({ where: { id: req.params.id, createdBy: req.user.id } });
+    if (!link) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    if (!link.revokedAt) {
+      await link.update({ revokedAt: new Date() });
+      const file = await File.findByPk(link.fileId);
+      await logEvent(req, {
+        action: 'share_link_revoke',
+        ownerId: file?.userId ?? null,
+        path: file?.pathInDrive ?? null,
+        fileId: link.fileId,
+        details: { linkId: link.id }
+      });
+    }
+    res.json({ message: 'Share link revoked', link: serializeLink(link, req) });
+  } catch (err) {
+    console.error('Revoke share link error:', err.message);
+    res.status(500).json({ error: 'Failed to revoke share link', details: err.message });
+  }
+});
+
+// Load a link by token and check it is usable and (if needed) unlocked.
+// Sends the error response itself and returns null when access is refused.
+const openLink = async (req, res) => {
+  const link = await ShareLink.findOne({ where: { token: req.params.token }, include: [File] });
+  if (!link || !link.File || link.File.deletedAt) {
+    res.status(404).json({ error: 'Share link not found' });
+    return null;
+  }
+
+  const reason = linkUnavailableReason(link);
+  if (reason) {
+    res.status(410).json({ error: reason });
+    return null;
+  }
+
+  // Never from the query string, where it would end up in logs and browser history
+  if (link.passwordHash) {
+    const password = req.get('x-share-password') || req.body?.password;
+    if (!password) {
+      res.status(401).json({ error: 'This link is password protected', passwordRequired: true });
+      return null;
+    }
+    if (!(await verifyPassword(password, link.passwordHash))) {
+      res.status(403).json({ error: 'Incorrect password', passwordRequired: true });
+      return null;
+    }
+  }
+
+  return link;
+};
+
+// Metadata about a link, without counting a download
+publicRouter.get('/:token/info', async (req, res) => {
+  try {
+    const link = await ShareLink.findOne({ where: { token: req.params.token }, include: [File] });
+    if (!link || !link.File || link.File.deletedAt) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    const reason = linkUnavailableReason(link);
+    res.json({
+      available: !reason,
+      reason,
+      passwordRequired: Boolean(link.passwordHash),
+      fileName: link.File.fileName,
+      isFolder: link.File.isFolder,
+      fileSize: link.File.fileSize,
+      fileType: link.File.fileType,
+      expiresAt: link.expiresAt,
+      downloadsRemaining: link.maxDownloads === null ? null : Math.max(link.maxDownloads - link.downloadCount, 0)
+    });
+  } catch (err) {
+    console.error('Share link info error:', err.message);
+    res.status(500).json({ error: 'Failed to load share link', details: err.message });
+  }
+});
+
+/*
+ * Resuming a counted download must not count again, but a Range header alone proves
+ * nothing. Every counted file download gets its own ETag, signed with the link, the
+ * content and an expiry; a range request whose If-Range carries it continues that
+ * download. Archives and CAR files are built anew on every request and ignore Range,
+ * so those are always counted.
+ */
+const RESUME_WINDOW_MS = Number(process.env.SHARE_LINK_RESUME_HOURS || 6) * 60 * 60 * 1000;
+
+const resumeSignature = (link, expires) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`share-link-download:${link.id}:${link.File.ipfsCid}:${expires}`)
+  .digest('base64url');
+
+const downloadEtag = (link) => {
+  const expires = Date.now() + RESUME_WINDOW_MS;
+  return `"${link.File.ipfsCid}.${expires}.${resumeSignature(link, expires)}"`;
+};
+
+// Whether the request continues a download of the same content counted earlier
+const resumesCountedDownload = (req, link) => {
+  const match = /^"[^".]+\.(\d+)\.([\w-]+)"$/.exec(req.headers['if-range'] || '');
+  if (!req.headers.range || !match || Number(match[1]) <= Date.now()) return false;
+  const expected = Buffer.from(resumeSignature(link, match[1]));
+  const given = Buffer.from(match[2]);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+const downloadLink = async (req, res) => {
+  try {
+    const link = await openLink(req, res);
+    if (!link) return;
+    if (link.File.isFolder) {
+      archiveOptionsFrom(req.query);   // reject a bad ?format= before a download is counted
+    }
+
+    // HEAD requests send no content; resumed file downloads were counted already
+    const rangeable = !link.File.isFolder && req.query.format !== 'car';
+    const resumed = rangeable && resumesCountedDownload(req, link);
+    if (req.method === 'HEAD' || resumed) {
+      return await sendFileRecord(req, res, link.File, { etag: resumed ? req.headers['if-range'] : undefined });
+    }
+
+    // Claim a download slot atomically so concurrent requests cannot exceed the limit
+    const [claimed] = await sequelize.query(
+      `UPDATE share_links
+       SET "downloadCount" = "downloadCount" + 1
+       WHERE id = :id
+         AND "revokedAt" IS NULL
+         AND ("maxDownloads" IS NULL OR "downloadCount" < "maxDownloads")
+       RETURNING id`,
+      { replacements: { id: link.id } }
+    );
+    if (claimed.length === 0) {
+      return res.status(410).json({ error: 'This link has reached its download limit' });
+    }
+
+    await logEvent(req, {
+      action: 'share_link_download',
+      ownerId: link.File.userId,
+      path: link.File.pathInDrive,
+      fileId: link.File.id,
+      cidBefore: link.File.ipfsCid,
+      details: { linkId: link.id }
+    });
+    await sendFileRecord(req, res, link.File, { etag: rangeable ? downloadEtag(link) : undefined });
+  } catch (err) {
+    console.error('Share link download error:', err.message);
+    if (!res.headersSent) {
+      res.status(err.status || 500).json({ error: err.status ? err.message : 'Download failed', details: err.message });
+    }
+  }
+};
+
+// GET for plain links (or with an X-Share-Password header), POST for password forms
+publicRouter.get('/:token', downloadLink);
+publicRouter.post('/:token', express.urlencoded({ extended: false }), downloadLink);
+
+export default router;
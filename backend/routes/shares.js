@@ -0,0 +1,187 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { User, File, SharedFile } from '../models/index.js';
+import { hasEncryptedContent, revokeContentKeys } from '../services/encryption.js';
+import { logEvent } from '../services/activity.js';
+
+const router = express.Router();
+
+const PERMISSIONS = ['read', 'write'];
+
+// Look up the recipient by id, username or email
+const findRecipient = ({ userId, username, email }) => {
+  if (userId) return User.findByPk(userId);
+  if (username || email) {
+    return User.findOne({
+      where: { [Op.or]: [username && { username }, email && { email: email.toLowerCase() }].filter(Boolean) }
+    });
+  }
+  return null;
+};
+
+const serializeShare = (share, file, user) => ({
+  id: share.id,
+  permission: share.permission,
+  createdAt: share.created_at,
+  file: file && {
+    id: file.id,
+    fileName: file.fileName,
+    isFolder: file.isFolder,
+    pathInDrive: file.pathInDrive,
+    ipfsCid: file.ipfsCid,
+    fileType: file.fileType,
+    fileSize: file.fileSize
+  },
+  user: user && { id: user.id, username: user.username, email: user.email }
+});
+
+// Share a file or folder the caller owns with another user
+router.post('/', async (req, res) => {
+  try {
+    const { fileId, permission = 'read' } = req.body;
+
+    if (!fileId) {
+      return res.status(400).json({ error: 'fileId is required' });
+    }
+    if (!PERMISSIONS.includes(permission)) {
+      return res.status(400).json({ error: 'permission must be "read" or "write"' });
+    }
+
+    const fileRecord = await File.findByPk(fileId);
+    if (!fileRecord || fileRecord.userId !== req.user.id) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const recipient = await findRecipient(req.body);
+    if (!recipient) {
+      return res.status(404).json({ error: 'Recipient not found' });
+    }
+    if (recipient.id === req.user.id) {
+      return res.status(400).json({ error: 'Cannot share with yourself' });
+    }
+    // The keys of encrypted content are re-wrapped for the recipient afterwards (POST /encryption/keys)
+    const encrypted = await hasEncryptedContent(fileRecord.userId, fileRecord.pathInDrive);
+    if (encrypted && !recipient.publicKey) {
+      return res.status(400).json({ error: `${recipient.username} has not set up encryption yet` });
+    }
+
+    const [share, created] = await SharedFile.findOrCreate({
+      where: { file_id: fileRecord.id, shared_with: recipient.id },
+      defaults: { permission }
+    });
+    if (!created && share.permission !== permission) {
+      await share.update({ permission });
+    }
+    await logEvent(req, {
+      action: 'share',
+      ownerId: fileRecord.userId,
+      path: fileRecord.pathInDrive,
+      fileId: fileRecord.id,
+      details: { shareId: share.id, recipientId: recipient.id, permission }
+    });
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Shared successfully' : 'Share updated',
+      share: serializeShare(share, fileRecord, recipient),
+      encrypted
+    });
+  } catch (err) {
+    console.error('Share error:', err.message);
+    res.status(500).json({ error: 'Share failed', details: err.message });
+  }
+});
+
+// Everything other users have shared with the caller
+router.get('/with-me', async (req, res) => {
+  try {
+    const shares = await SharedFile.findAll({
+      where: { shared_with: req.user.id },
+      include: [{ model: File, required: true, include: [{ model: User }] }],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      shares: shares.map((share) => serializeShare(share, share.File, share.File.User))
+    });
+  } catch (err) {
+    console.error('List shared-with-me error:', err.message);
+    res.status(500).json({ error: 'Failed to list shares', details: err.message });
+  }
+});
+
+// Everything the caller has shared with other users
+router.get('/by-me', async (req, res) => {
+  try {
+    const shares = await SharedFile.findAll({
+      include: [
+        { model: File, required: true, where: { userId: req.user.id } },
+        { model: User, as: 'recipient' }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      shares: shares.map((share) => serializeShare(share, share.File, share.recipient))
+    });
+  } catch (err) {
+    console.error('List shared-by-me error:', err.message);
+    res.status(500).json({ error: 'Failed to list shares', details: err.message });
+  }
+});
+
+// Change the permission of an existing share (owner only)
+router.patch('/:id', async (req, res) => {
+  try {
+    const { permission } = req.body;
+    if (!PERMISSIONS.includes(permission)) {
+      return res.status(400).json({ error: 'permission must be "read" or "write"' });
+    }
+
+    const share = await SharedFile.findByPk(req.params.id, { include: [File] });
+    if (!share || share.File.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+
+    await share.update({ permission });
+    await logEvent(req, {
+      action: 'share',
+      ownerId: share.File.userId,
+      path: share.File.pathInDrive,
+      fileId: share.File.id,
+      details: { shareId: share.id, recipientId: share.shared_with, permission }
+    });
+    res.json({ message: 'Permission updated', share: serializeShare(share, share.File, null) });
+  } catch (err) {
+    console.error('Update share error:', err.message);
+    res.status(500).json({ error: 'Failed to update share', details: err.message });
+  }
+});
+
+// Revoke a share. The owner can revoke it, and the recipient can leave it.
+router.delete('/:id', async (req, res) => {
+  try {
+    const share = await SharedFile.findByPk(req.params.id, { include: [File] });
+    if (!share || (share.File.userId !== req.user.id && share.shared_with !== req.user.id)) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+
+    await share.destroy();
+    const recipient = await User.findByPk(share.shared_with);
+    if (recipient) {
+      await revokeContentKeys({ recipient, ownerId: share.File.userId, mfsPath: share.File.pathInDrive });
+    }
+    await logEvent(req, {
+      action: 'unshare',
+      ownerId: share.File.userId,
+      path: share.File.pathInDrive,
+      fileId: share.File.id,
+      details: { shareId: share.id, recipientId: share.shared_with }
+    });
+    res.json({ message: 'Share revoked', id: share.id });
+  } catch (err) {
+    console.error('Revoke share error:', err.message);
+    res.status(500).json({ error: 'Failed to revoke share', details: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,82 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import ipfs from '../ipfs.js';
+import { File } from '../models/index.js';
+import { resolveFileAccess, hasPermission } from '../services/access.js';
+import { requireLinkAuth } from '../middleware/auth.js';
+import { streamToResponse } from '../services/download.js';
+
+// Thumbnails of files, mounted at /thumbnail
+const router = express.Router();
+
+const ONE_YEAR = 365 * 24 * 60 * 60;
+
+// ?size=small (default) serves the thumbnail, ?size=large the preview
+const renderingCid = (file, size) => (size === 'large' ? file.previewCid : file.thumbnailCid);
+
+/**
+ * Send a rendering. Its CID is the ETag; when the URL names the exact rendering
+ * (?v=<thumbnailCid>) it can never change, so browsers may cache it for a year.
+ */
+const sendRendering = async (req, res, cid, cacheControl) => {
+  const etag = `"${cid}"`;
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', cacheControl);
+  res.setHeader('Content-Type', 'image/webp');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  if (req.headers['if-none-match'] === etag) {
+    return res.status(304).end();
+  }
+  await streamToResponse(ipfs.cat(cid), res);
+};
+
+const notReady = (res, file) => res.status(404).json({
+  error: 'No thumbnail for this file',
+  thumbnailStatus: file?.thumbnailStatus ?? null
+});
+
+// By content CID, for the retrieve panel. Only the caller's own files are looked at,
+// so this cannot be used to find out whether someone else stored a CID.
+router.get('/cid/:cid', requireLinkAuth('thumbnail', (req) => req.params.cid), async (req, res) => {
+  try {
+    const file = await File.findOne({
+      where: { userId: req.user.id, ipfsCid: req.params.cid, thumbnailStatus: 'ready', isFolder: { [Op.not]: true } }
+    });
+    const cid = file && renderingCid(file, req.query.size);
+    if (!cid) return notReady(res, null);
+
+    // Content addressed on both ends, so the answer for a CID does not change
+    await sendRendering(req, res, cid, `private, max-age=${ONE_YEAR}, immutable`);
+  } catch (err) {
+    console.error('Thumbnail error:', err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to load thumbnail', details: err.message });
+    }
+  }
+});
+
+router.get('/:id', requireLinkAuth('thumbnail', (req) => req.params.id), async (req, res) => {
+  try {
+    const file = await File.findByPk(req.params.id);
+    if (!file || file.isFolder) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    const access = await resolveFileAccess(req.user, file);
+    if (!hasPermission(access, 'read')) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const cid = file.thumbnailStatus === 'ready' ? renderingCid(file, req.query.size) : null;
+    if (!cid) return notReady(res, file);
+
+    const versioned = req.query.v && req.query.v === file.thumbnailCid;
+    await sendRendering(req, res, cid, versioned ? `private, max-age=${ONE_YEAR}, immutable` : 'private, no-cache');
+  } catch (err) {
+    console.error('Thumbnail error:', err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to load thumbnail', details: err.message });
+    }
+  }
+});
+
+export default router;
@@ -0,0 +1,89 @@
+import express from 'express';
+import { TrashItem } from '../models/index.js';
+import { restoreFromTrash, deletePermanently, TRASH_RETENTION_DAYS } from '../services/trash.js';
+import { logEvent } from '../services/activity.js';
+
+const router = express.Router();
+
+const serializeItem = (item) => ({
+  id: item.id,
+  fileName: item.fileName,
+  isFolder: item.isFolder,
+  fileSize: item.fileSize,
+  ipfsCid: item.ipfsCid,
+  originalPath: item.originalPath,
+  deletedBy: item.deletedBy,
+  deletedAt: item.deletedAt,
+  purgeAt: new Date(new Date(item.deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+});
+
+// Load a trash entry of the caller's drive. Sends a 404 and returns null otherwise.
+const loadItem = async (req, res) => {
+  const item = await TrashItem.findOne({ where: { id: req.params.id, userId: req.user.id } });
+  if (!item) {
+    res.status(404).json({ error: 'Trash item not found' });
+    return null;
+  }
+  return item;
+};
+
+// List the caller's recycle bin, newest first
+router.get('/', async (req, res) => {
+  try {
+    const items = await TrashItem.findAll({
+      where: { userId: req.user.id },
+      order: [['deletedAt', 'DESC']]
+    });
+    res.json({ retentionDays: TRASH_RETENTION_DAYS, items: items.map(serializeItem) });
+  } catch (err) {
+    console.error('List trash error:', err.message);
+    res.status(500).json({ error: 'Failed to list trash', details: err.message });
+  }
+});
+
+// Restore an item to its original location
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const item = await loadItem(req, res);
+    if (!item) return;
+
+    await restoreFromTrash(item);
+    await logEvent(req, { action: 'restore', ownerId: item.userId, path: item.originalPath, cidAfter: item.ipfsCid });
+    res.json({ message: `${item.isFolder ? 'Folder' : 'File'} restored`, path: item.originalPath });
+  } catch (err) {
+    console.error('Restore error:', err.message);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Restore failed', details: err.message });
+  }
+});
+
+// Permanently delete a single item
+router.delete('/:id', async (req, res) => {
+  try {
+    const item = await loadItem(req, res);
+    if (!item) return;
+
+    await deletePermanently(item);
+    await logEvent(req, { action: 'purge', ownerId: item.userId, path: item.originalPath, cidBefore: item.ipfsCid });
+    res.json({ message: 'Deleted permanently', id: item.id });
+  } catch (err) {
+    console.error('Permanent delete error:', err.message);
+    res.status(500).json({ error: 'Permanent delete failed', details: err.message });
+  }
+});
+
+// Empty the whole recycle bin
+router.delete('/', async (req, res) => {
+  try {
+    const items = await TrashItem.findAll({ where: { userId: req.user.id } });
+    for (const item of items) {
+      await deletePermanently(item);
+      await logEvent(req, { action: 'purge', ownerId: item.userId, path: item.originalPath, cidBefore: item.ipfsCid });
+    }
+    res.json({ message: 'Trash emptied', deleted: items.length });
+  } catch (err) {
+    console.error('Empty trash error:', err.message);
+    res.status(500).json({ error: 'Failed to empty trash', details: err.message });
+  }
+});
+
+export default router;
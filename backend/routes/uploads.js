@@ -0,0 +1,341 @@
+import express from 'express';
+import { UploadSession } from '../models/index.js';
+import ipfs from '../ipfs.js';
+import { resolvePathAccess, hasPermission } from '../services/access.js';
+import { ensureDir, moveReplacing } from '../services/drive.js';
+import { recordUpload } from '../services/versions.js';
+import { checkQuota, quotaExceededBody } from '../services/quota.js';
+import { isEncryptedPath } from '../services/encryption.js';
+import { logEvent } from '../services/activity.js';
+import { HttpError } from '../utils/errors.js';
+import { detectContentType, SNIFF_BYTES } from '../utils/contentType.js';
+import { userRootPath, normalizeMfsPath, isValidName, UPLOAD_STAGING_ROOT } from '../utils/paths.js';
+
+/*
+ * Resumable uploads, modelled on the tus protocol:
+ *
+ *   POST   /uploads       create a session  -> 201, Location + Upload-Offset: 0
+ *   HEAD   /uploads/:id   current offset    -> Upload-Offset / Upload-Length
+ *   PATCH  /uploads/:id   append a chunk    -> 204 + Upload-Offset, or 200 + file once complete
+ *   DELETE /uploads/:id   abort the upload
+ *
+ * Chunks are streamed straight into a staging file in MFS with `ipfs.files.write`
+ * at the session offset, so nothing is buffered in the backend. The staging file's
+ * size is the source of truth for the offset, which makes an interrupted PATCH
+ * resumable from wherever Kubo actually got to.
+ */
+
+const router = express.Router();
+
+const SESSION_TTL_HOURS = Number(process.env.UPLOAD_SESSION_TTL_HOURS || 24);
+const MAX_UPLOAD_SIZE = process.env.MAX_UPLOAD_SIZE ? Number(process.env.MAX_UPLOAD_SIZE) : null;
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+// Sessions with a PATCH in flight; a second concurrent PATCH would corrupt the offset
+const activeSessions = new Set();
+
+const setOffsetHeaders = (res, session) => {
+  res.setHeader('Upload-Offset', String(session.uploadOffset));
+  res.setHeader('Upload-Length', String(session.totalSize));
+  res.setHeader('Cache-Control', 'no-store');
+};
+
+const serializeSession = (session) => ({
+  id: session.id,
+  fileName: session.fileName,
+  fileType: session.fileType,
+  totalSize: Number(session.totalSize),
+  uploadOffset: Number(session.uploadOffset),
+  targetPath: session.targetPath,
+  status: session.status,
+  fileId: session.fileId,
+  expiresAt: session.expiresAt
+});
+
+// Load a pending session owned by the caller. Sends the error response and returns null otherwise.
+const loadSession = async (req, res) => {
+  const session = await UploadSession.findOne({ where: { id: req.params.id, userId: req.user.id } });
+  if (!session) {
+    res.status(404).json({ error: 'Upload session not found' });
+    return null;
+  }
+  if (session.status !== 'pending') {
+    res.status(410).json({ error: `Upload session is ${session.status}`, session: serializeSession(session) });
+    return null;
+  }
+  if (session.expiresAt <= new Date()) {
+    await abortSession(session);
+    res.status(410).json({ error: 'Upload session has expired' });
+    return null;
+  }
+  return session;
+};
+
+// Yield the request body, refusing to write past the declared upload length
+async function* limitBody(stream, maxBytes) {
+  let received = 0;
+  for await (const chunk of stream) {
+    received += chunk.length;
+    if (received > maxBytes) {
+      throw new HttpError(413, 'Chunk exceeds declared upload length');
+    }
+    yield chunk;
+  }
+}
+
+// Remove the staging file and mark the session aborted
+export const abortSession = async (session) => {
+  try {
+    await ipfs.files.rm(session.stagingPath, { recursive: true });
+  } catch (rmErr) {
+    console.warn(`Could not remove staging file ${session.stagingPath}:`, rmErr.message);
+  }
+  await session.update({ status: 'aborted', updatedAt: new Date() });
+};
+
+// The first bytes of a staging file, enough to sniff its type
+const readHead = async (mfsPath) => {
+  const chunks = [];
+  for await (const chunk of ipfs.files.read(mfsPath, { length: SNIFF_BYTES })) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Check again, before a finished upload lands in the drive, what was checked when the
+ * session was created: the share may have been revoked, the folder encrypted or the
+ * quota lowered meanwhile. A refused session is aborted. Sends the error response and
+ * returns false in that case.
+ */
+const mayComplete = async (req, res, session) => {
+  const access = await resolvePathAccess(req.user, session.targetPath);
+  let refusal = null;
+  if (!hasPermission(access, 'write') || access.ownerId !== session.ownerId) {
+    refusal = [403, { error: 'Access denied to this path' }];
+  } else if (await isEncryptedPath(session.ownerId, session.targetPath)) {
+    refusal = [400, { error: 'This folder is encrypted, files have to be encrypted in the browser before upload' }];
+  } else {
+    const totalSize = Number(session.totalSize);
+    const quota = await checkQuota(session.ownerId, totalSize, { reserved: totalSize });
+    if (!quota.allowed) refusal = [413, quotaExceededBody(quota)];
+  }
+  if (!refusal) return true;
+
+  await abortSession(session);
+  res.status(refusal[0]).json({ ...refusal[1], session: serializeSession(session) });
+  return false;
+};
+
+// Move the finished staging file into the drive and record it in the files table.
+// The type the client declared when starting the session is replaced by the sniffed one.
+const completeSession = async (req, session) => {
+  const fileMfsPath = `${session.targetPath}/${session.fileName}`.replace(/\/+/g, '/');
+  const fileType = detectContentType(await readHead(session.stagingPath), session.fileName);
+
+  await ensureDir(session.targetPath);
+  await moveReplacing(session.stagingPath, fileMfsPath);
+
+  const stats = await ipfs.files.stat(fileMfsPath);
+  const cidStr = stats.cid.toString();
+  console.log(`Resumable upload ${session.id} completed at ${fileMfsPath} with CID: ${cidStr}`);
+
+  const { file: dbRecord, version, previousCid } = await recordUpload({
+    ownerId: session.ownerId,
+    uploadedBy: session.userId,
+    fileName: session.fileName,
+    fileType,
+    fileSize: session.totalSize,
+    cid: cidStr,
+    mfsPath: fileMfsPath,
+    parentPath: session.targetPath
+  });
+
+  await session.update({ status: 'completed', fileId: dbRecord.id, updatedAt: new Date() });
+  await logEvent(req, {
+    action: 'upload',
+    ownerId: session.ownerId,
+    path: fileMfsPath,
+    fileId: dbRecord.id,
+    cidBefore: previousCid,
+    cidAfter: cidStr,
+    details: { version: version.versionNumber, uploadSessionId: session.id }
+  });
+  return { cid: cidStr, mfsPath: fileMfsPath, file: dbRecord };
+};
+
+// Create an upload session
+router.post('/', async (req, res) => {
+  try {
+    const { fileName, fileType = null } = req.body;
+    const totalSize = Number(req.body.fileSize ?? req.get('Upload-Length'));
+
+    if (!isValidName(fileName)) {
+      return res.status(400).json({ error: 'A valid fileName is required' });
+    }
+    if (!Number.isInteger(totalSize) || totalSize < 0) {
+      return res.status(400).json({ error: 'fileSize must be a non-negative integer' });
+    }
+    if (MAX_UPLOAD_SIZE && totalSize > MAX_UPLOAD_SIZE) {
+      return res.status(413).json({ error: `File exceeds the maximum upload size of ${MAX_UPLOAD_SIZE} bytes` });
+    }
+
+    const targetPath = normalizeMfsPath((req.body.currentPath || userRootPath(req.user.id)).trim());
+    const access = await resolvePathAccess(req.user, targetPath);
+    if (!hasPermission(access, 'write')) {
+      return res.status(403).json({ error: 'Access denied to this path' });
+    }
+    // Encrypted uploads go through /fileUpload together with their wrapped keys
+    if (await isEncryptedPath(access.ownerId, targetPath)) {
+      return res.status(400).json({ error: 'This folder is encrypted, files have to be encrypted in the browser before upload' });
+    }
+    // The declared size is reserved against the quota for as long as the session is pending
+    const quota = await checkQuota(access.ownerId, totalSize);
+    if (!quota.allowed) {
+      return res.status(413).json(quotaExceededBody(quota));
+    }
+
+    const session = UploadSession.build({
+      userId: req.user.id,
+      ownerId: access.ownerId,
+      fileName,
+      fileType,
+      totalSize,
+      targetPath,
+      expiresAt: new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000)
+    });
+    session.stagingPath = `${UPLOAD_STAGING_ROOT}/${session.id}`;
+
+    // Start with an empty staging file so HEAD/stat work before the first chunk
+    await ipfs.files.write(session.stagingPath, new Uint8Array(0), { create: true, parents: true });
+    await session.save();
+
+    let result = null;
+    if (totalSize === 0) {
+      result = await completeSession(req, session);
+    }
+
+    res.setHeader('Location', `${req.baseUrl}/${session.id}`);
+    setOffsetHeaders(res, session);
+    res.status(201).json({ session: serializeSession(session), ...(result && { data: result }) });
+  } catch (err) {
+    console.error('Create upload session error:', err.message);
+    res.status(500).json({ error: 'Failed to create upload session', details: err.message });
+  }
+});
+
+// Current offset, for resuming after a disconnect
+router.head('/:id', async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({ where: { id: req.params.id, userId: req.user.id } });
+    if (!session) {
+      return res.status(404).end();
+    }
+    if (session.status !== 'pending') {
+      return res.status(410).end();
+    }
+    setOffsetHeaders(res, session);
+    res.status(200).end();
+  } catch (err) {
+    console.error('Upload session head error:', err.message);
+    res.status(500).end();
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({ where: { id: req.params.id, userId: req.user.id } });
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    setOffsetHeaders(res, session);
+    res.json({ session: serializeSession(session) });
+  } catch (err) {
+    console.error('Get upload session error:', err.message);
+    res.status(500).json({ error: 'Failed to load upload session', details: err.message });
+  }
+});
+
+// Append a chunk at Upload-Offset
+router.patch('/:id', async (req, res) => {
+  if (!req.is(CHUNK_CONTENT_TYPE)) {
+    return res.status(415).json({ error: `Content-Type must be ${CHUNK_CONTENT_TYPE}` });
+  }
+  if (activeSessions.has(req.params.id)) {
+    return res.status(423).json({ error: 'Another chunk is already being written to this upload' });
+  }
+
+  activeSessions.add(req.params.id);
+  let session;
+  try {
+    session = await loadSession(req, res);
+    if (!session) return;
+
+    const clientOffset = Number(req.get('Upload-Offset'));
+    const serverOffset = Number(session.uploadOffset);
+    if (clientOffset !== serverOffset) {
+      setOffsetHeaders(res, session);
+      return res.status(409).json({ error: 'Upload-Offset does not match the server offset', uploadOffset: serverOffset });
+    }
+
+    const remaining = Number(session.totalSize) - serverOffset;
+    let writeError = null;
+    try {
+      await ipfs.files.write(session.stagingPath, limitBody(req, remaining), { offset: serverOffset });
+    } catch (err) {
+      writeError = err;
+    }
+
+    // Whatever Kubo actually stored is the new offset, even after a failed or aborted chunk
+    const stats = await ipfs.files.stat(session.stagingPath);
+    await session.update({ uploadOffset: Math.min(stats.size, Number(session.totalSize)), updatedAt: new Date() });
+    setOffsetHeaders(res, session);
+
+    if (writeError) {
+      console.error(`Chunk write for upload ${session.id} failed:`, writeError.message);
+      if (!res.headersSent && !req.destroyed) {
+        res.status(writeError.status || 500).json({ error: 'Chunk upload failed', details: writeError.message, uploadOffset: Number(session.uploadOffset) });
+      }
+      return;
+    }
+
+    if (Number(session.uploadOffset) < Number(session.totalSize)) {
+      return res.status(204).end();
+    }
+
+    if (!(await mayComplete(req, res, session))) return;
+    const result = await completeSession(req, session);
+    res.json({
+      status: 'success',
+      message: 'File uploaded to IPFS and metadata saved in DB',
+      session: serializeSession(session),
+      data: result
+    });
+  } catch (err) {
+    console.error('Upload chunk error:', err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Chunk upload failed', details: err.message });
+    }
+  } finally {
+    activeSessions.delete(req.params.id);
+  }
+});
+
+// Abort an upload and discard what was staged
+router.delete('/:id', async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({ where: { id: req.params.id, userId: req.user.id } });
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    if (session.status === 'pending') {
+      await abortSession(session);
+    }
+    res.json({ message: 'Upload aborted', session: serializeSession(session) });
+  } catch (err) {
+    console.error('Abort upload error:', err.message);
+    res.status(500).json({ error: 'Failed to abort upload', details: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,97 @@
+import express from 'express';
+import { sequelize } from '../models/index.js';
+import ipfs from '../ipfs.js';
+import { storageUsed, quotaOf } from '../services/quota.js';
+import { isNotFoundError } from '../services/drive.js';
+import { userRootPath, belowPattern } from '../utils/paths.js';
+
+// Storage usage of the caller's drive, mounted at /usage
+const router = express.Router();
+
+const TOP_FOLDER_LIMIT = 10;
+
+// Cumulative size Kubo reports for an MFS path, or null when it is missing
+const mfsCumulativeSize = async (mfsPath) => {
+  try {
+    const stat = await ipfs.files.stat(mfsPath);
+    return Number(stat.cumulativeSize);
+  } catch (err) {
+    if (isNotFoundError(err)) return null;
+    throw err;
+  }
+};
+
+/**
+ * Bytes used against the quota, broken down by category, by file type and by the
+ * largest top-level folders. The totals come from fileSize in the files table and
+ * are compared with the cumulative sizes Kubo reports for the same folders; those
+ * include UnixFS overhead, so a small positive `drift` is expected.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const ownerId = req.user.id;
+    const root = userRootPath(ownerId);
+    const limit = quotaOf(req.user);
+    const { used, breakdown } = await storageUsed(ownerId);
+
+    const [byType] = await sequelize.query(
+      `SELECT COALESCE(NULLIF("fileType", ''), 'unknown') AS "fileType",
+              SUM("fileSize") AS bytes,
+              COUNT(*) AS count
+       FROM files
+       WHERE "userId" = :ownerId AND "deletedAt" IS NULL AND "isFolder" IS NOT TRUE
+       GROUP BY 1
+       ORDER BY bytes DESC`,
+      { replacements: { ownerId } }
+    );
+
+    const [topFolders] = await sequelize.query(
+      `SELECT SPLIT_PART(SUBSTRING("pathInDrive" FROM :rootLength + 2), '/', 1) AS name,
+              SUM("fileSize") AS bytes,
+              COUNT(*) AS count
+       FROM files
+       WHERE "userId" = :ownerId AND "deletedAt" IS NULL AND "isFolder" IS NOT TRUE
+         AND "pathInDrive" LIKE :rootPrefix AND "parentPath" <> :root
+       GROUP BY 1
+       ORDER BY bytes DESC
+       LIMIT :limit`,
+      { replacements: { ownerId, root, rootLength: root.length, rootPrefix: belowPattern(root), limit: TOP_FOLDER_LIMIT } }
+    );
+
+    const folders = [];
+    for (const folder of topFolders) {
+      const path = `${root}/${folder.name}`;
+      const bytes = Number(folder.bytes);
+      const mfsSize = await mfsCumulativeSize(path);
+      folders.push({
+        path,
+        bytes,
+        count: Number(folder.count),
+        mfsCumulativeSize: mfsSize,
+        drift: mfsSize === null ? null : mfsSize - bytes
+      });
+    }
+
+    // The drive root includes the recycle bin, so it is compared with active + trash
+    const rootMfsSize = await mfsCumulativeSize(root);
+    const stored = breakdown.active + breakdown.trash;
+
+    res.json({
+      quota: limit,
+      used,
+      available: limit === null ? null : Math.max(limit - used, 0),
+      breakdown,
+      byType: byType.map((row) => ({ fileType: row.fileType, bytes: Number(row.bytes), count: Number(row.count) })),
+      topFolders: folders,
+      mfs: {
+        cumulativeSize: rootMfsSize,
+        drift: rootMfsSize === null ? null : rootMfsSize - stored
+      }
+    });
+  } catch (err) {
+    console.error('Usage error:', err.message);
+    res.status(500).json({ error: 'Failed to compute usage', details: err.message });
+  }
+});
+
+export default router;
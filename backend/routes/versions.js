@@ -0,0 +1,175 @@
+import express from 'express';
+import ipfs from '../ipfs.js';
+import { File, FileVersion, User } from '../models/index.js';
+import { resolveFileAccess, hasPermission } from '../services/access.js';
+import { sendRanged } from '../services/download.js';
+import { restoreVersion, pruneVersions } from '../services/versions.js';
+import { logEvent } from '../services/activity.js';
+import { setContentHeaders } from '../utils/contentType.js';
+import { startsNewDownload } from '../utils/httpRange.js';
+
+// Version history of files, mounted at /versions
+const router = express.Router();
+
+const serializeVersion = (version, isCurrent) => ({
+  id: version.id,
+  versionNumber: version.versionNumber,
+  ipfsCid: version.ipfsCid,
+  fileSize: version.fileSize,
+  fileType: version.fileType,
+  uploadedBy: version.uploader
+    ? { id: version.uploader.id, username: version.uploader.username }
+    : version.uploadedBy,
+  createdAt: version.createdAt,
+  isCurrent
+});
+
+/**
+ * Load a file the caller has at least `required` permission on.
+ * Sends a 404 and returns null otherwise, so files of other drives are not revealed.
+ */
+const loadFile = async (req, res, required) => {
+  const file = await File.findByPk(req.params.fileId);
+  if (!file || file.isFolder) {
+    res.status(404).json({ error: 'File not found' });
+    return null;
+  }
+  const access = await resolveFileAccess(req.user, file);
+  if (!hasPermission(access, 'read')) {
+    res.status(404).json({ error: 'File not found' });
+    return null;
+  }
+  if (!hasPermission(access, required)) {
+    res.status(403).json({ error: 'Write access is required' });
+    return null;
+  }
+  return file;
+};
+
+const loadVersion = async (req, res, file) => {
+  const version = await FileVersion.findOne({ where: { id: req.params.versionId, fileId: file.id } });
+  if (!version) {
+    res.status(404).json({ error: 'Version not found' });
+    return null;
+  }
+  return version;
+};
+
+// List every version of a file, newest first
+router.get('/:fileId', async (req, res) => {
+  try {
+    const file = await loadFile(req, res, 'read');
+    if (!file) return;
+
+    const versions = await FileVersion.findAll({
+      where: { fileId: file.id },
+      include: [{ model: User, as: 'uploader', attributes: ['id', 'username'] }],
+      order: [['versionNumber', 'DESC']]
+    });
+    res.json({
+      fileId: file.id,
+      fileName: file.fileName,
+      versions: versions.map((version, index) => serializeVersion(version, index === 0))
+    });
+  } catch (err) {
+    console.error('List versions error:', err.message);
+    res.status(500).json({ error: 'Failed to list versions', details: err.message });
+  }
+});
+
+// Download the content of one version, streamed and range-aware
+router.get('/:fileId/:versionId/download', async (req, res) => {
+  try {
+    const file = await loadFile(req, res, 'read');
+    if (!file) return;
+    const version = await loadVersion(req, res, file);
+    if (!version) return;
+
+    if (startsNewDownload(req)) {
+      await logEvent(req, {
+        action: 'download',
+        ownerId: file.userId,
+        path: file.pathInDrive,
+        fileId: file.id,
+        cidBefore: version.ipfsCid,
+        details: { version: version.versionNumber }
+      });
+    }
+    setContentHeaders(res, { contentType: version.fileType, fileName: file.fileName });
+    await sendRanged(req, res, {
+      size: Number(version.fileSize),
+      cid: version.ipfsCid,
+      lastModified: version.createdAt,
+      read: ({ offset, length }) => ipfs.cat(version.ipfsCid, { offset, length })
+    });
+  } catch (err) {
+    console.error('Version download error:', err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Version download failed', details: err.message });
+    }
+  }
+});
+
+// Make an old version current again. The restore is itself recorded as a new version.
+router.post('/:fileId/:versionId/restore', async (req, res) => {
+  try {
+    const file = await loadFile(req, res, 'write');
+    if (!file) return;
+    const version = await loadVersion(req, res, file);
+    if (!version) return;
+
+    if (version.ipfsCid === file.ipfsCid) {
+      return res.status(409).json({ error: 'This version is already the current one' });
+    }
+
+    const cidBefore = file.ipfsCid;
+    const { file: updated, version: current } = await restoreVersion(file, version, req.user.id);
+    await logEvent(req, {
+      action: 'restore_version',
+      ownerId: updated.userId,
+      path: updated.pathInDrive,
+      fileId: updated.id,
+      cidBefore,
+      cidAfter: version.ipfsCid,
+      details: { restoredVersion: version.versionNumber, newVersion: current.versionNumber }
+    });
+    res.json({
+      message: `Version ${version.versionNumber} restored`,
+      file: updated,
+      version: serializeVersion(current, true)
+    });
+  } catch (err) {
+    console.error('Restore version error:', err.message);
+    res.status(500).json({ error: 'Failed to restore version', details: err.message });
+  }
+});
+
+// Delete old versions: { keep: <newest N to keep> } and/or { olderThanDays: <age> }
+router.post('/:fileId/prune', async (req, res) => {
+  try {
+    const { keep, olderThanDays } = req.body || {};
+    if (keep === undefined && olderThanDays === undefined) {
+      return res.status(400).json({ error: 'keep or olderThanDays is required' });
+    }
+    if (keep !== undefined && !(Number.isInteger(keep) && keep >= 1)) {
+      return res.status(400).json({ error: 'keep must be a positive integer' });
+    }
+    if (olderThanDays !== undefined && !(Number(olderThanDays) >= 0)) {
+      return res.status(400).json({ error: 'olderThanDays must be a non-negative number' });
+    }
+
+    const file = await loadFile(req, res, 'write');
+    if (!file) return;
+
+    const pruned = await pruneVersions(file, {
+      keep,
+      olderThanDays: olderThanDays !== undefined ? Number(olderThanDays) : undefined
+    });
+    res.json({ message: `Pruned ${pruned.length} version(s)`, pruned: pruned.map((v) => v.versionNumber) });
+  } catch (err) {
+    console.error('Prune versions error:', err.message);
+    res.status(500).json({ error: 'Failed to prune versions', details: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,79 @@
+import { sequelize } from '../models/index.js';
+import ipfs from '../ipfs.js';
+import { detectContentType, SNIFF_BYTES } from '../utils/contentType.js';
+
+/*
+ * Record sniffed content types for files and versions uploaded before uploads were
+ * sniffed, when the type came from the browser or was not stored at all.
+ *
+ *   npm run content-types:backfill            rows without a type
+ *   npm run content-types:backfill -- --all   detect every row again
+ *
+ * Encrypted files are skipped: their content is ciphertext.
+ */
+
+const all = process.argv.includes('--all');
+
+const readHead = async (cid) => {
+  const chunks = [];
+  for await (const chunk of ipfs.cat(cid, { length: SNIFF_BYTES })) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+try {
+  // Ordered by CID so each piece of content is read once, however many rows share it
+  const [rows] = await sequelize.query(
+    `SELECT 'files' AS "table", id, "ipfsCid", "fileName", "fileType"
+     FROM files
+     WHERE "isFolder" IS NOT TRUE
+       AND encrypted = false
+       ${all ? '' : 'AND "fileType" IS NULL'}
+     UNION ALL
+     SELECT 'file_versions' AS "table", v.id, v."ipfsCid", f."fileName", v."fileType"
+     FROM file_versions v
+     JOIN files f ON f.id = v."fileId"
+     WHERE f.encrypted = false
+       ${all ? '' : 'AND v."fileType" IS NULL'}
+     ORDER BY "ipfsCid"`
+  );
+  console.log(`${rows.length} row(s) to check`);
+
+  let updated = 0;
+  let failed = 0;
+  let head = null;
+  let headCid = null;
+  for (const row of rows) {
+    try {
+      if (headCid !== row.ipfsCid) {
+        headCid = row.ipfsCid;
+        head = null;
+        head = await readHead(row.ipfsCid);
+      }
+      if (!head) {
+        // Reading this CID failed already for an earlier row
+        failed += 1;
+        continue;
+      }
+
+      const fileType = detectContentType(head, row.fileName);
+      if (fileType !== row.fileType) {
+        await sequelize.query(`UPDATE ${row.table} SET "fileType" = :fileType WHERE id = :id`, {
+          replacements: { fileType, id: row.id }
+        });
+        updated += 1;
+      }
+    } catch (err) {
+      failed += 1;
+      console.error(`Failed to detect ${row.fileName} (${row.ipfsCid}):`, err.message);
+    }
+  }
+
+  console.log(`Updated ${updated}, unchanged ${rows.length - updated - failed}, failed ${failed}`);
+} catch (err) {
+  console.error('Backfill failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  await sequelize.close();
+}
@@ -0,0 +1,50 @@
+import { sequelize } from '../models/index.js';
+import { indexContent, pruneOrphanedContent } from '../services/searchIndex.js';
+
+/*
+ * Index the content of files uploaded before full-text search existed.
+ *
+ *   npm run search:backfill                 index every CID that has no entry yet
+ *   npm run search:backfill -- --reindex    extract everything again
+ *
+ * Entries whose CID no file uses any more are dropped at the end.
+ */
+
+const reindex = process.argv.includes('--reindex');
+
+try {
+  // One row per CID is enough: the index is keyed by content
+  const [pending] = await sequelize.query(
+    `SELECT DISTINCT ON (f."ipfsCid") f."ipfsCid", f."fileName", f."fileType", f."fileSize"
+     FROM files f
+     WHERE f."isFolder" IS NOT TRUE
+       AND f."deletedAt" IS NULL
+       AND f.encrypted = false
+       ${reindex ? '' : 'AND NOT EXISTS (SELECT 1 FROM file_contents c WHERE c."ipfsCid" = f."ipfsCid")'}
+     ORDER BY f."ipfsCid", f.id`
+  );
+  console.log(`${pending.length} file(s) to index`);
+
+  let indexed = 0;
+  let failed = 0;
+  for (const file of pending) {
+    try {
+      await indexContent(file, { force: reindex });
+      indexed += 1;
+    } catch (err) {
+      failed += 1;
+      console.error(`Failed to index ${file.fileName} (${file.ipfsCid}):`, err.message);
+    }
+    if ((indexed + failed) % 100 === 0) {
+      console.log(`${indexed + failed}/${pending.length}`);
+    }
+  }
+
+  const pruned = await pruneOrphanedContent();
+  console.log(`Indexed ${indexed}, failed ${failed}, pruned ${pruned} stale entr${pruned === 1 ? 'y' : 'ies'}`);
+} catch (err) {
+  console.error('Backfill failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  await sequelize.close();
+}
@@ -0,0 +1,51 @@
+import { sequelize } from '../models/index.js';
+import { generateThumbnails } from '../services/thumbnails.js';
+
+/*
+ * Make thumbnails for files uploaded before thumbnails existed.
+ *
+ *   npm run thumbnails:backfill                 files without a status, or whose rendering failed
+ *   npm run thumbnails:backfill -- --rerender   render every image and PDF again
+ */
+
+const rerender = process.argv.includes('--rerender');
+
+try {
+  // One row per CID is enough: every row with the same CID shares the rendering
+  const [pending] = await sequelize.query(
+    `SELECT DISTINCT ON ("ipfsCid") id, "ipfsCid", "fileName", "fileType", "fileSize"
+     FROM files
+     WHERE "isFolder" IS NOT TRUE
+       AND "deletedAt" IS NULL
+       AND encrypted = false
+       ${rerender ? `AND ("thumbnailStatus" IS NULL OR "thumbnailStatus" <> 'unsupported')` : `AND ("thumbnailStatus" IS NULL OR "thumbnailStatus" IN ('pending', 'failed'))`}
+     ORDER BY "ipfsCid", id`
+  );
+  console.log(`${pending.length} file(s) to render`);
+
+  let rendered = 0;
+  let skipped = 0;
+  let failed = 0;
+  for (const file of pending) {
+    try {
+      if (await generateThumbnails(file, { force: rerender })) rendered += 1;
+      else skipped += 1;
+    } catch (err) {
+      failed += 1;
+      console.error(`Failed to render ${file.fileName} (${file.ipfsCid}):`, err.message);
+      await sequelize.query(`UPDATE files SET "thumbnailStatus" = 'failed' WHERE "ipfsCid" = :cid`, {
+        replacements: { cid: file.ipfsCid }
+      });
+    }
+    if ((rendered + skipped + failed) % 100 === 0) {
+      console.log(`${rendered + skipped + failed}/${pending.length}`);
+    }
+  }
+
+  console.log(`Rendered ${rendered}, unsupported ${skipped}, failed ${failed}`);
+} catch (err) {
+  console.error('Backfill failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  await sequelize.close();
+}
@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import express from 'express';
+
+/*
+ * In-memory IPFS Pinning Service API server for local testing.
+ *
+ *   npm run mock-pinning
+ *   PINNING_SERVICE_ENDPOINT=http://localhost:5050 PINNING_SERVICE_TOKEN=mock-token npm start
+ *
+ * Requests go queued -> pinning -> pinned over MOCK_PIN_DELAY_MS. CIDs listed in
+ * MOCK_PIN_FAIL_CIDS (comma separated) end up failed instead. Nothing is fetched.
+ */
+
+const PORT = Number(process.env.MOCK_PINNING_PORT || 5050);
+const TOKEN = process.env.MOCK_PINNING_TOKEN || 'mock-token';
+const DELAY_MS = Number(process.env.MOCK_PIN_DELAY_MS || 5000);
+const FAIL_CIDS = new Set((process.env.MOCK_PIN_FAIL_CIDS || '').split(',').filter(Boolean));
+
+const pins = new Map();   // requestid -> { requestid, created, pin }
+
+const app = express();
+app.use(express.json());
+
+const sendError = (res, status, reason, details) => res.status(status).json({ error: { reason, details } });
+
+app.use((req, res, next) => {
+  if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+    return sendError(res, 401, 'UNAUTHORIZED', 'Missing or invalid access token');
+  }
+  next();
+});
+
+// Status is derived from the age of the request, so polling sees it progress
+const statusOf = (entry) => {
+  const age = Date.now() - entry.created.getTime();
+  if (age < DELAY_MS / 2) return 'queued';
+  if (age < DELAY_MS) return 'pinning';
+  return FAIL_CIDS.has(entry.pin.cid) ? 'failed' : 'pinned';
+};
+
+const toPinStatus = (entry) => ({
+  requestid: entry.requestid,
+  status: statusOf(entry),
+  created: entry.created.toISOString(),
+  pin: entry.pin,
+  delegates: [],
+  info: {}
+});
+
+const createEntry = (body) => {
+  const entry = {
+    requestid: crypto.randomUUID(),
+    created: new Date(),
+    pin: { cid: body.cid, name: body.name, origins: body.origins || [], meta: body.meta || {} }
+  };
+  pins.set(entry.requestid, entry);
+  return entry;
+};
+
+app.get('/pins', (req, res) => {
+  const cids = req.query.cid ? String(req.query.cid).split(',') : null;
+  const statuses = String(req.query.status || 'queued,pinning,pinned,failed').split(',');
+  const limit = Number(req.query.limit || 10);
+
+  const results = [...pins.values()]
+    .map(toPinStatus)
+    .filter((p) => (!cids || cids.includes(p.pin.cid)) && statuses.includes(p.status))
+    .filter((p) => !req.query.name || p.pin.name === req.query.name)
+    .sort((a, b) => b.created.localeCompare(a.created));
+  res.json({ count: results.length, results: results.slice(0, limit) });
+});
+
+app.post('/pins', (req, res) => {
+  if (!req.body?.cid) return sendError(res, 400, 'BAD_REQUEST', 'cid is required');
+  res.status(202).json(toPinStatus(createEntry(req.body)));
+});
+
+app.get('/pins/:requestid', (req, res) => {
+  const entry = pins.get(req.params.requestid);
+  if (!entry) return sendError(res, 404, 'NOT_FOUND', 'The specified resource was not found');
+  res.json(toPinStatus(entry));
+});
+
+// Replace: the old request goes away and a new one takes its place
+app.post('/pins/:requestid', (req, res) => {
+  if (!pins.has(req.params.requestid)) return sendError(res, 404, 'NOT_FOUND', 'The specified resource was not found');
+  if (!req.body?.cid) return sendError(res, 400, 'BAD_REQUEST', 'cid is required');
+  pins.delete(req.params.requestid);
+  res.status(202).json(toPinStatus(createEntry(req.body)));
+});
+
+app.delete('/pins/:requestid', (req, res) => {
+  if (!pins.delete(req.params.requestid)) return sendError(res, 404, 'NOT_FOUND', 'The specified resource was not found');
+  res.status(202).end();
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock pinning service on http://localhost:${PORT} (token: ${TOKEN})`);
+});
@@ -0,0 +1,26 @@
+import { sequelize } from '../models/index.js';
+import { reconcileAll } from '../services/reconcile.js';
+
+/*
+ * Compare the MFS tree with the files table and print the differences as JSON.
+ *
+ *   npm run reconcile                     report every drive
+ *   npm run reconcile -- --user 3         report one drive
+ *   npm run reconcile -- --repair         fix what was found
+ */
+
+const args = process.argv.slice(2);
+const userIndex = args.indexOf('--user');
+
+try {
+  const result = await reconcileAll({
+    repair: args.includes('--repair'),
+    userId: userIndex >= 0 ? args[userIndex + 1] : null
+  });
+  console.log(JSON.stringify(result, null, 2));
+} catch (err) {
+  console.error('Reconciliation failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  await sequelize.close();
+}
@@ -0,0 +1,46 @@
+import { Op } from 'sequelize';
+import { sequelize, User } from '../models/index.js';
+
+/*
+ * Set or clear a user's storage quota.
+ *
+ *   npm run set-quota -- <username|email|id> <bytes|default|unlimited>
+ *
+ * "default" falls back to DEFAULT_QUOTA_BYTES, "unlimited" stores 0.
+ */
+
+const [identifier, value] = process.argv.slice(2);
+if (!identifier || !value) {
+  console.error('Usage: npm run set-quota -- <username|email|id> <bytes|default|unlimited>');
+  process.exit(1);
+}
+
+let quotaBytes;
+if (value === 'default') quotaBytes = null;
+else if (value === 'unlimited') quotaBytes = 0;
+else if (/^\d+$/.test(value)) quotaBytes = Number(value);
+else {
+  console.error(`Invalid quota: ${value}`);
+  process.exit(1);
+}
+
+try {
+  const user = await User.findOne({
+    where: {
+      [Op.or]: [
+        { username: identifier },
+        { email: identifier },
+        ...(/^\d+$/.test(identifier) ? [{ id: Number(identifier) }] : [])
+      ]
+    }
+  });
+  if (!user) {
+    console.error(`No user matches ${identifier}`);
+    process.exitCode = 1;
+  } else {
+    await user.update({ quotaBytes });
+    console.log(`Quota of ${user.username} set to ${value}`);
+  }
+} finally {
+  await sequelize.close();
+}
@@ -0,0 +1,60 @@
+import { sequelize } from '../models/index.js';
+import { isWithinPath, trashRootPath, sqlIsBelow } from '../utils/paths.js';
+
+// Higher rank implies every lower permission
+const PERMISSION_RANK = { read: 1, write: 2, owner: 3 };
+
+// Extract the owning user id from a /users/<id>/... MFS path
+export const ownerIdFromPath = (mfsPath) => {
+  const match = /^\/users\/(\d+)(\/|$)/.exec(mfsPath || '');
+  return match ? Number(match[1]) : null;
+};
+
+// True when `access` grants at least the `required` permission
+export const hasPermission = (access, required) =>
+  Boolean(access?.permission) && PERMISSION_RANK[access.permission] >= PERMISSION_RANK[required];
+
+/**
+ * Work out what `user` may do with an MFS path.
+ * Owners get "owner"; everyone else gets the strongest permission of any share
+ * on the path itself or one of its ancestor folders, or null when nothing applies.
+ * The recycle bin is only reachable through the /trash routes, never directly.
+ * Returns { ownerId, permission, shareId }.
+ */
+export const resolvePathAccess = async (user, mfsPath) => {
+  const ownerId = ownerIdFromPath(mfsPath);
+  if (!ownerId) {
+    return { ownerId: null, permission: null, shareId: null };
+  }
+  if (isWithinPath(mfsPath, trashRootPath(ownerId))) {
+    return { ownerId, permission: null, shareId: null };
+  }
+  if (ownerId === user.id) {
+    return { ownerId, permission: 'owner', shareId: null };
+  }
+
+  const [shares] = await sequelize.query(
+    `SELECT s.id, s.permission
+     FROM shares s
+     JOIN files f ON f.id = s.file_id
+     WHERE s.shared_with = :userId
+       AND f."userId" = :ownerId
+       AND f."deletedAt" IS NULL
+       AND (f."pathInDrive" = :mfsPath OR ${sqlIsBelow(':mfsPath', 'f."pathInDrive"')})`,
+    { replacements: { userId: user.id, ownerId, mfsPath } }
+  );
+
+  const best = shares.reduce(
+    (acc, share) => (!acc || PERMISSION_RANK[share.permission] > PERMISSION_RANK[acc.permission] ? share : acc),
+    null
+  );
+  return { ownerId, permission: best?.permission || null, shareId: best?.id || null };
+};
+
+// Same as resolvePathAccess, for a row of the files table. Trashed rows are not accessible.
+export const resolveFileAccess = async (user, fileRecord) => {
+  if (fileRecord.deletedAt) {
+    return { ownerId: fileRecord.userId, permission: null, shareId: null };
+  }
+  return resolvePathAccess(user, fileRecord.pathInDrive);
+};
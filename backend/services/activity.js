@@ -0,0 +1,117 @@
+import { Op } from 'sequelize';
+import { ActivityEvent, User } from '../models/index.js';
+import { HttpError } from '../utils/errors.js';
+import { belowPattern } from '../utils/paths.js';
+import { publishChange } from './folderEvents.js';
+import { scheduleRepublish } from './ipns.js';
+
+/*
+ * Activity log. Routes record what a user did once it has succeeded; a failure to
+ * write the event is logged but never fails the operation itself. Events that change
+ * the drive are also pushed to clients watching the folders involved, and republish
+ * the IPNS names of published folders above them.
+ */
+
+export const ACTIONS = [
+  'upload', 'import', 'create_folder', 'rename', 'move', 'copy', 'delete', 'download', 'search',
+  'restore', 'purge', 'restore_version', 'share', 'unshare', 'share_link_create',
+  'share_link_revoke', 'share_link_download', 'publish_name', 'rotate_name', 'unpublish_name'
+];
+
+// Actions that change what a folder listing shows
+const CHANGE_ACTIONS = new Set(['upload', 'import', 'create_folder', 'rename', 'move', 'copy', 'delete', 'restore', 'restore_version']);
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+/**
+ * Record one event for the request's user and address. `ownerId` is the drive the
+ * action happened in; `details` holds whatever else is worth keeping for the action.
+ */
+export const logEvent = async (req, { action, ownerId = null, path = null, newPath = null, fileId = null, cidBefore = null, cidAfter = null, details = null }) => {
+  try {
+    await ActivityEvent.create({
+      actorId: req.user?.id ?? null,
+      ownerId,
+      action,
+      path,
+      newPath,
+      fileId,
+      cidBefore,
+      cidAfter,
+      ip: req.ip ?? null,
+      details
+    });
+  } catch (err) {
+    console.error(`Activity log error (${action}):`, err.message);
+  }
+  if (CHANGE_ACTIONS.has(action)) {
+    const actor = req.user ? { id: req.user.id, username: req.user.username } : null;
+    publishChange({ action, path, newPath, actor });
+    scheduleRepublish([path, newPath]);
+  }
+};
+
+const parseId = (value, name) => {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) {
+    throw new HttpError(400, `${name} must be an id`);
+  }
+  return id;
+};
+
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${name} must be a date`);
+  }
+  return date;
+};
+
+/**
+ * One page of events, newest first. `scope` limits what the viewer may see: either
+ * { ownerId, folder } for everything under a folder they can read, or { viewerId }
+ * for their own drive and their own actions anywhere. Filters: `actorId`, `actions`,
+ * `from` and `to` (dates), and `before`, the id of the last event of the previous page.
+ */
+export const listEvents = async (scope, { actorId, actions, from, to, before, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const where = [];
+  if (scope.folder) {
+    where.push({ ownerId: scope.ownerId });
+    where.push({
+      [Op.or]: [
+        { path: scope.folder },
+        { path: { [Op.like]: belowPattern(scope.folder) } },
+        { newPath: scope.folder },
+        { newPath: { [Op.like]: belowPattern(scope.folder) } }
+      ]
+    });
+  } else {
+    where.push({ [Op.or]: [{ ownerId: scope.viewerId }, { actorId: scope.viewerId }] });
+  }
+
+  if (actorId) where.push({ actorId: parseId(actorId, 'userId') });
+  if (actions?.length) {
+    const unknown = actions.find((action) => !ACTIONS.includes(action));
+    if (unknown) throw new HttpError(400, `Unknown action: ${unknown}`);
+    where.push({ action: { [Op.in]: actions } });
+  }
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+  if (fromDate) where.push({ createdAt: { [Op.gte]: fromDate } });
+  if (toDate) where.push({ createdAt: { [Op.lte]: toDate } });
+  if (before) where.push({ id: { [Op.lt]: parseId(before, 'before') } });
+
+  const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const events = await ActivityEvent.findAll({
+    where: { [Op.and]: where },
+    include: [{ model: User, as: 'actor', attributes: ['id', 'username'] }],
+    order: [['id', 'DESC']],
+    limit: pageSize + 1
+  });
+
+  const hasMore = events.length > pageSize;
+  const page = events.slice(0, pageSize);
+  return { events: page, nextCursor: hasMore ? page[page.length - 1].id : null };
+};
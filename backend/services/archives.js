@@ -0,0 +1,219 @@
+import path from 'path';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+import yauzl from 'yauzl';
+import tar from 'tar-stream';
+import { HttpError } from '../utils/errors.js';
+import { isValidName } from '../utils/paths.js';
+
+/*
+ * Reading uploaded zip, tar and tar.gz archives for "upload and extract". Entries are
+ * unpacked into memory, so the sizes below are enforced while decompressing rather
+ * than taken from the archive's own headers, which a zip bomb would lie about.
+ */
+
+export const MAX_ARCHIVE_ENTRIES = Number(process.env.ARCHIVE_MAX_ENTRIES || 10000);
+export const MAX_EXTRACTED_BYTES = Number(process.env.ARCHIVE_MAX_EXTRACTED_BYTES || 512 * 1024 * 1024);
+
+const ARCHIVE_EXTENSIONS = [
+  ['.tar.gz', 'tar.gz'],
+  ['.tgz', 'tar.gz'],
+  ['.tar', 'tar'],
+  ['.zip', 'zip']
+];
+
+// Archive format from the magic bytes, falling back to the file name; null when not an archive
+export const archiveFormatOf = (buffer, fileName = '') => {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) return 'zip';
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) return 'tar.gz';
+  if (buffer.length >= 262 && buffer.toString('latin1', 257, 262) === 'ustar') return 'tar';
+  const lower = fileName.toLowerCase();
+  return ARCHIVE_EXTENSIONS.find(([ext]) => lower.endsWith(ext))?.[1] || null;
+};
+
+// Name of the folder an archive extracts into: "photos.tar.gz" -> "photos"
+export const archiveBaseName = (fileName) => {
+  const lower = fileName.toLowerCase();
+  const ext = ARCHIVE_EXTENSIONS.find(([e]) => lower.endsWith(e))?.[0] || path.posix.extname(fileName);
+  return fileName.slice(0, fileName.length - ext.length) || fileName;
+};
+
+/**
+ * Entry name -> relative path, refusing anything that could land outside the target
+ * folder (zip slip): absolute paths, drive letters, ".." segments and names that are
+ * not valid in a drive. Returns null for entries that are only "./".
+ */
+const safeEntryPath = (name) => {
+  const normalized = name.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+    throw new HttpError(400, `Archive entry has an absolute path: ${name}`);
+  }
+  const segments = normalized.split('/').filter((segment) => segment !== '' && segment !== '.');
+  if (segments.length === 0) return null;
+  if (!segments.every(isValidName)) {
+    throw new HttpError(400, `Archive entry has an unsafe path: ${name}`);
+  }
+  return segments.join('/');
+};
+
+// Collects entries while enforcing the limits
+const createCollector = () => {
+  const files = [];
+  const directories = new Set();
+  let entries = 0;
+  let bytes = 0;
+  let skipped = 0;
+
+  const count = () => {
+    entries += 1;
+    if (entries > MAX_ARCHIVE_ENTRIES) {
+      throw new HttpError(413, `Archive has more than ${MAX_ARCHIVE_ENTRIES} entries`);
+    }
+  };
+
+  return {
+    addDirectory(name) {
+      count();
+      const relativePath = safeEntryPath(name);
+      if (relativePath) directories.add(relativePath);
+    },
+    // Reads the entry's stream, stopping as soon as the byte limit is crossed
+    async addFile(name, stream) {
+      count();
+      const relativePath = safeEntryPath(name);
+      const chunks = [];
+      for await (const chunk of stream) {
+        bytes += chunk.length;
+        if (bytes > MAX_EXTRACTED_BYTES) {
+          stream.destroy?.();
+          throw new HttpError(413, `Archive expands to more than ${MAX_EXTRACTED_BYTES} bytes`);
+        }
+        chunks.push(chunk);
+      }
+      if (relativePath) files.push({ relativePath, buffer: Buffer.concat(chunks) });
+    },
+    skip() {
+      count();
+      skipped += 1;
+    },
+    result: () => {
+      // Folders that also contain files are implied by the file paths
+      const implied = new Set(files.flatMap(({ relativePath }) => {
+        const segments = relativePath.split('/');
+        return segments.slice(1).map((_, i) => segments.slice(0, i + 1).join('/'));
+      }));
+      return {
+        files,
+        directories: [...directories].filter((dir) => !implied.has(dir)),
+        bytes,
+        skipped
+      };
+    }
+  };
+};
+
+const promisify = (fn) => (...args) => new Promise((resolve, reject) => {
+  fn(...args, (err, value) => (err ? reject(err) : resolve(value)));
+});
+
+const readZip = async (buffer, collector) => {
+  let zip;
+  try {
+    zip = await promisify(yauzl.fromBuffer)(buffer, { lazyEntries: true, validateEntrySizes: true });
+  } catch (err) {
+    throw new HttpError(400, `Not a valid zip archive: ${err.message}`);
+  }
+  const openReadStream = promisify(zip.openReadStream.bind(zip));
+
+  try {
+    await new Promise((resolve, reject) => {
+      zip.on('error', (err) => reject(new HttpError(400, `Corrupt zip archive: ${err.message}`)));
+      zip.on('end', resolve);
+      zip.on('entry', (entry) => {
+        (async () => {
+          if (entry.fileName.endsWith('/')) {
+            collector.addDirectory(entry.fileName);
+          } else if (entry.isEncrypted()) {
+            throw new HttpError(400, `Encrypted zip entries are not supported: ${entry.fileName}`);
+          } else {
+            await collector.addFile(entry.fileName, await openReadStream(entry));
+          }
+        })().then(() => zip.readEntry(), reject);
+      });
+      zip.readEntry();
+    });
+  } finally {
+    zip.close();
+  }
+};
+
+const readTar = async (buffer, collector, { gzip }) => {
+  const extract = tar.extract();
+  const source = Readable.from([buffer]);
+
+  const done = new Promise((resolve, reject) => {
+    extract.on('entry', (header, stream, next) => {
+      (async () => {
+        if (header.type === 'directory') {
+          collector.addDirectory(header.name);
+          stream.resume();
+        } else if (header.type === 'file' || header.type === 'contiguous-file') {
+          await collector.addFile(header.name, stream);
+        } else {
+          // Links and devices could point outside the folder, so they are left out
+          collector.skip();
+          stream.resume();
+        }
+      })().then(() => next(), (err) => {
+        extract.destroy(err);
+        reject(err);
+      });
+    });
+    extract.on('finish', resolve);
+    extract.on('error', (err) => reject(err.status ? err : new HttpError(400, `Corrupt tar archive: ${err.message}`)));
+  });
+
+  const input = gzip ? source.pipe(zlib.createGunzip()) : source;
+  input.on('error', (err) => extract.destroy(new HttpError(400, `Corrupt gzip data: ${err.message}`)));
+  input.pipe(extract);
+  await done;
+};
+
+/**
+ * Unpack an archive held in memory.
+ * Returns { format, files: [{ relativePath, buffer }], directories, bytes, skipped }:
+ * `directories` lists only empty folders, `skipped` counts links and special files.
+ */
+export const readArchive = async (buffer, fileName) => {
+  const format = archiveFormatOf(buffer, fileName);
+  if (!format) {
+    throw new HttpError(400, 'Only zip, tar and tar.gz archives can be extracted');
+  }
+
+  const collector = createCollector();
+  if (format === 'zip') {
+    await readZip(buffer, collector);
+  } else {
+    await readTar(buffer, collector, { gzip: format === 'tar.gz' });
+  }
+  return { format, ...collector.result() };
+};
+
+/**
+ * Entries laid out for uploadFolderTree: an archive with a single top-level folder
+ * keeps it, anything else is put in a folder named after the archive, so extracting
+ * never scatters files over the target folder.
+ */
+export const entriesUnderOneFolder = ({ files, directories }, fileName) => {
+  const paths = [...files.map((file) => file.relativePath), ...directories];
+  const tops = new Set(paths.map((p) => p.split('/')[0]));
+  const [onlyTop] = tops;
+  const hasOneRoot = tops.size === 1 && !files.some((file) => file.relativePath === onlyTop);
+  if (hasOneRoot) return { files, directories };
+
+  const root = archiveBaseName(fileName);
+  return {
+    files: files.map((file) => ({ ...file, relativePath: `${root}/${file.relativePath}` })),
+    directories: paths.length === 0 ? [root] : directories.map((dir) => `${root}/${dir}`)
+  };
+};
@@ -0,0 +1,63 @@
+import ipfs from '../ipfs.js';
+import { HttpError } from '../utils/errors.js';
+import { IMPORT_TIMEOUT_MS } from './cidImport.js';
+import { unpinIfUnused } from './pins.js';
+
+/*
+ * CAR files (content-addressed archives, as written by `ipfs dag export` and by the
+ * ?format=car download) carry the blocks of a DAG together with the root CIDs it was
+ * exported from, so content moved between nodes by hand keeps its exact CIDs.
+ */
+
+// Both spellings of a CID, so a v0 "Qm…" root matches its v1 "bafy…" form
+const cidForms = (cid) => [cid.toString(), cid.toV1().toString()];
+
+/**
+ * Import the blocks of a CAR held in `buffer`. Returns { root, roots }: the CID to
+ * mount and every root the header declares. Kubo pins each declared root, which fails
+ * for a root whose DAG is not complete in the file (or already on the node). A CAR
+ * with several roots needs `expectedRoot` to say which to use; when given, it must be one of them.
+ * The caller drops the pins with releaseCarRoots once the root is linked into MFS.
+ */
+export const importCar = async (buffer, { expectedRoot } = {}) => {
+  const roots = [];
+  try {
+    for await (const { root } of ipfs.dag.import([buffer], { pinRoots: true, timeout: IMPORT_TIMEOUT_MS })) {
+      roots.push(root);
+    }
+  } catch (err) {
+    throw new HttpError(400, `Not a valid CAR file: ${err.message}`);
+  }
+
+  const declared = roots.map((root) => root.cid.toString());
+  const failed = roots.find((root) => root.pinErrorMsg);
+  if (roots.length === 0 || failed) {
+    await releaseCarRoots(declared);
+    throw new HttpError(400, roots.length === 0
+      ? 'The CAR file declares no root'
+      : `The CAR file is missing blocks of root ${failed.cid}: ${failed.pinErrorMsg}`);
+  }
+
+  const wanted = expectedRoot?.trim();
+  const root = wanted
+    ? roots.find((candidate) => cidForms(candidate.cid).includes(wanted))
+    : roots.length === 1 && roots[0];
+  if (!root) {
+    await releaseCarRoots(declared);
+    throw new HttpError(400, wanted
+      ? `${wanted} is not a root of the CAR file`
+      : `The CAR file declares ${roots.length} roots; choose one with root`);
+  }
+  return { root: root.cid.toString(), roots: declared };
+};
+
+// Drop the pins dag import put on the roots, unless the drive pins them itself
+export const releaseCarRoots = async (roots) => {
+  for (const root of roots) {
+    try {
+      await unpinIfUnused(root);
+    } catch (err) {
+      console.warn(`Could not unpin CAR root ${root}:`, err.message);
+    }
+  }
+};
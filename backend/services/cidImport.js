@@ -0,0 +1,167 @@
+import ipfs from '../ipfs.js';
+import { File } from '../models/index.js';
+import { HttpError } from '../utils/errors.js';
+import { detectContentType, SNIFF_BYTES } from '../utils/contentType.js';
+import { isValidName } from '../utils/paths.js';
+import { ensureDir, uniqueName } from './drive.js';
+import { recordUpload } from './versions.js';
+
+/*
+ * "Save to my drive": content that is already on IPFS is copied into a folder with
+ * `ipfs.files.cp`, which only links the existing DAG into MFS, so no bytes pass
+ * through the backend apart from the first few of each file, read to sniff its type.
+ * Directories are walked to record a files row for everything inside them.
+ */
+
+// Time allowed for each node call; content nobody provides would otherwise hang the request
+export const IMPORT_TIMEOUT_MS = Number(process.env.CID_IMPORT_TIMEOUT_SECONDS || 60) * 1000;
+// Directories with more entries than this are refused rather than walked
+export const MAX_IMPORT_ENTRIES = Number(process.env.CID_IMPORT_MAX_ENTRIES || 10000);
+
+/**
+ * Normalize what a user may paste: "bafy…", "/ipfs/bafy…/docs/a.pdf", "ipfs://bafy…",
+ * or an /ipns/ name, which is resolved to the content it points at right now.
+ * Returns the /ipfs/ path and the name the content should get.
+ */
+export const resolveImportSource = async (source) => {
+  const match = /^(?:\/?(ipfs|ipns)\/|(ipfs|ipns):\/\/)?([^/?#\s]+)(\/[^?#]*)?$/.exec(String(source || '').trim());
+  if (!match) {
+    throw new HttpError(400, 'source must be a CID, an /ipfs/ path or an /ipns/ name');
+  }
+  const namespace = match[1] || match[2] || 'ipfs';
+  const segments = (match[4] || '').split('/').filter(Boolean);
+  if (!segments.every(isValidName)) {
+    throw new HttpError(400, 'Invalid path in source');
+  }
+
+  const sourcePath = ['', namespace, match[3], ...segments].join('/');
+  const name = segments[segments.length - 1] || match[3];
+  if (namespace === 'ipfs') {
+    return { sourcePath, ipfsPath: sourcePath, name };
+  }
+
+  let resolved;
+  try {
+    ({ value: resolved } = await ipfs.name.resolve(sourcePath, { timeout: IMPORT_TIMEOUT_MS }).next());
+  } catch (err) {
+    throw new HttpError(404, `Could not resolve ${sourcePath}: ${err.message}`);
+  }
+  if (!resolved) {
+    throw new HttpError(404, `Could not resolve ${sourcePath}`);
+  }
+  return { sourcePath, ipfsPath: resolved, name };
+};
+
+// Type and size of the content, from the node
+export const statSource = async (ipfsPath) => {
+  try {
+    const stat = await ipfs.files.stat(ipfsPath, { timeout: IMPORT_TIMEOUT_MS });
+    return {
+      cid: stat.cid.toString(),
+      type: stat.type === 'directory' ? 'folder' : 'file',
+      size: stat.type === 'directory' ? Number(stat.cumulativeSize) : Number(stat.size)
+    };
+  } catch (err) {
+    if (/not found|no link named|does not exist|context deadline exceeded|timeout/i.test(err.message)) {
+      throw new HttpError(404, `Content not found: ${ipfsPath}`);
+    }
+    throw err;
+  }
+};
+
+// Every entry below a directory CID, parents first: [{ segments, cid, type, size }]
+const walkDirectory = async (cid) => {
+  const entries = [];
+  const pending = [[]];
+  while (pending.length > 0) {
+    const segments = pending.shift();
+    const dirPath = ['', 'ipfs', cid, ...segments].join('/');
+    for await (const link of ipfs.ls(dirPath, { timeout: IMPORT_TIMEOUT_MS })) {
+      // An empty directory is reported as a single nameless entry for itself
+      if (!link.name) continue;
+      const entry = { segments: [...segments, link.name], cid: link.cid.toString(), type: link.type === 'dir' ? 'folder' : 'file', size: Number(link.size) };
+      entries.push(entry);
+      if (entries.length > MAX_IMPORT_ENTRIES) {
+        throw new HttpError(413, `Folders with more than ${MAX_IMPORT_ENTRIES} entries cannot be imported`);
+      }
+      if (entry.type === 'folder') pending.push(entry.segments);
+    }
+  }
+  return entries;
+};
+
+const readHead = async (cid) => {
+  const chunks = [];
+  for await (const chunk of ipfs.cat(cid, { length: SNIFF_BYTES, timeout: IMPORT_TIMEOUT_MS })) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const recordFile = async ({ ownerId, uploadedBy, name, cid, size, mfsPath }) => recordUpload({
+  ownerId,
+  uploadedBy,
+  fileName: name,
+  fileType: detectContentType(await readHead(cid), name),
+  fileSize: size,
+  cid,
+  mfsPath,
+  parentPath: mfsPath.slice(0, mfsPath.lastIndexOf('/'))
+});
+
+/**
+ * Copy `stat` (see statSource) into `targetPath` as `name`, or a "name (1)" variant
+ * when that is taken, and record it. Folder contents are listed before anything is
+ * copied, so an unreachable or oversized directory leaves the drive untouched.
+ * Returns { name, path, cid, type, folders, files }.
+ */
+export const importContent = async ({ ownerId, uploadedBy, targetPath, name, stat }) => {
+  if (!isValidName(name)) {
+    throw new HttpError(400, 'Invalid name');
+  }
+  const entries = stat.type === 'folder' ? await walkDirectory(stat.cid) : [];
+
+  await ensureDir(targetPath);
+  const finalName = await uniqueName(targetPath, name);
+  const mfsPath = `${targetPath}/${finalName}`;
+  await ipfs.files.cp(`/ipfs/${stat.cid}`, mfsPath);
+
+  if (stat.type === 'file') {
+    await recordFile({ ownerId, uploadedBy, name: finalName, cid: stat.cid, size: stat.size, mfsPath });
+    return { name: finalName, path: mfsPath, cid: stat.cid, type: 'file', folders: 0, files: 1 };
+  }
+
+  await File.create({
+    userId: ownerId,
+    fileName: finalName,
+    fileType: null,
+    fileSize: 0,
+    ipfsCid: stat.cid,
+    pathInDrive: mfsPath,
+    parentPath: targetPath,
+    isFolder: true,
+    uploadedAt: new Date()
+  });
+  for (const entry of entries) {
+    const entryPath = [mfsPath, ...entry.segments].join('/');
+    const entryName = entry.segments[entry.segments.length - 1];
+    if (entry.type === 'folder') {
+      await File.create({
+        userId: ownerId,
+        fileName: entryName,
+        fileType: null,
+        fileSize: 0,
+        ipfsCid: entry.cid,
+        pathInDrive: entryPath,
+        parentPath: entryPath.slice(0, entryPath.lastIndexOf('/')),
+        isFolder: true,
+        uploadedAt: new Date()
+      });
+    } else {
+      await recordFile({ ownerId, uploadedBy, name: entryName, cid: entry.cid, size: entry.size, mfsPath: entryPath });
+    }
+  }
+
+  const folders = entries.filter((entry) => entry.type === 'folder').length;
+  return { name: finalName, path: mfsPath, cid: stat.cid, type: 'folder', folders: folders + 1, files: entries.length - folders };
+};
@@ -0,0 +1,181 @@
+import archiver from 'archiver';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import ipfs from '../ipfs.js';
+import { parseRange, rangeIsFresh } from '../utils/httpRange.js';
+import { HttpError } from '../utils/errors.js';
+import { setContentHeaders } from '../utils/contentType.js';
+
+// A client going away mid-download is not an error worth reporting
+const isClientAbort = (err, res) =>
+  res.destroyed || err.code === 'ERR_STREAM_PREMATURE_CLOSE' || err.code === 'ECONNRESET';
+
+// Pipe an async iterable of chunks (ipfs.files.read / ipfs.cat) to the response
+export const streamToResponse = async (source, res) => {
+  try {
+    await pipeline(Readable.from(source), res);
+  } catch (err) {
+    if (!isClientAbort(err, res)) throw err;
+  }
+};
+
+export const ARCHIVE_FORMATS = ['zip', 'tar', 'tar.gz'];
+
+// zlib level for folder downloads, 0 (store) to 9; overridable per request with ?level=
+export const DEFAULT_COMPRESSION_LEVEL = Number(process.env.ARCHIVE_COMPRESSION_LEVEL ?? 6);
+
+// Formats that are compressed already; zip stores them as-is instead of deflating them again
+const PRECOMPRESSED_EXTENSIONS = new Set([
+  '.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif', '.heic',
+  '.mp3', '.aac', '.ogg', '.opus', '.flac', '.m4a',
+  '.mp4', '.m4v', '.mov', '.mkv', '.webm', '.avi',
+  '.zip', '.gz', '.tgz', '.bz2', '.xz', '.7z', '.rar', '.zst',
+  '.pdf', '.docx', '.xlsx', '.pptx', '.odt', '.epub'
+]);
+
+const ARCHIVE_TYPES = {
+  zip: { extension: 'zip', contentType: 'application/zip' },
+  tar: { extension: 'tar', contentType: 'application/x-tar' },
+  'tar.gz': { extension: 'tar.gz', contentType: 'application/gzip' }
+};
+
+/**
+ * Send an MFS folder as an archive, nested inside a top-level folder named `name`.
+ * `format` is one of ARCHIVE_FORMATS; `level` applies to zip and tar.gz.
+ */
+export const sendFolderArchive = async (res, mfsPath, name, { format = 'zip', level = DEFAULT_COMPRESSION_LEVEL } = {}) => {
+  const { extension, contentType } = ARCHIVE_TYPES[format];
+  res.setHeader('Content-Disposition', `attachment; filename="${name}.${extension}"`);
+  res.setHeader('Content-Type', contentType);
+
+  const archive = format === 'zip'
+    ? archiver('zip', { zlib: { level } })
+    : archiver('tar', { gzip: format === 'tar.gz', gzipOptions: { level } });
+  archive.on('error', (err) => {
+    console.error('Archive error:', err.message);
+    res.destroy(err);
+  });
+  archive.pipe(res);
+
+  // Entries are read lazily, one at a time, as archiver consumes its queue
+  const addFolderToArchive = async (folderPath, archivePath) => {
+    for await (const entry of ipfs.files.ls(folderPath)) {
+      const entryMfsPath = `${folderPath}/${entry.name}`.replace(/\/+/g, '/');
+      const entryArchivePath = archivePath ? `${archivePath}/${entry.name}` : entry.name;
+
+      if (entry.type === 'directory') {
+        await addFolderToArchive(entryMfsPath, entryArchivePath);
+      } else {
+        archive.append(Readable.from(ipfs.files.read(entryMfsPath)), {
+          name: entryArchivePath,
+          // Without a size up front, tar would buffer every file in memory first
+          stats: { size: Number(entry.size), mode: 0o100644, mtime: new Date() },
+          // zip skips deflating media that is compressed already
+          store: format === 'zip' && (level === 0 || PRECOMPRESSED_EXTENSIONS.has(path.extname(entry.name).toLowerCase()))
+        });
+      }
+    }
+  };
+
+  await addFolderToArchive(mfsPath, name);
+  await archive.finalize();
+};
+
+/**
+ * Archive options from the query string (?format=tar.gz&level=1).
+ * Throws HttpError 400 for unknown formats and levels outside 0-9.
+ */
+export const archiveOptionsFrom = (query = {}) => {
+  const format = query.format === 'tgz' ? 'tar.gz' : (query.format || 'zip');
+  if (!ARCHIVE_FORMATS.includes(format)) {
+    throw new HttpError(400, `Unsupported archive format: ${query.format}`);
+  }
+  const level = query.level === undefined ? DEFAULT_COMPRESSION_LEVEL : Number(query.level);
+  if (!Number.isInteger(level) || level < 0 || level > 9) {
+    throw new HttpError(400, 'Compression level must be an integer from 0 to 9');
+  }
+  return { format, level };
+};
+
+/**
+ * Stream bytes with HTTP Range / If-Range support.
+ * `read({ offset, length })` must return an async iterable of chunks.
+ * The CID is used as a strong ETag since it changes whenever the content does,
+ * unless `etag` gives another one.
+ */
+export const sendRanged = async (req, res, { size, cid, read, lastModified, etag = `"${cid}"` }) => {
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  if (lastModified) {
+    res.setHeader('Last-Modified', new Date(lastModified).toUTCString());
+  }
+
+  if (req.headers['if-none-match'] === etag) {
+    return res.status(304).end();
+  }
+
+  const range = rangeIsFresh(req, etag, lastModified) ? parseRange(req.headers.range, size) : null;
+
+  if (range?.unsatisfiable) {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  let offset = 0;
+  let length = size;
+  if (range) {
+    offset = range.start;
+    length = range.end - range.start + 1;
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+  }
+  res.setHeader('Content-Length', length);
+
+  if (req.method === 'HEAD' || length === 0) {
+    return res.end();
+  }
+  await streamToResponse(read({ offset, length }), res);
+};
+
+// Send a single MFS file, streamed and range-aware; active types are never sent inline
+export const sendMfsFile = async (req, res, mfsPath, name, contentType, { inline = false, lastModified, etag } = {}) => {
+  const stat = await ipfs.files.stat(mfsPath);
+  setContentHeaders(res, { contentType, fileName: name, inline });
+
+  await sendRanged(req, res, {
+    size: Number(stat.size),
+    cid: stat.cid.toString(),
+    lastModified,
+    etag,
+    read: ({ offset, length }) => ipfs.files.read(mfsPath, { offset, length })
+  });
+};
+
+/**
+ * Send the DAG below an MFS path as a CAR file rooted at its CID. Unlike an archive
+ * it keeps every CID, so the content imports elsewhere exactly as it is here.
+ */
+export const sendCarExport = async (res, mfsPath, name) => {
+  const cid = (await ipfs.files.stat(mfsPath)).cid;
+  setContentHeaders(res, { contentType: 'application/vnd.ipld.car', fileName: `${name}.car` });
+  res.setHeader('X-Ipfs-Roots', cid.toString());
+  await streamToResponse(ipfs.dag.export(cid), res);
+};
+
+/**
+ * Download a row of the files table: folders as an archive (zip unless ?format= says
+ * otherwise), files as-is, and either as a CAR file with ?format=car. `etag` replaces
+ * the CID as the ETag of a file.
+ */
+export const sendFileRecord = (req, res, fileRecord, { etag } = {}) => {
+  if (req.query.format === 'car') {
+    return sendCarExport(res, fileRecord.pathInDrive, fileRecord.fileName);
+  }
+  return fileRecord.isFolder
+    ? sendFolderArchive(res, fileRecord.pathInDrive, fileRecord.fileName, archiveOptionsFrom(req.query))
+    : sendMfsFile(req, res, fileRecord.pathInDrive, fileRecord.fileName, fileRecord.fileType, {
+      lastModified: fileRecord.uploadedAt,
+      etag
+    });
+};
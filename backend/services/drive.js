@@ -0,0 +1,150 @@
+import path from 'path';
+import ipfs from '../ipfs.js';
+import { sequelize } from '../models/index.js';
+import { belowPattern } from '../utils/paths.js';
+
+// Errors Kubo returns when an MFS path already exists
+export const isExistsError = (err) =>
+  err.message.includes('file already exists') ||
+  err.message.includes('directory already has entry by that name');
+
+// Errors Kubo returns when an MFS path does not exist
+export const isNotFoundError = (err) =>
+  err.code === 'ERR_NOT_FOUND' || err.message.includes('file does not exist');
+
+// mkdir -p that tolerates the folder already being there
+export const ensureDir = async (mfsPath) => {
+  try {
+    await ipfs.files.mkdir(mfsPath, { parents: true });
+  } catch (mkdirErr) {
+    if (!isExistsError(mkdirErr)) {
+      throw mkdirErr;
+    }
+  }
+};
+
+// True when something exists at the MFS path
+export const mfsExists = async (mfsPath) => {
+  try {
+    await ipfs.files.stat(mfsPath);
+    return true;
+  } catch (err) {
+    if (isNotFoundError(err)) return false;
+    throw err;
+  }
+};
+
+// Move `from` to `to` in MFS, replacing whatever is already at `to`
+export const moveReplacing = async (from, to) => {
+  try {
+    await ipfs.files.mv(from, to);
+  } catch (mvErr) {
+    if (!isExistsError(mvErr)) {
+      throw mvErr;
+    }
+    await ipfs.files.rm(to, { recursive: true });
+    await ipfs.files.mv(from, to);
+  }
+};
+
+/**
+ * Rewrite the files rows of an item and everything below it after the item moved
+ * from `fromPath` to `toPath` (inside `toParent`, named `newName`). Paths are
+ * rewritten by prefix, so names repeated deeper in the tree are left alone.
+ */
+export const relocateSubtree = ({ ownerId, fromPath, toPath, toParent, newName, transaction }) =>
+  sequelize.query(
+    `UPDATE files
+     SET "pathInDrive" = :toPath || SUBSTRING("pathInDrive" FROM :fromLength + 1),
+         "parentPath" = CASE
+           WHEN "pathInDrive" = :fromPath THEN :toParent
+           ELSE :toPath || SUBSTRING("parentPath" FROM :fromLength + 1)
+         END,
+         "fileName" = CASE WHEN "pathInDrive" = :fromPath THEN :newName ELSE "fileName" END
+     WHERE "userId" = :ownerId
+       AND "deletedAt" IS NULL
+       AND ("pathInDrive" = :fromPath OR "pathInDrive" LIKE :fromPrefix)`,
+    {
+      replacements: {
+        ownerId,
+        fromPath,
+        toPath,
+        toParent,
+        newName,
+        fromLength: fromPath.length,
+        fromPrefix: belowPattern(fromPath)
+      },
+      transaction
+    }
+  );
+
+/**
+ * Insert copies of the files rows of an item and everything below it, for an MFS
+ * copy from `fromPath` to `toPath`. CIDs are carried over, nothing is re-uploaded.
+ */
+export const duplicateSubtree = ({ fromOwnerId, toOwnerId, fromPath, toPath, toParent, newName, transaction }) =>
+  sequelize.query(
+    `INSERT INTO files ("userId", "fileName", "fileType", "fileSize", "ipfsCid", "pathInDrive", "parentPath", "isFolder", "uploadedAt",
+                        "thumbnailStatus", "thumbnailCid", "previewCid", "thumbnailGeneratedAt", encrypted)
+     SELECT :toOwnerId,
+            CASE WHEN "pathInDrive" = :fromPath THEN :newName ELSE "fileName" END,
+            "fileType",
+            "fileSize",
+            "ipfsCid",
+            :toPath || SUBSTRING("pathInDrive" FROM :fromLength + 1),
+            CASE
+              WHEN "pathInDrive" = :fromPath THEN :toParent
+              ELSE :toPath || SUBSTRING("parentPath" FROM :fromLength + 1)
+            END,
+            "isFolder",
+            NOW(),
+            "thumbnailStatus",
+            "thumbnailCid",
+            "previewCid",
+            "thumbnailGeneratedAt",
+            encrypted
+     FROM files
+     WHERE "userId" = :fromOwnerId
+       AND "deletedAt" IS NULL
+       AND ("pathInDrive" = :fromPath OR "pathInDrive" LIKE :fromPrefix)`,
+    {
+      replacements: {
+        fromOwnerId,
+        toOwnerId,
+        fromPath,
+        toPath,
+        toParent,
+        newName,
+        fromLength: fromPath.length,
+        fromPrefix: belowPattern(fromPath)
+      },
+      transaction
+    }
+  );
+
+// Bytes of the live files at or below `itemPath`, i.e. what duplicateSubtree adds to a drive's usage
+export const subtreeSize = async (ownerId, itemPath) => {
+  const [[row]] = await sequelize.query(
+    `SELECT COALESCE(SUM("fileSize"), 0) AS bytes
+     FROM files
+     WHERE "userId" = :ownerId
+       AND "deletedAt" IS NULL
+       AND "isFolder" IS NOT TRUE
+       AND ("pathInDrive" = :itemPath OR "pathInDrive" LIKE :itemPrefix)`,
+    { replacements: { ownerId, itemPath, itemPrefix: belowPattern(itemPath) } }
+  );
+  return Number(row.bytes);
+};
+
+// First free "name (n).ext" variant of `name` inside `folderPath`
+export const uniqueName = async (folderPath, name) => {
+  const ext = path.posix.extname(name);
+  const base = ext && ext !== name ? name.slice(0, -ext.length) : name;
+  const suffix = ext && ext !== name ? ext : '';
+
+  let candidate = name;
+  for (let n = 1; await mfsExists(`${folderPath}/${candidate}`); n += 1) {
+    candidate = `${base} (${n})${suffix}`;
+  }
+  return candidate;
+};
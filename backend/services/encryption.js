@@ -0,0 +1,263 @@
+import { Op } from 'sequelize';
+import { sequelize, User, File, FileVersion, ContentKey } from '../models/index.js';
+import { HttpError } from '../utils/errors.js';
+import { resolveFileAccess, resolvePathAccess, hasPermission } from './access.js';
+import { belowPattern, sqlIsBelow } from '../utils/paths.js';
+
+/*
+ * End-to-end encrypted folders. Files in them are encrypted in the browser before
+ * upload, each with its own AES-GCM key, so Kubo and this backend only ever hold
+ * ciphertext. Every user who may read a file gets its key wrapped with their RSA
+ * public key, stored per content CID in content_keys. Private keys are kept in
+ * users.privateKeyBundle, encrypted with a passphrase the backend never sees.
+ * File and folder names are not encrypted: they make up the MFS paths.
+ */
+
+// Ciphertext starts with this marker and a 12-byte IV (see frontend/app/lib/encryption.ts)
+export const CIPHERTEXT_MAGIC = Buffer.from('BOCKENC1');
+const IV_BYTES = 12;
+const GCM_TAG_BYTES = 16;
+
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+const MAX_WRAPPED_KEY_LENGTH = 2048;
+const MAX_PUBLIC_KEY_LENGTH = 4096;
+
+// Cheap check that an "encrypted" upload really is ciphertext in our format
+export const isCiphertext = (buffer) =>
+  buffer.length >= CIPHERTEXT_MAGIC.length + IV_BYTES + GCM_TAG_BYTES &&
+  buffer.subarray(0, CIPHERTEXT_MAGIC.length).equals(CIPHERTEXT_MAGIC);
+
+export const isPublicKey = (value) =>
+  typeof value === 'string' && value.length <= MAX_PUBLIC_KEY_LENGTH && BASE64.test(value);
+
+// The private key bundle is opaque here; only its shape is checked
+export const isPrivateKeyBundle = (bundle) =>
+  Boolean(bundle) && typeof bundle === 'object' && !Array.isArray(bundle) &&
+  ['salt', 'iv', 'ciphertext'].every((field) => typeof bundle[field] === 'string' && BASE64.test(bundle[field])) &&
+  Number.isInteger(bundle.iterations) && bundle.iterations > 0;
+
+const isWrappedKey = (value) =>
+  typeof value === 'string' && value.length <= MAX_WRAPPED_KEY_LENGTH && BASE64.test(value);
+
+// True when `mfsPath` is an encrypted folder or lies somewhere inside one
+export const isEncryptedPath = async (ownerId, mfsPath) => {
+  const [rows] = await sequelize.query(
+    `SELECT 1 FROM files
+     WHERE "userId" = :ownerId
+       AND "isFolder" = true
+       AND encrypted = true
+       AND "deletedAt" IS NULL
+       AND ("pathInDrive" = :mfsPath OR ${sqlIsBelow(':mfsPath', '"pathInDrive"')})
+     LIMIT 1`,
+    { replacements: { ownerId, mfsPath } }
+  );
+  return rows.length > 0;
+};
+
+// True when the item at `mfsPath` is encrypted, lies in an encrypted folder or contains encrypted files
+export const hasEncryptedContent = async (ownerId, mfsPath) => {
+  const [rows] = await sequelize.query(
+    `SELECT 1 FROM files
+     WHERE "userId" = :ownerId
+       AND encrypted = true
+       AND "deletedAt" IS NULL
+       AND ("pathInDrive" = :mfsPath OR "pathInDrive" LIKE :pathPrefix OR ${sqlIsBelow(':mfsPath', '"pathInDrive"')})
+     LIMIT 1`,
+    { replacements: { ownerId, mfsPath, pathPrefix: belowPattern(mfsPath) } }
+  );
+  return rows.length > 0;
+};
+
+// True when the item at `mfsPath` is or contains a file stored in plaintext
+export const hasPlaintextFiles = async (ownerId, mfsPath) => {
+  const [rows] = await sequelize.query(
+    `SELECT 1 FROM files
+     WHERE "userId" = :ownerId
+       AND "isFolder" = false
+       AND encrypted = false
+       AND "deletedAt" IS NULL
+       AND ("pathInDrive" = :mfsPath OR "pathInDrive" LIKE :pathPrefix)
+     LIMIT 1`,
+    { replacements: { ownerId, mfsPath, pathPrefix: belowPattern(mfsPath) } }
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Everyone who can read `mfsPath` in the drive of `ownerId`: the owner and the
+ * recipients of shares on the path or one of its folders. New content there has
+ * to be wrapped for each of them. Returns [{ id, username, publicKey }].
+ */
+export const readersOf = async (ownerId, mfsPath) => {
+  const [rows] = await sequelize.query(
+    `SELECT u.id, u.username, u."publicKey"
+     FROM users u
+     WHERE u.id = :ownerId
+     UNION
+     SELECT u.id, u.username, u."publicKey"
+     FROM shares s
+     JOIN files f ON f.id = s.file_id
+     JOIN users u ON u.id = s.shared_with
+     WHERE f."userId" = :ownerId
+       AND f."deletedAt" IS NULL
+       AND (f."pathInDrive" = :mfsPath OR ${sqlIsBelow(':mfsPath', 'f."pathInDrive"')})`,
+    { replacements: { ownerId, mfsPath } }
+  );
+  return rows;
+};
+
+// Parse the `keys` field of an encrypted upload: a JSON array of { userId, wrappedKey }
+export const parseUploadKeys = (value) => {
+  let keys;
+  try {
+    keys = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch {
+    throw new HttpError(400, 'keys must be a JSON array');
+  }
+  if (!Array.isArray(keys) || keys.length === 0 ||
+      !keys.every((key) => Number.isInteger(key?.userId) && isWrappedKey(key.wrappedKey))) {
+    throw new HttpError(400, 'keys must list { userId, wrappedKey } for every reader');
+  }
+  return keys;
+};
+
+/**
+ * Store the wrapped keys of content just uploaded to `targetPath`. The uploader
+ * must have wrapped it for every reader of the folder who has a key pair, so nobody
+ * with access is locked out; keys for anyone else are refused. Keys already stored
+ * for the CID are kept, so a repeated upload cannot replace them.
+ */
+export const storeUploadKeys = async ({ ownerId, targetPath, cid, keys }) => {
+  const readers = await readersOf(ownerId, targetPath);
+  const readerIds = new Set(readers.map((reader) => reader.id));
+  const stranger = keys.find((key) => !readerIds.has(key.userId));
+  if (stranger) {
+    throw new HttpError(400, `User ${stranger.userId} cannot read this folder`);
+  }
+  const keyed = new Set(keys.map((key) => key.userId));
+  const missing = readers.filter((reader) => reader.publicKey && !keyed.has(reader.id));
+  if (missing.length > 0) {
+    throw new HttpError(400, `The file key must also be wrapped for: ${missing.map((reader) => reader.username).join(', ')}`);
+  }
+
+  await ContentKey.bulkCreate(
+    keys.map((key) => ({ ipfsCid: cid, userId: key.userId, wrappedKey: key.wrappedKey })),
+    { ignoreDuplicates: true }
+  );
+};
+
+// The caller's wrapped keys for encrypted content at or below `mfsPath`, old versions included
+export const keysUnder = async (userId, ownerId, mfsPath) => {
+  const [rows] = await sequelize.query(
+    `SELECT k."ipfsCid" AS cid, k."wrappedKey"
+     FROM content_keys k
+     WHERE k."userId" = :userId
+       AND k."ipfsCid" IN (
+         SELECT f."ipfsCid" FROM files f
+         WHERE f."userId" = :ownerId AND f.encrypted = true AND f."isFolder" = false AND f."deletedAt" IS NULL
+           AND (f."pathInDrive" = :mfsPath OR f."pathInDrive" LIKE :pathPrefix)
+         UNION
+         SELECT v."ipfsCid" FROM file_versions v
+         JOIN files f ON f.id = v."fileId"
+         WHERE f."userId" = :ownerId AND f.encrypted = true AND f."deletedAt" IS NULL
+           AND (f."pathInDrive" = :mfsPath OR f."pathInDrive" LIKE :pathPrefix)
+       )`,
+    { replacements: { userId, ownerId, mfsPath, pathPrefix: belowPattern(mfsPath) } }
+  );
+  return rows;
+};
+
+// Rows of the files table whose current content or one of whose versions is `cid`
+const filesWithContent = async (cids) => {
+  const current = await File.findAll({ where: { ipfsCid: { [Op.in]: cids }, encrypted: true, deletedAt: null } });
+  const versions = await FileVersion.findAll({
+    where: { ipfsCid: { [Op.in]: cids } },
+    include: [{ model: File, required: true, where: { encrypted: true, deletedAt: null } }]
+  });
+  return [
+    ...current.map((file) => ({ cid: file.ipfsCid, file })),
+    ...versions.map((version) => ({ cid: version.ipfsCid, file: version.File }))
+  ];
+};
+
+/**
+ * Pass content keys on to another user, re-wrapped for them in the browser, e.g.
+ * after sharing an encrypted folder. The grantor must hold each key themselves and
+ * the recipient must already be able to read a file with that content.
+ * `keys` are [{ cid, wrappedKey }]. Returns the number of keys stored.
+ */
+export const grantContentKeys = async ({ grantor, recipientId, keys }) => {
+  if (!Array.isArray(keys) || !keys.every((key) => typeof key?.cid === 'string' && isWrappedKey(key.wrappedKey))) {
+    throw new HttpError(400, 'keys must list { cid, wrappedKey }');
+  }
+  if (keys.length === 0) return 0;
+
+  const recipient = await User.findByPk(recipientId);
+  if (!recipient) {
+    throw new HttpError(404, 'Recipient not found');
+  }
+  if (!recipient.publicKey) {
+    throw new HttpError(400, `${recipient.username} has not set up encryption yet`);
+  }
+
+  const cids = [...new Set(keys.map((key) => key.cid))];
+  const held = await ContentKey.findAll({ where: { userId: grantor.id, ipfsCid: { [Op.in]: cids } } });
+  const heldCids = new Set(held.map((key) => key.ipfsCid));
+  const notHeld = cids.find((cid) => !heldCids.has(cid));
+  if (notHeld) {
+    throw new HttpError(403, `No key for ${notHeld}`);
+  }
+
+  const readable = new Set();
+  for (const { cid, file } of await filesWithContent(cids)) {
+    if (!readable.has(cid) && hasPermission(await resolveFileAccess(recipient, file), 'read')) {
+      readable.add(cid);
+    }
+  }
+  const unreadable = cids.find((cid) => !readable.has(cid));
+  if (unreadable) {
+    throw new HttpError(403, `${recipient.username} has no access to ${unreadable}`);
+  }
+
+  await ContentKey.bulkCreate(
+    keys.map((key) => ({ ipfsCid: key.cid, userId: recipient.id, wrappedKey: key.wrappedKey })),
+    { ignoreDuplicates: true }
+  );
+  return keys.length;
+};
+
+/**
+ * After a share on `mfsPath` is revoked, drop the recipient's keys for content there
+ * they can no longer read through another share. What they already decrypted cannot
+ * be taken back, but new versions and anything they never opened stay out of reach.
+ */
+export const revokeContentKeys = async ({ recipient, ownerId, mfsPath }) => {
+  if (hasPermission(await resolvePathAccess(recipient, mfsPath), 'read')) return 0;
+
+  const keys = await keysUnder(recipient.id, ownerId, mfsPath);
+  if (keys.length === 0) return 0;
+
+  const cids = keys.map((key) => key.cid);
+  const stillReadable = new Set();
+  for (const { cid, file } of await filesWithContent(cids)) {
+    if (!stillReadable.has(cid) && hasPermission(await resolveFileAccess(recipient, file), 'read')) {
+      stillReadable.add(cid);
+    }
+  }
+  const revoked = cids.filter((cid) => !stillReadable.has(cid));
+  if (revoked.length === 0) return 0;
+  return ContentKey.destroy({ where: { userId: recipient.id, ipfsCid: { [Op.in]: revoked } } });
+};
+
+// Keys of content that no row and no version refers to any more are deleted
+export const releaseContentKeys = async (cids) => {
+  const unique = [...new Set(cids.filter(Boolean))];
+  if (unique.length === 0) return;
+  await sequelize.query(
+    `DELETE FROM content_keys k
+     WHERE k."ipfsCid" IN (:cids)
+       AND NOT EXISTS (SELECT 1 FROM files f WHERE f."ipfsCid" = k."ipfsCid")
+       AND NOT EXISTS (SELECT 1 FROM file_versions v WHERE v."ipfsCid" = k."ipfsCid")`,
+    { replacements: { cids: unique } }
+  );
+};
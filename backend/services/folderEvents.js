@@ -0,0 +1,135 @@
+import ipfs from '../ipfs.js';
+import { sequelize } from '../models/index.js';
+import { resolvePathAccess, hasPermission, ownerIdFromPath } from './access.js';
+import { isNotFoundError } from './drive.js';
+import { isWithinPath, parentOf, trashRootPath, userRootPath } from '../utils/paths.js';
+
+/*
+ * Live folder changes. Clients subscribe to the folders they are viewing (see
+ * routes/folderEvents.js); whenever a route changes an MFS path, every subscriber of a
+ * folder above it gets the folder's child that contains the path, in the shape /list
+ * returns, or null once it is gone. Subscribers of a folder that was itself renamed,
+ * moved or deleted are told where it went instead.
+ *
+ * Subscriptions live in this process, so every client has to reach the backend
+ * instance that handles the writes.
+ */
+
+// Actions after which the old path no longer exists
+const RELOCATING_ACTIONS = new Set(['rename', 'move', 'delete']);
+
+// folder -> Set of { user, send(event, data), close() }
+const subscribers = new Map();
+
+// Changes are delivered one at a time, so a client never sees an older state last
+let queue = Promise.resolve();
+
+/**
+ * Register `subscriber` for changes below `folder`. The caller must have checked read
+ * access; it is checked again before every delivery, so a revoked share ends the
+ * subscription. Returns a function that unsubscribes.
+ */
+export const subscribe = (folder, subscriber) => {
+  if (!subscribers.has(folder)) subscribers.set(folder, new Set());
+  subscribers.get(folder).add(subscriber);
+  return () => {
+    const folderSubscribers = subscribers.get(folder);
+    folderSubscribers?.delete(subscriber);
+    if (folderSubscribers?.size === 0) subscribers.delete(folder);
+  };
+};
+
+// The listing entry and files row of one path, as /list returns them; nulls when it is gone
+const describePath = async (ownerId, mfsPath) => {
+  let stat;
+  try {
+    stat = await ipfs.files.stat(mfsPath);
+  } catch (err) {
+    if (isNotFoundError(err)) return { entry: null, dbEntry: null };
+    throw err;
+  }
+
+  const [[dbEntry = null]] = await sequelize.query(
+    `SELECT id, "fileName", "ipfsCid", "isFolder", "pathInDrive", "fileType", "fileSize", "uploadedAt", "thumbnailCid", encrypted
+     FROM files
+     WHERE "userId" = :ownerId
+       AND "deletedAt" IS NULL
+       AND "pathInDrive" = :mfsPath`,
+    { replacements: { ownerId, mfsPath } }
+  );
+  return {
+    entry: {
+      name: mfsPath.slice(mfsPath.lastIndexOf('/') + 1),
+      type: stat.type === 'directory' ? 'folder' : 'file',
+      cid: stat.cid.toString(),
+      size: Number(stat.size)
+    },
+    dbEntry
+  };
+};
+
+// Subscribers still allowed to read `folder`; the others are closed
+const readers = async (folder) => {
+  const allowed = [];
+  for (const subscriber of subscribers.get(folder) || []) {
+    const access = await resolvePathAccess(subscriber.user, folder);
+    if (hasPermission(access, 'read')) {
+      allowed.push(subscriber);
+    } else {
+      subscriber.send('gone', { folder, movedTo: null });
+      subscriber.close();
+    }
+  }
+  return allowed;
+};
+
+const deliver = async ({ action, path, newPath, actor }) => {
+  const changed = new Map();
+  const gone = [];
+
+  for (const mfsPath of [path, newPath]) {
+    const ownerId = ownerIdFromPath(mfsPath);
+    // The recycle bin is not listed, so nothing in it is worth announcing
+    if (!ownerId || isWithinPath(mfsPath, trashRootPath(ownerId))) continue;
+
+    // Every subscribed folder above the path sees its child on the way down to it change
+    const root = userRootPath(ownerId);
+    for (let folder = parentOf(mfsPath); isWithinPath(folder, root); folder = parentOf(folder)) {
+      if (!subscribers.has(folder)) continue;
+      const childPath = `${folder}/${mfsPath.slice(folder.length + 1).split('/')[0]}`;
+      changed.set(`${folder}\n${childPath}`, { ownerId, folder, childPath });
+    }
+  }
+
+  if (path && RELOCATING_ACTIONS.has(action)) {
+    for (const folder of subscribers.keys()) {
+      if (!isWithinPath(folder, path)) continue;
+      const movedTo = action === 'delete' ? null : `${newPath}${folder.slice(path.length)}`;
+      gone.push({ folder, movedTo });
+    }
+  }
+
+  for (const { folder, movedTo } of gone) {
+    for (const subscriber of subscribers.get(folder) || []) {
+      subscriber.send('gone', { folder, movedTo });
+      subscriber.close();
+    }
+  }
+  for (const { ownerId, folder, childPath } of changed.values()) {
+    const { entry, dbEntry } = await describePath(ownerId, childPath);
+    for (const subscriber of await readers(folder)) {
+      subscriber.send('change', { folder, action, path, newPath, actor, entry, dbEntry, name: childPath.slice(folder.length + 1) });
+    }
+  }
+};
+
+/**
+ * Tell subscribers that `path` (and `newPath`, for moves, copies and renames) changed.
+ * Called once the change is done; delivery failures are logged, never thrown.
+ */
+export const publishChange = ({ action, path = null, newPath = null, actor = null }) => {
+  if (subscribers.size === 0) return;
+  queue = queue
+    .then(() => deliver({ action, path, newPath, actor }))
+    .catch((err) => console.error(`Folder event error (${action}):`, err.message));
+};
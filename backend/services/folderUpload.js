@@ -0,0 +1,143 @@
+import fs from 'fs';
+import ipfs from '../ipfs.js';
+import { File } from '../models/index.js';
+import { HttpError } from '../utils/errors.js';
+import { detectContentType, SNIFF_BYTES } from '../utils/contentType.js';
+import { isValidName } from '../utils/paths.js';
+import { ensureDir, isExistsError, uniqueName } from './drive.js';
+import { recordUpload } from './versions.js';
+
+/*
+ * Folder uploads. The browser sends every file with its path relative to the folder
+ * that was picked or dropped ("project/src/index.js"); the whole tree is added to
+ * Kubo in one addAll call, so each top-level folder arrives with a single root CID,
+ * and is then copied into MFS and recorded in the files table level by level.
+ */
+
+// "a//b/" -> ['a', 'b']; throws on "..", the trash name and other invalid segments
+const splitRelativePath = (relativePath) => {
+  const segments = String(relativePath || '').replace(/\\/g, '/').split('/').filter(Boolean);
+  if (segments.length === 0 || !segments.every(isValidName)) {
+    throw new HttpError(400, `Invalid relative path: ${relativePath}`);
+  }
+  return segments;
+};
+
+// A file's bytes come either from memory (`buffer`) or from where multer spooled it to
+// disk (`diskPath` and `size`)
+const contentOf = (file) => file.buffer ?? fs.createReadStream(file.diskPath);
+const sizeOf = (file) => file.buffer?.length ?? file.size;
+const headOf = async (file) => {
+  if (file.buffer) return file.buffer;
+  const handle = await fs.promises.open(file.diskPath);
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Recreate uploaded files (and optional empty `directories`) below `targetPath`.
+ * `files` are { relativePath, buffer } or { relativePath, diskPath, size }, their types
+ * sniffed from the content. A top-level folder whose name is taken gets a "name (1)"
+ * style name instead of being merged; a top-level file that exists already becomes a
+ * new version of it, as with a single-file upload.
+ * Returns { roots: [{ name, path, cid, type }], folders, files }.
+ */
+export const uploadFolderTree = async ({ ownerId, uploadedBy, targetPath, files, directories = [] }) => {
+  if (files.length === 0 && directories.length === 0) {
+    throw new HttpError(400, 'Nothing to upload');
+  }
+
+  const fileEntries = files.map((file) => ({ ...file, segments: splitRelativePath(file.relativePath) }));
+  const seenFiles = new Set();
+  for (const entry of fileEntries) {
+    const key = entry.segments.join('/');
+    if (seenFiles.has(key)) throw new HttpError(400, `Duplicate path: ${key}`);
+    seenFiles.add(key);
+  }
+
+  // Every folder level, including the ones only implied by file paths
+  const folderKeys = new Set();
+  const addFolder = (segments) => {
+    for (let depth = 1; depth <= segments.length; depth += 1) {
+      folderKeys.add(segments.slice(0, depth).join('/'));
+    }
+  };
+  fileEntries.forEach((entry) => addFolder(entry.segments.slice(0, -1)));
+  directories.forEach((dir) => addFolder(splitRelativePath(dir)));
+  for (const key of folderKeys) {
+    if (seenFiles.has(key)) throw new HttpError(400, `Path is both a file and a folder: ${key}`);
+  }
+
+  // One addAll call; the wrapping directory (path '') is only used to get every CID
+  const cids = new Map();
+  const source = [
+    ...[...folderKeys].map((key) => ({ path: key })),
+    ...fileEntries.map((entry) => ({ path: entry.segments.join('/'), content: contentOf(entry) }))
+  ];
+  for await (const added of ipfs.addAll(source, { wrapWithDirectory: true })) {
+    cids.set(added.path, added.cid.toString());
+  }
+
+  // Top-level names as they will appear in targetPath
+  await ensureDir(targetPath);
+  const topNames = new Map();
+  for (const key of [...folderKeys].filter((k) => !k.includes('/'))) {
+    topNames.set(key, await uniqueName(targetPath, key));
+  }
+  for (const entry of fileEntries.filter((e) => e.segments.length === 1)) {
+    topNames.set(entry.segments[0], entry.segments[0]);
+  }
+  const toMfsPath = (segments) => [targetPath, topNames.get(segments[0]), ...segments.slice(1)].join('/');
+
+  const roots = [];
+  for (const [key, name] of topNames) {
+    const mfsPath = `${targetPath}/${name}`;
+    const isFolder = folderKeys.has(key);
+    try {
+      await ipfs.files.cp(`/ipfs/${cids.get(key)}`, mfsPath);
+    } catch (cpErr) {
+      if (isFolder || !isExistsError(cpErr)) throw cpErr;
+      await ipfs.files.rm(mfsPath);
+      await ipfs.files.cp(`/ipfs/${cids.get(key)}`, mfsPath);
+    }
+    roots.push({ name, path: mfsPath, cid: cids.get(key), type: isFolder ? 'folder' : 'file' });
+  }
+
+  // Parents before children, so the tree is never half recorded upside down
+  const folderList = [...folderKeys].sort((a, b) => a.split('/').length - b.split('/').length);
+  for (const key of folderList) {
+    const segments = key.split('/');
+    const mfsPath = toMfsPath(segments);
+    await File.create({
+      userId: ownerId,
+      fileName: segments.length === 1 ? topNames.get(key) : segments[segments.length - 1],
+      fileType: null,
+      fileSize: 0,
+      ipfsCid: cids.get(key),
+      pathInDrive: mfsPath,
+      parentPath: mfsPath.slice(0, mfsPath.lastIndexOf('/')),
+      isFolder: true,
+      uploadedAt: new Date()
+    });
+  }
+
+  for (const entry of fileEntries) {
+    const mfsPath = toMfsPath(entry.segments);
+    await recordUpload({
+      ownerId,
+      uploadedBy,
+      fileName: entry.segments[entry.segments.length - 1],
+      fileType: detectContentType(await headOf(entry), entry.segments[entry.segments.length - 1]),
+      fileSize: sizeOf(entry),
+      cid: cids.get(entry.segments.join('/')),
+      mfsPath,
+      parentPath: mfsPath.slice(0, mfsPath.lastIndexOf('/'))
+    });
+  }
+
+  return { roots, folders: folderList.length, files: fileEntries.length };
+};
@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import ipfs from '../ipfs.js';
+import { sequelize, File, IpnsName } from '../models/index.js';
+import { HttpError } from '../utils/errors.js';
+import { sqlIsBelow } from '../utils/paths.js';
+
+/*
+ * Folders published under IPNS names. Every published folder gets its own ed25519 key
+ * in the node's keystore, so names can be rotated or dropped one at a time. A folder's
+ * CID changes with everything below it; drive changes schedule a republish of the
+ * names above them (see services/activity.js) and jobs/ipnsRepublish.js catches the
+ * rest. Kubo itself keeps re-announcing the latest record of every key before it expires.
+ */
+
+export const IPNS_RECORD_LIFETIME = process.env.IPNS_RECORD_LIFETIME || '48h';
+export const IPNS_RECORD_TTL = process.env.IPNS_RECORD_TTL || '5m';
+// Changes within this window are published together
+const REPUBLISH_DELAY_MS = Number(process.env.IPNS_REPUBLISH_DELAY_SECONDS || 10) * 1000;
+
+const newKeyName = (fileId) => `drive-${fileId}-${crypto.randomBytes(6).toString('hex')}`;
+
+// Sign a record pointing the key at `cid`. A node without peers keeps it until it can announce it.
+const publishRecord = (keyName, cid) => ipfs.name.publish(`/ipfs/${cid}`, {
+  key: keyName,
+  lifetime: IPNS_RECORD_LIFETIME,
+  ttl: IPNS_RECORD_TTL,
+  resolve: false,
+  allowOffline: true
+});
+
+const folderCid = async (file) => (await ipfs.files.stat(file.pathInDrive)).cid.toString();
+
+const removeKey = async (keyName) => {
+  try {
+    await ipfs.key.rm(keyName);
+  } catch (err) {
+    if (!/no key named/i.test(err.message)) throw err;
+  }
+};
+
+// Generate a key and publish the folder's current CID under it; the key is removed again on failure
+const createName = async (file) => {
+  const keyName = newKeyName(file.id);
+  const key = await ipfs.key.gen(keyName, { type: 'ed25519' });
+  try {
+    const cid = await folderCid(file);
+    await publishRecord(keyName, cid);
+    return { keyName, name: key.id, publishedCid: cid, publishedAt: new Date(), lastError: null };
+  } catch (err) {
+    await removeKey(keyName).catch((rmErr) => console.error(`Failed to remove IPNS key ${keyName}:`, rmErr.message));
+    throw err;
+  }
+};
+
+// Publish a folder of its owner's drive under a new name
+export const publishFolder = async (file) => {
+  if (!file.isFolder) {
+    throw new HttpError(400, 'Only folders can be published');
+  }
+  if (await IpnsName.findOne({ where: { fileId: file.id } })) {
+    throw new HttpError(409, 'This folder is already published');
+  }
+  return IpnsName.create({ fileId: file.id, userId: file.userId, ...(await createName(file)) });
+};
+
+/**
+ * Move a folder to a new name and drop the old key. Records already handed out for the
+ * old name keep resolving to the last published CID until they expire.
+ */
+export const rotateName = async (record) => {
+  const file = await File.findByPk(record.fileId);
+  const oldKeyName = record.keyName;
+  await record.update(await createName(file));
+  await removeKey(oldKeyName);
+  return record;
+};
+
+// Stop publishing: the key is deleted, so the name is never updated or re-announced again
+export const unpublishName = async (record) => {
+  await removeKey(record.keyName);
+  await record.destroy();
+};
+
+/**
+ * Publish the folder's current CID if it moved on since the last record. Folders in
+ * the trash keep their name but are left alone until they are restored.
+ */
+export const republishName = async (record) => {
+  const file = record.File || await File.findByPk(record.fileId);
+  if (!file || file.deletedAt) return false;
+
+  try {
+    const cid = await folderCid(file);
+    if (cid === record.publishedCid && !record.lastError) return false;
+    await publishRecord(record.keyName, cid);
+    await record.update({ publishedCid: cid, publishedAt: new Date(), lastError: null });
+    return true;
+  } catch (err) {
+    await record.update({ lastError: err.message });
+    throw err;
+  }
+};
+
+// Republish every name whose folder changed; used by the periodic job
+export const republishChangedNames = async () => {
+  const records = await IpnsName.findAll({ include: [File] });
+  let published = 0;
+  for (const record of records) {
+    try {
+      if (await republishName(record)) published += 1;
+    } catch (err) {
+      console.error(`Failed to republish IPNS name ${record.name}:`, err.message);
+    }
+  }
+  return published;
+};
+
+const timers = new Map();
+// One publish at a time, in the order the changes happened
+let queue = Promise.resolve();
+
+/**
+ * Republish, after a short delay, the names of every published folder at or above the
+ * given MFS paths. Failures are logged, never thrown.
+ */
+export const scheduleRepublish = async (paths) => {
+  try {
+    const ids = new Set();
+    for (const mfsPath of paths.filter(Boolean)) {
+      const [rows] = await sequelize.query(
+        `SELECT n.id
+         FROM ipns_names n
+         JOIN files f ON f.id = n."fileId"
+         WHERE f."deletedAt" IS NULL
+           AND (f."pathInDrive" = :mfsPath OR ${sqlIsBelow(':mfsPath', 'f."pathInDrive"')})`,
+        { replacements: { mfsPath } }
+      );
+      rows.forEach((row) => ids.add(row.id));
+    }
+
+    for (const id of ids) {
+      clearTimeout(timers.get(id));
+      const timer = setTimeout(() => {
+        timers.delete(id);
+        queue = queue
+          .then(async () => {
+            const record = await IpnsName.findByPk(id, { include: [File] });
+            if (record) await republishName(record);
+          })
+          .catch((err) => console.error(`Failed to republish IPNS name ${id}:`, err.message));
+      }, REPUBLISH_DELAY_MS);
+      timer.unref();
+      timers.set(id, timer);
+    }
+  } catch (err) {
+    console.error('IPNS republish scheduling failed:', err.message);
+  }
+};
+
+// Keys of the names published for some files rows, to remove once the rows are gone
+export const ipnsKeysOf = async (files) => {
+  if (files.length === 0) return [];
+  const records = await IpnsName.findAll({ attributes: ['keyName'], where: { fileId: files.map((f) => f.id) } });
+  return records.map((record) => record.keyName);
+};
+
+export const removeIpnsKeys = async (keyNames) => {
+  for (const keyName of keyNames) {
+    try {
+      await removeKey(keyName);
+    } catch (err) {
+      console.warn(`Could not remove IPNS key ${keyName}:`, err.message);
+    }
+  }
+};
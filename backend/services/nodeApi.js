@@ -0,0 +1,238 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { Readable, Transform, pipeline } from 'stream';
+import { HttpError } from '../utils/errors.js';
+
+/*
+ * HTTP client for the node's RPC API (/api/v0), either through the BOCK proxy or
+ * straight to Kubo. Which one is configuration, not guessed from the URL:
+ *
+ *   IPFS_NODE_API          "bock" (default) or "kubo"
+ *   BOCK_API_URL           proxy endpoint, default http://localhost:9000/bockipfs/api/v0
+ *   IPFS_API_URL           Kubo RPC endpoint, default http://127.0.0.1:5001 (as in ipfs.js)
+ *   IPFS_API_AUTH          Authorization header value for a Kubo API.Authorizations entry (optional)
+ *   IPFS_API_TIMEOUT_MS    time allowed until the response headers arrive, default 30000
+ *   IPFS_API_RETRIES       retries of failed requests, default 2
+ *
+ * Every command is a POST with its arguments in the query string, as the RPC API
+ * expects. Request bodies (files/write, add) are sent as multipart and can be
+ * streams; responses can be read as JSON, text or a stream.
+ */
+
+dotenv.config();
+
+const RETRYABLE_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN']);
+// Failures where the request never reached the node, so even a write can safely be sent again
+const UNSENT_CODES = new Set(['ECONNREFUSED', 'EAI_AGAIN']);
+const RETRYABLE_STATUSES = new Set([502, 503, 504]);
+const MAX_BACKOFF_MS = 5000;
+
+// A failed RPC command. `status` is what a route should answer with; the node's own
+// status and message are kept for logging.
+export class NodeApiError extends HttpError {
+  constructor(status, message, { command, upstreamStatus = null, code = null } = {}) {
+    super(status, message);
+    this.name = 'NodeApiError';
+    this.command = command;
+    this.upstreamStatus = upstreamStatus;
+    this.code = code;
+  }
+}
+
+// Kubo reports most failures as a 500 with { Message, Code, Type }; map the common ones
+const statusForMessage = (upstreamStatus, message) => {
+  if (/does not exist|no link named|not found/i.test(message)) return 404;
+  if (/already exists/i.test(message)) return 409;
+  if (upstreamStatus === 400) return 400;
+  return 502;
+};
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+};
+
+const parseMessage = (buffer) => {
+  const text = buffer.toString('utf8').trim();
+  try {
+    return JSON.parse(text).Message || text;
+  } catch {
+    return text;
+  }
+};
+
+// Kubo reports errors that happen mid-stream in an X-Stream-Error trailer; surface them as stream errors
+const withStreamErrors = (source, command) => {
+  const output = new Transform({
+    transform: (chunk, encoding, callback) => callback(null, chunk),
+    flush: (callback) => {
+      const message = source.trailers?.['x-stream-error'];
+      callback(message ? new NodeApiError(502, message, { command }) : null);
+    }
+  });
+  pipeline(source, output, () => {});
+  return output;
+};
+
+// Buffers and strings are sent as-is, so the request can be retried; streams are piped once
+const multipartBody = (content, fileName) => {
+  const boundary = `----bock${crypto.randomBytes(12).toString('hex')}`;
+  const head = Buffer.from(
+    `--${boundary}\r\n`
+    + `Content-Disposition: form-data; name="file"; filename="${encodeURIComponent(fileName)}"\r\n`
+    + 'Content-Type: application/octet-stream\r\n\r\n'
+  );
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+  const headers = { 'Content-Type': `multipart/form-data; boundary=${boundary}` };
+
+  if (Buffer.isBuffer(content) || typeof content === 'string') {
+    const data = Buffer.concat([head, Buffer.from(content), tail]);
+    return { data, headers: { ...headers, 'Content-Length': data.length }, replayable: true };
+  }
+  async function* parts() {
+    yield head;
+    for await (const chunk of content) yield chunk;
+    yield tail;
+  }
+  return { data: Readable.from(parts()), headers, replayable: false };
+};
+
+const buildQuery = (args, params) => {
+  const query = new URLSearchParams();
+  for (const arg of [].concat(args)) query.append('arg', String(arg));
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) query.append(key, String(value));
+  }
+  return query.toString();
+};
+
+const backoff = (attempt) => {
+  const delay = Math.min(200 * 2 ** attempt, MAX_BACKOFF_MS);
+  return new Promise((resolve) => setTimeout(resolve, delay / 2 + Math.random() * (delay / 2)));
+};
+
+/**
+ * Create a client for one RPC endpoint. `request(command, options)` runs a command such
+ * as "files/stat" with:
+ *   args          value(s) sent as repeated ?arg=
+ *   params        other query parameters; undefined and null are left out
+ *   body          Buffer, string or readable stream sent as the multipart "file" field
+ *   fileName      name of that field's file, default "file"
+ *   responseType  "json" (default), "text", "buffer" or "stream"
+ *   idempotent    whether failures after the request reached the node may be retried too
+ *   timeout, signal
+ */
+export const createNodeApiClient = ({ kind, baseUrl, timeout = 30 * 1000, retries = 2, headers = {} }) => {
+  const http = axios.create({
+    baseURL: baseUrl.replace(/\/+$/, ''),
+    headers,
+    maxBodyLength: Infinity,
+    maxContentLength: Infinity,
+    // Statuses are checked below, where the node's error message can be read
+    validateStatus: () => true
+  });
+
+  const attempt = async (command, { args, params, upload, responseType, timeout: requestTimeout, signal }) => {
+    let response;
+    try {
+      response = await http.post(`/${command}?${buildQuery(args, params)}`, upload?.data, {
+        // No body means no Content-Type, rather than the form encoding axios would default to
+        headers: upload?.headers ?? { 'Content-Type': false },
+        responseType: responseType === 'stream' ? 'stream' : 'arraybuffer',
+        timeout: requestTimeout ?? timeout,
+        signal
+      });
+    } catch (err) {
+      if (axios.isCancel(err)) throw err;
+      const timedOut = err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT';
+      throw new NodeApiError(
+        timedOut ? 504 : 502,
+        timedOut ? `${kind} node did not answer ${command} in time` : `${kind} node unreachable: ${err.message}`,
+        { command, code: err.code }
+      );
+    }
+
+    if (response.status >= 400) {
+      const body = responseType === 'stream' ? await readAll(response.data) : Buffer.from(response.data);
+      const message = parseMessage(body) || `${command} failed with status ${response.status}`;
+      throw new NodeApiError(statusForMessage(response.status, message), message, {
+        command,
+        upstreamStatus: response.status
+      });
+    }
+
+    if (responseType === 'stream') return withStreamErrors(response.data, command);
+    const body = Buffer.from(response.data);
+    if (responseType === 'buffer') return body;
+    const text = body.toString('utf8');
+    if (responseType === 'text') return text;
+    return text.trim() ? JSON.parse(text) : null;
+  };
+
+  const request = async (command, {
+    args = [], params = {}, body, fileName = 'file', responseType = 'json', idempotent = false, timeout: requestTimeout, signal
+  } = {}) => {
+    const upload = body === undefined ? null : multipartBody(body, fileName);
+    for (let tries = 0; ; tries += 1) {
+      try {
+        return await attempt(command, { args, params, upload, responseType, timeout: requestTimeout, signal });
+      } catch (err) {
+        const failure = err instanceof NodeApiError && (RETRYABLE_CODES.has(err.code) || RETRYABLE_STATUSES.has(err.upstreamStatus));
+        const safe = idempotent || UNSENT_CODES.has(err.code);
+        if (!failure || !safe || (upload && !upload.replayable) || tries >= retries || signal?.aborted) throw err;
+        console.warn(`${command} failed (${err.message}), retrying`);
+        await backoff(tries);
+      }
+    }
+  };
+
+  return {
+    kind,
+    baseUrl,
+    request,
+    version: () => request('version', { idempotent: true }),
+    stat: (mfsPath) => request('files/stat', { args: mfsPath, idempotent: true }),
+    ls: (mfsPath) => request('files/ls', { args: mfsPath, params: { long: true }, idempotent: true }),
+    mkdir: (mfsPath, { parents = true } = {}) => request('files/mkdir', { args: mfsPath, params: { parents }, idempotent: parents }),
+    // `content` is a Buffer, string or readable stream
+    write: (mfsPath, content, { fileName } = {}) => request('files/write', {
+      args: mfsPath,
+      params: { create: true, parents: true, truncate: true },
+      body: content,
+      fileName,
+      idempotent: true
+    }),
+    mv: (from, to) => request('files/mv', { args: [from, to] }),
+    rm: (mfsPath, { recursive = true } = {}) => request('files/rm', { args: mfsPath, params: { recursive } }),
+    // The /ipfs/ path an /ipns/ name (and path below it) currently points at, as { Path }
+    resolve: (ipnsPath) => request('name/resolve', { args: ipnsPath, params: { recursive: true }, idempotent: true }),
+    // A readable stream of the content behind `cid`, optionally a byte range of it
+    cat: (cid, { offset, length, signal } = {}) => request('cat', {
+      args: cid,
+      params: { offset, length },
+      responseType: 'stream',
+      idempotent: true,
+      signal
+    })
+  };
+};
+
+const kind = process.env.IPFS_NODE_API || 'bock';
+if (kind !== 'bock' && kind !== 'kubo') {
+  throw new Error(`IPFS_NODE_API must be "bock" or "kubo", not "${kind}"`);
+}
+
+// The client configured by the environment
+const nodeApi = createNodeApiClient({
+  kind,
+  baseUrl: kind === 'kubo'
+    ? `${process.env.IPFS_API_URL?.replace(/\/api\/v0\/?$/, '') || 'http://127.0.0.1:5001'}/api/v0`
+    : process.env.BOCK_API_URL || 'http://localhost:9000/bockipfs/api/v0',
+  timeout: Number(process.env.IPFS_API_TIMEOUT_MS || 30 * 1000),
+  retries: Number(process.env.IPFS_API_RETRIES ?? 2),
+  headers: process.env.IPFS_API_AUTH ? { Authorization: process.env.IPFS_API_AUTH } : {}
+});
+
+export default nodeApi;
@@ -0,0 +1,68 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+import { HttpError } from '../utils/errors.js';
+
+/*
+ * Client for a remote pinning service speaking the IPFS Pinning Service API
+ * (https://ipfs.github.io/pinning-services-api-spec/). Configured with:
+ *
+ *   PINNING_SERVICE_ENDPOINT   e.g. https://api.example.com/psa or http://localhost:5050 for the mock
+ *   PINNING_SERVICE_TOKEN      bearer access token
+ *   PINNING_SERVICE_NAME       label shown to users (optional)
+ */
+
+dotenv.config();
+
+const ENDPOINT = process.env.PINNING_SERVICE_ENDPOINT?.replace(/\/+$/, '');
+const TOKEN = process.env.PINNING_SERVICE_TOKEN;
+
+export const REMOTE_PINNING_NAME = process.env.PINNING_SERVICE_NAME || 'remote';
+
+export const isRemotePinningConfigured = () => Boolean(ENDPOINT);
+
+const client = ENDPOINT
+  ? axios.create({
+    baseURL: ENDPOINT,
+    timeout: 30 * 1000,
+    headers: TOKEN ? { Authorization: `Bearer ${TOKEN}` } : {}
+  })
+  : null;
+
+// Unwrap the spec's { error: { reason, details } } body into an HttpError
+const request = async (config) => {
+  if (!client) {
+    throw new HttpError(503, 'No remote pinning service is configured');
+  }
+  try {
+    const response = await client.request(config);
+    return response.data;
+  } catch (err) {
+    const reason = err.response?.data?.error;
+    const message = reason
+      ? `${reason.reason}${reason.details ? `: ${reason.details}` : ''}`
+      : err.message;
+    // Unknown request ids stay a 404, anything else is the upstream's fault
+    throw new HttpError(err.response?.status === 404 ? 404 : 502, `Pinning service error: ${message}`);
+  }
+};
+
+// Ask the service to pin `cid`. Resolves to a PinStatus ({ requestid, status, pin, ... })
+export const addRemotePin = (cid, name) =>
+  request({ method: 'post', url: '/pins', data: { cid, name } });
+
+// Current PinStatus of a request
+export const getRemotePin = (requestId) =>
+  request({ method: 'get', url: `/pins/${encodeURIComponent(requestId)}` });
+
+// Replace the pinned object of an existing request (used when a file's content changes)
+export const replaceRemotePin = (requestId, cid, name) =>
+  request({ method: 'post', url: `/pins/${encodeURIComponent(requestId)}`, data: { cid, name } });
+
+// Remove a pin request. A request the service no longer knows about counts as removed.
+export const removeRemotePin = async (requestId) => {
+  try {
+    await request({ method: 'delete', url: `/pins/${encodeURIComponent(requestId)}` });
+  } catch (err) {
+    if (err.status !== 404) throw err;
+  }
+};
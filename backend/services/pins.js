@@ -0,0 +1,145 @@
+import { Op } from 'sequelize';
+import { sequelize, File, PinPolicy } from '../models/index.js';
+import ipfs from '../ipfs.js';
+import {
+  isRemotePinningConfigured,
+  addRemotePin,
+  getRemotePin,
+  replaceRemotePin,
+  removeRemotePin
+} from './pinningService.js';
+import { isWithinPath } from '../utils/paths.js';
+
+/*
+ * Pin bookkeeping. A CID is pinned on the local node while anything needs it:
+ * a files row with pinStatus 'pinned', or a superseded version of some file
+ * (see services/versions.js). Remote pins are tracked on the files row itself
+ * and advanced by jobs/remotePinPoll.js.
+ */
+
+// Statuses the remote service has not settled yet
+export const PENDING_REMOTE_STATUSES = ['queued', 'pinning'];
+
+export const pinCid = async (cid) => {
+  await ipfs.pin.add(`/ipfs/${cid}`);
+};
+
+// True when the local node holds a recursive (or direct) pin for `cid`
+export const isCidPinned = async (cid) => {
+  try {
+    for await (const pin of ipfs.pin.ls({ paths: [`/ipfs/${cid}`] })) {
+      if (pin.type !== 'indirect') return true;
+    }
+    return false;
+  } catch (err) {
+    if (err.message.includes('is not pinned')) return false;
+    throw err;
+  }
+};
+
+// Drop the local pin of `cid` unless a pinned row, a superseded version or a thumbnail still needs it
+export const unpinIfUnused = async (cid) => {
+  const [rows] = await sequelize.query(
+    `SELECT 1 FROM files WHERE "ipfsCid" = :cid AND "pinStatus" = 'pinned'
+     UNION ALL
+     SELECT 1 FROM file_versions v JOIN files f ON f.id = v."fileId"
+     WHERE v."ipfsCid" = :cid AND f."ipfsCid" <> :cid
+     UNION ALL
+     SELECT 1 FROM files WHERE "thumbnailCid" = :cid OR "previewCid" = :cid
+     LIMIT 1`,
+    { replacements: { cid } }
+  );
+  if (rows.length > 0) return false;
+
+  try {
+    await ipfs.pin.rm(`/ipfs/${cid}`);
+  } catch (err) {
+    if (!err.message.includes('not pinned')) throw err;
+  }
+  return true;
+};
+
+export const pinFile = async (file) => {
+  await pinCid(file.ipfsCid);
+  await file.update({ pinStatus: 'pinned', pinnedAt: new Date() });
+  return file;
+};
+
+export const unpinFile = async (file) => {
+  await file.update({ pinStatus: 'unpinned', pinnedAt: null });
+  await unpinIfUnused(file.ipfsCid);
+  return file;
+};
+
+// Store a PinStatus answer from the remote service on the row
+const saveRemoteStatus = (file, pinStatus) => file.update({
+  remotePinRequestId: pinStatus.requestid,
+  remotePinStatus: pinStatus.status,
+  remotePinCheckedAt: new Date()
+});
+
+// Create the remote pin request for a file, or point the existing one at its current CID
+export const requestRemotePin = async (file) => {
+  const pinStatus = file.remotePinRequestId
+    ? await replaceRemotePin(file.remotePinRequestId, file.ipfsCid, file.fileName)
+    : await addRemotePin(file.ipfsCid, file.fileName);
+  return saveRemoteStatus(file, pinStatus);
+};
+
+export const cancelRemotePin = async (file) => {
+  if (file.remotePinRequestId) {
+    await removeRemotePin(file.remotePinRequestId);
+  }
+  return file.update({ remotePinRequestId: null, remotePinStatus: null, remotePinCheckedAt: new Date() });
+};
+
+// Ask the service where a pending request has got to
+export const refreshRemotePin = async (file) => saveRemoteStatus(file, await getRemotePin(file.remotePinRequestId));
+
+// The policy of the nearest folder at or above `folderPath` in `ownerId`'s drive
+export const findPinPolicy = async (ownerId, folderPath) => {
+  const policies = await PinPolicy.findAll({ where: { userId: ownerId } });
+  return policies
+    .filter((policy) => isWithinPath(folderPath, policy.folderPath))
+    .sort((a, b) => b.folderPath.length - a.folderPath.length)[0] || null;
+};
+
+/**
+ * Pin-on-upload: called whenever a file row gets new content. Files that were
+ * already pinned stay pinned (at the new CID); otherwise the folder policy decides.
+ * Failures are logged, never thrown, so they cannot fail the upload itself.
+ */
+export const applyPinPolicy = async (file) => {
+  try {
+    const policy = await findPinPolicy(file.userId, file.parentPath);
+
+    if (file.pinStatus === 'pinned' || policy?.pinLocal) {
+      await pinFile(file);
+    }
+    if (isRemotePinningConfigured() && (file.remotePinRequestId || policy?.pinRemote)) {
+      await requestRemotePin(file);
+    }
+  } catch (err) {
+    console.warn(`Pin policy for ${file.pathInDrive} failed:`, err.message);
+  }
+};
+
+// Remove the remote pin requests of rows destroyed for good. Local pins are left to
+// `unpinIfUnused`, since other rows may share the CID.
+export const cancelRemotePinsOf = async (files) => {
+  for (const file of files.filter((f) => f.remotePinRequestId)) {
+    try {
+      await removeRemotePin(file.remotePinRequestId);
+    } catch (err) {
+      console.warn(`Could not remove remote pin ${file.remotePinRequestId}:`, err.message);
+    }
+  }
+};
+
+// Files whose remote pin request has not settled yet
+export const findPendingRemotePins = () => File.findAll({
+  where: {
+    remotePinRequestId: { [Op.ne]: null },
+    remotePinStatus: { [Op.in]: PENDING_REMOTE_STATUSES }
+  }
+});
@@ -0,0 +1,87 @@
+import { sequelize, User } from '../models/index.js';
+
+/*
+ * Storage quotas. Everything stored in a drive counts against its owner, including
+ * files uploaded by people a folder is shared with:
+ *
+ *   active          live files
+ *   trash           files sitting in the recycle bin
+ *   versions        superseded versions still pinned for history
+ *   pendingUploads  declared size of resumable uploads still in progress
+ *
+ * users.quotaBytes overrides DEFAULT_QUOTA_BYTES (5 GiB unless set). A limit of 0 means unlimited.
+ */
+
+export const DEFAULT_QUOTA_BYTES = Number(process.env.DEFAULT_QUOTA_BYTES ?? 5 * 1024 * 1024 * 1024);
+
+// Byte limit of a user, or null when unlimited
+export const quotaOf = (user) => {
+  const limit = Number(user.quotaBytes ?? DEFAULT_QUOTA_BYTES);
+  return limit > 0 ? limit : null;
+};
+
+// Bytes stored in `ownerId`'s drive, by category
+export const storageUsed = async (ownerId) => {
+  const [[files]] = await sequelize.query(
+    `SELECT COALESCE(SUM("fileSize") FILTER (WHERE "deletedAt" IS NULL), 0) AS active,
+            COALESCE(SUM("fileSize") FILTER (WHERE "deletedAt" IS NOT NULL), 0) AS trash
+     FROM files
+     WHERE "userId" = :ownerId AND "isFolder" IS NOT TRUE`,
+    { replacements: { ownerId } }
+  );
+  const [[versions]] = await sequelize.query(
+    `SELECT COALESCE(SUM(size), 0) AS versions
+     FROM (
+       SELECT DISTINCT v."fileId", v."ipfsCid", v."fileSize" AS size
+       FROM file_versions v
+       JOIN files f ON f.id = v."fileId"
+       WHERE f."userId" = :ownerId AND v."ipfsCid" <> f."ipfsCid"
+     ) superseded`,
+    { replacements: { ownerId } }
+  );
+  const [[uploads]] = await sequelize.query(
+    `SELECT COALESCE(SUM("totalSize"), 0) AS pending
+     FROM upload_sessions
+     WHERE "ownerId" = :ownerId AND status = 'pending'`,
+    { replacements: { ownerId } }
+  );
+
+  const breakdown = {
+    active: Number(files.active),
+    trash: Number(files.trash),
+    versions: Number(versions.versions),
+    pendingUploads: Number(uploads.pending)
+  };
+  return {
+    breakdown,
+    used: breakdown.active + breakdown.trash + breakdown.versions + breakdown.pendingUploads
+  };
+};
+
+/**
+ * Whether `incomingBytes` more fit in `ownerId`'s drive. Creating empty things
+ * (incomingBytes = 0) is refused once the drive is already over its limit.
+ * `reserved` bytes of the usage are the incoming bytes themselves, as for a pending
+ * upload that is being completed, and are not counted twice.
+ * Returns { allowed, limit, used, requested }.
+ */
+export const checkQuota = async (ownerId, incomingBytes = 0, { reserved = 0 } = {}) => {
+  const owner = await User.findByPk(ownerId);
+  const limit = owner ? quotaOf(owner) : null;
+  if (limit === null) {
+    return { allowed: true, limit: null, used: null, requested: incomingBytes };
+  }
+
+  const used = (await storageUsed(ownerId)).used - reserved;
+  const allowed = incomingBytes > 0 ? used + incomingBytes <= limit : used < limit;
+  return { allowed, limit, used, requested: incomingBytes };
+};
+
+// Body of the 413 answer when a quota check fails
+export const quotaExceededBody = ({ limit, used, requested }) => ({
+  error: 'Storage quota exceeded',
+  details: `${used} of ${limit} bytes used, ${requested} more requested`,
+  quota: limit,
+  used,
+  requested
+});
@@ -0,0 +1,197 @@
+import { Op } from 'sequelize';
+import ipfs from '../ipfs.js';
+import { File, FileVersion, User } from '../models/index.js';
+import { isNotFoundError, mfsExists } from './drive.js';
+import { recordUpload, releaseVersionContent } from './versions.js';
+import { cancelRemotePinsOf } from './pins.js';
+import { thumbnailCidsOf } from './thumbnails.js';
+import { userRootPath, TRASH_DIR } from '../utils/paths.js';
+
+/*
+ * MFS is the source of truth for what a drive contains; the files table is an index
+ * of it that drifts when a request dies half way. Reconciliation walks /users/<id>
+ * and compares every entry with the active files rows by path:
+ *
+ *   missingRows      in MFS, no row                 -> row created
+ *   orphans          row, nothing in MFS            -> row deleted
+ *   cidMismatches    file row with another CID      -> row updated as a new version
+ *   typeMismatches   row says folder, MFS says file (or the reverse) -> isFolder fixed
+ *   duplicates       several rows for one path      -> all but the oldest deleted
+ *   staleFolderCids  folder CIDs change with every write below them, so they are only
+ *                    counted, and refreshed on repair
+ *
+ * The recycle bin is skipped; trashed rows keep their original paths on purpose.
+ */
+
+const USERS_ROOT = '/users';
+
+// Every entry below `dir` as { path, type, cid, size }, depth first
+async function* walk(dir, skip) {
+  for await (const entry of ipfs.files.ls(dir)) {
+    const entryPath = `${dir}/${entry.name}`;
+    if (skip(entryPath)) continue;
+    yield { path: entryPath, name: entry.name, type: entry.type, cid: entry.cid.toString(), size: Number(entry.size) };
+    if (entry.type === 'directory') {
+      yield* walk(entryPath, skip);
+    }
+  }
+}
+
+const emptyReport = () => ({
+  missingRows: [],
+  orphans: [],
+  cidMismatches: [],
+  typeMismatches: [],
+  duplicates: [],
+  staleFolderCids: 0
+});
+
+// Compare one drive with its rows, repairing the differences when asked to
+export const reconcileDrive = async (ownerId, { repair = false } = {}) => {
+  const root = userRootPath(ownerId);
+  const trashRoot = `${root}/${TRASH_DIR}`;
+  const report = emptyReport();
+
+  const rows = await File.findAll({ where: { userId: ownerId, deletedAt: null }, order: [['id', 'ASC']] });
+  const rowsByPath = new Map();
+  for (const row of rows) {
+    const samePath = rowsByPath.get(row.pathInDrive) || [];
+    samePath.push(row);
+    rowsByPath.set(row.pathInDrive, samePath);
+  }
+
+  const doomed = [];
+  for (const [rowPath, samePath] of rowsByPath) {
+    if (samePath.length > 1) {
+      report.duplicates.push({ path: rowPath, keptId: samePath[0].id, extraIds: samePath.slice(1).map((r) => r.id) });
+      doomed.push(...samePath.slice(1));
+    }
+  }
+
+  // A drive folder that is gone entirely leaves every row orphaned
+  const entries = (await mfsExists(root)) ? walk(root, (p) => p === trashRoot) : [];
+  const seen = new Set();
+  for await (const entry of entries) {
+    seen.add(entry.path);
+    const isFolder = entry.type === 'directory';
+    const row = rowsByPath.get(entry.path)?.[0];
+
+    if (!row) {
+      report.missingRows.push({ path: entry.path, isFolder, cid: entry.cid });
+      if (repair) {
+        const parentPath = entry.path.slice(0, entry.path.lastIndexOf('/'));
+        if (isFolder) {
+          await File.create({
+            userId: ownerId,
+            fileName: entry.name,
+            fileType: null,
+            fileSize: 0,
+            ipfsCid: entry.cid,
+            pathInDrive: entry.path,
+            parentPath,
+            isFolder: true,
+            uploadedAt: new Date()
+          });
+        } else {
+          await recordUpload({
+            ownerId,
+            uploadedBy: null,
+            fileName: entry.name,
+            fileType: null,
+            fileSize: entry.size,
+            cid: entry.cid,
+            mfsPath: entry.path,
+            parentPath,
+            pinPrevious: false
+          });
+        }
+      }
+      continue;
+    }
+
+    if (Boolean(row.isFolder) !== isFolder) {
+      report.typeMismatches.push({ id: row.id, path: entry.path, rowIsFolder: Boolean(row.isFolder), mfsIsFolder: isFolder });
+      if (repair) {
+        await row.update({ isFolder, ipfsCid: entry.cid, fileSize: isFolder ? 0 : entry.size });
+      }
+      continue;
+    }
+
+    if (row.ipfsCid === entry.cid) continue;
+
+    if (isFolder) {
+      report.staleFolderCids += 1;
+      if (repair) await row.update({ ipfsCid: entry.cid });
+    } else {
+      report.cidMismatches.push({ id: row.id, path: entry.path, rowCid: row.ipfsCid, mfsCid: entry.cid });
+      if (repair) {
+        // The row's CID may no longer be retrievable, so it is not pinned as a version
+        await recordUpload({
+          ownerId,
+          uploadedBy: null,
+          fileName: row.fileName,
+          fileType: row.fileType,
+          fileSize: entry.size,
+          cid: entry.cid,
+          mfsPath: entry.path,
+          parentPath: row.parentPath,
+          pinPrevious: false
+        });
+      }
+    }
+  }
+
+  for (const [rowPath, samePath] of rowsByPath) {
+    if (!seen.has(rowPath)) {
+      report.orphans.push({ id: samePath[0].id, path: rowPath, isFolder: Boolean(samePath[0].isFolder) });
+      doomed.push(samePath[0]);   // any duplicates of it are already doomed
+    }
+  }
+
+  if (repair && doomed.length > 0) {
+    const ids = doomed.map((row) => row.id);
+    const versions = await FileVersion.findAll({ attributes: ['ipfsCid'], where: { fileId: { [Op.in]: ids } } });
+    await File.destroy({ where: { id: { [Op.in]: ids } } });
+    await cancelRemotePinsOf(doomed);
+    await releaseVersionContent([...doomed.map((row) => row.ipfsCid), ...versions.map((v) => v.ipfsCid), ...thumbnailCidsOf(doomed)]);
+  }
+
+  return report;
+};
+
+/**
+ * Reconcile every drive under /users (or only `userId`).
+ * Returns { checkedAt, repair, drives: { <ownerId>: report }, unknownDrives, totals }.
+ */
+export const reconcileAll = async ({ repair = false, userId = null } = {}) => {
+  const totals = { missingRows: 0, orphans: 0, cidMismatches: 0, typeMismatches: 0, duplicates: 0, staleFolderCids: 0 };
+  const result = { checkedAt: new Date(), repair, drives: {}, unknownDrives: [], totals };
+
+  const driveIds = [];
+  if (userId) {
+    driveIds.push(Number(userId));
+  } else {
+    try {
+      for await (const entry of ipfs.files.ls(USERS_ROOT)) {
+        if (entry.type !== 'directory') continue;
+        if (/^\d+$/.test(entry.name)) driveIds.push(Number(entry.name));
+        else result.unknownDrives.push(`${USERS_ROOT}/${entry.name}`);
+      }
+    } catch (err) {
+      if (!isNotFoundError(err)) throw err;
+    }
+  }
+
+  for (const ownerId of driveIds) {
+    if (!(await User.findByPk(ownerId))) {
+      result.unknownDrives.push(userRootPath(ownerId));
+      continue;
+    }
+    const report = await reconcileDrive(ownerId, { repair });
+    result.drives[ownerId] = report;
+    for (const key of Object.keys(totals)) {
+      totals[key] += key === 'staleFolderCids' ? report[key] : report[key].length;
+    }
+  }
+  return result;
+};
@@ -0,0 +1,123 @@
+import { sequelize, FileContent } from '../models/index.js';
+import ipfs from '../ipfs.js';
+import { extractText, extractorFor } from './textExtract.js';
+import { belowPattern } from '../utils/paths.js';
+
+/*
+ * Full-text search over file content. Text is extracted once per CID into
+ * file_contents, whose generated "searchVector" column carries a GIN index.
+ * Uploads queue their content here; `npm run search:backfill` covers older files.
+ */
+
+// Bigger files are recorded as not indexed rather than read into memory
+export const MAX_EXTRACT_BYTES = Number(process.env.SEARCH_MAX_EXTRACT_BYTES || 25 * 1024 * 1024);
+
+const SEARCH_CONFIG = 'english';
+const MARK_START = '\uE000';   // private-use characters, never present in extracted text
+const MARK_END = '\uE001';
+const HEADLINE_OPTIONS = `StartSel=${MARK_START}, StopSel=${MARK_END}, MaxFragments=2, MaxWords=18, MinWords=6, FragmentDelimiter=" … "`;
+
+const readContent = async (cid) => {
+  const chunks = [];
+  for await (const chunk of ipfs.cat(cid)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Extract and store the text of `ipfsCid` unless it is already indexed (or `force`).
+ * Formats without text, and files over MAX_EXTRACT_BYTES, get an empty entry so
+ * the backfill does not keep retrying them.
+ */
+export const indexContent = async ({ ipfsCid, fileName, fileType, fileSize }, { force = false } = {}) => {
+  if (!force && (await FileContent.findByPk(ipfsCid))) return null;
+
+  let extracted = null;
+  if (extractorFor(fileName, fileType) && Number(fileSize) <= MAX_EXTRACT_BYTES) {
+    extracted = await extractText(await readContent(ipfsCid), { fileName, fileType });
+  }
+
+  const [entry] = await FileContent.upsert({
+    ipfsCid,
+    content: extracted?.text || '',
+    extractor: extracted?.extractor || null,
+    truncated: extracted?.truncated || false,
+    indexedAt: new Date()
+  });
+  return entry;
+};
+
+// Uploads index one file at a time in the background, so extraction never delays the response
+let queue = Promise.resolve();
+
+export const queueIndexing = (file) => {
+  // Ciphertext has no text to find
+  if (file.isFolder || file.encrypted) return;
+  const job = { ipfsCid: file.ipfsCid, fileName: file.fileName, fileType: file.fileType, fileSize: file.fileSize };
+  queue = queue
+    .then(() => indexContent(job))
+    .catch((err) => console.error(`Indexing ${job.fileName} (${job.ipfsCid}) failed:`, err.message));
+};
+
+// Turn a ts_headline fragment into HTML: everything escaped, matches wrapped in <mark>
+const toSnippetHtml = (headline) => headline
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replaceAll(MARK_START, '<mark>')
+  .replaceAll(MARK_END, '</mark>');
+
+/**
+ * Files of `userId` below `searchPath` (or directly in it, when not recursive) whose
+ * content matches `query`, best first. `query` uses web search syntax: words,
+ * "quoted phrases", OR and -excluded. Each row carries an HTML-safe `snippet`.
+ */
+export const searchContent = async ({ userId, query, searchPath, recursive = true, limit = 100 }) => {
+  const pathFilter = recursive
+    ? 'f."pathInDrive" LIKE :pathPrefix'
+    : 'f."parentPath" = :searchPath';
+
+  const [rows] = await sequelize.query(
+    `SELECT matches.*, ts_headline(:config, c.content, matches.q, :headlineOptions) AS headline
+     FROM (
+       SELECT f.id, f."fileName", f."ipfsCid", f."pathInDrive", f."fileType", f."fileSize", f."uploadedAt",
+              q, ts_rank_cd(c."searchVector", q, 32) AS rank
+       FROM files f
+       JOIN file_contents c ON c."ipfsCid" = f."ipfsCid",
+            websearch_to_tsquery(:config, :query) q
+       WHERE f."userId" = :userId
+         AND f."deletedAt" IS NULL
+         AND f."isFolder" IS NOT TRUE
+         AND ${pathFilter}
+         AND c."searchVector" @@ q
+       ORDER BY rank DESC
+       LIMIT :limit
+     ) matches
+     JOIN file_contents c ON c."ipfsCid" = matches."ipfsCid"
+     ORDER BY matches.rank DESC`,
+    {
+      replacements: {
+        config: SEARCH_CONFIG,
+        headlineOptions: HEADLINE_OPTIONS,
+        query,
+        userId,
+        searchPath,
+        pathPrefix: belowPattern(searchPath),
+        limit
+      }
+    }
+  );
+
+  return rows.map(({ q, headline, ...row }) => ({ ...row, rank: Number(row.rank), snippet: toSnippetHtml(headline) }));
+};
+
+// Drop index entries whose CID no file refers to any more
+export const pruneOrphanedContent = async () => {
+  const [, result] = await sequelize.query(
+    `DELETE FROM file_contents c
+     WHERE NOT EXISTS (SELECT 1 FROM files f WHERE f."ipfsCid" = c."ipfsCid")`
+  );
+  return result.rowCount;
+};
@@ -0,0 +1,106 @@
+import path from 'path';
+
+/*
+ * Plain text extraction for the search index. Only formats whose text can be
+ * read without guessing are handled: plain text, Markdown, JSON, CSV, HTML and PDF.
+ */
+
+// Postgres refuses tsvectors over 1MB, so the indexed text is capped well below it
+export const MAX_INDEXED_CHARS = 400 * 1024;
+
+const TEXT_EXTENSIONS = { '.txt': 'text', '.text': 'text', '.log': 'text', '.md': 'markdown', '.markdown': 'markdown', '.json': 'json', '.csv': 'csv', '.htm': 'html', '.html': 'html', '.pdf': 'pdf' };
+
+const MIME_EXTRACTORS = {
+  'text/plain': 'text',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'text/html': 'html',
+  'application/pdf': 'pdf'
+};
+
+// Which extractor applies to a file, or null when its content is not indexed
+export const extractorFor = (fileName, fileType) => {
+  const mime = (fileType || '').split(';')[0].trim().toLowerCase();
+  return MIME_EXTRACTORS[mime] || TEXT_EXTENSIONS[path.extname(fileName || '').toLowerCase()] || null;
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const htmlToText = (html) => html
+  .replace(/<(script|style|noscript|template)[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<!--[\s\S]*?-->/g, ' ')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+// Keys and string values of a JSON document; falls back to the raw text when it does not parse
+const jsonToText = (raw) => {
+  let doc;
+  try {
+    doc = JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+  const parts = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) value.forEach(visit);
+    else if (value && typeof value === 'object') {
+      for (const [key, inner] of Object.entries(value)) {
+        parts.push(key);
+        visit(inner);
+      }
+    } else if (value !== null && value !== undefined) parts.push(String(value));
+  };
+  visit(doc);
+  return parts.join(' ');
+};
+
+const pdfToText = async (buffer) => {
+  // Loaded lazily: pdf.js is large and only needed for PDFs
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const pdf = await getDocument({ data: new Uint8Array(buffer), isEvalSupported: false, verbosity: 0 }).promise;
+  const pages = [];
+  try {
+    for (let n = 1; n <= pdf.numPages; n += 1) {
+      const page = await pdf.getPage(n);
+      const { items } = await page.getTextContent();
+      pages.push(items.map((item) => item.str).join(' '));
+      if (pages.join('\n').length > MAX_INDEXED_CHARS) break;
+    }
+  } finally {
+    await pdf.destroy();
+  }
+  return pages.join('\n');
+};
+
+/**
+ * Extract indexable text from file content.
+ * Returns { text, extractor, truncated }, or null when the format is not supported.
+ */
+export const extractText = async (buffer, { fileName, fileType }) => {
+  const extractor = extractorFor(fileName, fileType);
+  if (!extractor) return null;
+
+  let text;
+  if (extractor === 'pdf') {
+    text = await pdfToText(buffer);
+  } else {
+    const raw = buffer.toString('utf8');
+    if (extractor === 'html') text = htmlToText(raw);
+    else if (extractor === 'json') text = jsonToText(raw);
+    else if (extractor === 'csv') text = raw.replace(/[",;\t]+/g, ' ');
+    else text = raw;
+  }
+
+  // NUL bytes are not allowed in Postgres text columns
+  text = text.replace(/\u0000/g, '').replace(/\s+/g, ' ').trim();
+  const truncated = text.length > MAX_INDEXED_CHARS;
+  return { text: truncated ? text.slice(0, MAX_INDEXED_CHARS) : text, extractor, truncated };
+};
@@ -0,0 +1,159 @@
+import path from 'path';
+import { createRequire } from 'module';
+import sharp from 'sharp';
+import { Op } from 'sequelize';
+import ipfs from '../ipfs.js';
+import { File } from '../models/index.js';
+import { unpinIfUnused } from './pins.js';
+
+/*
+ * Thumbnails and previews. Uploads of images and PDFs are queued here; each gets a
+ * small WebP for listings (thumbnailCid) and a large one for previews (previewCid),
+ * added to Kubo as their own pinned CIDs. PDFs are rendered from their first page.
+ * Rows sharing a CID share the renderings, so copies are never rendered twice.
+ * `npm run thumbnails:backfill` covers files uploaded before this existed.
+ */
+
+export const THUMBNAIL_SIZE = Number(process.env.THUMBNAIL_SIZE || 256);
+export const PREVIEW_SIZE = Number(process.env.PREVIEW_SIZE || 1024);
+// Bigger sources are marked unsupported rather than read into memory
+export const MAX_THUMBNAIL_SOURCE_BYTES = Number(process.env.THUMBNAIL_MAX_SOURCE_BYTES || 50 * 1024 * 1024);
+
+const IMAGE_TYPES = new Set([
+  'image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/tiff', 'image/svg+xml'
+]);
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp', '.gif', '.avif', '.tif', '.tiff', '.svg']);
+
+// pdf.js loads the 14 standard PDF fonts from files when they are not embedded
+const require = createRequire(import.meta.url);
+const STANDARD_FONTS_DIR = `${path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts')}/`;
+
+// 'image', 'pdf', or null when no thumbnail can be made
+export const rendererFor = (fileName, fileType) => {
+  const mime = (fileType || '').split(';')[0].trim().toLowerCase();
+  const ext = path.extname(fileName || '').toLowerCase();
+  if (mime === 'application/pdf' || ext === '.pdf') return 'pdf';
+  if (IMAGE_TYPES.has(mime) || IMAGE_EXTENSIONS.has(ext)) return 'image';
+  return null;
+};
+
+// First page of a PDF as a PNG, PREVIEW_SIZE pixels on its longest side
+const renderPdfPage = async (buffer) => {
+  // Loaded lazily: pdf.js is large and only needed for PDFs
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    standardFontDataUrl: STANDARD_FONTS_DIR,
+    verbosity: 0
+  }).promise;
+  try {
+    const page = await pdf.getPage(1);
+    const unscaled = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: PREVIEW_SIZE / Math.max(unscaled.width, unscaled.height) });
+    const { canvas, context } = pdf.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    await page.render({ canvasContext: context, viewport }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+const toWebp = (input, size) => sharp(input)
+  .rotate()                                   // honour EXIF orientation
+  .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+  .flatten({ background: '#ffffff' })
+  .webp({ quality: 80 })
+  .toBuffer();
+
+/**
+ * Render the thumbnail and preview of file content.
+ * Returns { thumbnail, preview } as WebP buffers, or null when the format is not supported.
+ */
+export const renderThumbnails = async (buffer, { fileName, fileType }) => {
+  const renderer = rendererFor(fileName, fileType);
+  if (!renderer) return null;
+
+  // Animated images are rendered from their first frame
+  const source = renderer === 'pdf' ? await renderPdfPage(buffer) : buffer;
+  return {
+    thumbnail: await toWebp(source, THUMBNAIL_SIZE),
+    preview: await toWebp(source, PREVIEW_SIZE)
+  };
+};
+
+const readContent = async (cid) => {
+  const chunks = [];
+  for await (const chunk of ipfs.cat(cid)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Renderings no row refers to any more are unpinned
+export const releaseThumbnails = async (cids) => {
+  for (const cid of new Set(cids.filter(Boolean))) {
+    try {
+      await unpinIfUnused(cid);
+    } catch (err) {
+      console.warn(`Could not unpin thumbnail ${cid}:`, err.message);
+    }
+  }
+};
+
+// Thumbnail and preview CIDs of some rows, e.g. before they are destroyed
+export const thumbnailCidsOf = (files) => files.flatMap((file) => [file.thumbnailCid, file.previewCid]).filter(Boolean);
+
+/**
+ * Make the thumbnail and preview of one file row, unless it already has them (or `force`).
+ * Every row with the same CID is updated along with it.
+ */
+export const generateThumbnails = async (file, { force = false } = {}) => {
+  const cid = file.ipfsCid;
+  const sameContent = { ipfsCid: cid, isFolder: { [Op.not]: true } };
+  const previous = await File.findAll({ attributes: ['thumbnailCid', 'previewCid'], where: sameContent });
+
+  // Encrypted content can only be rendered by the browsers that hold its key
+  if (file.encrypted || !rendererFor(file.fileName, file.fileType) || Number(file.fileSize) > MAX_THUMBNAIL_SOURCE_BYTES) {
+    await File.update({ thumbnailStatus: 'unsupported' }, { where: { id: file.id } });
+    return null;
+  }
+
+  let renderings;
+  const done = !force && (await File.findOne({ where: { ...sameContent, thumbnailStatus: 'ready' } }));
+  if (done) {
+    renderings = { thumbnailCid: done.thumbnailCid, previewCid: done.previewCid };
+  } else {
+    const rendered = await renderThumbnails(await readContent(cid), file);
+    const thumbnail = await ipfs.add(rendered.thumbnail);
+    const preview = await ipfs.add(rendered.preview);
+    renderings = { thumbnailCid: thumbnail.cid.toString(), previewCid: preview.cid.toString() };
+  }
+
+  // Rows that moved on to other content in the meantime keep what they have
+  await File.update(
+    { ...renderings, thumbnailStatus: 'ready', thumbnailGeneratedAt: new Date() },
+    { where: sameContent }
+  );
+  await releaseThumbnails(thumbnailCidsOf(previous));
+  return renderings;
+};
+
+// Uploads render one file at a time in the background, so they never delay the response
+let queue = Promise.resolve();
+
+export const queueThumbnails = (file) => {
+  if (file.isFolder) return;
+  const job = {
+    id: file.id, ipfsCid: file.ipfsCid, fileName: file.fileName, fileType: file.fileType, fileSize: file.fileSize, encrypted: file.encrypted
+  };
+  queue = queue
+    .then(async () => {
+      await File.update({ thumbnailStatus: 'pending' }, { where: { id: job.id, ipfsCid: job.ipfsCid } });
+      await generateThumbnails(job);
+    })
+    .catch(async (err) => {
+      console.error(`Thumbnail of ${job.fileName} (${job.ipfsCid}) failed:`, err.message);
+      await File.update({ thumbnailStatus: 'failed' }, { where: { id: job.id, ipfsCid: job.ipfsCid } }).catch(() => null);
+    });
+};
@@ -0,0 +1,147 @@
+import { Op } from 'sequelize';
+import { sequelize, File, FileVersion, TrashItem } from '../models/index.js';
+import ipfs from '../ipfs.js';
+import { ensureDir, isNotFoundError, mfsExists } from './drive.js';
+import { releaseVersionContent } from './versions.js';
+import { cancelRemotePinsOf } from './pins.js';
+import { thumbnailCidsOf } from './thumbnails.js';
+import { ipnsKeysOf, removeIpnsKeys } from './ipns.js';
+import { HttpError } from '../utils/errors.js';
+import { userRootPath, trashRootPath, isWithinPath, parentOf, belowPattern } from '../utils/paths.js';
+
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+
+/**
+ * Move an item of `ownerId`'s drive into their recycle bin.
+ * The item lands at /users/<owner>/.trash/<trashItemId>; its files rows keep their
+ * original paths and are only flagged with deletedAt/trashItemId so restore is exact.
+ */
+export const moveToTrash = async ({ ownerId, itemPath, deletedBy }) => {
+  if (itemPath === userRootPath(ownerId) || isWithinPath(itemPath, trashRootPath(ownerId))) {
+    throw new HttpError(400, 'This path cannot be deleted');
+  }
+
+  let stat;
+  try {
+    stat = await ipfs.files.stat(itemPath);
+  } catch (err) {
+    if (isNotFoundError(err)) throw new HttpError(404, 'File or folder not found');
+    throw err;
+  }
+
+  await ensureDir(trashRootPath(ownerId));
+
+  const transaction = await sequelize.transaction();
+  let trashPath = null;
+  let moved = false;
+  try {
+    const item = await TrashItem.create({
+      userId: ownerId,
+      deletedBy,
+      fileName: itemPath.split('/').pop(),
+      isFolder: stat.type === 'directory',
+      fileSize: stat.type === 'directory' ? stat.cumulativeSize : stat.size,
+      ipfsCid: stat.cid.toString(),
+      originalPath: itemPath,
+      deletedAt: new Date()
+    }, { transaction });
+
+    trashPath = `${trashRootPath(ownerId)}/${item.id}`;
+    await item.update({ trashPath }, { transaction });
+
+    await ipfs.files.mv(itemPath, trashPath);
+    moved = true;
+
+    await File.update(
+      { deletedAt: item.deletedAt, trashItemId: item.id },
+      {
+        where: {
+          userId: ownerId,
+          deletedAt: null,
+          [Op.or]: [{ pathInDrive: itemPath }, { pathInDrive: { [Op.like]: belowPattern(itemPath) } }]
+        },
+        transaction
+      }
+    );
+
+    await transaction.commit();
+    return item;
+  } catch (err) {
+    await transaction.rollback();
+    // Undo the MFS move if the database could not be updated
+    if (moved) {
+      await ipfs.files.mv(trashPath, itemPath).catch((rollbackErr) => {
+        console.error('Failed to rollback trash move:', rollbackErr.message);
+      });
+    }
+    throw err;
+  }
+};
+
+// Put a trashed item back where it was deleted from
+export const restoreFromTrash = async (item) => {
+  if (await mfsExists(item.originalPath)) {
+    throw new HttpError(409, 'Something already exists at the original location');
+  }
+  if (!(await mfsExists(parentOf(item.originalPath)))) {
+    throw new HttpError(409, 'The original folder no longer exists, restore it first');
+  }
+
+  await ipfs.files.mv(item.trashPath, item.originalPath);
+
+  try {
+    await sequelize.transaction(async (transaction) => {
+      await File.update(
+        { deletedAt: null, trashItemId: null },
+        { where: { trashItemId: item.id }, transaction }
+      );
+      await item.destroy({ transaction });
+    });
+  } catch (err) {
+    await ipfs.files.mv(item.originalPath, item.trashPath).catch((rollbackErr) => {
+      console.error('Failed to rollback restore:', rollbackErr.message);
+    });
+    throw err;
+  }
+};
+
+// Remove a trashed item from MFS and the database for good
+export const deletePermanently = async (item) => {
+  try {
+    await ipfs.files.rm(item.trashPath, { recursive: true });
+  } catch (err) {
+    if (!isNotFoundError(err)) throw err;
+  }
+
+  // Versions go with their files (ON DELETE CASCADE); pins held for them or their thumbnails are released after
+  const files = await File.findAll({ where: { trashItemId: item.id } });
+  // Published names go with their folders too; their keys are removed from the node after
+  const ipnsKeys = await ipnsKeysOf(files);
+  const versions = await FileVersion.findAll({
+    attributes: ['ipfsCid'],
+    include: [{ model: File, attributes: [], where: { trashItemId: item.id } }]
+  });
+
+  await sequelize.transaction(async (transaction) => {
+    await File.destroy({ where: { trashItemId: item.id }, transaction });
+    await item.destroy({ transaction });
+  });
+  await cancelRemotePinsOf(files);
+  await removeIpnsKeys(ipnsKeys);
+  await releaseVersionContent([...files.map((f) => f.ipfsCid), ...versions.map((v) => v.ipfsCid), ...thumbnailCidsOf(files)]);
+};
+
+// Permanently delete every trashed item older than the retention period
+export const purgeExpiredTrash = async (retentionDays = TRASH_RETENTION_DAYS) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = await TrashItem.findAll({ where: { deletedAt: { [Op.lt]: cutoff } } });
+
+  for (const item of expired) {
+    try {
+      await deletePermanently(item);
+    } catch (err) {
+      console.error(`Failed to purge trash item ${item.id}:`, err.message);
+    }
+  }
+  return expired.length;
+};
@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import { sequelize, File, FileVersion } from '../models/index.js';
+import ipfs from '../ipfs.js';
+import { pinCid, unpinIfUnused, applyPinPolicy } from './pins.js';
+import { queueIndexing } from './searchIndex.js';
+import { queueThumbnails } from './thumbnails.js';
+import { releaseContentKeys } from './encryption.js';
+import { moveReplacing, mfsExists } from './drive.js';
+import { UPLOAD_STAGING_ROOT } from '../utils/paths.js';
+
+/*
+ * Every upload of a file becomes a row in file_versions, the current content included.
+ * Once a version is superseded its CID is no longer referenced from MFS, so it is
+ * pinned to keep Kubo's garbage collector away from it until the version is pruned.
+ */
+
+const pinVersionContent = async (cid) => {
+  try {
+    await pinCid(cid);
+  } catch (err) {
+    console.warn(`Could not pin superseded version ${cid}:`, err.message);
+  }
+};
+
+// Unpin CIDs that were only kept for versions which are now gone, and drop their content keys
+export const releaseVersionContent = async (cids) => {
+  for (const cid of new Set(cids)) {
+    try {
+      await unpinIfUnused(cid);
+    } catch (err) {
+      console.warn(`Could not unpin version ${cid}:`, err.message);
+    }
+  }
+  await releaseContentKeys(cids);
+};
+
+/**
+ * Record content that was just written to `mfsPath`.
+ * A new path creates the files row and version 1; an existing path keeps its row,
+ * which now points at the new CID, and gains the next version number.
+ * New content is then pinned according to the folder's pin policy. The superseded
+ * CID is pinned too, unless `pinPrevious` is false because it may not be retrievable.
+ * The content is queued for the full-text search index and for thumbnails, which
+ * skip `encrypted` content since the backend cannot read it.
+ * Returns { file, version, created }.
+ */
+export const recordUpload = async ({
+  ownerId, uploadedBy, fileName, fileType, fileSize, cid, mfsPath, parentPath, encrypted = false, pinPrevious = true
+}) => {
+  const result = await sequelize.transaction(async (transaction) => {
+    const existing = await File.findOne({
+      where: { userId: ownerId, pathInDrive: mfsPath, isFolder: false, deletedAt: null },
+      order: [['id', 'ASC']],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!existing) {
+      const file = await File.create({
+        userId: ownerId,
+        fileName,
+        fileType,
+        fileSize,
+        ipfsCid: cid,
+        pathInDrive: mfsPath,
+        parentPath,
+        isFolder: false,
+        encrypted,
+        uploadedAt: new Date()
+      }, { transaction });
+      const version = await FileVersion.create({
+        fileId: file.id, versionNumber: 1, ipfsCid: cid, fileSize, fileType, uploadedBy
+      }, { transaction });
+      return { file, version, created: true, previousCid: null };
+    }
+
+    let latest = await FileVersion.findOne({
+      where: { fileId: existing.id },
+      order: [['versionNumber', 'DESC']],
+      transaction
+    });
+    if (!latest) {
+      // Rows uploaded before versioning existed: their content becomes version 1
+      latest = await FileVersion.create({
+        fileId: existing.id,
+        versionNumber: 1,
+        ipfsCid: existing.ipfsCid,
+        fileSize: existing.fileSize,
+        fileType: existing.fileType,
+        createdAt: existing.uploadedAt
+      }, { transaction });
+    }
+
+    // Re-uploading identical content does not make a new version
+    if (latest.ipfsCid === cid) {
+      return { file: existing, version: latest, created: false, previousCid: null };
+    }
+
+    const previousCid = existing.ipfsCid;
+    await existing.update({ fileType, fileSize, ipfsCid: cid, encrypted, uploadedAt: new Date() }, { transaction });
+    const version = await FileVersion.create({
+      fileId: existing.id, versionNumber: latest.versionNumber + 1, ipfsCid: cid, fileSize, fileType, uploadedBy
+    }, { transaction });
+    return { file: existing, version, created: false, previousCid };
+  });
+
+  if (result.previousCid && pinPrevious) {
+    await pinVersionContent(result.previousCid);
+  }
+  if (result.created || result.previousCid) {
+    await applyPinPolicy(result.file);
+    queueIndexing(result.file);
+    queueThumbnails(result.file);
+  }
+  return { file: result.file, version: result.version, created: result.created, previousCid: result.previousCid };
+};
+
+// Make an old version the current content of the file again (as a new version). The
+// version is copied into staging first and then moved over the file, so the file is
+// only replaced once its old content is in place
+export const restoreVersion = async (file, version, restoredBy) => {
+  const stagingPath = `${UPLOAD_STAGING_ROOT}/restore-${crypto.randomUUID()}`;
+  await ipfs.files.cp(`/ipfs/${version.ipfsCid}`, stagingPath, { parents: true });
+  try {
+    await moveReplacing(stagingPath, file.pathInDrive);
+  } catch (err) {
+    // moveReplacing removes the file before moving, so it may be gone
+    if (!(await mfsExists(file.pathInDrive))) {
+      await ipfs.files.cp(`/ipfs/${file.ipfsCid}`, file.pathInDrive).catch((rollbackErr) => {
+        console.error('Failed to put back the current version:', rollbackErr.message);
+      });
+    }
+    await ipfs.files.rm(stagingPath).catch(() => {});
+    throw err;
+  }
+
+  return recordUpload({
+    ownerId: file.userId,
+    uploadedBy: restoredBy,
+    fileName: file.fileName,
+    fileType: version.fileType,
+    fileSize: version.fileSize,
+    cid: version.ipfsCid,
+    mfsPath: file.pathInDrive,
+    parentPath: file.parentPath,
+    encrypted: file.encrypted
+  });
+};
+
+/**
+ * Delete old versions of a file, keeping the newest `keep` (if given) and dropping
+ * any older than `olderThanDays` (if given). The current version is always kept.
+ * Returns the deleted version rows.
+ */
+export const pruneVersions = async (file, { keep, olderThanDays } = {}) => {
+  const versions = await FileVersion.findAll({
+    where: { fileId: file.id },
+    order: [['versionNumber', 'DESC']]
+  });
+  const cutoff = olderThanDays !== undefined ? new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000) : null;
+
+  const doomed = versions.filter((version, index) => {
+    if (index === 0) return false;                       // current version
+    if (keep !== undefined && index >= keep) return true;
+    if (cutoff && version.createdAt < cutoff) return true;
+    return false;
+  });
+  if (doomed.length === 0) return [];
+
+  await FileVersion.destroy({ where: { id: { [Op.in]: doomed.map((v) => v.id) } } });
+  await releaseVersionContent(doomed.map((v) => v.ipfsCid));
+  return doomed;
+};
@@ -0,0 +1,347 @@
+/**
+ * Content-type detection shared by uploads and the routes that serve content.
+ * Magic bytes decide first; the file extension only refines a match (a zip that
+ * is really a .docx) or names text that has no signature of its own. Whatever
+ * the browser claimed at upload is never trusted.
+ */
+
+// Enough for every signature below, the deepest being tar's "ustar" at 257
+export const SNIFF_BYTES = 4096;
+
+const OCTET_STREAM = 'application/octet-stream';
+
+// Sniffed types general enough for a matching extension to name more precisely
+const REFINABLE_TYPES = new Set([
+  'text/plain', 'application/xml', 'application/zip', 'application/x-ole-storage', 'video/mp4', 'audio/ogg'
+]);
+
+// Types a browser would run script from when rendered inline
+const ACTIVE_TYPES = new Set([
+  'text/html',
+  'application/xhtml+xml',
+  'image/svg+xml',
+  'application/xml',
+  'text/xml',
+  'text/javascript',
+  'application/javascript'
+]);
+
+/*
+ * Extension table. `family` ties an extension to the signature it may refine:
+ * a .docx is only believed when the bytes are a zip, a .m4a when they are an
+ * ISO media file, and text extensions only for content that decodes as text.
+ */
+const EXTENSIONS = {
+  // Text
+  txt: { type: 'text/plain', family: 'text' },
+  log: { type: 'text/plain', family: 'text' },
+  md: { type: 'text/markdown', family: 'text' },
+  markdown: { type: 'text/markdown', family: 'text' },
+  csv: { type: 'text/csv', family: 'text' },
+  tsv: { type: 'text/tab-separated-values', family: 'text' },
+  html: { type: 'text/html', family: 'text' },
+  htm: { type: 'text/html', family: 'text' },
+  xhtml: { type: 'application/xhtml+xml', family: 'xml' },
+  css: { type: 'text/css', family: 'text' },
+  js: { type: 'text/javascript', family: 'text' },
+  mjs: { type: 'text/javascript', family: 'text' },
+  json: { type: 'application/json', family: 'text' },
+  geojson: { type: 'application/geo+json', family: 'text' },
+  yaml: { type: 'application/yaml', family: 'text' },
+  yml: { type: 'application/yaml', family: 'text' },
+  toml: { type: 'application/toml', family: 'text' },
+  ini: { type: 'text/plain', family: 'text' },
+  sh: { type: 'application/x-sh', family: 'text' },
+  py: { type: 'text/x-python', family: 'text' },
+  ts: { type: 'text/plain', family: 'text' },
+  tsx: { type: 'text/plain', family: 'text' },
+  jsx: { type: 'text/plain', family: 'text' },
+  sql: { type: 'application/sql', family: 'text' },
+  ics: { type: 'text/calendar', family: 'text' },
+  vcf: { type: 'text/vcard', family: 'text' },
+  srt: { type: 'application/x-subrip', family: 'text' },
+  vtt: { type: 'text/vtt', family: 'text' },
+  tex: { type: 'application/x-tex', family: 'text' },
+  eml: { type: 'message/rfc822', family: 'text' },
+  xml: { type: 'application/xml', family: 'xml' },
+  svg: { type: 'image/svg+xml', family: 'xml' },
+  rss: { type: 'application/rss+xml', family: 'xml' },
+  atom: { type: 'application/atom+xml', family: 'xml' },
+  gpx: { type: 'application/gpx+xml', family: 'xml' },
+  kml: { type: 'application/vnd.google-earth.kml+xml', family: 'xml' },
+
+  // Zip containers
+  zip: { type: 'application/zip', family: 'zip' },
+  docx: { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', family: 'zip' },
+  xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', family: 'zip' },
+  pptx: { type: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', family: 'zip' },
+  odt: { type: 'application/vnd.oasis.opendocument.text', family: 'zip' },
+  ods: { type: 'application/vnd.oasis.opendocument.spreadsheet', family: 'zip' },
+  odp: { type: 'application/vnd.oasis.opendocument.presentation', family: 'zip' },
+  epub: { type: 'application/epub+zip', family: 'zip' },
+  jar: { type: 'application/java-archive', family: 'zip' },
+  apk: { type: 'application/vnd.android.package-archive', family: 'zip' },
+  kmz: { type: 'application/vnd.google-earth.kmz', family: 'zip' },
+
+  // Older Office files share one compound-document signature
+  doc: { type: 'application/msword', family: 'ole' },
+  xls: { type: 'application/vnd.ms-excel', family: 'ole' },
+  ppt: { type: 'application/vnd.ms-powerpoint', family: 'ole' },
+  msg: { type: 'application/vnd.ms-outlook', family: 'ole' },
+  msi: { type: 'application/x-msi', family: 'ole' },
+
+  // ISO base media files
+  mp4: { type: 'video/mp4', family: 'isobmff' },
+  m4v: { type: 'video/x-m4v', family: 'isobmff' },
+  m4a: { type: 'audio/mp4', family: 'isobmff' },
+  mov: { type: 'video/quicktime', family: 'isobmff' },
+  '3gp': { type: 'video/3gpp', family: 'isobmff' },
+  heic: { type: 'image/heic', family: 'isobmff' },
+  heif: { type: 'image/heif', family: 'isobmff' },
+  avif: { type: 'image/avif', family: 'isobmff' },
+
+  // Ogg streams
+  ogg: { type: 'audio/ogg', family: 'ogg' },
+  oga: { type: 'audio/ogg', family: 'ogg' },
+  opus: { type: 'audio/ogg', family: 'ogg' },
+  ogv: { type: 'video/ogg', family: 'ogg' },
+
+  // Types that have a signature of their own; listed for name-only lookups
+  pdf: { type: 'application/pdf' },
+  png: { type: 'image/png' },
+  jpg: { type: 'image/jpeg' },
+  jpeg: { type: 'image/jpeg' },
+  gif: { type: 'image/gif' },
+  webp: { type: 'image/webp' },
+  bmp: { type: 'image/bmp' },
+  ico: { type: 'image/vnd.microsoft.icon' },
+  tif: { type: 'image/tiff' },
+  tiff: { type: 'image/tiff' },
+  psd: { type: 'image/vnd.adobe.photoshop' },
+  mp3: { type: 'audio/mpeg' },
+  aac: { type: 'audio/aac' },
+  flac: { type: 'audio/flac' },
+  wav: { type: 'audio/wav' },
+  mid: { type: 'audio/midi' },
+  midi: { type: 'audio/midi' },
+  webm: { type: 'video/webm' },
+  mkv: { type: 'video/x-matroska' },
+  avi: { type: 'video/x-msvideo' },
+  gz: { type: 'application/gzip' },
+  tgz: { type: 'application/gzip' },
+  bz2: { type: 'application/x-bzip2' },
+  xz: { type: 'application/x-xz' },
+  zst: { type: 'application/zstd' },
+  '7z': { type: 'application/x-7z-compressed' },
+  rar: { type: 'application/vnd.rar' },
+  tar: { type: 'application/x-tar' },
+  wasm: { type: 'application/wasm' },
+  exe: { type: 'application/vnd.microsoft.portable-executable' },
+  dll: { type: 'application/vnd.microsoft.portable-executable' },
+  sqlite: { type: 'application/vnd.sqlite3' },
+  db: { type: 'application/vnd.sqlite3' },
+  woff: { type: 'font/woff' },
+  woff2: { type: 'font/woff2' },
+  otf: { type: 'font/otf' },
+  ttf: { type: 'font/ttf' },
+  ps: { type: 'application/postscript' },
+  eps: { type: 'application/postscript' },
+  rtf: { type: 'application/rtf' }
+};
+
+const ascii = (buffer, offset, length) => buffer.toString('latin1', offset, offset + length);
+
+const startsWith = (buffer, bytes, offset = 0) => (
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte)
+);
+
+const startsWithText = (buffer, text, offset = 0) => ascii(buffer, offset, text.length) === text;
+
+// ISO base media files announce themselves with an ftyp box; the brand says which kind
+const isoMediaType = (buffer) => {
+  const brand = ascii(buffer, 8, 4);
+  if (brand === 'avif' || brand === 'avis') return 'image/avif';
+  if (['heic', 'heix', 'hevc', 'hevx'].includes(brand)) return 'image/heic';
+  if (brand === 'mif1' || brand === 'msf1') return 'image/heif';
+  if (brand.startsWith('M4A')) return 'audio/mp4';
+  if (brand === 'qt  ') return 'video/quicktime';
+  if (brand.startsWith('3g')) return 'video/3gpp';
+  return 'video/mp4';
+};
+
+// OpenDocument and EPUB store their own type uncompressed as the first zip entry
+const zipType = (buffer) => {
+  const nameLength = buffer.readUInt16LE(26);
+  const extraLength = buffer.readUInt16LE(28);
+  if (nameLength === 8 && startsWithText(buffer, 'mimetype', 30)) {
+    const start = 30 + nameLength + extraLength;
+    const declared = ascii(buffer, start, 80).split(/PK|\0/)[0].trim();
+    if (/^application\/[\w.+-]+$/.test(declared)) return declared;
+  }
+  return 'application/zip';
+};
+
+const matroskaType = (buffer) => (ascii(buffer, 0, 64).includes('webm') ? 'video/webm' : 'video/x-matroska');
+
+const oggType = (buffer) => (ascii(buffer, 0, 64).includes('theora') ? 'video/ogg' : 'audio/ogg');
+
+const riffType = (buffer) => {
+  switch (ascii(buffer, 8, 4)) {
+    case 'WEBP': return 'image/webp';
+    case 'WAVE': return 'audio/wav';
+    case 'AVI ': return 'video/x-msvideo';
+    default: return null;
+  }
+};
+
+// MPEG audio frame sync: 11 set bits, then a layer other than "reserved"
+const isMpegAudioFrame = (buffer) => buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && (buffer[1] & 0x06) !== 0;
+
+/*
+ * Binary signatures, checked in order; UTF-16 text goes first as its byte order
+ * mark would pass for an MPEG audio frame. `family` marks containers whose exact
+ * type the extension may refine.
+ */
+const SIGNATURES = [
+  { test: (b) => startsWith(b, [0xff, 0xfe]) || startsWith(b, [0xfe, 0xff]), type: 'text/plain', family: 'text' },
+  { test: (b) => startsWithText(b, '%PDF-'), type: 'application/pdf' },
+  { test: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), type: 'image/png' },
+  { test: (b) => startsWith(b, [0xff, 0xd8, 0xff]), type: 'image/jpeg' },
+  { test: (b) => startsWithText(b, 'GIF87a') || startsWithText(b, 'GIF89a'), type: 'image/gif' },
+  { test: (b) => startsWithText(b, 'RIFF') && riffType(b) !== null, type: riffType },
+  { test: (b) => startsWithText(b, 'BM') && b.length >= 14 && b.readUInt32LE(2) > 14, type: 'image/bmp' },
+  { test: (b) => startsWith(b, [0x00, 0x00, 0x01, 0x00]) && b.length >= 6 && b[4] + b[5] > 0, type: 'image/vnd.microsoft.icon' },
+  { test: (b) => startsWith(b, [0x49, 0x49, 0x2a, 0x00]) || startsWith(b, [0x4d, 0x4d, 0x00, 0x2a]), type: 'image/tiff' },
+  { test: (b) => startsWithText(b, '8BPS'), type: 'image/vnd.adobe.photoshop' },
+  { test: (b) => startsWithText(b, 'ftyp', 4), type: isoMediaType, family: 'isobmff' },
+  { test: (b) => startsWith(b, [0x1a, 0x45, 0xdf, 0xa3]), type: matroskaType },
+  { test: (b) => startsWithText(b, 'OggS'), type: oggType, family: 'ogg' },
+  { test: (b) => startsWithText(b, 'fLaC'), type: 'audio/flac' },
+  { test: (b) => startsWithText(b, 'ID3'), type: 'audio/mpeg' },
+  { test: (b) => startsWith(b, [0xff, 0xf1]) || startsWith(b, [0xff, 0xf9]), type: 'audio/aac' },
+  { test: isMpegAudioFrame, type: 'audio/mpeg' },
+  { test: (b) => startsWithText(b, 'MThd'), type: 'audio/midi' },
+  { test: (b) => startsWith(b, [0x50, 0x4b, 0x03, 0x04]) && b.length >= 30, type: zipType, family: 'zip' },
+  { test: (b) => startsWith(b, [0x50, 0x4b, 0x05, 0x06]), type: 'application/zip', family: 'zip' },
+  { test: (b) => startsWith(b, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), type: 'application/x-ole-storage', family: 'ole' },
+  { test: (b) => startsWith(b, [0x1f, 0x8b]), type: 'application/gzip' },
+  { test: (b) => startsWithText(b, 'BZh'), type: 'application/x-bzip2' },
+  { test: (b) => startsWith(b, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]), type: 'application/x-xz' },
+  { test: (b) => startsWith(b, [0x28, 0xb5, 0x2f, 0xfd]), type: 'application/zstd' },
+  { test: (b) => startsWith(b, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]), type: 'application/x-7z-compressed' },
+  { test: (b) => startsWithText(b, 'Rar!\x1a\x07'), type: 'application/vnd.rar' },
+  { test: (b) => startsWithText(b, 'ustar', 257), type: 'application/x-tar' },
+  { test: (b) => startsWith(b, [0x00, 0x61, 0x73, 0x6d]), type: 'application/wasm' },
+  { test: (b) => startsWith(b, [0x7f, 0x45, 0x4c, 0x46]), type: 'application/x-executable' },
+  { test: (b) => startsWithText(b, 'MZ') && b.length >= 64, type: 'application/vnd.microsoft.portable-executable' },
+  { test: (b) => startsWithText(b, 'SQLite format 3\0'), type: 'application/vnd.sqlite3' },
+  { test: (b) => startsWithText(b, 'wOFF'), type: 'font/woff' },
+  { test: (b) => startsWithText(b, 'wOF2'), type: 'font/woff2' },
+  { test: (b) => startsWithText(b, 'OTTO'), type: 'font/otf' },
+  { test: (b) => startsWith(b, [0x00, 0x01, 0x00, 0x00, 0x00]), type: 'font/ttf' },
+  { test: (b) => startsWithText(b, '%!PS'), type: 'application/postscript' },
+  { test: (b) => startsWithText(b, '{\\rtf'), type: 'application/rtf' }
+];
+
+// Markup that browsers sniff as HTML (the WHATWG list), matched case-insensitively
+const HTML_PREFIXES = [
+  '<!doctype html', '<html', '<head', '<script', '<iframe', '<h1', '<div', '<font', '<table',
+  '<a', '<style', '<title', '<b', '<body', '<br', '<p', '<!--'
+];
+
+// Markup types found in text: HTML, SVG or other XML, or null for anything else
+const markupType = (text) => {
+  const head = text.replace(/^\uFEFF/, '').trimStart().slice(0, 1024).toLowerCase();
+  if (head.startsWith('<?xml') || head.startsWith('<svg')) {
+    return /<svg[\s>]/.test(head) ? 'image/svg+xml' : 'application/xml';
+  }
+  const isHtml = HTML_PREFIXES.some((prefix) => (
+    head.startsWith(prefix) && /^[\s>]/.test(head.charAt(prefix.length))
+  ));
+  return isHtml ? 'text/html' : null;
+};
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+// UTF-8 without control characters other than whitespace; a sample may cut the last character short
+const decodeText = (buffer) => {
+  if (buffer.includes(0)) return null;
+  for (let cut = 0; cut < 4 && cut < buffer.length; cut += 1) {
+    try {
+      const text = utf8.decode(buffer.subarray(0, buffer.length - cut));
+      return /[\x01-\x08\x0e-\x1a\x1c-\x1f\x7f]/.test(text) ? null : text;
+    } catch {
+      // Try again without a trailing partial character
+    }
+  }
+  return buffer.length === 0 ? '' : null;
+};
+
+const extensionOf = (fileName) => {
+  const name = String(fileName || '');
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+};
+
+/**
+ * The type `fileName`'s extension suggests, without looking at any content.
+ * Returns null for unknown extensions.
+ */
+export const typeFromExtension = (fileName) => EXTENSIONS[extensionOf(fileName)]?.type ?? null;
+
+/**
+ * The type the leading bytes prove, or null when no binary signature or markup
+ * matches. Returns { type, family } so callers can tell containers apart.
+ */
+export const sniffContentType = (buffer) => {
+  for (const signature of SIGNATURES) {
+    if (signature.test(buffer)) {
+      const type = typeof signature.type === 'function' ? signature.type(buffer) : signature.type;
+      return { type, family: signature.family ?? null };
+    }
+  }
+  const text = decodeText(buffer);
+  if (text === null) return null;
+  const markup = markupType(text);
+  const isXml = markup === 'application/xml' || markup === 'image/svg+xml';
+  return { type: markup ?? 'text/plain', family: isXml ? 'xml' : 'text' };
+};
+
+/**
+ * The content type to record for a file: the sniffed type of `buffer` (the whole
+ * file or at least its first SNIFF_BYTES), refined by the extension of `fileName`
+ * only where the extension agrees with what the bytes are.
+ */
+export const detectContentType = (buffer, fileName) => {
+  const extension = EXTENSIONS[extensionOf(fileName)];
+  const sniffed = sniffContentType(buffer.subarray(0, SNIFF_BYTES));
+  if (!sniffed) {
+    return OCTET_STREAM;
+  }
+  // Markup sniffed as HTML or SVG stays that, whatever the name, so it is never served as something inert
+  const refine = extension?.family && extension.family === sniffed.family && REFINABLE_TYPES.has(sniffed.type);
+  return refine ? extension.type : sniffed.type;
+};
+
+// Whether content of this type can run script if a browser renders it from our origin
+export const isActiveContent = (contentType) => ACTIVE_TYPES.has(String(contentType || '').split(';')[0].trim().toLowerCase());
+
+const contentDisposition = (kind, fileName) => {
+  if (!fileName) return kind;
+  const name = String(fileName);
+  const fallback = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `${kind}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+};
+
+/**
+ * Set Content-Type, Content-Disposition and `X-Content-Type-Options: nosniff` for
+ * content served from the drive; `fileName` is optional. `inline` is only honoured for passive types: HTML,
+ * SVG, XML and scripts are always sent as attachments so an uploaded page
+ * cannot run in our origin.
+ */
+export const setContentHeaders = (res, { contentType, fileName, inline = false }) => {
+  const type = contentType || OCTET_STREAM;
+  res.setHeader('Content-Type', type);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Content-Disposition', contentDisposition(inline && !isActiveContent(type) ? 'inline' : 'attachment', fileName));
+};
@@ -0,0 +1,56 @@
+/**
+ * Parse a single-range `Range: bytes=...` header against a resource of `size` bytes.
+ * Returns { start, end } (inclusive), null when the header is absent or should be
+ * ignored (malformed, multiple ranges), or { unsatisfiable: true } for a 416.
+ */
+export const parseRange = (header, size) => {
+  if (!header) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match) return null;                    // includes multi-range requests: serve the full body
+
+  const [, startStr, endStr] = match;
+  if (startStr === '' && endStr === '') return null;
+
+  let start;
+  let end;
+  if (startStr === '') {
+    // Suffix range: the last N bytes
+    const suffix = Number(endStr);
+    if (suffix === 0) return { unsatisfiable: true };
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = Number(startStr);
+    end = endStr === '' ? size - 1 : Math.min(Number(endStr), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return { unsatisfiable: true };
+  }
+  return { start, end };
+};
+
+/**
+ * Decide whether a Range header should be honoured given If-Range.
+ * If-Range may carry an entity tag or an HTTP date; anything that does not
+ * match the current representation means "send the whole thing".
+ */
+export const rangeIsFresh = (req, etag, lastModified) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    // Weak validators never match for range requests
+    return !ifRange.startsWith('W/') && ifRange === etag;
+  }
+
+  const since = Date.parse(ifRange);
+  return Boolean(lastModified) && !Number.isNaN(since) &&
+    Math.floor(new Date(lastModified).getTime() / 1000) <= Math.floor(since / 1000);
+};
+
+// HEAD requests and resumed ranges (download managers, video seeking) continue an
+// earlier download rather than starting a new one. Any client can send a Range header,
+// so this is only good for logging, never for enforcing a download limit.
+export const startsNewDownload = (req) => req.method !== 'HEAD' && !/^bytes=0*[1-9]/.test(req.headers.range || '');
@@ -0,0 +1,23 @@
+import crypto from 'crypto';
+
+const SCRYPT_KEYLEN = 64;
+
+// Hash a plaintext password as "salt:hash" (both hex) using scrypt
+export const hashPassword = (password) => new Promise((resolve, reject) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derivedKey) => {
+    if (err) return reject(err);
+    resolve(`${salt}:${derivedKey.toString('hex')}`);
+  });
+});
+
+// Constant-time comparison of a plaintext password against a stored hash
+export const verifyPassword = (password, storedHash) => new Promise((resolve, reject) => {
+  if (!storedHash || !storedHash.includes(':')) return resolve(false);
+  const [salt, hash] = storedHash.split(':');
+  crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derivedKey) => {
+    if (err) return reject(err);
+    const expected = Buffer.from(hash, 'hex');
+    resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+  });
+});
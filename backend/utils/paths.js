@@ -0,0 +1,43 @@
+import path from 'path';
+
+// Per-user recycle bin folder, directly under the user's root
+export const TRASH_DIR = '.trash';
+
+// MFS root directory owned by a user
+export const userRootPath = (userId) => `/users/${userId}`;
+
+// MFS recycle bin of a user
+export const trashRootPath = (userId) => `${userRootPath(userId)}/${TRASH_DIR}`;
+
+// MFS folder where content waits before it is moved into a drive, outside every user's root
+export const UPLOAD_STAGING_ROOT = '/.uploads';
+
+// Collapse duplicate slashes, resolve "." / ".." and drop any trailing slash
+export const normalizeMfsPath = (p) => path.posix.normalize(`/${p || ''}`).replace(/\/+$/, '') || '/';
+
+// True when `p` is `root` itself or somewhere below it
+export const isWithinPath = (p, root) => p === root || p.startsWith(`${root}/`);
+
+/*
+ * Path prefix tests in SQL. A path used as a LIKE pattern has its `\`, `%` and `_`
+ * escaped (backslash is Postgres's default LIKE escape), so a folder named "a_b" does
+ * not also match "aXb". Use these rather than concatenating paths into patterns.
+ */
+
+// LIKE pattern matching every path strictly below `p`
+export const belowPattern = (p) => `${p.replace(/[\\%_]/g, '\\$&')}/%`;
+
+// SQL condition: the path in `inner` lies strictly below the path in `outer` (columns or
+// :replacements), for when the prefix is a column and so cannot be escaped up front
+export const sqlIsBelow = (inner, outer) => `left(${inner}, length(${outer}) + 1) = ${outer} || '/'`;
+
+// True when `p` lives inside the given user's MFS root
+export const isUserPath = (p, userId) => isWithinPath(p, userRootPath(userId));
+
+// Parent directory of an MFS path
+export const parentOf = (p) => path.posix.dirname(p);
+
+// A single path segment: non-empty, no slashes, not "." or "..", and not the reserved trash name
+export const isValidName = (name) =>
+  typeof name === 'string' && name.trim() !== '' && !name.includes('/') &&
+  name !== '.' && name !== '..' && name !== TRASH_DIR;
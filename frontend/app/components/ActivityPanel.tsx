@@ -0,0 +1,125 @@
+"use client";
+
+import React, { useEffect, useState } from 'react';
+import { History, Loader2, X } from 'lucide-react';
+import { ACTION_LABELS, ActivityAction, ActivityEvent, fetchActivity } from '../lib/activity';
+
+interface ActivityPanelProps {
+  folder: string;
+  onClose: () => void;
+  // Change this to refetch, e.g. after an upload finished
+  refreshKey?: number;
+}
+
+const baseName = (path: string | null) => (path ? path.slice(path.lastIndexOf('/') + 1) : '');
+
+// "just now", "5 min ago", "3 h ago", then the date
+const formatWhen = (createdAt: string) => {
+  const seconds = (Date.now() - new Date(createdAt).getTime()) / 1000;
+  if (seconds < 60) return 'just now';
+  if (seconds < 60 * 60) return `${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 24 * 60 * 60) return `${Math.floor(seconds / 3600)} h ago`;
+  return new Date(createdAt).toLocaleDateString();
+};
+
+const describe = (event: ActivityEvent) => {
+  if (event.action === 'search') return `for "${String(event.details?.query ?? '')}"`;
+  if (event.newPath && event.newPath !== event.path) return `${baseName(event.path)} → ${baseName(event.newPath)}`;
+  return baseName(event.path);
+};
+
+// Who did what at or below the open folder, newest first, a page at a time
+const ActivityPanel = ({ folder, onClose, refreshKey = 0 }: ActivityPanelProps) => {
+  const [events, setEvents] = useState<ActivityEvent[]>([]);
+  const [nextCursor, setNextCursor] = useState<number | null>(null);
+  const [action, setAction] = useState<ActivityAction | ''>('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    fetchActivity(folder, { actions: action ? [action] : [] })
+      .then((page) => {
+        if (cancelled) return;
+        setEvents(page.events);
+        setNextCursor(page.nextCursor);
+      })
+      .catch((err) => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [folder, action, refreshKey]);
+
+  const loadMore = async () => {
+    setLoading(true);
+    try {
+      const page = await fetchActivity(folder, { actions: action ? [action] : [], before: nextCursor });
+      setEvents((current) => [...current, ...page.events]);
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load activity');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2">
+        <History className="w-4 h-4 text-purple-500" />
+        <h2 className="text-sm font-semibold text-gray-800 mr-auto">Activity</h2>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close activity">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <select
+        value={action}
+        onChange={(e) => setAction(e.target.value as ActivityAction | '')}
+        className="w-full px-2 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+      >
+        <option value="">All actions</option>
+        {(Object.keys(ACTION_LABELS) as ActivityAction[]).map((key) => (
+          <option key={key} value={key}>
+            {ACTION_LABELS[key]}
+          </option>
+        ))}
+      </select>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      {!loading && !error && events.length === 0 && <p className="text-xs text-gray-500">Nothing happened here yet</p>}
+
+      <ul className="space-y-2">
+        {events.map((event) => (
+          <li key={event.id} className="text-xs text-gray-600" title={event.ip ? `From ${event.ip}` : undefined}>
+            <span className="font-medium text-gray-800">{event.actor?.username ?? 'Someone'}</span>{' '}
+            {ACTION_LABELS[event.action] ?? event.action}{' '}
+            <span className="font-medium text-gray-800 break-all">{describe(event)}</span>
+            <span className="block text-gray-400">{formatWhen(event.createdAt)}</span>
+          </li>
+        ))}
+      </ul>
+
+      {loading ? (
+        <div className="flex justify-center">
+          <Loader2 className="w-5 h-5 text-purple-500 animate-spin" />
+        </div>
+      ) : (
+        nextCursor && (
+          <button
+            onClick={loadMore}
+            className="w-full px-3 py-1.5 text-xs font-medium text-purple-700 bg-purple-50 rounded-lg hover:bg-purple-100 transition-colors"
+          >
+            Load more
+          </button>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ActivityPanel;
@@ -0,0 +1,162 @@
+"use client";
+
+import React, { useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { AlertCircle, Loader2, LogIn, UserPlus } from 'lucide-react';
+import { apiFetch, readError, saveSession } from '../lib/api';
+
+interface AuthFormProps {
+  mode: 'login' | 'register';
+}
+
+const AuthForm = ({ mode }: AuthFormProps) => {
+  const router = useRouter();
+  const [username, setUsername] = useState('');
+  const [email, setEmail] = useState('');
+  const [identifier, setIdentifier] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const isLogin = mode === 'login';
+
+  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    setError(null);
+
+    if (!isLogin && password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await apiFetch(isLogin ? '/auth/login' : '/auth/signup', {
+        method: 'POST',
+        body: JSON.stringify(isLogin ? { identifier, password } : { username, email, password }),
+      });
+
+      if (!response.ok) {
+        throw new Error(await readError(response));
+      }
+
+      const result = await response.json();
+      saveSession(result.token, result.user);
+      router.replace('/');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Unknown error occurred');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-purple-50 to-cyan-50 flex items-center justify-center px-6">
+      <div className="w-full max-w-md bg-white rounded-2xl shadow-xl border border-gray-100 overflow-hidden">
+        <div className="bg-gradient-to-r from-blue-600 via-purple-600 to-cyan-600 p-6">
+          <h1 className="text-2xl font-bold text-white flex items-center gap-3">
+            {isLogin ? <LogIn className="w-7 h-7" /> : <UserPlus className="w-7 h-7" />}
+            {isLogin ? 'Sign in to BOCK IPFS' : 'Create your account'}
+          </h1>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-8 space-y-4">
+          {isLogin ? (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Username or email</label>
+              <input
+                type="text"
+                value={identifier}
+                onChange={(e) => setIdentifier(e.target.value)}
+                autoComplete="username"
+                required
+                className={inputClass}
+              />
+            </div>
+          ) : (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Username</label>
+                <input
+                  type="text"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  autoComplete="username"
+                  required
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Email</label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  autoComplete="email"
+                  required
+                  className={inputClass}
+                />
+              </div>
+            </>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete={isLogin ? 'current-password' : 'new-password'}
+              minLength={isLogin ? undefined : 8}
+              required
+              className={inputClass}
+            />
+          </div>
+
+          {!isLogin && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Confirm password</label>
+              <input
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                autoComplete="new-password"
+                required
+                className={inputClass}
+              />
+            </div>
+          )}
+
+          {error && (
+            <div className="flex items-center gap-2 bg-red-50 border border-red-200 rounded-xl p-3 text-sm text-red-700">
+              <AlertCircle className="w-5 h-5 text-red-600" />
+              {error}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full px-6 py-3 bg-gradient-to-r from-purple-500 to-cyan-500 text-white rounded-xl hover:from-purple-600 hover:to-cyan-600 disabled:opacity-50 disabled:cursor-not-allowed transition-all font-semibold flex items-center justify-center"
+          >
+            {loading ? <Loader2 className="w-5 h-5 animate-spin" /> : isLogin ? 'Sign in' : 'Create account'}
+          </button>
+
+          <p className="text-sm text-center text-gray-600">
+            {isLogin ? (
+              <>No account yet? <Link href="/register" className="text-purple-600 hover:underline">Register</Link></>
+            ) : (
+              <>Already registered? <Link href="/login" className="text-purple-600 hover:underline">Sign in</Link></>
+            )}
+          </p>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AuthForm;
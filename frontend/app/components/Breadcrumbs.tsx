@@ -0,0 +1,48 @@
+"use client";
+
+import React from 'react';
+import { ChevronRight, HardDrive } from 'lucide-react';
+
+interface BreadcrumbsProps {
+  path: string;
+  rootPath: string;
+  onNavigate: (path: string) => void;
+}
+
+// "My Drive / Projects / 2024" style trail; every segment is a link except the last
+const Breadcrumbs = ({ path, rootPath, onNavigate }: BreadcrumbsProps) => {
+  const inOwnDrive = path === rootPath || path.startsWith(`${rootPath}/`);
+  const base = inOwnDrive ? rootPath : '';
+  const segments = path.slice(base.length).split('/').filter(Boolean);
+
+  const crumbs = [
+    ...(inOwnDrive ? [{ label: 'My Drive', path: rootPath }] : []),
+    ...segments.map((segment, index) => ({
+      label: segment,
+      path: `${base}/${segments.slice(0, index + 1).join('/')}`,
+    })),
+  ];
+
+  return (
+    <nav className="flex items-center flex-wrap gap-1 text-sm text-gray-600">
+      <HardDrive className="w-4 h-4 text-purple-500" />
+      {crumbs.map((crumb, index) => (
+        <React.Fragment key={crumb.path}>
+          {index > 0 && <ChevronRight className="w-4 h-4 text-gray-400" />}
+          {index === crumbs.length - 1 ? (
+            <span className="font-semibold text-gray-800">{crumb.label}</span>
+          ) : (
+            <button
+              onClick={() => onNavigate(crumb.path)}
+              className="px-1 rounded hover:bg-purple-50 hover:text-purple-700 transition-colors"
+            >
+              {crumb.label}
+            </button>
+          )}
+        </React.Fragment>
+      ))}
+    </nav>
+  );
+};
+
+export default Breadcrumbs;
@@ -0,0 +1,77 @@
+"use client";
+
+import React, { useEffect, useRef } from 'react';
+import type { LucideIcon } from 'lucide-react';
+
+export interface ContextMenuItem {
+  label: string;
+  icon: LucideIcon;
+  onSelect: () => void;
+  disabled?: boolean;
+  danger?: boolean;
+}
+
+interface ContextMenuProps {
+  x: number;
+  y: number;
+  items: ContextMenuItem[];
+  onClose: () => void;
+}
+
+// Right-click menu at the pointer; closes on outside click, scroll or Escape
+const ContextMenu = ({ x, y, items, onClose }: ContextMenuProps) => {
+  const menuRef = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    const onPointerDown = (e: MouseEvent) => {
+      if (!menuRef.current?.contains(e.target as Node)) onClose();
+    };
+    const onKeyDown = (e: KeyboardEvent) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('mousedown', onPointerDown);
+    document.addEventListener('keydown', onKeyDown);
+    window.addEventListener('scroll', onClose, true);
+    window.addEventListener('resize', onClose);
+    return () => {
+      document.removeEventListener('mousedown', onPointerDown);
+      document.removeEventListener('keydown', onKeyDown);
+      window.removeEventListener('scroll', onClose, true);
+      window.removeEventListener('resize', onClose);
+    };
+  }, [onClose]);
+
+  // Keep the menu inside the viewport
+  const left = typeof window === 'undefined' ? x : Math.min(x, window.innerWidth - 200);
+  const top = typeof window === 'undefined' ? y : Math.min(y, window.innerHeight - items.length * 40 - 16);
+
+  return (
+    <div
+      ref={menuRef}
+      role="menu"
+      className="fixed z-50 w-48 py-1 bg-white rounded-xl shadow-xl border border-gray-200"
+      style={{ left, top }}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      {items.map(({ label, icon: Icon, onSelect, disabled, danger }) => (
+        <button
+          key={label}
+          role="menuitem"
+          disabled={disabled}
+          onClick={() => {
+            onClose();
+            onSelect();
+          }}
+          className={`w-full flex items-center gap-3 px-4 py-2 text-sm text-left transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+            danger ? 'text-red-600 hover:bg-red-50' : 'text-gray-700 hover:bg-purple-50'
+          }`}
+        >
+          <Icon className="w-4 h-4" />
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ContextMenu;
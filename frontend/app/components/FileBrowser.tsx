@@ -0,0 +1,195 @@
+"use client";
+
+import React, { useEffect, useState } from 'react';
+import Image from 'next/image';
+import { ArrowDown, ArrowUp, File, FileArchive, FileText, Film, Folder, Image as ImageIcon, Lock, Music } from 'lucide-react';
+import { DriveItem, thumbnailUrl } from '../lib/drive';
+import { formatBytes } from '../lib/format';
+
+export type ViewMode = 'list' | 'grid';
+export type SortKey = 'name' | 'size' | 'type' | 'modified';
+export interface SortState {
+  key: SortKey;
+  direction: 'asc' | 'desc';
+}
+
+interface FileBrowserProps {
+  items: DriveItem[];
+  view: ViewMode;
+  sort: SortState;
+  onSortChange: (sort: SortState) => void;
+  onOpen: (item: DriveItem) => void;
+  onContextMenu: (item: DriveItem, event: React.MouseEvent) => void;
+}
+
+const COLUMNS: { key: SortKey; label: string; className: string }[] = [
+  { key: 'name', label: 'Name', className: 'w-1/2' },
+  { key: 'size', label: 'Size', className: 'w-28 text-right' },
+  { key: 'type', label: 'Type', className: 'w-40' },
+  { key: 'modified', label: 'Modified', className: 'w-44' },
+];
+
+const typeLabel = (item: DriveItem) => {
+  if (item.type === 'folder') return 'Folder';
+  return item.fileType || item.name.split('.').pop()?.toUpperCase() || 'File';
+};
+
+const iconFor = (item: DriveItem) => {
+  if (item.type === 'folder') return Folder;
+  const type = item.fileType || '';
+  if (type.startsWith('image/')) return ImageIcon;
+  if (type.startsWith('video/')) return Film;
+  if (type.startsWith('audio/')) return Music;
+  if (type.startsWith('text/') || type === 'application/pdf' || type === 'application/json') return FileText;
+  if (/zip|tar|gzip|compressed/.test(type)) return FileArchive;
+  return File;
+};
+
+const compareBy = (key: SortKey) => (a: DriveItem, b: DriveItem) => {
+  switch (key) {
+    case 'size':
+      return a.size - b.size;
+    case 'type':
+      return typeLabel(a).localeCompare(typeLabel(b));
+    case 'modified':
+      return (a.uploadedAt || '').localeCompare(b.uploadedAt || '');
+    default:
+      return a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+  }
+};
+
+// Folders always come first; within each group the chosen column decides
+export const sortItems = (items: DriveItem[], { key, direction }: SortState) => {
+  const compare = compareBy(key);
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...items].sort((a, b) => {
+    if (a.type !== b.type) return a.type === 'folder' ? -1 : 1;
+    return sign * compare(a, b) || a.name.localeCompare(b.name);
+  });
+};
+
+const formatDate = (value?: string) => (value ? new Date(value).toLocaleString() : '—');
+
+// Contents of one folder as a sortable table or a grid of tiles
+// The URL carries a link token, which has to be fetched first; the space is kept meanwhile
+const Thumbnail = ({ id, thumbnailCid }: { id: number; thumbnailCid: string }) => {
+  const [src, setSrc] = useState<string | null>(null);
+
+  useEffect(() => {
+    let active = true;
+    thumbnailUrl(id, thumbnailCid)
+      .then((url) => active && setSrc(url))
+      .catch(() => active && setSrc(null));
+    return () => {
+      active = false;
+    };
+  }, [id, thumbnailCid]);
+
+  if (!src) return <div className="w-full h-24 rounded-lg bg-gray-50" />;
+  return (
+    <Image
+      src={src}
+      alt=""
+      width={128}
+      height={96}
+      unoptimized
+      loading="lazy"
+      className="w-full h-24 object-contain rounded-lg bg-gray-50"
+    />
+  );
+};
+
+const FileBrowser = ({ items, view, sort, onSortChange, onOpen, onContextMenu }: FileBrowserProps) => {
+  const sorted = sortItems(items, sort);
+
+  const toggleSort = (key: SortKey) =>
+    onSortChange({ key, direction: sort.key === key && sort.direction === 'asc' ? 'desc' : 'asc' });
+
+  const handleContextMenu = (item: DriveItem) => (e: React.MouseEvent) => {
+    e.preventDefault();
+    e.stopPropagation();
+    onContextMenu(item, e);
+  };
+
+  if (sorted.length === 0) {
+    return <p className="py-16 text-center text-gray-500">This folder is empty</p>;
+  }
+
+  if (view === 'grid') {
+    return (
+      <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-4">
+        {sorted.map((item) => {
+          const Icon = iconFor(item);
+          return (
+            <button
+              key={item.path}
+              onDoubleClick={() => onOpen(item)}
+              onContextMenu={handleContextMenu(item)}
+              title={item.name}
+              className="flex flex-col items-center gap-2 p-4 rounded-xl border border-gray-200 bg-white hover:border-purple-300 hover:bg-purple-50 transition-colors"
+            >
+              {item.id && item.thumbnailCid ? (
+                <Thumbnail id={item.id} thumbnailCid={item.thumbnailCid} />
+              ) : (
+                <Icon className={`w-10 h-10 ${item.type === 'folder' ? 'text-yellow-500' : 'text-purple-500'}`} />
+              )}
+              <span className="w-full flex items-center justify-center gap-1 text-sm text-gray-800">
+                {item.encrypted && <Lock className="w-3.5 h-3.5 flex-shrink-0 text-green-600" aria-label="Encrypted" />}
+                <span className="truncate">{item.name}</span>
+              </span>
+              <span className="text-xs text-gray-500">{item.type === 'folder' ? 'Folder' : formatBytes(item.size)}</span>
+            </button>
+          );
+        })}
+      </div>
+    );
+  }
+
+  const SortIcon = sort.direction === 'asc' ? ArrowUp : ArrowDown;
+
+  return (
+    <table className="w-full text-sm table-fixed">
+      <thead>
+        <tr className="border-b border-gray-200 text-gray-600">
+          {COLUMNS.map((column) => (
+            <th key={column.key} className={`py-2 px-3 font-medium ${column.className}`}>
+              <button
+                onClick={() => toggleSort(column.key)}
+                className={`inline-flex items-center gap-1 hover:text-purple-700 ${sort.key === column.key ? 'text-purple-700' : ''}`}
+              >
+                {column.label}
+                {sort.key === column.key && <SortIcon className="w-3.5 h-3.5" />}
+              </button>
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {sorted.map((item) => {
+          const Icon = iconFor(item);
+          return (
+            <tr
+              key={item.path}
+              onDoubleClick={() => onOpen(item)}
+              onContextMenu={handleContextMenu(item)}
+              className="border-b border-gray-100 hover:bg-purple-50 cursor-default select-none"
+            >
+              <td className="py-2 px-3">
+                <span className="flex items-center gap-3 min-w-0">
+                  <Icon className={`w-5 h-5 flex-shrink-0 ${item.type === 'folder' ? 'text-yellow-500' : 'text-purple-500'}`} />
+                  <span className="truncate text-gray-800">{item.name}</span>
+                  {item.encrypted && <Lock className="w-3.5 h-3.5 flex-shrink-0 text-green-600" aria-label="Encrypted" />}
+                </span>
+              </td>
+              <td className="py-2 px-3 text-right text-gray-600">{item.type === 'folder' ? '—' : formatBytes(item.size)}</td>
+              <td className="py-2 px-3 text-gray-600 truncate">{typeLabel(item)}</td>
+              <td className="py-2 px-3 text-gray-600">{formatDate(item.uploadedAt)}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+};
+
+export default FileBrowser;
@@ -0,0 +1,112 @@
+"use client";
+
+import React, { useEffect, useState } from 'react';
+import { ChevronDown, ChevronRight, Folder, FolderOpen, HardDrive } from 'lucide-react';
+import { listFolder } from '../lib/drive';
+
+interface FolderTreeProps {
+  rootPath: string;
+  currentPath: string;
+  onNavigate: (path: string) => void;
+  // Change this to reload the expanded folders, e.g. after creating or renaming one
+  refreshKey?: number;
+}
+
+interface TreeNodeProps extends Omit<FolderTreeProps, 'rootPath'> {
+  path: string;
+  name: string;
+  depth: number;
+  isRoot?: boolean;
+}
+
+// One folder; its children are fetched the first time it is expanded
+const TreeNode = ({ path, name, depth, isRoot, currentPath, onNavigate, refreshKey }: TreeNodeProps) => {
+  const isOnCurrentPath = currentPath === path || currentPath.startsWith(`${path}/`);
+  const [expanded, setExpanded] = useState(isOnCurrentPath);
+  const [children, setChildren] = useState<{ name: string; path: string }[] | null>(null);
+
+  // Reveal the current folder when navigating elsewhere (breadcrumbs, URL)
+  useEffect(() => {
+    if (isOnCurrentPath && currentPath !== path) setExpanded(true);
+  }, [isOnCurrentPath, currentPath, path]);
+
+  useEffect(() => {
+    if (!expanded) return;
+    let cancelled = false;
+    listFolder(path)
+      .then((listing) => {
+        if (cancelled) return;
+        setChildren(
+          listing.items
+            .filter((item) => item.type === 'folder')
+            .map((item) => ({ name: item.name, path: item.path }))
+            .sort((a, b) => a.name.localeCompare(b.name))
+        );
+      })
+      .catch(() => !cancelled && setChildren([]));
+    return () => {
+      cancelled = true;
+    };
+  }, [expanded, path, refreshKey]);
+
+  const isCurrent = currentPath === path;
+  const Icon = isRoot ? HardDrive : expanded ? FolderOpen : Folder;
+  const Chevron = expanded ? ChevronDown : ChevronRight;
+
+  return (
+    <li>
+      <div
+        className={`flex items-center gap-1 py-1 pr-2 rounded-lg cursor-pointer text-sm ${
+          isCurrent ? 'bg-purple-100 text-purple-800 font-semibold' : 'text-gray-700 hover:bg-gray-100'
+        }`}
+        style={{ paddingLeft: `${depth * 12 + 4}px` }}
+        onClick={() => onNavigate(path)}
+      >
+        <button
+          className="p-0.5 rounded hover:bg-gray-200"
+          onClick={(e) => {
+            e.stopPropagation();
+            setExpanded(!expanded);
+          }}
+          aria-label={expanded ? 'Collapse' : 'Expand'}
+        >
+          <Chevron className={`w-3.5 h-3.5 ${children?.length === 0 ? 'opacity-30' : ''}`} />
+        </button>
+        <Icon className={`w-4 h-4 flex-shrink-0 ${isRoot ? 'text-purple-500' : 'text-yellow-500'}`} />
+        <span className="truncate">{name}</span>
+      </div>
+      {expanded && children && children.length > 0 && (
+        <ul>
+          {children.map((child) => (
+            <TreeNode
+              key={child.path}
+              path={child.path}
+              name={child.name}
+              depth={depth + 1}
+              currentPath={currentPath}
+              onNavigate={onNavigate}
+              refreshKey={refreshKey}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// Folder tree of the user's drive for the sidebar
+const FolderTree = ({ rootPath, currentPath, onNavigate, refreshKey }: FolderTreeProps) => (
+  <ul className="select-none">
+    <TreeNode
+      path={rootPath}
+      name="My Drive"
+      depth={0}
+      isRoot
+      currentPath={currentPath}
+      onNavigate={onNavigate}
+      refreshKey={refreshKey}
+    />
+  </ul>
+);
+
+export default FolderTree;
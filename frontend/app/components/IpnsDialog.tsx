@@ -0,0 +1,136 @@
+"use client";
+
+import React, { useEffect, useState } from 'react';
+import { Copy, Loader2 } from 'lucide-react';
+import { IpnsName, fetchIpnsName, publishFolder, rotateIpnsName, unpublishFolder } from '../lib/ipns';
+
+interface IpnsDialogProps {
+  fileId: number;
+  folderName: string;
+  onClose: () => void;
+}
+
+// Modal publishing a folder under an IPNS name that follows every change to it
+const IpnsDialog = ({ fileId, folderName, onClose }: IpnsDialogProps) => {
+  const [name, setName] = useState<IpnsName | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchIpnsName(fileId)
+      .then((result) => !cancelled && setName(result))
+      .catch((err) => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [fileId]);
+
+  // Publishing waits for the record to be announced, which can take a while
+  const run = async (action: () => Promise<IpnsName | null>) => {
+    setWorking(true);
+    setError(null);
+    try {
+      setName(await action());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Something went wrong');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRotate = () => {
+    if (!name) return;
+    if (!window.confirm('Publish under a new name? Links using the current name stop following the folder.')) return;
+    run(() => rotateIpnsName(name.id));
+  };
+
+  const handleUnpublish = () => {
+    if (!name) return;
+    if (!window.confirm('Stop publishing this folder? The name will no longer follow it.')) return;
+    run(async () => {
+      await unpublishFolder(name.id);
+      return null;
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30" onMouseDown={onClose}>
+      <div onMouseDown={(e) => e.stopPropagation()} className="w-full max-w-md bg-white rounded-2xl shadow-xl p-6 space-y-4">
+        <h3 className="text-lg font-semibold text-gray-800 truncate">Publish &quot;{folderName}&quot;</h3>
+
+        {loading ? (
+          <div className="flex justify-center">
+            <Loader2 className="w-6 h-6 text-purple-500 animate-spin" />
+          </div>
+        ) : name ? (
+          <div className="space-y-2 text-sm">
+            <p className="text-gray-600">Published under this name, updated whenever the folder changes:</p>
+            <div className="flex items-center gap-2 p-2 bg-gray-50 border border-gray-200 rounded-lg">
+              <code className="flex-1 min-w-0 text-xs break-all">{name.ipnsPath}</code>
+              <button
+                onClick={() => navigator.clipboard.writeText(name.ipnsPath)}
+                className="p-1 text-gray-500 hover:text-purple-600"
+                aria-label="Copy IPNS path"
+              >
+                <Copy className="w-4 h-4" />
+              </button>
+            </div>
+            {name.publishedCid && (
+              <p className="text-xs text-gray-500 break-all">
+                Points at {name.publishedCid}
+                {name.publishedAt && ` since ${new Date(name.publishedAt).toLocaleString()}`}
+              </p>
+            )}
+            {name.lastError && <p className="text-xs text-yellow-700">Last update failed: {name.lastError}</p>}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-600">
+            Anyone with the name can read the folder&apos;s contents, and the name keeps pointing at the latest
+            version as files change.
+          </p>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <div className="flex justify-end gap-2">
+          {name && (
+            <>
+              <button
+                onClick={handleUnpublish}
+                disabled={working}
+                className="px-4 py-2 text-sm text-red-600 rounded-lg hover:bg-red-50 disabled:opacity-50 mr-auto"
+              >
+                Unpublish
+              </button>
+              <button
+                onClick={handleRotate}
+                disabled={working}
+                className="px-4 py-2 text-sm text-purple-700 bg-purple-50 rounded-lg hover:bg-purple-100 disabled:opacity-50"
+              >
+                New name
+              </button>
+            </>
+          )}
+          <button onClick={onClose} className="px-4 py-2 text-sm text-gray-600 rounded-lg hover:bg-gray-100">
+            Close
+          </button>
+          {!loading && !name && (
+            <button
+              onClick={() => run(() => publishFolder(fileId))}
+              disabled={working}
+              className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-gradient-to-r from-blue-500 to-purple-500 rounded-lg disabled:opacity-50"
+            >
+              {working && <Loader2 className="w-4 h-4 animate-spin" />}
+              Publish
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IpnsDialog;
@@ -0,0 +1,77 @@
+"use client";
+
+import React, { useState } from 'react';
+
+interface NameDialogProps {
+  title: string;
+  initialValue?: string;
+  submitLabel: string;
+  onSubmit: (name: string) => Promise<void>;
+  onClose: () => void;
+}
+
+// Small modal asking for a file or folder name (new folder, rename)
+const NameDialog = ({ title, initialValue = '', submitLabel, onSubmit, onClose }: NameDialogProps) => {
+  const [name, setName] = useState(initialValue);
+  const [error, setError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (trimmed.includes('/')) {
+      setError('Names cannot contain "/"');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      await onSubmit(trimmed);
+      onClose();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Something went wrong');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30" onMouseDown={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        onMouseDown={(e) => e.stopPropagation()}
+        className="w-full max-w-sm bg-white rounded-2xl shadow-xl p-6 space-y-4"
+      >
+        <h3 className="text-lg font-semibold text-gray-800">{title}</h3>
+        <input
+          autoFocus
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onFocus={(e) => {
+            // Select the name without its extension, like desktop file managers
+            const dot = e.target.value.lastIndexOf('.');
+            e.target.setSelectionRange(0, dot > 0 ? dot : e.target.value.length);
+          }}
+          className="w-full px-4 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        />
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 text-sm text-gray-600 rounded-lg hover:bg-gray-100">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving || !name.trim()}
+            className="px-4 py-2 text-sm font-medium text-white bg-gradient-to-r from-blue-500 to-purple-500 rounded-lg disabled:opacity-50"
+          >
+            {submitLabel}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default NameDialog;
@@ -0,0 +1,100 @@
+"use client";
+
+import React, { useState } from 'react';
+import { KeyRound } from 'lucide-react';
+import { MIN_PASSPHRASE_LENGTH, setUpEncryption, unlockEncryption } from '../lib/encryption';
+
+interface PassphraseDialogProps {
+  // "setup" creates the key pair, "unlock" opens the existing one
+  mode: 'setup' | 'unlock';
+  onUnlocked: () => void;
+  onClose: () => void;
+}
+
+// Modal asking for the encryption passphrase, which never leaves the browser
+const PassphraseDialog = ({ mode, onUnlocked, onClose }: PassphraseDialogProps) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [working, setWorking] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (mode === 'setup') {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        setError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        return;
+      }
+      if (passphrase !== confirmation) {
+        setError('The passphrases do not match');
+        return;
+      }
+    }
+
+    setWorking(true);
+    setError(null);
+    try {
+      await (mode === 'setup' ? setUpEncryption(passphrase) : unlockEncryption(passphrase));
+      onUnlocked();
+      onClose();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Something went wrong');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30" onMouseDown={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        onMouseDown={(e) => e.stopPropagation()}
+        className="w-full max-w-sm bg-white rounded-2xl shadow-xl p-6 space-y-4"
+      >
+        <h3 className="flex items-center gap-2 text-lg font-semibold text-gray-800">
+          <KeyRound className="w-5 h-5 text-purple-500" />
+          {mode === 'setup' ? 'Set up encryption' : 'Unlock encryption'}
+        </h3>
+        <p className="text-sm text-gray-600">
+          {mode === 'setup'
+            ? 'Choose a passphrase for your encryption key. It is never sent to the server, and without it your encrypted files cannot be recovered.'
+            : 'Enter your encryption passphrase to open encrypted files.'}
+        </p>
+        <input
+          autoFocus
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder="Passphrase"
+          autoComplete={mode === 'setup' ? 'new-password' : 'current-password'}
+          className="w-full px-4 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        />
+        {mode === 'setup' && (
+          <input
+            type="password"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            placeholder="Repeat passphrase"
+            autoComplete="new-password"
+            className="w-full px-4 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+        )}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 text-sm text-gray-600 rounded-lg hover:bg-gray-100">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={working || !passphrase}
+            className="px-4 py-2 text-sm font-medium text-white bg-gradient-to-r from-blue-500 to-purple-500 rounded-lg disabled:opacity-50"
+          >
+            {working ? 'Working…' : mode === 'setup' ? 'Create key' : 'Unlock'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PassphraseDialog;
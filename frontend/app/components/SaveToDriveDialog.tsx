@@ -0,0 +1,95 @@
+"use client";
+
+import React, { useState } from 'react';
+import Link from 'next/link';
+import { importContent } from '../lib/drive';
+import FolderTree from './FolderTree';
+
+interface SaveToDriveDialogProps {
+  // CID, /ipfs/ path or /ipns/ name to copy
+  source: string;
+  defaultName: string;
+  rootPath: string;
+  onClose: () => void;
+}
+
+// Modal choosing the folder (and name) to keep retrieved content under
+const SaveToDriveDialog = ({ source, defaultName, rootPath, onClose }: SaveToDriveDialogProps) => {
+  const [folder, setFolder] = useState(rootPath);
+  const [name, setName] = useState(defaultName);
+  const [error, setError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (trimmed.includes('/')) {
+      setError('Names cannot contain "/"');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await importContent(folder, source, trimmed || undefined);
+      setSaved(result.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Something went wrong');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30" onMouseDown={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        onMouseDown={(e) => e.stopPropagation()}
+        className="w-full max-w-md bg-white rounded-2xl shadow-xl p-6 space-y-4"
+      >
+        <h3 className="text-lg font-semibold text-gray-800">Save to my drive</h3>
+        <p className="text-xs text-gray-500 break-all">{source}</p>
+
+        {saved ? (
+          <p className="text-sm text-green-700">
+            {saved}.{' '}
+            <Link href={`/drive?path=${encodeURIComponent(folder)}`} className="underline">
+              Open folder
+            </Link>
+          </p>
+        ) : (
+          <>
+            <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-xl p-2">
+              <FolderTree rootPath={rootPath} currentPath={folder} onNavigate={setFolder} />
+            </div>
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name"
+              className="w-full px-4 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+          </>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 text-sm text-gray-600 rounded-lg hover:bg-gray-100">
+            {saved ? 'Close' : 'Cancel'}
+          </button>
+          {!saved && (
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 text-sm font-medium text-white bg-gradient-to-r from-blue-500 to-purple-500 rounded-lg disabled:opacity-50"
+            >
+              {saving ? 'Saving…' : 'Save'}
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default SaveToDriveDialog;
@@ -0,0 +1,77 @@
+"use client";
+
+import React, { useState } from 'react';
+import { Share } from '../lib/shares';
+
+interface ShareDialogProps {
+  itemName: string;
+  onSubmit: (recipient: string, permission: Share['permission']) => Promise<void>;
+  onClose: () => void;
+}
+
+// Modal asking whom to share an item with, and how
+const ShareDialog = ({ itemName, onSubmit, onClose }: ShareDialogProps) => {
+  const [recipient, setRecipient] = useState('');
+  const [permission, setPermission] = useState<Share['permission']>('read');
+  const [error, setError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    const trimmed = recipient.trim();
+    if (!trimmed) return;
+
+    setSaving(true);
+    setError(null);
+    try {
+      await onSubmit(trimmed, permission);
+      onClose();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Something went wrong');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30" onMouseDown={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        onMouseDown={(e) => e.stopPropagation()}
+        className="w-full max-w-sm bg-white rounded-2xl shadow-xl p-6 space-y-4"
+      >
+        <h3 className="text-lg font-semibold text-gray-800 truncate">Share &quot;{itemName}&quot;</h3>
+        <input
+          autoFocus
+          value={recipient}
+          onChange={(e) => setRecipient(e.target.value)}
+          placeholder="Username or email"
+          className="w-full px-4 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        />
+        <select
+          value={permission}
+          onChange={(e) => setPermission(e.target.value as Share['permission'])}
+          className="w-full px-4 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        >
+          <option value="read">Can view</option>
+          <option value="write">Can edit</option>
+        </select>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 text-sm text-gray-600 rounded-lg hover:bg-gray-100">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving || !recipient.trim()}
+            className="px-4 py-2 text-sm font-medium text-white bg-gradient-to-r from-blue-500 to-purple-500 rounded-lg disabled:opacity-50"
+          >
+            Share
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ShareDialog;
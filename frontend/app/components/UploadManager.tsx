@@ -0,0 +1,132 @@
+"use client";
+
+import React, { useEffect, useState } from 'react';
+import { CheckCircle, ChevronDown, ChevronUp, Copy, Loader2, RotateCcw, Upload, X, XCircle } from 'lucide-react';
+import { UploadTask, summarize, uploadQueue, useUploadTasks } from '../lib/uploadQueue';
+import { formatBytes } from '../lib/format';
+
+const percentOf = (loaded: number, total: number) => (total > 0 ? Math.round((loaded / total) * 100) : 100);
+
+const TaskRow = ({ task }: { task: UploadTask }) => {
+  const percent = percentOf(task.loaded, task.total);
+  return (
+    <li className="px-4 py-3 border-b border-gray-100 last:border-0">
+      <div className="flex items-center gap-2">
+        {task.status === 'done' ? (
+          <CheckCircle className="w-4 h-4 text-green-600 flex-shrink-0" />
+        ) : task.status === 'failed' ? (
+          <XCircle className="w-4 h-4 text-red-600 flex-shrink-0" />
+        ) : task.status === 'cancelled' ? (
+          <X className="w-4 h-4 text-gray-400 flex-shrink-0" />
+        ) : (
+          <Loader2 className={`w-4 h-4 text-purple-500 flex-shrink-0 ${task.status === 'uploading' ? 'animate-spin' : ''}`} />
+        )}
+        <span className="flex-1 min-w-0 text-sm text-gray-800 truncate" title={`${task.currentPath}/${task.name}`}>
+          {task.name}
+        </span>
+        {(task.status === 'failed' || task.status === 'cancelled') && (
+          <button
+            onClick={() => uploadQueue.retry(task.id)}
+            className="p-1 text-gray-500 hover:text-purple-700 rounded"
+            title="Retry"
+          >
+            <RotateCcw className="w-4 h-4" />
+          </button>
+        )}
+        {(task.status === 'queued' || task.status === 'uploading') && (
+          <button
+            onClick={() => uploadQueue.cancel(task.id)}
+            className="p-1 text-gray-500 hover:text-red-600 rounded"
+            title="Cancel"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {task.status === 'uploading' && (
+        <div className="mt-2 flex items-center gap-2">
+          <div className="flex-1 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+            <div className="h-full bg-gradient-to-r from-blue-500 to-purple-500 transition-all" style={{ width: `${percent}%` }} />
+          </div>
+          <span className="text-xs text-gray-500 w-24 text-right">
+            {formatBytes(task.loaded)} / {formatBytes(task.total)}
+          </span>
+        </div>
+      )}
+      {task.status === 'queued' && <p className="mt-1 text-xs text-gray-500">Waiting · {formatBytes(task.total)}</p>}
+      {task.status === 'failed' && <p className="mt-1 text-xs text-red-600">{task.error}</p>}
+      {task.status === 'done' && task.cid && (
+        <div className="mt-1 flex items-center gap-1">
+          <code className="flex-1 min-w-0 text-xs text-gray-500 font-mono truncate">{task.cid}</code>
+          <button
+            onClick={() => navigator.clipboard.writeText(task.cid || '')}
+            className="p-1 text-gray-400 hover:text-green-600 rounded"
+            title="Copy CID"
+          >
+            <Copy className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      )}
+    </li>
+  );
+};
+
+// Floating panel listing every upload of this browser tab, mounted once in the root layout
+const UploadManager = () => {
+  const tasks = useUploadTasks();
+  const [collapsed, setCollapsed] = useState(false);
+  const totals = summarize(tasks);
+
+  // Leaving the page would abort running uploads, so ask first
+  useEffect(() => {
+    if (totals.active === 0) return;
+    const onBeforeUnload = (e: BeforeUnloadEvent) => e.preventDefault();
+    window.addEventListener('beforeunload', onBeforeUnload);
+    return () => window.removeEventListener('beforeunload', onBeforeUnload);
+  }, [totals.active]);
+
+  if (tasks.length === 0) return null;
+
+  const title = totals.active > 0
+    ? `Uploading ${totals.active} file${totals.active === 1 ? '' : 's'} · ${percentOf(totals.loaded, totals.total)}%`
+    : `${totals.done} upload${totals.done === 1 ? '' : 's'} complete${totals.failed ? `, ${totals.failed} failed` : ''}`;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-40 w-96 bg-white rounded-2xl shadow-2xl border border-gray-200 overflow-hidden">
+      <div className="flex items-center gap-2 px-4 py-3 bg-gradient-to-r from-blue-500 to-purple-500 text-white">
+        <Upload className="w-4 h-4" />
+        <span className="flex-1 text-sm font-semibold">{title}</span>
+        {totals.failed > 0 && (
+          <button onClick={() => uploadQueue.retryFailed()} className="p-1 rounded hover:bg-white/20" title="Retry failed">
+            <RotateCcw className="w-4 h-4" />
+          </button>
+        )}
+        <button onClick={() => setCollapsed(!collapsed)} className="p-1 rounded hover:bg-white/20" title={collapsed ? 'Expand' : 'Collapse'}>
+          {collapsed ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+        </button>
+        {totals.active === 0 && (
+          <button onClick={() => uploadQueue.clearFinished()} className="p-1 rounded hover:bg-white/20" title="Close">
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {totals.active > 0 && (
+        <div className="h-1 bg-purple-100">
+          <div className="h-full bg-purple-500 transition-all" style={{ width: `${percentOf(totals.loaded, totals.total)}%` }} />
+        </div>
+      )}
+
+      {!collapsed && (
+        <ul className="max-h-80 overflow-y-auto">
+          {tasks.map((task) => (
+            <TaskRow key={task.id} task={task} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default UploadManager;
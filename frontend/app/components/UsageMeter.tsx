@@ -0,0 +1,68 @@
+"use client";
+
+import React, { useEffect, useState } from 'react';
+import { HardDrive } from 'lucide-react';
+import { apiFetch } from '../lib/api';
+import { formatBytes } from '../lib/format';
+
+interface Usage {
+  quota: number | null;
+  used: number;
+  available: number | null;
+  breakdown: { active: number; trash: number; versions: number; pendingUploads: number };
+  byType: { fileType: string; bytes: number; count: number }[];
+}
+
+interface UsageMeterProps {
+  // Change this to refetch, e.g. after an upload finished
+  refreshKey?: number;
+}
+
+// Storage used against the quota, shown as a bar in the header
+const UsageMeter = ({ refreshKey = 0 }: UsageMeterProps) => {
+  const [usage, setUsage] = useState<Usage | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    apiFetch('/usage')
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (!cancelled && data) setUsage(data);
+      })
+      .catch((err) => console.error('Failed to load usage:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  if (!usage) return null;
+
+  const percent = usage.quota ? Math.min(100, Math.round((usage.used / usage.quota) * 100)) : 0;
+  const barColor = percent >= 90 ? 'bg-red-400' : percent >= 75 ? 'bg-yellow-300' : 'bg-white';
+  const details = [
+    `Files: ${formatBytes(usage.breakdown.active)}`,
+    `Trash: ${formatBytes(usage.breakdown.trash)}`,
+    `Old versions: ${formatBytes(usage.breakdown.versions)}`,
+    ...usage.byType.slice(0, 5).map((type) => `${type.fileType}: ${formatBytes(type.bytes)}`),
+  ].join('\n');
+
+  return (
+    <div className="flex items-center gap-2 opacity-90" title={details}>
+      <HardDrive className="w-4 h-4" />
+      {usage.quota ? (
+        <>
+          <div className="w-32 h-2 bg-white/30 rounded-full overflow-hidden">
+            <div className={`h-full ${barColor} transition-all`} style={{ width: `${percent}%` }} />
+          </div>
+          <span>
+            {formatBytes(usage.used)} of {formatBytes(usage.quota)}
+          </span>
+        </>
+      ) : (
+        <span>{formatBytes(usage.used)} used</span>
+      )}
+    </div>
+  );
+};
+
+export default UsageMeter;
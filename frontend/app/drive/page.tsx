@@ -0,0 +1,613 @@
+"use client";
+
+import React, { Suspense, useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter, useSearchParams } from 'next/navigation';
+import {
+  AlertCircle, Copy, Download, FileArchive, Folder, FolderLock, FolderOpen, FolderPlus, FolderUp, History, LayoutGrid, List, Loader2,
+  Lock, LogOut, Package, Pencil, Radio, Search, Share2, Trash2, Upload, User, X, File as FileIcon,
+} from 'lucide-react';
+import { AuthUser, apiFetch, clearSession, getStoredUser, getToken, userRoot } from '../lib/api';
+import { summarize, uploadQueue, useUploadTasks } from '../lib/uploadQueue';
+import { collectDrop, foldersFromInput } from '../lib/folderUpload';
+import { EncryptionLockedError, downloadDecrypted, fetchKeyPair, isUnlocked, lockEncryption } from '../lib/encryption';
+import { Share, shareItem } from '../lib/shares';
+import { applyChange, watchFolder } from '../lib/folderEvents';
+import {
+  ArchiveFormat, DriveItem, FolderListing, SearchResult, createFolder, deleteItem, downloadUrl, extractArchive, importCarFile, listFolder,
+  parentOf, renameItem, searchDrive,
+} from '../lib/drive';
+import ActivityPanel from '../components/ActivityPanel';
+import Breadcrumbs from '../components/Breadcrumbs';
+import ContextMenu, { ContextMenuItem } from '../components/ContextMenu';
+import FileBrowser, { SortState, ViewMode } from '../components/FileBrowser';
+import FolderTree from '../components/FolderTree';
+import IpnsDialog from '../components/IpnsDialog';
+import NameDialog from '../components/NameDialog';
+import PassphraseDialog from '../components/PassphraseDialog';
+import ShareDialog from '../components/ShareDialog';
+import UsageMeter from '../components/UsageMeter';
+
+const VIEW_KEY = 'bockipfs.driveView';
+
+type Dialog =
+  | { kind: 'newFolder'; encrypted: boolean }
+  | { kind: 'rename'; item: DriveItem }
+  | { kind: 'share'; item: DriveItem & { id: number } }
+  | { kind: 'ipns'; item: DriveItem & { id: number } };
+
+// The open folder lives in the URL (/drive?path=...) so folders can be bookmarked
+const DriveView = () => {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const [currentUser, setCurrentUser] = useState<AuthUser | null>(null);
+  const [listing, setListing] = useState<FolderListing | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [view, setView] = useState<ViewMode>('list');
+  const [sort, setSort] = useState<SortState>({ key: 'name', direction: 'asc' });
+  const [menu, setMenu] = useState<{ item: DriveItem; x: number; y: number } | null>(null);
+  const [dialog, setDialog] = useState<Dialog | null>(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState<SearchResult[] | null>(null);
+  const [searching, setSearching] = useState(false);
+  const [dragOver, setDragOver] = useState(false);
+  const [extracting, setExtracting] = useState(false);
+  const [importingCar, setImportingCar] = useState(false);
+  const [showActivity, setShowActivity] = useState(false);
+  // Passphrase prompt, and what to do once the key pair is set up or unlocked
+  const [passphrase, setPassphrase] = useState<{ mode: 'setup' | 'unlock'; then: () => void } | null>(null);
+  // Bumped after every change so the listing, the tree and the usage meter reload
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const rootPath = currentUser ? userRoot(currentUser) : '';
+  const currentPath = searchParams.get('path') || rootPath;
+  const canWrite = listing?.permission !== 'read';
+  const encryptedFolder = Boolean(listing?.encrypted);
+
+  // Send anonymous visitors to the login screen
+  useEffect(() => {
+    const user = getStoredUser();
+    if (!getToken() || !user) {
+      router.replace('/login');
+      return;
+    }
+    setCurrentUser(user);
+    const savedView = window.localStorage.getItem(VIEW_KEY);
+    if (savedView === 'list' || savedView === 'grid') setView(savedView);
+  }, [router]);
+
+  useEffect(() => {
+    if (!currentPath) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    listFolder(currentPath)
+      .then((result) => !cancelled && setListing(result))
+      .catch((err) => {
+        if (cancelled) return;
+        setListing(null);
+        setError(err.message);
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [currentPath, refreshKey]);
+
+  const navigate = useCallback(
+    (path: string) => {
+      setSearchResults(null);
+      setSearchQuery('');
+      router.push(`/drive?path=${encodeURIComponent(path)}`);
+    },
+    [router]
+  );
+
+  // Changes from other users and tabs show up as they happen, without reloading the folder
+  useEffect(() => {
+    if (!currentPath) return;
+    return watchFolder(currentPath, {
+      onChange: (change) => setListing((current) => current && applyChange(current, change)),
+      onGone: ({ movedTo }) => navigate(movedTo ?? parentOf(currentPath)),
+      onReconnect: () => setRefreshKey((key) => key + 1),
+    });
+  }, [currentPath, navigate]);
+
+  const refresh = () => setRefreshKey((key) => key + 1);
+
+  // Uploads run in the shared queue; reload whenever one of them finishes
+  const uploading = summarize(useUploadTasks()).active > 0;
+  useEffect(() => uploadQueue.onUploaded(() => setRefreshKey((key) => key + 1)), []);
+
+  // Run an action, showing its error in the banner and reloading afterwards
+  const run = async (action: () => Promise<unknown>) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Something went wrong');
+    } finally {
+      refresh();
+    }
+  };
+
+  const handleLogout = async () => {
+    await apiFetch('/auth/logout', { method: 'POST' }).catch(() => null);
+    uploadQueue.cancelAll();
+    lockEncryption();
+    clearSession();
+    router.replace('/login');
+  };
+
+  // Run an action that needs the user's key pair, asking for the passphrase first when
+  // it is not set up yet, or (with `unlock`) when the private key is still locked
+  const withEncryption = async (action: () => void, { unlock = true } = {}) => {
+    if (isUnlocked()) return action();
+    try {
+      const { publicKey } = await fetchKeyPair();
+      if (!publicKey) {
+        setPassphrase({ mode: 'setup', then: action });
+      } else if (unlock) {
+        setPassphrase({ mode: 'unlock', then: action });
+      } else {
+        action();
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not load your encryption key');
+    }
+  };
+
+  const openDownload = async (id: number, format?: ArchiveFormat | 'car') => {
+    try {
+      window.open(await downloadUrl(id, format), '_blank');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Download failed');
+    }
+  };
+
+  // Files are downloaded as they are stored, unless they were encrypted in the browser
+  const downloadItem = (item: DriveItem) => {
+    const { id } = item;
+    if (!id) return;
+    if (item.encrypted && item.type === 'file') {
+      withEncryption(() => run(() => downloadDecrypted(id, item.cid, item.name)));
+    } else {
+      openDownload(id);
+    }
+  };
+
+  const openItem = (item: DriveItem) => {
+    if (item.type === 'folder') {
+      navigate(item.path);
+    } else {
+      downloadItem(item);
+    }
+  };
+
+  const handleShare = async (item: DriveItem & { id: number }, recipient: string, permission: Share['permission']) => {
+    try {
+      await shareItem(item.id, item.path, recipient, permission);
+    } catch (err) {
+      if (!(err instanceof EncryptionLockedError)) throw err;
+      // The share exists already; its keys are passed on once the passphrase is entered
+      withEncryption(() => run(() => shareItem(item.id, item.path, recipient, permission)));
+    }
+  };
+
+  const handleUpload = (files: FileList | null) => {
+    if (!files || files.length === 0) return;
+    uploadQueue.add(Array.from(files), currentPath, { encrypted: encryptedFolder });
+  };
+
+  const handleExtract = async (file: File | undefined) => {
+    if (!file) return;
+    setExtracting(true);
+    await run(() => extractArchive(currentPath, file));
+    setExtracting(false);
+  };
+
+  const handleCarImport = async (file: File | undefined) => {
+    if (!file) return;
+    setImportingCar(true);
+    await run(() => importCarFile(currentPath, file));
+    setImportingCar(false);
+  };
+
+  const handleFolderUpload = (files: FileList | null) => {
+    if (!files || files.length === 0) return;
+    uploadQueue.addFolders(foldersFromInput(files), currentPath);
+  };
+
+  // Files and whole folders can be dropped onto the listing
+  const handleDrop = async (e: React.DragEvent<HTMLElement>) => {
+    e.preventDefault();
+    setDragOver(false);
+    if (!canWrite || searchResults) return;
+    const { files, folders } = await collectDrop(e.dataTransfer);
+    if (files.length > 0) uploadQueue.add(files, currentPath, { encrypted: encryptedFolder });
+    if (folders.length > 0) {
+      if (encryptedFolder) {
+        setError('Folders cannot be uploaded into an encrypted folder, drop the files instead');
+      } else {
+        uploadQueue.addFolders(folders, currentPath);
+      }
+    }
+  };
+
+  const handleDelete = (item: DriveItem) => {
+    if (!window.confirm(`Move "${item.name}" to the trash?`)) return;
+    run(() => deleteItem(item.path));
+  };
+
+  const handleSearch = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    const query = searchQuery.trim();
+    if (!query) {
+      setSearchResults(null);
+      return;
+    }
+    setSearching(true);
+    setError(null);
+    try {
+      setSearchResults(await searchDrive(currentPath, query));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Search failed');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const changeView = (mode: ViewMode) => {
+    setView(mode);
+    window.localStorage.setItem(VIEW_KEY, mode);
+  };
+
+  // Encrypted folders have no archive download: only the browser can decrypt, file by file
+  const menuItems = (item: DriveItem): ContextMenuItem[] => [
+    { label: 'Open', icon: FolderOpen, onSelect: () => openItem(item), disabled: item.type === 'file' && !item.id },
+    {
+      label: item.type === 'folder' ? 'Download as zip' : 'Download',
+      icon: Download,
+      onSelect: () => downloadItem(item),
+      disabled: !item.id || (item.type === 'folder' && (item.encrypted || encryptedFolder)),
+    },
+    ...(item.type === 'folder'
+      ? [{
+        label: 'Download as tar.gz',
+        icon: FileArchive,
+        onSelect: () => item.id && openDownload(item.id, 'tar.gz'),
+        disabled: !item.id || item.encrypted || encryptedFolder,
+      }]
+      : []),
+    {
+      label: 'Download as CAR',
+      icon: Package,
+      onSelect: () => item.id && openDownload(item.id, 'car'),
+      disabled: !item.id || (item.type === 'folder' && (item.encrypted || encryptedFolder)),
+    },
+    {
+      label: 'Share…',
+      icon: Share2,
+      onSelect: () => item.id && setDialog({ kind: 'share', item: { ...item, id: item.id } }),
+      disabled: !item.id || listing?.permission !== 'owner',
+    },
+    ...(item.type === 'folder'
+      ? [{
+        label: 'Publish to IPNS…',
+        icon: Radio,
+        onSelect: () => item.id && setDialog({ kind: 'ipns', item: { ...item, id: item.id } }),
+        disabled: !item.id || listing?.permission !== 'owner' || item.encrypted || encryptedFolder,
+      }]
+      : []),
+    { label: 'Rename', icon: Pencil, onSelect: () => setDialog({ kind: 'rename', item }), disabled: !canWrite },
+    { label: 'Copy CID', icon: Copy, onSelect: () => navigator.clipboard.writeText(item.cid) },
+    { label: 'Move to trash', icon: Trash2, onSelect: () => handleDelete(item), disabled: !canWrite, danger: true },
+  ];
+
+  if (!currentUser) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader2 className="w-10 h-10 text-purple-500 animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-purple-50 to-cyan-50">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-blue-600 via-purple-600 to-cyan-600 text-white">
+        <div className="max-w-7xl mx-auto px-6 py-4 flex items-center gap-4 text-sm">
+          <h1 className="text-2xl font-bold mr-auto">My Drive</h1>
+          <Link href="/" className="px-3 py-1.5 hover:bg-white/20 rounded-lg transition-colors">
+            IPFS tools
+          </Link>
+          <UsageMeter refreshKey={refreshKey} />
+          <span className="flex items-center gap-2 opacity-90">
+            <User className="w-4 h-4" />
+            {currentUser.username}
+          </span>
+          <button
+            onClick={handleLogout}
+            className="flex items-center gap-2 px-3 py-1.5 bg-white/20 hover:bg-white/30 rounded-lg transition-colors"
+          >
+            <LogOut className="w-4 h-4" />
+            Logout
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-6 py-8 flex gap-6">
+        {/* Sidebar */}
+        <aside className="w-64 flex-shrink-0 bg-white rounded-2xl shadow-lg p-3 self-start">
+          <FolderTree rootPath={rootPath} currentPath={currentPath} onNavigate={navigate} refreshKey={refreshKey} />
+        </aside>
+
+        <main
+          className={`flex-1 min-w-0 bg-white rounded-2xl shadow-lg p-6 space-y-4 transition-shadow ${
+            dragOver ? 'ring-2 ring-purple-400' : ''
+          }`}
+          onDragOver={(e) => {
+            e.preventDefault();
+            if (canWrite) setDragOver(true);
+          }}
+          onDragLeave={(e) => {
+            if (!e.currentTarget.contains(e.relatedTarget as Node)) setDragOver(false);
+          }}
+          onDrop={handleDrop}
+        >
+          {/* Toolbar */}
+          <div className="flex flex-wrap items-center gap-3">
+            {canWrite && (
+              <>
+                <button
+                  onClick={() => setDialog({ kind: 'newFolder', encrypted: false })}
+                  className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-gradient-to-r from-blue-500 to-purple-500 rounded-xl hover:from-blue-600 hover:to-purple-600 transition-colors"
+                >
+                  <FolderPlus className="w-4 h-4" />
+                  New folder
+                </button>
+                {!encryptedFolder && (
+                  <button
+                    onClick={() => withEncryption(() => setDialog({ kind: 'newFolder', encrypted: true }), { unlock: false })}
+                    className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-purple-700 bg-purple-50 rounded-xl hover:bg-purple-100 transition-colors"
+                  >
+                    <FolderLock className="w-4 h-4" />
+                    New encrypted folder
+                  </button>
+                )}
+                <label className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-purple-700 bg-purple-50 rounded-xl hover:bg-purple-100 cursor-pointer transition-colors">
+                  {uploading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+                  Upload
+                  <input
+                    type="file"
+                    multiple
+                    className="hidden"
+                    onChange={(e) => {
+                      handleUpload(e.target.files);
+                      e.target.value = '';
+                    }}
+                  />
+                </label>
+                {!encryptedFolder && (
+                  <>
+                    <label className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-purple-700 bg-purple-50 rounded-xl hover:bg-purple-100 cursor-pointer transition-colors">
+                      {extracting ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileArchive className="w-4 h-4" />}
+                      Upload &amp; extract
+                      <input
+                        type="file"
+                        accept=".zip,.tar,.tar.gz,.tgz"
+                        className="hidden"
+                        disabled={extracting}
+                        onChange={(e) => {
+                          handleExtract(e.target.files?.[0]);
+                          e.target.value = '';
+                        }}
+                      />
+                    </label>
+                    <label className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-purple-700 bg-purple-50 rounded-xl hover:bg-purple-100 cursor-pointer transition-colors">
+                      {importingCar ? <Loader2 className="w-4 h-4 animate-spin" /> : <Package className="w-4 h-4" />}
+                      Import CAR
+                      <input
+                        type="file"
+                        accept=".car,application/vnd.ipld.car"
+                        className="hidden"
+                        disabled={importingCar}
+                        onChange={(e) => {
+                          handleCarImport(e.target.files?.[0]);
+                          e.target.value = '';
+                        }}
+                      />
+                    </label>
+                    <label className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-purple-700 bg-purple-50 rounded-xl hover:bg-purple-100 cursor-pointer transition-colors">
+                      <FolderUp className="w-4 h-4" />
+                      Upload folder
+                      <input
+                        type="file"
+                        // Non-standard but supported by every current browser
+                        {...{ webkitdirectory: '' }}
+                        className="hidden"
+                        onChange={(e) => {
+                          handleFolderUpload(e.target.files);
+                          e.target.value = '';
+                        }}
+                      />
+                    </label>
+                  </>
+                )}
+              </>
+            )}
+
+            <form onSubmit={handleSearch} className="flex-1 min-w-[12rem] relative">
+              <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder="Search names and file contents in this folder"
+                className="w-full pl-9 pr-9 py-2 text-sm border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+              {searchResults && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setSearchResults(null);
+                    setSearchQuery('');
+                  }}
+                  className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                  aria-label="Clear search"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              )}
+            </form>
+
+            <div className="flex rounded-xl border border-gray-200 overflow-hidden">
+              {([['list', List], ['grid', LayoutGrid]] as const).map(([mode, Icon]) => (
+                <button
+                  key={mode}
+                  onClick={() => changeView(mode)}
+                  className={`p-2 ${view === mode ? 'bg-purple-100 text-purple-700' : 'text-gray-500 hover:bg-gray-50'}`}
+                  aria-label={`${mode} view`}
+                >
+                  <Icon className="w-4 h-4" />
+                </button>
+              ))}
+            </div>
+
+            <button
+              onClick={() => setShowActivity((shown) => !shown)}
+              className={`p-2 rounded-xl border border-gray-200 ${
+                showActivity ? 'bg-purple-100 text-purple-700' : 'text-gray-500 hover:bg-gray-50'
+              }`}
+              aria-label="Folder activity"
+            >
+              <History className="w-4 h-4" />
+            </button>
+          </div>
+
+          <Breadcrumbs path={currentPath} rootPath={rootPath} onNavigate={navigate} />
+
+          {encryptedFolder && (
+            <p className="flex items-center gap-2 text-sm text-green-700">
+              <Lock className="w-4 h-4" />
+              Encrypted folder: files are encrypted in your browser before upload and decrypted on download
+            </p>
+          )}
+
+          {error && (
+            <div className="flex items-center gap-2 p-3 text-sm text-red-700 bg-red-50 border border-red-200 rounded-xl">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+
+          {searching || (loading && !listing) ? (
+            <div className="py-16 flex justify-center">
+              <Loader2 className="w-8 h-8 text-purple-500 animate-spin" />
+            </div>
+          ) : searchResults ? (
+            <div className="space-y-1">
+              <p className="text-sm text-gray-500">
+                {searchResults.length} result{searchResults.length === 1 ? '' : 's'}
+              </p>
+              {searchResults.map((result) => (
+                <button
+                  key={result.path}
+                  onClick={() => navigate(result.type === 'folder' ? result.path : parentOf(result.path))}
+                  className="w-full flex items-start gap-3 p-3 text-left rounded-xl hover:bg-purple-50 transition-colors"
+                >
+                  {result.type === 'folder' ? (
+                    <Folder className="w-5 h-5 mt-0.5 text-yellow-500 flex-shrink-0" />
+                  ) : (
+                    <FileIcon className="w-5 h-5 mt-0.5 text-purple-500 flex-shrink-0" />
+                  )}
+                  <span className="min-w-0">
+                    <span className="block text-sm font-medium text-gray-800 truncate">{result.name}</span>
+                    <span className="block text-xs text-gray-500 truncate">{result.relativePath}</span>
+                    {result.contentMatch && (
+                      // Snippets are HTML-escaped by the backend; only <mark> is added
+                      <span
+                        className="block mt-1 text-xs text-gray-600 [&_mark]:bg-yellow-200"
+                        dangerouslySetInnerHTML={{ __html: result.contentMatch.snippet }}
+                      />
+                    )}
+                  </span>
+                </button>
+              ))}
+            </div>
+          ) : (
+            listing && (
+              <FileBrowser
+                items={listing.items}
+                view={view}
+                sort={sort}
+                onSortChange={setSort}
+                onOpen={openItem}
+                onContextMenu={(item, e) => setMenu({ item, x: e.clientX, y: e.clientY })}
+              />
+            )
+          )}
+        </main>
+
+        {showActivity && (
+          <aside className="w-72 flex-shrink-0 bg-white rounded-2xl shadow-lg p-4 self-start">
+            <ActivityPanel folder={currentPath} refreshKey={refreshKey} onClose={() => setShowActivity(false)} />
+          </aside>
+        )}
+      </div>
+
+      {menu && <ContextMenu x={menu.x} y={menu.y} items={menuItems(menu.item)} onClose={() => setMenu(null)} />}
+
+      {dialog?.kind === 'newFolder' && (
+        <NameDialog
+          title={dialog.encrypted ? 'New encrypted folder' : 'New folder'}
+          submitLabel="Create"
+          onClose={() => setDialog(null)}
+          onSubmit={async (name) => {
+            await createFolder(currentPath, name, { encrypted: dialog.encrypted });
+            refresh();
+          }}
+        />
+      )}
+      {dialog?.kind === 'rename' && (
+        <NameDialog
+          title={`Rename "${dialog.item.name}"`}
+          initialValue={dialog.item.name}
+          submitLabel="Rename"
+          onClose={() => setDialog(null)}
+          onSubmit={async (name) => {
+            await renameItem(dialog.item.path, name);
+            refresh();
+          }}
+        />
+      )}
+      {dialog?.kind === 'share' && (
+        <ShareDialog
+          itemName={dialog.item.name}
+          onClose={() => setDialog(null)}
+          onSubmit={(recipient, permission) => handleShare(dialog.item, recipient, permission)}
+        />
+      )}
+      {dialog?.kind === 'ipns' && (
+        <IpnsDialog fileId={dialog.item.id} folderName={dialog.item.name} onClose={() => setDialog(null)} />
+      )}
+      {passphrase && (
+        <PassphraseDialog mode={passphrase.mode} onUnlocked={passphrase.then} onClose={() => setPassphrase(null)} />
+      )}
+    </div>
+  );
+};
+
+const DrivePage = () => (
+  <Suspense
+    fallback={
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader2 className="w-10 h-10 text-purple-500 animate-spin" />
+      </div>
+    }
+  >
+    <DriveView />
+  </Suspense>
+);
+
+export default DrivePage;
@@ -0,0 +1,78 @@
+import { apiFetch, readError } from './api';
+
+// Client for the backend's /activity route
+
+export type ActivityAction =
+  | 'upload' | 'import' | 'create_folder' | 'rename' | 'move' | 'copy' | 'delete' | 'download' | 'search'
+  | 'restore' | 'purge' | 'restore_version' | 'share' | 'unshare' | 'share_link_create'
+  | 'share_link_revoke' | 'share_link_download' | 'publish_name' | 'rotate_name' | 'unpublish_name';
+
+export interface ActivityEvent {
+  id: number;
+  action: ActivityAction;
+  // Null when the user has been deleted, or for anonymous share link downloads
+  actor: { id: number; username: string } | null;
+  ownerId: number | null;
+  path: string | null;
+  newPath: string | null;
+  fileId: number | null;
+  cidBefore: string | null;
+  cidAfter: string | null;
+  // Only visible to the drive owner and to the actor
+  ip: string | null;
+  details: Record<string, unknown> | null;
+  createdAt: string;
+}
+
+export interface ActivityPage {
+  events: ActivityEvent[];
+  // Pass as `before` to get the next (older) page; null on the last one
+  nextCursor: number | null;
+}
+
+// Past tense, as in "alice uploaded report.pdf"
+export const ACTION_LABELS: Record<ActivityAction, string> = {
+  upload: 'uploaded',
+  import: 'saved',
+  create_folder: 'created folder',
+  rename: 'renamed',
+  move: 'moved',
+  copy: 'copied',
+  delete: 'moved to trash',
+  download: 'downloaded',
+  search: 'searched',
+  restore: 'restored',
+  purge: 'deleted forever',
+  restore_version: 'restored a version of',
+  share: 'shared',
+  unshare: 'stopped sharing',
+  share_link_create: 'created a link to',
+  share_link_revoke: 'revoked a link to',
+  share_link_download: 'downloaded via link',
+  publish_name: 'published',
+  rotate_name: 'rotated the IPNS name of',
+  unpublish_name: 'unpublished',
+};
+
+/**
+ * One page of events at or below `folder`, newest first. `actions` narrows it to
+ * some actions, `from` and `to` to a date range.
+ */
+export const fetchActivity = async (
+  folder: string,
+  options: { actions?: ActivityAction[]; userId?: number; from?: string; to?: string; before?: number | null; limit?: number } = {}
+): Promise<ActivityPage> => {
+  const params = new URLSearchParams({ folder });
+  if (options.actions?.length) params.set('action', options.actions.join(','));
+  if (options.userId) params.set('userId', String(options.userId));
+  if (options.from) params.set('from', options.from);
+  if (options.to) params.set('to', options.to);
+  if (options.before) params.set('before', String(options.before));
+  if (options.limit) params.set('limit', String(options.limit));
+
+  const response = await apiFetch(`/activity?${params}`);
+  if (!response.ok) {
+    throw new Error(await readError(response));
+  }
+  return response.json();
+};
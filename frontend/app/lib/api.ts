@@ -0,0 +1,99 @@
+// Backend API URL
+export const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:4000';
+
+const TOKEN_KEY = 'bockipfs.token';
+const USER_KEY = 'bockipfs.user';
+
+export interface AuthUser {
+  id: number;
+  username: string;
+  email: string;
+  created_at?: string;
+}
+
+export const getToken = (): string | null => {
+  if (typeof window === 'undefined') return null;
+  return window.localStorage.getItem(TOKEN_KEY);
+};
+
+export const getStoredUser = (): AuthUser | null => {
+  if (typeof window === 'undefined') return null;
+  const raw = window.localStorage.getItem(USER_KEY);
+  try {
+    return raw ? (JSON.parse(raw) as AuthUser) : null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveSession = (token: string, user: AuthUser) => {
+  window.localStorage.setItem(TOKEN_KEY, token);
+  window.localStorage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+export const clearSession = () => {
+  window.localStorage.removeItem(TOKEN_KEY);
+  window.localStorage.removeItem(USER_KEY);
+  linkTokens.clear();
+};
+
+// Root MFS directory of the signed-in user
+export const userRoot = (user: AuthUser) => `/users/${user.id}`;
+
+// fetch() against the backend with the bearer token attached.
+// A 401 means the session is gone, so it is cleared locally as well.
+export const apiFetch = async (path: string, init: RequestInit = {}) => {
+  const headers = new Headers(init.headers);
+  const token = getToken();
+  if (token) headers.set('Authorization', `Bearer ${token}`);
+  if (init.body && !(init.body instanceof FormData) && !headers.has('Content-Type')) {
+    headers.set('Content-Type', 'application/json');
+  }
+
+  const response = await fetch(`${API_URL}${path}`, { ...init, headers });
+  if (response.status === 401) {
+    clearSession();
+  }
+  return response;
+};
+
+// Pull the error message out of a failed JSON response
+export const readError = async (response: Response) => {
+  const errorData = await response.json().catch(() => ({
+    error: `HTTP ${response.status}: ${response.statusText}`
+  }));
+  return errorData.error || `Request failed: ${response.statusText}`;
+};
+
+export type LinkPurpose = 'download' | 'thumbnail' | 'folder-events';
+
+const linkTokens = new Map<string, { token: string; expiresAt: number }>();
+// Tokens this close to expiring are replaced rather than handed out again
+const LINK_TOKEN_MARGIN_MS = 30 * 1000;
+
+// A short-lived token the backend issues for one purpose and resource, reused until it is about to expire
+const linkToken = async (purpose: LinkPurpose, resource: string | number) => {
+  const key = `${purpose}:${resource}`;
+  const cached = linkTokens.get(key);
+  if (cached && cached.expiresAt - Date.now() > LINK_TOKEN_MARGIN_MS) return cached.token;
+
+  const response = await apiFetch('/auth/link-token', { method: 'POST', body: JSON.stringify({ purpose, resource }) });
+  if (!response.ok) {
+    throw new Error(await readError(response));
+  }
+  const { token, expiresAt } = await response.json();
+  linkTokens.set(key, { token, expiresAt: new Date(expiresAt).getTime() });
+  return token as string;
+};
+
+/**
+ * URL usable from plain links (<a href>, <img src>, EventSource) for authenticated GET
+ * routes. These end up in logs and browser history, so instead of the session token
+ * they carry a link token that is only good for `purpose` on `resource`, for minutes.
+ */
+export const authUrl = async (path: string, purpose: LinkPurpose, resource: string | number) => {
+  if (!getToken()) return `${API_URL}${path}`;
+  const token = await linkToken(purpose, resource);
+  const separator = path.includes('?') ? '&' : '?';
+  return `${API_URL}${path}${separator}access_token=${encodeURIComponent(token)}`;
+};
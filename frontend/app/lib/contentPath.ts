@@ -0,0 +1,27 @@
+// A CID or IPNS name as pasted into the retrieve panel, with an optional path below it:
+// "bafy…", "/ipfs/bafy…/docs/a.pdf", "ipfs://bafy…", "/ipns/k51…", "ipns://k51…/a.txt"
+
+export interface ContentPath {
+  namespace: 'ipfs' | 'ipns';
+  root: string;
+  // "" or something like "/docs/a.pdf"
+  path: string;
+}
+
+export const parseContentPath = (input: string): ContentPath | null => {
+  const match = /^(?:\/?(ipfs|ipns)\/|(ipfs|ipns):\/\/)?([^/?#\s]+)(\/[^?#]*)?$/.exec(input.trim());
+  if (!match) return null;
+  return {
+    namespace: (match[1] || match[2] || 'ipfs') as ContentPath['namespace'],
+    root: match[3],
+    path: (match[4] || '').replace(/\/+$/, ''),
+  };
+};
+
+export const formatContentPath = ({ namespace, root, path }: ContentPath) => `/${namespace}/${root}${path}`;
+
+// Where the backend's /get-content routes serve it; a path below a CID travels as one encoded segment
+export const contentUrl = ({ namespace, root, path }: ContentPath) =>
+  namespace === 'ipns'
+    ? `/get-content/ipns/${[root, ...path.split('/').filter(Boolean)].map(encodeURIComponent).join('/')}`
+    : `/get-content/${encodeURIComponent(root + path)}`;
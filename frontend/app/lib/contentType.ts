@@ -0,0 +1,29 @@
+// How to preview content, decided from the Content-Type the backend sniffed.
+// The backend sends nosniff, so this type is also what the browser will use.
+
+export type PreviewKind = 'text' | 'pdf' | 'image' | 'file';
+
+const TEXT_APPLICATION_TYPES = new Set([
+  'application/json',
+  'application/geo+json',
+  'application/javascript',
+  'application/xml',
+  'application/yaml',
+  'application/toml',
+  'application/sql',
+  'application/x-sh',
+  'application/x-subrip',
+  'application/x-tex',
+]);
+
+// The media type without parameters such as "; charset=utf-8"
+export const mediaType = (contentType: string | null | undefined) =>
+  (contentType || '').split(';')[0].trim().toLowerCase();
+
+export const previewKind = (contentType: string | null | undefined): PreviewKind => {
+  const type = mediaType(contentType);
+  if (type === 'application/pdf') return 'pdf';
+  if (type.startsWith('image/')) return 'image';
+  if (type.startsWith('text/') || type.endsWith('+xml') || TEXT_APPLICATION_TYPES.has(type)) return 'text';
+  return 'file';
+};
@@ -0,0 +1,182 @@
+import { apiFetch, authUrl, readError } from './api';
+
+// Typed client for the drive routes in backend/index.js
+
+export type ItemType = 'file' | 'folder';
+export type Permission = 'owner' | 'write' | 'read';
+
+export interface DriveItem {
+  name: string;
+  path: string;
+  type: ItemType;
+  cid: string;
+  size: number;
+  // Only set when the item has a row in the files table
+  id?: number;
+  fileType?: string | null;
+  uploadedAt?: string;
+  // Set once the backend has rendered a thumbnail (images and PDFs)
+  thumbnailCid?: string | null;
+  // Encrypted folder, or a file only readable after decrypting it in the browser
+  encrypted?: boolean;
+}
+
+export interface FolderListing {
+  path: string;
+  permission: Permission;
+  // The folder is (inside) an encrypted folder: uploads have to be encrypted
+  encrypted: boolean;
+  items: DriveItem[];
+}
+
+export interface SearchResult {
+  name: string;
+  path: string;
+  type: ItemType;
+  cid: string;
+  relativePath: string;
+  relevance: number;
+  dbInfo?: { id: number; fileType: string | null; fileSize: number; uploadedAt: string };
+  contentMatch?: { snippet: string; rank: number };
+}
+
+// An MFS entry and the files row at the same path, as /list and /folder-events send them
+export interface ListEntry {
+  name: string;
+  type: ItemType;
+  cid: string;
+  size: number;
+}
+
+export interface ListRow {
+  id: number;
+  pathInDrive: string;
+  fileType: string | null;
+  fileSize: string | number | null;
+  uploadedAt: string;
+  thumbnailCid: string | null;
+  encrypted: boolean;
+}
+
+interface ListResponse {
+  path: string;
+  permission: Permission;
+  encrypted: boolean;
+  entries: ListEntry[];
+  dbEntries: ListRow[];
+}
+
+export const joinPath = (folder: string, name: string) => `${folder.replace(/\/+$/, '')}/${name}`;
+
+export const parentOf = (path: string) => path.slice(0, path.lastIndexOf('/')) || '/';
+
+// POST a JSON body and return the parsed response, throwing the backend's error message
+const postJson = async <T>(path: string, body: unknown, method = 'POST'): Promise<T> => {
+  const response = await apiFetch(path, { method, body: JSON.stringify(body) });
+  if (!response.ok) {
+    throw new Error(await readError(response));
+  }
+  return response.json();
+};
+
+// MFS is authoritative for what a folder contains; database rows add ids and metadata
+export const toDriveItem = (folder: string, entry: ListEntry, row?: ListRow | null): DriveItem => ({
+  name: entry.name,
+  path: joinPath(folder, entry.name),
+  type: entry.type,
+  cid: entry.cid,
+  size: row?.fileSize != null ? Number(row.fileSize) : entry.size,
+  id: row?.id,
+  fileType: row?.fileType,
+  uploadedAt: row?.uploadedAt,
+  thumbnailCid: row?.thumbnailCid,
+  encrypted: row?.encrypted,
+});
+
+export const listFolder = async (path: string): Promise<FolderListing> => {
+  const data = await postJson<ListResponse>('/list', { currentPath: path });
+  const rows = new Map(data.dbEntries.map((row) => [row.pathInDrive, row]));
+
+  return {
+    path: data.path,
+    permission: data.permission,
+    encrypted: data.encrypted,
+    items: data.entries.map((entry) => toDriveItem(data.path, entry, rows.get(joinPath(data.path, entry.name)))),
+  };
+};
+
+// Folders created inside an encrypted folder are always encrypted
+export const createFolder = (currentPath: string, newFolderName: string, options: { encrypted?: boolean } = {}) =>
+  postJson<{ folderId: number; path: string; encrypted: boolean }>('/createFolder', {
+    currentPath,
+    newFolderName,
+    encrypted: options.encrypted ?? false,
+  });
+
+// "Save to my drive": copy a CID, /ipfs/ path or /ipns/ name into a folder; the name defaults to the source's
+export const importContent = (currentPath: string, source: string, name?: string) =>
+  postJson<{ message: string; data: { name: string; path: string; cid: string; type: ItemType; folders: number; files: number } }>(
+    '/import',
+    { currentPath, source, name }
+  );
+
+export const renameItem = (oldPath: string, newName: string) =>
+  postJson<{ newPath: string }>('/rename', { oldPath, newName });
+
+// Moves the item to the recycle bin
+export const deleteItem = (itemPath: string) =>
+  postJson<{ message: string }>('/delete', { itemPath }, 'DELETE');
+
+export const uploadFile = async (currentPath: string, file: File, options: { extract?: boolean } = {}) => {
+  const form = new FormData();
+  form.append('file', file);
+  form.append('currentPath', currentPath);
+  if (options.extract) form.append('extract', 'true');
+  const response = await apiFetch('/fileUpload', { method: 'POST', body: form });
+  if (!response.ok) {
+    throw new Error(await readError(response));
+  }
+  return response.json();
+};
+
+// Mount the root of a CAR file (see downloadUrl's 'car' format) into currentPath, keeping its CIDs.
+// `root` picks one when the file declares several.
+export const importCarFile = async (currentPath: string, file: File, options: { name?: string; root?: string } = {}) => {
+  const form = new FormData();
+  form.append('file', file);
+  form.append('currentPath', currentPath);
+  if (options.name) form.append('name', options.name);
+  if (options.root) form.append('root', options.root);
+  const response = await apiFetch('/import/car', { method: 'POST', body: form });
+  if (!response.ok) {
+    throw new Error(await readError(response));
+  }
+  return response.json() as Promise<{
+    message: string;
+    data: { name: string; path: string; cid: string; type: ItemType; folders: number; files: number; roots: string[] };
+  }>;
+};
+
+// Unpack a zip, tar or tar.gz into currentPath (inside a folder named after it, unless it has one root folder)
+export const extractArchive = (currentPath: string, file: File) => uploadFile(currentPath, file, { extract: true });
+
+export const searchDrive = async (searchPath: string, query: string, options: { recursive?: boolean; fileType?: ItemType | 'all' } = {}) => {
+  const data = await postJson<{ results: SearchResult[] }>('/search', {
+    searchPath,
+    query,
+    recursive: options.recursive ?? true,
+    fileType: options.fileType ?? 'all',
+  });
+  return data.results;
+};
+
+export type ArchiveFormat = 'zip' | 'tar' | 'tar.gz';
+
+// Link usable in <a href>; files download as-is, folders as an archive (zip by default).
+// 'car' exports either as a CAR file of its DAG, which keeps the exact CIDs.
+export const downloadUrl = (id: number, format?: ArchiveFormat | 'car') =>
+  authUrl(format ? `/download/${id}?format=${encodeURIComponent(format)}` : `/download/${id}`, 'download', id);
+
+// A new version gets a new URL through the thumbnail CID; cached link tokens keep it stable meanwhile
+export const thumbnailUrl = (id: number, thumbnailCid: string, size: 'small' | 'large' = 'small') =>
+  authUrl(`/thumbnail/${id}?v=${encodeURIComponent(thumbnailCid)}${size === 'large' ? '&size=large' : ''}`, 'thumbnail', id);
@@ -0,0 +1,256 @@
+import { apiFetch, readError } from './api';
+import { UploadProgress, UploadedFile } from './resumableUpload';
+import { sendForm } from './folderUpload';
+
+// End-to-end encryption for encrypted folders. Every file gets a fresh AES-GCM key
+// and is encrypted here before upload; that key is wrapped with the RSA-OAEP public
+// key of each user who can read the folder. The user's own private key is stored on
+// the backend encrypted with a key derived from their passphrase, and is only ever
+// unlocked in the browser.
+
+// Ciphertext layout: MAGIC | 12-byte IV | AES-GCM ciphertext and tag (checked by backend/services/encryption.js)
+const MAGIC = new TextEncoder().encode('BOCKENC1');
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+const PBKDF2_ITERATIONS = 600_000;
+const RSA_ALGORITHM = { name: 'RSA-OAEP', hash: 'SHA-256' };
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+export interface PrivateKeyBundle {
+  kdf: 'PBKDF2-SHA256';
+  iterations: number;
+  salt: string;
+  iv: string;
+  ciphertext: string;
+}
+
+export interface KeyPairRecord {
+  publicKey: string | null;
+  privateKeyBundle: PrivateKeyBundle | null;
+}
+
+interface Reader {
+  id: number;
+  username: string;
+  publicKey: string | null;
+}
+
+export class EncryptionLockedError extends Error {
+  constructor() {
+    super('Unlock encryption with your passphrase first');
+    this.name = 'EncryptionLockedError';
+  }
+}
+
+const toBase64 = (bytes: ArrayBuffer | Uint8Array) => {
+  let binary = '';
+  new Uint8Array(bytes).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const fromBase64 = (value: string) => Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+
+const randomBytes = (length: number) => crypto.getRandomValues(new Uint8Array(length));
+
+// Unlocked private key. It lives in memory only, so a reload or logout locks encryption again.
+let privateKey: CryptoKey | null = null;
+
+export const isUnlocked = () => privateKey !== null;
+
+export const lockEncryption = () => {
+  privateKey = null;
+};
+
+const getJson = async <T>(path: string): Promise<T> => {
+  const response = await apiFetch(path);
+  if (!response.ok) {
+    throw new Error(await readError(response));
+  }
+  return response.json();
+};
+
+const postJson = async <T>(path: string, body: unknown, method = 'POST'): Promise<T> => {
+  const response = await apiFetch(path, { method, body: JSON.stringify(body) });
+  if (!response.ok) {
+    throw new Error(await readError(response));
+  }
+  return response.json();
+};
+
+const passphraseKey = async (passphrase: string, salt: Uint8Array, iterations: number) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// Not extractable: once unlocked, the private key cannot be read back out of the page
+const importPrivateKey = (pkcs8: ArrayBuffer) =>
+  crypto.subtle.importKey('pkcs8', pkcs8, RSA_ALGORITHM, false, ['unwrapKey']);
+
+const importPublicKey = (spki: string) =>
+  crypto.subtle.importKey('spki', fromBase64(spki), RSA_ALGORITHM, false, ['wrapKey']);
+
+export const fetchKeyPair = () => getJson<KeyPairRecord>('/encryption/keypair');
+
+/**
+ * Create the user's key pair. The private key only leaves the browser encrypted
+ * with the passphrase; forgetting the passphrase makes encrypted files unreadable.
+ */
+export const setUpEncryption = async (passphrase: string) => {
+  const pair = await crypto.subtle.generateKey(
+    { ...RSA_ALGORITHM, modulusLength: 3072, publicExponent: new Uint8Array([1, 0, 1]) },
+    true,
+    ['wrapKey', 'unwrapKey']
+  );
+  const pkcs8 = await crypto.subtle.exportKey('pkcs8', pair.privateKey);
+  const salt = randomBytes(SALT_BYTES);
+  const iv = randomBytes(IV_BYTES);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    await passphraseKey(passphrase, salt, PBKDF2_ITERATIONS),
+    pkcs8
+  );
+
+  const privateKeyBundle: PrivateKeyBundle = {
+    kdf: 'PBKDF2-SHA256',
+    iterations: PBKDF2_ITERATIONS,
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    ciphertext: toBase64(ciphertext),
+  };
+  await postJson('/encryption/keypair', {
+    publicKey: toBase64(await crypto.subtle.exportKey('spki', pair.publicKey)),
+    privateKeyBundle,
+  }, 'PUT');
+  privateKey = await importPrivateKey(pkcs8);
+};
+
+// Decrypt the stored private key with the passphrase and keep it for this page
+export const unlockEncryption = async (passphrase: string) => {
+  const { privateKeyBundle } = await fetchKeyPair();
+  if (!privateKeyBundle) {
+    throw new Error('Encryption is not set up yet');
+  }
+
+  let pkcs8: ArrayBuffer;
+  try {
+    pkcs8 = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(privateKeyBundle.iv) },
+      await passphraseKey(passphrase, fromBase64(privateKeyBundle.salt), privateKeyBundle.iterations),
+      fromBase64(privateKeyBundle.ciphertext)
+    );
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+  privateKey = await importPrivateKey(pkcs8);
+};
+
+const wrapFor = async (fileKey: CryptoKey, publicKey: string) =>
+  toBase64(await crypto.subtle.wrapKey('raw', fileKey, await importPublicKey(publicKey), { name: 'RSA-OAEP' }));
+
+// File keys stay extractable so they can be re-wrapped when sharing
+const unwrap = (wrappedKey: string) => {
+  if (!privateKey) throw new EncryptionLockedError();
+  return crypto.subtle.unwrapKey(
+    'raw', fromBase64(wrappedKey), privateKey, { name: 'RSA-OAEP' }, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']
+  );
+};
+
+const encryptBlob = async (file: Blob, fileKey: CryptoKey) => {
+  const iv = randomBytes(IV_BYTES);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: MAGIC }, fileKey, await file.arrayBuffer());
+  return new Blob([MAGIC, iv, ciphertext], { type: 'application/octet-stream' });
+};
+
+const decryptBuffer = async (data: ArrayBuffer, fileKey: CryptoKey) => {
+  const bytes = new Uint8Array(data);
+  const header = bytes.subarray(0, MAGIC.length);
+  if (header.length !== MAGIC.length || !header.every((byte, i) => byte === MAGIC[i])) {
+    throw new Error('This file is not encrypted');
+  }
+  try {
+    return await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: bytes.subarray(MAGIC.length, MAGIC.length + IV_BYTES), additionalData: MAGIC },
+      fileKey,
+      bytes.subarray(MAGIC.length + IV_BYTES)
+    );
+  } catch {
+    throw new Error('The file could not be decrypted, it may have been tampered with');
+  }
+};
+
+/**
+ * Encrypt a file for everyone who can read `currentPath` and upload it with its
+ * wrapped keys. Readers who have not set up encryption cannot be included.
+ */
+export const uploadEncryptedFile = async (
+  file: File,
+  currentPath: string,
+  options: { onProgress?: (progress: UploadProgress) => void; signal?: AbortSignal } = {}
+) => {
+  const { readers } = await getJson<{ readers: Reader[] }>(`/encryption/readers?path=${encodeURIComponent(currentPath)}`);
+  const withKeys = readers.filter((reader): reader is Reader & { publicKey: string } => Boolean(reader.publicKey));
+  if (withKeys.length === 0) {
+    throw new Error('Nobody who can read this folder has set up encryption');
+  }
+
+  const fileKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  const keys = await Promise.all(
+    withKeys.map(async (reader) => ({ userId: reader.id, wrappedKey: await wrapFor(fileKey, reader.publicKey) }))
+  );
+
+  const form = new FormData();
+  form.append('currentPath', currentPath);
+  form.append('encrypted', 'true');
+  form.append('keys', JSON.stringify(keys));
+  form.append('file', await encryptBlob(file, fileKey), file.name);
+  return sendForm<UploadedFile>('/fileUpload', form, options);
+};
+
+// Download an encrypted file and decrypt it; needs the unlocked private key
+export const fetchDecrypted = async (fileId: number, cid: string) => {
+  const { wrappedKey } = await getJson<{ wrappedKey: string }>(`/encryption/keys/${encodeURIComponent(cid)}`);
+  const fileKey = await unwrap(wrappedKey);
+  const response = await apiFetch(`/download/${fileId}`);
+  if (!response.ok) {
+    throw new Error(await readError(response));
+  }
+  return new Blob([await decryptBuffer(await response.arrayBuffer(), fileKey)]);
+};
+
+// Save a decrypted copy through a temporary object URL
+export const downloadDecrypted = async (fileId: number, cid: string, fileName: string) => {
+  const url = URL.createObjectURL(await fetchDecrypted(fileId, cid));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);
+};
+
+/**
+ * Give `userId` the keys of everything encrypted at or below `path`, re-wrapped for
+ * their public key. Run after sharing the item with them; needs the unlocked private key.
+ */
+export const grantKeys = async (path: string, userId: number) => {
+  if (!privateKey) throw new EncryptionLockedError();
+  const { keys } = await getJson<{ keys: { cid: string; wrappedKey: string }[] }>(`/encryption/keys?path=${encodeURIComponent(path)}`);
+  const recipient = await getJson<Reader>(`/encryption/public-key?userId=${userId}`);
+  if (!recipient.publicKey) {
+    throw new Error(`${recipient.username} has not set up encryption yet`);
+  }
+
+  const rewrapped = await Promise.all(
+    keys.map(async ({ cid, wrappedKey }) => ({ cid, wrappedKey: await wrapFor(await unwrap(wrappedKey), recipient.publicKey as string) }))
+  );
+  return postJson<{ granted: number }>('/encryption/keys', { userId, keys: rewrapped });
+};
@@ -0,0 +1,86 @@
+import { authUrl } from './api';
+import { DriveItem, FolderListing, ListEntry, ListRow, toDriveItem } from './drive';
+
+// Live changes to the open folder, pushed by the backend's /folder-events stream
+
+export interface FolderChange {
+  folder: string;
+  action: string;
+  path: string | null;
+  newPath: string | null;
+  actor: { id: number; username: string } | null;
+  // The child of `folder` that changed, and its new state; null entry when it is gone
+  name: string;
+  entry: ListEntry | null;
+  dbEntry: ListRow | null;
+}
+
+export interface FolderGone {
+  folder: string;
+  // Where a renamed or moved folder is now; null when it was deleted or access was lost
+  movedTo: string | null;
+}
+
+interface FolderWatchHandlers {
+  onChange: (change: FolderChange) => void;
+  onGone: (gone: FolderGone) => void;
+  // The stream reconnected after a drop, so changes may have been missed meanwhile
+  onReconnect?: () => void;
+}
+
+// Wait before opening a new stream when the browser gave up on the old one
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * Subscribe to changes of `folder` until the returned function is called. The browser
+ * reconnects on its own after network errors; once the link token in the URL has
+ * expired it stops trying, and a new stream is opened with a fresh token.
+ */
+export const watchFolder = (folder: string, handlers: FolderWatchHandlers) => {
+  let source: EventSource | null = null;
+  let stopped = false;
+  let opened = false;
+
+  const connect = async () => {
+    let url: string;
+    try {
+      url = await authUrl(`/folder-events?folder=${encodeURIComponent(folder)}`, 'folder-events', folder);
+    } catch {
+      // Signed out, or the backend is unreachable
+      return;
+    }
+    if (stopped) return;
+
+    const current = new EventSource(url);
+    source = current;
+    current.onopen = () => {
+      if (opened) handlers.onReconnect?.();
+      opened = true;
+    };
+    current.onerror = () => {
+      if (current.readyState === EventSource.CLOSED && !stopped) {
+        setTimeout(connect, RECONNECT_DELAY_MS);
+      }
+    };
+    current.addEventListener('change', (e) => handlers.onChange(JSON.parse((e as MessageEvent).data)));
+    current.addEventListener('gone', (e) => {
+      stopped = true;
+      current.close();
+      handlers.onGone(JSON.parse((e as MessageEvent).data));
+    });
+  };
+
+  connect();
+  return () => {
+    stopped = true;
+    source?.close();
+  };
+};
+
+// The listing with one change applied: the changed child replaced, added or removed
+export const applyChange = (listing: FolderListing, change: FolderChange): FolderListing => {
+  if (change.folder !== listing.path) return listing;
+  const items: DriveItem[] = listing.items.filter((item) => item.name !== change.name);
+  if (change.entry) items.push(toDriveItem(listing.path, change.entry, change.dbEntry));
+  return { ...listing, items };
+};
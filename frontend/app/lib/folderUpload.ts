@@ -0,0 +1,142 @@
+import { API_URL, getToken } from './api';
+import { UploadAbortedError, UploadProgress } from './resumableUpload';
+
+// Folder uploads: collecting files with their relative paths from a directory
+// picker or a drop, and sending them to the backend's /folderUpload in one request.
+
+export interface FolderFile {
+  file: File;
+  // Path inside the upload, starting with the top-level folder: "project/src/index.js"
+  relativePath: string;
+}
+
+export interface FolderSelection {
+  name: string;
+  files: FolderFile[];
+  // Folders without any file in them, which would otherwise be lost
+  emptyDirectories: string[];
+}
+
+export interface FolderUploadResult {
+  roots: { name: string; path: string; cid: string; type: 'file' | 'folder' }[];
+  folders: number;
+  files: number;
+}
+
+export const folderSize = (folder: FolderSelection) => folder.files.reduce((sum, { file }) => sum + file.size, 0);
+
+// Files from <input webkitdirectory>, grouped by the folder they were picked from
+export const foldersFromInput = (fileList: FileList): FolderSelection[] => {
+  const folders = new Map<string, FolderSelection>();
+  for (const file of Array.from(fileList)) {
+    const relativePath = file.webkitRelativePath || file.name;
+    const name = relativePath.split('/')[0];
+    const folder = folders.get(name) || { name, files: [], emptyDirectories: [] };
+    folder.files.push({ file, relativePath });
+    folders.set(name, folder);
+  }
+  return Array.from(folders.values());
+};
+
+// readEntries() returns at most 100 entries per call, so it is called until empty
+const readAllEntries = async (reader: FileSystemDirectoryReader) => {
+  const entries: FileSystemEntry[] = [];
+  while (true) {
+    const batch = await new Promise<FileSystemEntry[]>((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) return entries;
+    entries.push(...batch);
+  }
+};
+
+const walkDirectory = async (directory: FileSystemDirectoryEntry, prefix: string, folder: FolderSelection) => {
+  const entries = await readAllEntries(directory.createReader());
+  if (entries.length === 0 && prefix.includes('/')) {
+    folder.emptyDirectories.push(prefix);
+  }
+  for (const entry of entries) {
+    const relativePath = `${prefix}/${entry.name}`;
+    if (entry.isDirectory) {
+      await walkDirectory(entry as FileSystemDirectoryEntry, relativePath, folder);
+    } else {
+      const file = await new Promise<File>((resolve, reject) => (entry as FileSystemFileEntry).file(resolve, reject));
+      folder.files.push({ file, relativePath });
+    }
+  }
+};
+
+/**
+ * Split a drop into loose files and whole folders. Entries have to be taken from
+ * the DataTransfer synchronously, before the first await, or the browser empties it.
+ */
+export const collectDrop = async (dataTransfer: DataTransfer) => {
+  const entries = Array.from(dataTransfer.items)
+    .filter((item) => item.kind === 'file')
+    .map((item) => ({ entry: item.webkitGetAsEntry?.() ?? null, file: item.getAsFile() }));
+
+  const files: File[] = [];
+  const folders: FolderSelection[] = [];
+  for (const { entry, file } of entries) {
+    if (entry?.isDirectory) {
+      const folder: FolderSelection = { name: entry.name, files: [], emptyDirectories: [] };
+      await walkDirectory(entry as FileSystemDirectoryEntry, entry.name, folder);
+      if (folder.files.length === 0) folder.emptyDirectories.push(entry.name);
+      folders.push(folder);
+    } else if (file) {
+      files.push(file);
+    }
+  }
+  return { files, folders };
+};
+
+/**
+ * POST a multipart form to the backend with XMLHttpRequest, which (unlike fetch)
+ * reports upload progress. Resolves with the `data` of a successful response.
+ */
+export const sendForm = <T>(
+  path: string,
+  form: FormData,
+  options: { onProgress?: (progress: UploadProgress) => void; signal?: AbortSignal } = {}
+) => new Promise<T>((resolve, reject) => {
+  const { onProgress, signal } = options;
+  const xhr = new XMLHttpRequest();
+  xhr.open('POST', `${API_URL}${path}`);
+  const token = getToken();
+  if (token) xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+
+  xhr.upload.onprogress = (e) => onProgress?.({ loaded: e.loaded, total: e.total });
+  xhr.onload = () => {
+    let body = null;
+    try {
+      body = xhr.responseText ? JSON.parse(xhr.responseText) : null;
+    } catch {
+      body = null;
+    }
+    if (xhr.status >= 200 && xhr.status < 300 && body?.data) {
+      resolve(body.data);
+    } else {
+      reject(new Error(body?.error || `Upload failed with HTTP ${xhr.status}`));
+    }
+  };
+  xhr.onerror = () => reject(new Error('Network error while uploading'));
+  xhr.onabort = () => reject(new UploadAbortedError());
+
+  if (signal) {
+    if (signal.aborted) return xhr.abort();
+    signal.addEventListener('abort', () => xhr.abort(), { once: true });
+  }
+  xhr.send(form);
+});
+
+// Send a whole folder in one request. The target goes in the query string, so the backend
+// can refuse the upload before receiving any of it
+export const uploadFolder = (
+  currentPath: string,
+  folder: FolderSelection,
+  options: { onProgress?: (progress: UploadProgress) => void; signal?: AbortSignal } = {}
+) => {
+  const form = new FormData();
+  folder.emptyDirectories.forEach((dir) => form.append('directories', dir));
+  folder.files.forEach(({ relativePath }) => form.append('relativePaths', relativePath));
+  folder.files.forEach(({ file }) => form.append('files', file));
+  return sendForm<FolderUploadResult>(`/folderUpload?currentPath=${encodeURIComponent(currentPath)}`, form, options);
+};
@@ -0,0 +1,39 @@
+import { apiFetch, readError } from './api';
+
+// Client for the backend's /ipns-names routes
+
+export interface IpnsName {
+  id: number;
+  fileId: number;
+  folderPath: string | null;
+  name: string;
+  // "/ipns/<name>", what to hand out and paste into the retrieve panel
+  ipnsPath: string;
+  publishedCid: string | null;
+  publishedAt: string | null;
+  // Why the last automatic republish failed, if it did
+  lastError: string | null;
+  createdAt: string;
+}
+
+const request = async <T>(path: string, init: RequestInit = {}): Promise<T> => {
+  const response = await apiFetch(path, init);
+  if (!response.ok) {
+    throw new Error(await readError(response));
+  }
+  return response.json();
+};
+
+// The name a folder is published under, or null when it is not published
+export const fetchIpnsName = async (fileId: number) => {
+  const data = await request<{ names: IpnsName[] }>(`/ipns-names?fileId=${fileId}`);
+  return data.names[0] ?? null;
+};
+
+export const publishFolder = async (fileId: number) =>
+  (await request<{ name: IpnsName }>('/ipns-names', { method: 'POST', body: JSON.stringify({ fileId }) })).name;
+
+export const rotateIpnsName = async (id: number) =>
+  (await request<{ name: IpnsName }>(`/ipns-names/${id}/rotate`, { method: 'POST' })).name;
+
+export const unpublishFolder = (id: number) => request(`/ipns-names/${id}`, { method: 'DELETE' });
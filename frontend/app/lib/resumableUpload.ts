@@ -0,0 +1,188 @@
+import { API_URL, apiFetch, getToken, readError } from './api';
+
+// Client for the backend's tus-style /uploads protocol.
+// Session ids are remembered in localStorage, so an interrupted upload of the
+// same file into the same folder picks up from the last offset the server has.
+
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_CHUNK_RETRIES = 5;
+const STORAGE_PREFIX = 'bockipfs.upload:';
+
+export interface UploadProgress {
+  loaded: number;
+  total: number;
+}
+
+export interface UploadedFile {
+  cid: string;
+  mfsPath: string;
+  file: { id: number; fileName: string; fileSize: number; fileType: string | null; ipfsCid: string };
+}
+
+export interface ResumableUploadOptions {
+  currentPath?: string;
+  chunkSize?: number;
+  onProgress?: (progress: UploadProgress) => void;
+  signal?: AbortSignal;
+}
+
+export class UploadAbortedError extends Error {
+  constructor() {
+    super('Upload cancelled');
+    this.name = 'UploadAbortedError';
+  }
+}
+
+const storageKey = (file: File, currentPath: string) =>
+  `${STORAGE_PREFIX}${currentPath}:${file.name}:${file.size}:${file.lastModified}`;
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Ask the server how far a stored session got; null when it can no longer be resumed
+const fetchOffset = async (sessionId: string): Promise<number | null> => {
+  const response = await apiFetch(`/uploads/${sessionId}`, { method: 'HEAD' }).catch(() => null);
+  if (!response || !response.ok) return null;
+  return Number(response.headers.get('Upload-Offset') || 0);
+};
+
+const createSession = async (file: File, currentPath: string | undefined) => {
+  const response = await apiFetch('/uploads', {
+    method: 'POST',
+    body: JSON.stringify({
+      fileName: file.name,
+      fileSize: file.size,
+      fileType: file.type || null,
+      currentPath,
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(await readError(response));
+  }
+  return response.json();
+};
+
+interface ChunkResponse {
+  status: number;
+  offset: number;
+  body: { data?: UploadedFile; error?: string } | null;
+}
+
+// PATCH one chunk with XMLHttpRequest, which (unlike fetch) reports upload progress
+const sendChunk = (
+  sessionId: string,
+  chunk: Blob,
+  offset: number,
+  onChunkProgress: (loaded: number) => void,
+  signal?: AbortSignal
+) => new Promise<ChunkResponse>((resolve, reject) => {
+  const xhr = new XMLHttpRequest();
+  xhr.open('PATCH', `${API_URL}/uploads/${sessionId}`);
+  xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+  xhr.setRequestHeader('Upload-Offset', String(offset));
+  const token = getToken();
+  if (token) xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+
+  xhr.upload.onprogress = (e) => onChunkProgress(e.loaded);
+  xhr.onload = () => {
+    let body = null;
+    try {
+      body = xhr.responseText ? JSON.parse(xhr.responseText) : null;
+    } catch {
+      body = null;
+    }
+    resolve({
+      status: xhr.status,
+      offset: Number(xhr.getResponseHeader('Upload-Offset') ?? offset),
+      body,
+    });
+  };
+  xhr.onerror = () => reject(new Error('Network error while uploading'));
+  xhr.onabort = () => reject(new UploadAbortedError());
+
+  if (signal) {
+    if (signal.aborted) return xhr.abort();
+    signal.addEventListener('abort', () => xhr.abort(), { once: true });
+  }
+  xhr.send(chunk);
+});
+
+/**
+ * Upload a file in chunks, resuming a previous attempt when one exists.
+ * Aborting through `signal` keeps the server session so a later call resumes it;
+ * use discardResumableUpload() to throw it away instead.
+ */
+export const resumableUpload = async (file: File, options: ResumableUploadOptions = {}): Promise<UploadedFile> => {
+  const { currentPath, chunkSize = DEFAULT_CHUNK_SIZE, onProgress, signal } = options;
+  const key = storageKey(file, currentPath || '');
+
+  let sessionId = window.localStorage.getItem(key);
+  let offset = sessionId ? await fetchOffset(sessionId) : null;
+
+  if (!sessionId || offset === null) {
+    const created = await createSession(file, currentPath);
+    sessionId = created.session.id as string;
+    offset = 0;
+    if (created.data) {
+      onProgress?.({ loaded: file.size, total: file.size });
+      return created.data as UploadedFile;
+    }
+    window.localStorage.setItem(key, sessionId);
+  }
+
+  onProgress?.({ loaded: offset, total: file.size });
+
+  let retries = 0;
+  while (true) {
+    if (signal?.aborted) throw new UploadAbortedError();
+
+    const chunk = file.slice(offset, offset + chunkSize);
+    const chunkStart: number = offset;
+    let result: ChunkResponse;
+    try {
+      result = await sendChunk(sessionId, chunk, chunkStart, (loaded) => {
+        onProgress?.({ loaded: chunkStart + loaded, total: file.size });
+      }, signal);
+    } catch (err) {
+      if (err instanceof UploadAbortedError || retries >= MAX_CHUNK_RETRIES) throw err;
+      // Connection dropped: back off, then ask the server where to continue from
+      retries += 1;
+      await sleep(Math.min(1000 * 2 ** retries, 30000));
+      const serverOffset = await fetchOffset(sessionId);
+      if (serverOffset === null) throw err;
+      offset = serverOffset;
+      continue;
+    }
+
+    if (result.status === 200 && result.body?.data) {
+      window.localStorage.removeItem(key);
+      onProgress?.({ loaded: file.size, total: file.size });
+      return result.body.data;
+    }
+    if (result.status === 204 || result.status === 409) {
+      // 409: our offset was stale, continue from the server's
+      offset = result.offset;
+      retries = 0;
+      continue;
+    }
+    if (result.status === 410 || result.status === 404) {
+      window.localStorage.removeItem(key);
+    }
+    if (result.status >= 500 && retries < MAX_CHUNK_RETRIES) {
+      retries += 1;
+      await sleep(Math.min(1000 * 2 ** retries, 30000));
+      offset = result.offset;
+      continue;
+    }
+    throw new Error(result.body?.error || `Upload failed with HTTP ${result.status}`);
+  }
+};
+
+// Cancel for good: delete the server session and forget it locally
+export const discardResumableUpload = async (file: File, currentPath?: string) => {
+  const key = storageKey(file, currentPath || '');
+  const sessionId = window.localStorage.getItem(key);
+  window.localStorage.removeItem(key);
+  if (sessionId) {
+    await apiFetch(`/uploads/${sessionId}`, { method: 'DELETE' }).catch(() => null);
+  }
+};
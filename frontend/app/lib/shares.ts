@@ -0,0 +1,35 @@
+import { apiFetch, readError } from './api';
+import { Permission } from './drive';
+import { EncryptionLockedError, grantKeys, isUnlocked } from './encryption';
+
+// Client for the backend's /shares routes
+
+export interface Share {
+  id: number;
+  permission: Exclude<Permission, 'owner'>;
+  createdAt: string;
+  user: { id: number; username: string; email: string } | null;
+}
+
+/**
+ * Share an item the caller owns with another user, found by username or email.
+ * Encrypted content also needs its keys re-wrapped for the recipient, which takes
+ * the unlocked private key; sharing again after unlocking finishes that step.
+ */
+export const shareItem = async (fileId: number, path: string, recipient: string, permission: Share['permission']) => {
+  const lookup = recipient.includes('@') ? { email: recipient } : { username: recipient };
+  const response = await apiFetch('/shares', {
+    method: 'POST',
+    body: JSON.stringify({ fileId, permission, ...lookup }),
+  });
+  if (!response.ok) {
+    throw new Error(await readError(response));
+  }
+  const data: { share: Share; encrypted: boolean } = await response.json();
+
+  if (data.encrypted && data.share.user) {
+    if (!isUnlocked()) throw new EncryptionLockedError();
+    await grantKeys(path, data.share.user.id);
+  }
+  return data.share;
+};
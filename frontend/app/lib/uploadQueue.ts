@@ -0,0 +1,191 @@
+import { useSyncExternalStore } from 'react';
+import { UploadAbortedError, UploadedFile, discardResumableUpload, resumableUpload } from './resumableUpload';
+import { FolderSelection, FolderUploadResult, folderSize, uploadFolder } from './folderUpload';
+import { uploadEncryptedFile } from './encryption';
+
+// Upload manager shared by every page. It lives at module level, so uploads keep
+// running (and stay listed) while the user moves between folders and pages.
+
+const MAX_CONCURRENT_UPLOADS = Number(process.env.NEXT_PUBLIC_UPLOAD_CONCURRENCY || 3);
+
+export type UploadStatus = 'queued' | 'uploading' | 'done' | 'failed' | 'cancelled';
+
+export interface UploadTask {
+  id: string;
+  kind: 'file' | 'folder';
+  name: string;
+  currentPath: string;
+  // Encrypted in the browser and sent in one request, so a retry starts over
+  encrypted?: boolean;
+  status: UploadStatus;
+  loaded: number;
+  total: number;
+  error?: string;
+  // CID of the uploaded file, or the root CID of an uploaded folder
+  cid?: string;
+  file?: File;
+  folder?: FolderSelection;
+  result?: UploadedFile | FolderUploadResult;
+}
+
+export interface UploadTotals {
+  active: number;
+  failed: number;
+  done: number;
+  loaded: number;
+  total: number;
+}
+
+type Listener = () => void;
+type UploadedListener = (task: UploadTask) => void;
+
+class UploadQueue {
+  private tasks: UploadTask[] = [];
+  private controllers = new Map<string, AbortController>();
+  private listeners = new Set<Listener>();
+  private uploadedListeners = new Set<UploadedListener>();
+  private nextId = 1;
+
+  subscribe = (listener: Listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  // Immutable snapshot for useSyncExternalStore
+  getTasks = () => this.tasks;
+
+  // Called once per finished file, e.g. to reload the folder it went into
+  onUploaded(listener: UploadedListener) {
+    this.uploadedListeners.add(listener);
+    return () => {
+      this.uploadedListeners.delete(listener);
+    };
+  }
+
+  add(files: File[], currentPath: string, options: { encrypted?: boolean } = {}) {
+    this.enqueue(files.map((file) => ({
+      kind: 'file' as const, name: file.name, file, total: file.size, currentPath, encrypted: options.encrypted,
+    })));
+  }
+
+  // Each folder is sent as one request and lands in currentPath with its structure
+  addFolders(folders: FolderSelection[], currentPath: string) {
+    this.enqueue(folders.map((folder) => ({ kind: 'folder' as const, name: folder.name, folder, total: folderSize(folder), currentPath })));
+  }
+
+  // Stop an upload for good; its server session is deleted
+  cancel(id: string) {
+    const task = this.find(id);
+    if (!task || (task.status !== 'queued' && task.status !== 'uploading')) return;
+    this.controllers.get(id)?.abort();
+    this.update(id, { status: 'cancelled', error: undefined });
+    if (task.file) discardResumableUpload(task.file, task.currentPath);
+    this.pump();
+  }
+
+  cancelAll() {
+    this.tasks.forEach((task) => this.cancel(task.id));
+  }
+
+  // Failed uploads resume from the last chunk the server has
+  retry(id: string) {
+    const task = this.find(id);
+    if (!task || (task.status !== 'failed' && task.status !== 'cancelled')) return;
+    this.update(id, { status: 'queued', error: undefined });
+    this.pump();
+  }
+
+  retryFailed() {
+    this.tasks.filter((task) => task.status === 'failed').forEach((task) => this.retry(task.id));
+  }
+
+  // Drop finished, failed and cancelled entries from the list
+  clearFinished() {
+    this.tasks = this.tasks.filter((task) => task.status === 'queued' || task.status === 'uploading');
+    this.emit();
+  }
+
+  private enqueue(tasks: Pick<UploadTask, 'kind' | 'name' | 'file' | 'folder' | 'total' | 'currentPath' | 'encrypted'>[]) {
+    const added = tasks.map((task) => ({ ...task, id: `${Date.now()}-${this.nextId++}`, status: 'queued' as const, loaded: 0 }));
+    this.tasks = [...this.tasks, ...added];
+    this.emit();
+    this.pump();
+  }
+
+  private find(id: string) {
+    return this.tasks.find((task) => task.id === id);
+  }
+
+  private update(id: string, changes: Partial<UploadTask>) {
+    this.tasks = this.tasks.map((task) => (task.id === id ? { ...task, ...changes } : task));
+    this.emit();
+  }
+
+  private emit() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  // Start queued uploads while there is a free slot
+  private pump() {
+    let running = this.tasks.filter((task) => task.status === 'uploading').length;
+    for (const task of this.tasks) {
+      if (running >= MAX_CONCURRENT_UPLOADS) break;
+      if (task.status !== 'queued') continue;
+      running += 1;
+      this.start(task);
+    }
+  }
+
+  private async start(task: UploadTask) {
+    const controller = new AbortController();
+    this.controllers.set(task.id, controller);
+    this.update(task.id, { status: 'uploading' });
+
+    const onProgress = ({ loaded, total }: { loaded: number; total: number }) => this.update(task.id, { loaded, total });
+    try {
+      if (task.folder) {
+        const result = await uploadFolder(task.currentPath, task.folder, { signal: controller.signal, onProgress });
+        const root = result.roots.find((entry) => entry.type === 'folder') || result.roots[0];
+        this.update(task.id, { status: 'done', loaded: task.total, total: task.total, cid: root?.cid, result });
+      } else if (task.file) {
+        const options = { currentPath: task.currentPath, signal: controller.signal, onProgress };
+        const result = task.encrypted
+          ? await uploadEncryptedFile(task.file, task.currentPath, options)
+          : await resumableUpload(task.file, options);
+        this.update(task.id, { status: 'done', loaded: task.total, total: task.total, cid: result.cid, result });
+      }
+      const finished = this.find(task.id);
+      if (finished) this.uploadedListeners.forEach((listener) => listener(finished));
+    } catch (err) {
+      // A cancelled task already has its final status
+      if (!(err instanceof UploadAbortedError) && this.find(task.id)?.status === 'uploading') {
+        this.update(task.id, { status: 'failed', error: err instanceof Error ? err.message : 'Upload failed' });
+      }
+    } finally {
+      // A cancelled task may have been retried before this run settled; its new controller stays
+      if (this.controllers.get(task.id) === controller) this.controllers.delete(task.id);
+      this.pump();
+    }
+  }
+}
+
+export const uploadQueue = new UploadQueue();
+
+const NO_TASKS: UploadTask[] = [];
+
+export const useUploadTasks = () => useSyncExternalStore(uploadQueue.subscribe, uploadQueue.getTasks, () => NO_TASKS);
+
+// Counts and bytes over the whole list; cancelled uploads do not count
+export const summarize = (tasks: UploadTask[]): UploadTotals =>
+  tasks.reduce<UploadTotals>(
+    (totals, task) => {
+      if (task.status === 'cancelled') return totals;
+      if (task.status === 'queued' || task.status === 'uploading') totals.active += 1;
+      if (task.status === 'failed') totals.failed += 1;
+      if (task.status === 'done') totals.done += 1;
+      totals.loaded += task.loaded;
+      totals.total += task.total;
+      return totals;
+    },
+    { active: 0, failed: 0, done: 0, loaded: 0, total: 0 }
+  );
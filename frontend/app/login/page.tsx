@@ -0,0 +1,5 @@
+import AuthForm from '../components/AuthForm';
+
+export default function LoginPage() {
+  return <AuthForm mode="login" />;
+}
@@ -1,7 +1,17 @@
 "use client";
 
-import React, { useState, useCallback } from 'react';
-import { Upload, Download, Hash, CheckCircle, AlertCircle, Copy, File, Loader2 } from 'lucide-react';
+import React, { useState, useCallback, useEffect } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { Upload, Download, Hash, CheckCircle, AlertCircle, Copy, File, Folder, HardDriveDownload, Loader2, LogOut, User } from 'lucide-react';
+import { API_URL, AuthUser, apiFetch, authUrl, clearSession, getStoredUser, getToken, userRoot } from './lib/api';
+import { summarize, uploadQueue, useUploadTasks } from './lib/uploadQueue';
+import { collectDrop, foldersFromInput } from './lib/folderUpload';
+import { lockEncryption } from './lib/encryption';
+import { previewKind } from './lib/contentType';
+import { contentUrl, formatContentPath, parseContentPath } from './lib/contentPath';
+import SaveToDriveDialog from './components/SaveToDriveDialog';
+import UsageMeter from './components/UsageMeter';
 
 // Type definitions
 interface UploadResult {
@@ -17,8 +27,15 @@ interface UploadResult {
 
 interface RetrieveResult {
   success: boolean;
-  type?: 'image' | 'text' | 'file' | 'pdf';
+  type?: 'image' | 'text' | 'file' | 'pdf' | 'folder';
   url?: string;
+  // What "Save to drive" copies, and the name it suggests
+  source?: string;
+  name?: string;
+  // Downscaled rendering, when the CID is an image in the user's drive
+  previewUrl?: string;
+  // Standalone PDF viewer, for plain CIDs
+  viewerUrl?: string;
   content?: string;
   contentType?: string;
   size?: number;
@@ -26,77 +43,69 @@ interface RetrieveResult {
 }
 
 const IPFSInterface = () => {
-  const [uploadFile, setUploadFile] = useState<File | null>(null);
+  const router = useRouter();
+  const [currentUser, setCurrentUser] = useState<AuthUser | null>(null);
   const [uploadResult, setUploadResult] = useState<UploadResult | null>(null);
-  const [uploadLoading, setUploadLoading] = useState(false);
   const [retrieveHash, setRetrieveHash] = useState('');
   const [retrieveResult, setRetrieveResult] = useState<RetrieveResult | null>(null);
   const [retrieveLoading, setRetrieveLoading] = useState(false);
+  const [saveToDrive, setSaveToDrive] = useState(false);
   const [dragOver, setDragOver] = useState(false);
+  const [usageVersion, setUsageVersion] = useState(0);
+  const uploadTotals = summarize(useUploadTasks());
+
+  // Send anonymous visitors to the login screen
+  useEffect(() => {
+    const user = getStoredUser();
+    if (!getToken() || !user) {
+      router.replace('/login');
+      return;
+    }
+    setCurrentUser(user);
+  }, [router]);
+
+  const handleLogout = async () => {
+    await apiFetch('/auth/logout', { method: 'POST' }).catch(() => null);
+    uploadQueue.cancelAll();
+    lockEncryption();
+    clearSession();
+    router.replace('/login');
+  };
 
-  // Backend API URL
-  const API_URL = 'http://localhost:4000';
-
-  // Handle file upload using backend API
-  const handleFileUpload = async (file: File) => {
-    if (!file) return;
-
-    setUploadLoading(true);
-    setUploadResult(null);
-
-    try {
-      const formData = new FormData();
-      formData.append('file', file);
-
-      console.log('Uploading file:', { 
-        name: file.name, 
-        type: file.type, 
-        size: file.size 
-      });
-
-      // Use backend upload endpoint
-      const response = await fetch(`${API_URL}/upload`, {
-        method: 'POST',
-        body: formData,
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({ 
-          error: `HTTP ${response.status}: ${response.statusText}` 
-        }));
-        throw new Error(errorData.error || `Upload failed: ${response.statusText}`);
-      }
+  // Every upload goes through the shared queue; the last finished one is shown below
+  useEffect(() => uploadQueue.onUploaded((task) => {
+    setUploadResult({
+      success: true,
+      hash: task.cid,
+      name: task.name,
+      size: String(task.total),
+      fileName: task.name,
+      // The type the backend detected, rather than what the browser guessed from the name
+      fileType: task.kind === 'folder'
+        ? 'Folder'
+        : (task.result && 'file' in task.result && task.result.file.fileType) || task.file?.type,
+      fileSize: task.total
+    });
+    setUsageVersion((v) => v + 1);
+  }), []);
 
-      const result = await response.json();
-      console.log('Upload result:', result);
-      
-      setUploadResult({
-        success: true,
-        hash: result.Hash,
-        name: result.Name,
-        size: result.Size,
-        fileName: file.name,
-        fileType: file.type,
-        fileSize: file.size
-      });
-    } catch (error) {
-      console.error('Upload error:', error);
-      setUploadResult({
-        success: false,
-        error: error instanceof Error ? error.message : 'Unknown error occurred'
-      });
-    } finally {
-      setUploadLoading(false);
-    }
+  const enqueueFiles = (files: FileList | null | undefined) => {
+    if (!files || files.length === 0 || !currentUser) return;
+    uploadQueue.add(Array.from(files), userRoot(currentUser));
   };
 
   // Handle file selection
   const onFileSelect = (e: React.ChangeEvent<HTMLInputElement>) => {
-    const file = e.target.files?.[0];
-    if (file) {
-      setUploadFile(file);
-      handleFileUpload(file);
+    enqueueFiles(e.target.files);
+    e.target.value = '';
+  };
+
+  // Handle folder selection; the folder keeps its structure
+  const onFolderSelect = (e: React.ChangeEvent<HTMLInputElement>) => {
+    if (e.target.files && currentUser) {
+      uploadQueue.addFolders(foldersFromInput(e.target.files), userRoot(currentUser));
     }
+    e.target.value = '';
   };
 
   // Handle drag and drop
@@ -110,15 +119,14 @@ const IPFSInterface = () => {
     setDragOver(false);
   }, []);
 
-  const onDrop = useCallback((e: React.DragEvent<HTMLDivElement>) => {
+  const onDrop = async (e: React.DragEvent<HTMLDivElement>) => {
     e.preventDefault();
     setDragOver(false);
-    const file = e.dataTransfer.files[0];
-    if (file) {
-      setUploadFile(file);
-      handleFileUpload(file);
-    }
-  }, []);
+    if (!currentUser) return;
+    const { files, folders } = await collectDrop(e.dataTransfer);
+    if (files.length > 0) uploadQueue.add(files, userRoot(currentUser));
+    if (folders.length > 0) uploadQueue.addFolders(folders, userRoot(currentUser));
+  };
 
   // Handle content retrieval
   const handleRetrieve = async () => {
@@ -128,65 +136,78 @@ const IPFSInterface = () => {
     setRetrieveResult(null);
 
     try {
-      const hash = retrieveHash.trim();
-      console.log('Retrieving content for hash:', hash);
+      // A CID, a path below one, or an IPNS name resolved by the backend
+      const ref = parseContentPath(retrieveHash);
+      if (!ref) throw new Error('Enter a CID, an /ipfs/ path or an /ipns/ name');
+      const contentLocation = `${API_URL}${contentUrl(ref)}`;
+      const plainCid = ref.namespace === 'ipfs' && !ref.path;
+      const saveInfo = { source: formatContentPath(ref), name: ref.path.split('/').pop() || ref.root };
+      console.log('Retrieving content for:', ref);
 
       // First, make a HEAD request to get content info
-      const headResponse = await fetch(`${API_URL}/get-content/${hash}`, {
+      const headResponse = await fetch(contentLocation, {
         method: 'HEAD'
       }).catch(() => null);
+      if (headResponse && !headResponse.ok) {
+        // HEAD has no body: ask again for the error, which tells folders apart
+        const data = await (await fetch(contentLocation)).json().catch(() => ({}));
+        if (data.type === 'folder') {
+          setRetrieveResult({ success: true, type: 'folder', ...saveInfo });
+          return;
+        }
+        throw new Error(data.error || `Failed to fetch: ${headResponse.status} ${headResponse.statusText}`);
+      }
 
       const contentType = headResponse?.headers.get('content-type') || '';
       const contentLength = headResponse?.headers.get('content-length');
       
       console.log('Content info:', { contentType, contentLength });
 
-      const isText = contentType.startsWith('text/') || 
-                   contentType.includes('json') || 
-                   contentType.includes('javascript');
-      const isPdf = contentType === 'application/pdf';
-      const isImage = contentType.startsWith('image/');
+      const kind = previewKind(contentType);
 
-      if (isText && contentLength && parseInt(contentLength) < 50000) { 
+      if (kind === 'text' && contentLength && parseInt(contentLength) < 50000) { 
         // Only read small text files
-        const response = await fetch(`${API_URL}/get-content/${hash}`);
+        const response = await fetch(contentLocation);
         if (!response.ok) throw new Error(`Failed to fetch: ${response.statusText}`);
         
         const text = await response.text();
         setRetrieveResult({
           success: true,
+          ...saveInfo,
           type: 'text',
           content: text,
           contentType,
           size: parseInt(contentLength || '0')
         });
-      } else if (isPdf) {
+      } else if (kind === 'pdf') {
         // For PDFs, provide both direct URL and viewer URL
-        const directUrl = `${API_URL}/get-content/${hash}`;
-        
         setRetrieveResult({
           success: true,
+          ...saveInfo,
           type: 'pdf',
-          url: directUrl,
+          url: contentLocation,
+          viewerUrl: plainCid ? `${API_URL}/view-pdf/${ref.root}` : undefined,
           contentType,
           size: parseInt(contentLength || '0')
         });
-      } else if (isImage) {
-        const url = `${API_URL}/get-content/${hash}`;
+      } else if (kind === 'image') {
         setRetrieveResult({
           success: true,
+          ...saveInfo,
           type: 'image',
-          url,
+          url: contentLocation,
+          // Without a preview the image itself is shown
+          previewUrl: plainCid ? await authUrl(`/thumbnail/cid/${ref.root}?size=large`, 'thumbnail', ref.root).catch(() => undefined) : undefined,
           contentType,
           size: parseInt(contentLength || '0')
         });
       } else {
         // Generic file download
-        const url = `${API_URL}/get-content/${hash}`;
         setRetrieveResult({
           success: true,
+          ...saveInfo,
           type: 'file',
-          url,
+          url: contentLocation,
           contentType,
           size: parseInt(contentLength || '0')
         });
@@ -211,10 +232,35 @@ const IPFSInterface = () => {
     });
   };
 
+  if (!currentUser) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader2 className="w-10 h-10 text-purple-500 animate-spin" />
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-purple-50 to-cyan-50">
       {/* Header */}
       <div className="bg-gradient-to-r from-blue-600 via-purple-600 to-cyan-600 text-white">
+        <div className="max-w-6xl mx-auto px-6 pt-4 flex justify-end items-center gap-4 text-sm">
+          <Link href="/drive" className="px-3 py-1.5 hover:bg-white/20 rounded-lg transition-colors">
+            My Drive
+          </Link>
+          <UsageMeter refreshKey={usageVersion} />
+          <span className="flex items-center gap-2 opacity-90">
+            <User className="w-4 h-4" />
+            {currentUser.username}
+          </span>
+          <button
+            onClick={handleLogout}
+            className="flex items-center gap-2 px-3 py-1.5 bg-white/20 hover:bg-white/30 rounded-lg transition-colors"
+          >
+            <LogOut className="w-4 h-4" />
+            Logout
+          </button>
+        </div>
         <div className="max-w-6xl mx-auto px-6 py-16">
           <div className="text-center">
             <h1 className="text-5xl font-bold mb-4 bg-gradient-to-r from-white to-blue-100 bg-clip-text text-transparent">
@@ -258,24 +304,58 @@ const IPFSInterface = () => {
                 <input
                   id="fileInput"
                   type="file"
+                  multiple
                   onChange={onFileSelect}
                   className="hidden"
                   accept="*/*"
                 />
+                <input
+                  id="folderInput"
+                  type="file"
+                  // Non-standard but supported by every current browser
+                  {...{ webkitdirectory: '' }}
+                  onChange={onFolderSelect}
+                  className="hidden"
+                />
                 
-                {uploadLoading ? (
+                {uploadTotals.active > 0 ? (
                   <div className="flex flex-col items-center">
                     <Loader2 className="w-16 h-16 text-blue-500 animate-spin mb-4" />
-                    <p className="text-lg text-gray-600">Uploading to IPFS...</p>
-                    <p className="text-sm text-gray-500 mt-2">Please wait, this may take a moment</p>
+                    <p className="text-lg text-gray-600">
+                      Uploading {uploadTotals.active} file{uploadTotals.active === 1 ? '' : 's'} to IPFS...
+                    </p>
+                    <div className="w-full mt-4">
+                      <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                        <div
+                          className="h-full bg-gradient-to-r from-blue-500 to-purple-500 transition-all"
+                          style={{ width: `${uploadTotals.total ? Math.round((uploadTotals.loaded / uploadTotals.total) * 100) : 0}%` }}
+                        />
+                      </div>
+                      <p className="text-sm text-gray-500 mt-2">
+                        {(uploadTotals.loaded / (1024 * 1024)).toFixed(1)} / {(uploadTotals.total / (1024 * 1024)).toFixed(1)} MB
+                        {' '}· drop more files to add them to the queue
+                      </p>
+                    </div>
                   </div>
                 ) : (
                   <div className="flex flex-col items-center">
                     <Upload className="w-16 h-16 text-blue-500 mb-4" />
                     <p className="text-lg font-semibold text-gray-700 mb-2">
-                      Drag & drop your file here
+                      Drag & drop files or folders here
+                    </p>
+                    <p className="text-gray-500">
+                      or click to browse, or{' '}
+                      <button
+                        type="button"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          (document.getElementById('folderInput') as HTMLInputElement)?.click();
+                        }}
+                        className="text-blue-600 underline hover:text-blue-700"
+                      >
+                        upload a whole folder
+                      </button>
                     </p>
-                    <p className="text-gray-500">or click to browse</p>
                     <p className="text-sm text-gray-400 mt-2">PDFs, images, documents - all supported</p>
                   </div>
                 )}
@@ -284,7 +364,7 @@ const IPFSInterface = () => {
               {/* Upload Result */}
               {uploadResult && (
                 <div className="mt-6">
-                  {uploadResult.success ? (
+                  {uploadResult.success && (
                     <div className="bg-green-50 border border-green-200 rounded-xl p-6">
                       <div className="flex items-center gap-3 mb-4">
                         <CheckCircle className="w-6 h-6 text-green-600" />
@@ -336,22 +416,31 @@ const IPFSInterface = () => {
                         </div>
                       </div>
                     </div>
-                  ) : (
-                    <div className="bg-red-50 border border-red-200 rounded-xl p-6">
-                      <div className="flex items-center gap-3">
-                        <AlertCircle className="w-6 h-6 text-red-600" />
-                        <div>
-                          <h3 className="text-lg font-semibold text-red-800">Upload Failed</h3>
-                          <p className="text-red-700">{uploadResult.error}</p>
-                          <p className="text-sm text-red-600 mt-2">
-                            Make sure BOCK IPFS is running on localhost:9000
-                          </p>
-                        </div>
-                      </div>
-                    </div>
                   )}
                 </div>
               )}
+
+              {uploadTotals.failed > 0 && (
+                <div className="mt-6 bg-red-50 border border-red-200 rounded-xl p-6">
+                  <div className="flex items-center gap-3">
+                    <AlertCircle className="w-6 h-6 text-red-600" />
+                    <div>
+                      <h3 className="text-lg font-semibold text-red-800">
+                        {uploadTotals.failed} upload{uploadTotals.failed === 1 ? '' : 's'} failed
+                      </h3>
+                      <p className="text-sm text-red-600 mt-2">
+                        Make sure BOCK IPFS is running on localhost:9000
+                      </p>
+                      <button
+                        onClick={() => uploadQueue.retryFailed()}
+                        className="mt-3 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-sm font-medium"
+                      >
+                        Resume failed uploads
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              )}
             </div>
           </div>
 
@@ -369,7 +458,7 @@ const IPFSInterface = () => {
               <div className="space-y-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    IPFS Hash
+                    CID or IPNS name
                   </label>
                   <div className="flex gap-3">
                     <div className="relative flex-1">
@@ -378,7 +467,7 @@ const IPFSInterface = () => {
                         type="text"
                         value={retrieveHash}
                         onChange={(e) => setRetrieveHash(e.target.value)}
-                        placeholder="Enter IPFS hash (Qm... or bafy...)"
+                        placeholder="Qm..., bafy..., /ipfs/<cid>/path or /ipns/<name>"
                         className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all"
                       />
                     </div>
@@ -405,16 +494,39 @@ const IPFSInterface = () => {
                       <div className="flex items-center gap-3 mb-4">
                         <CheckCircle className="w-6 h-6 text-blue-600" />
                         <h3 className="text-lg font-semibold text-blue-800">Content Retrieved!</h3>
+                        {retrieveResult.source && (
+                          <button
+                            onClick={() => setSaveToDrive(true)}
+                            className="ml-auto flex items-center gap-2 px-4 py-2 text-sm font-medium text-purple-700 bg-purple-50 rounded-lg hover:bg-purple-100 transition-colors"
+                          >
+                            <HardDriveDownload className="w-4 h-4" />
+                            Save to drive
+                          </button>
+                        )}
                       </div>
+
+                      {retrieveResult.type === 'folder' && (
+                        <p className="flex items-center gap-2 text-sm text-gray-700">
+                          <Folder className="w-5 h-5 text-yellow-500" />
+                          This is a folder. Save it to your drive to browse its contents.
+                        </p>
+                      )}
                       
                       {retrieveResult.type === 'image' && retrieveResult.url && (
                         <div className="space-y-4">
                           <img 
-                            src={retrieveResult.url} 
+                            src={retrieveResult.previewUrl || retrieveResult.url} 
                             alt="Retrieved content" 
                             className="max-w-full h-auto rounded-lg border border-gray-200 shadow-sm"
                             onError={(e) => {
-                              (e.target as HTMLImageElement).style.display = 'none';
+                              // No preview rendered for this CID: fall back to the original once
+                              const img = e.target as HTMLImageElement;
+                              if (retrieveResult.previewUrl && !img.dataset.fallback) {
+                                img.dataset.fallback = 'original';
+                                img.src = retrieveResult.url || '';
+                                return;
+                              }
+                              img.style.display = 'none';
                             }}
                           />
                           <a
@@ -447,14 +559,16 @@ const IPFSInterface = () => {
                             >
                               Download PDF
                             </a>
-                            <a
-                              href={`${API_URL}/view-pdf/${retrieveHash.trim()}`}
-                              target="_blank"
-                              rel="noopener noreferrer"
-                              className="inline-block px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors text-sm font-medium"
-                            >
-                              Open in PDF Viewer
-                            </a>
+                            {retrieveResult.viewerUrl && (
+                              <a
+                                href={retrieveResult.viewerUrl}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="inline-block px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors text-sm font-medium"
+                              >
+                                Open in PDF Viewer
+                              </a>
+                            )}
                           </div>
                           <div className="text-sm text-gray-600">
                             <p>Size: {retrieveResult.size ? (retrieveResult.size / 1024).toFixed(2) : 'Unknown'} KB</p>
@@ -544,6 +658,7 @@ const IPFSInterface = () => {
               <ul className="space-y-1">
                 <li>• Upload any file type to IPFS</li>
                 <li>• Retrieve content using IPFS hashes</li>
+                <li>• Save retrieved content to your drive</li>
                 <li>• Built-in PDF viewer</li>
                 <li>• Image preview</li>
                 <li>• Text content display</li>
@@ -561,6 +676,15 @@ const IPFSInterface = () => {
           </div>
         </div>
       </div>
+
+      {saveToDrive && retrieveResult?.source && (
+        <SaveToDriveDialog
+          source={retrieveResult.source}
+          defaultName={retrieveResult.name || ''}
+          rootPath={userRoot(currentUser)}
+          onClose={() => setSaveToDrive(false)}
+        />
+      )}
     </div>
   );
 };